@@ -0,0 +1,59 @@
+// auth-utils.js
+const crypto = require('crypto');
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function assinarJWT(payload, secret) {
+  const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify(payload));
+  const sig = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${sig}`;
+}
+
+// retorna o payload se assinatura e validade baterem; senão null (token sem exp também é recusado:
+// todo token emitido aqui tem validade)
+function verificarJWT(token, secret) {
+  const partes = String(token || '').split('.');
+  if (partes.length !== 3) return null;
+  const [header, body, sig] = partes;
+
+  const esperado = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+  const recebido = Buffer.from(sig, 'base64url');
+  if (recebido.length !== esperado.length || !crypto.timingSafeEqual(recebido, esperado)) return null;
+
+  try {
+    const h = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (h.alg !== 'HS256') return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (typeof payload.exp !== 'number' || Math.floor(Date.now() / 1000) >= payload.exp) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// par access/refresh; `typ` impede usar um no lugar do outro. `extra` vai nos dois (ex.: pwh,
+// o fingerprint da senha, que derruba a sessão quando a senha muda)
+function emitirTokens(secret, user_id, { accessTtlSec, refreshTtlSec, extra = {} }) {
+  const iat = Math.floor(Date.now() / 1000);
+  const access_token = assinarJWT(
+    { ...extra, sub: user_id, typ: 'access', iat, exp: iat + accessTtlSec, jti: crypto.randomUUID() },
+    secret
+  );
+  const refresh_token = assinarJWT(
+    { ...extra, sub: user_id, typ: 'refresh', iat, exp: iat + refreshTtlSec, jti: crypto.randomUUID() },
+    secret
+  );
+  return { access_token, refresh_token, token_type: 'Bearer', expires_in: accessTtlSec };
+}
+
+// token de uso único (verify_email, reset_password); `jti` é o que se marca como consumido
+function emitirTokenConta(secret, { user_id, tipo, ttlSec, extra = {} }) {
+  const iat = Math.floor(Date.now() / 1000);
+  const jti = crypto.randomUUID();
+  const exp = iat + ttlSec;
+  const token = assinarJWT({ ...extra, sub: user_id, typ: tipo, iat, exp, jti }, secret);
+  return { token, jti, expira_em: new Date(exp * 1000).toISOString() };
+}
+
+module.exports = { assinarJWT, verificarJWT, emitirTokens, emitirTokenConta };
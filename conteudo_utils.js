@@ -1,18 +1,216 @@
 // conteudo_utils.js
+const { normalizarTema, rotuloTema } = require('./taxonomia-utils');
+const { cosseno } = require('./repositorios/embeddings');
+const { normalizar } = require('./texto-utils');
 
-async function buscarConteudoBasePorTags(supabase, tags) {
-  if (!tags || tags.length === 0) return [];
+const CAMPOS_BUSCA_CONTEUDO = 'id, tema, conceito, ferramentas_exercicios, frases_citacoes, embedding';
 
-  const { data, error } = await supabase
-    .from('conteudo_base')
-    .select('tema, conceito, ferramentas_exercicios, frases_citacoes')
-    .in('tema', tags);
+// pgvector chega como texto "[0.1,0.2,...]" pelo PostgREST; texto que não é vetor lança
+function vetor(v) {
+  if (Array.isArray(v)) return v;
+  if (typeof v !== 'string') return null;
+  const lido = JSON.parse(v);
+  if (!Array.isArray(lido)) throw new Error('embedding não é um vetor');
+  return lido;
+}
+
+// o que vai para o embedding de um item: rótulo do tema + textos
+const textoParaEmbedding = (item) =>
+  [rotuloTema(item.tema), item.conceito, item.ferramentas_exercicios, item.frases_citacoes].filter(Boolean).join('\n');
+
+// Busca híbrida: candidatos por tag (igualdade de tema) + vizinhos por embedding da mensagem.
+// score = pesoTag * (tema bate ? 1 : 0) + pesoSimilaridade * cosseno; abaixo de scoreMinimo fica de fora.
+// Sem embedding da mensagem (falha no provedor), vira a busca só por tag de antes.
+async function buscarConteudoRelevante(conteudoRepo, { tags = [], embedding = null, n = 3, pesoTag = 0.3, pesoSimilaridade = 0.7, scoreMinimo = 0.25, vizinhos = 12 } = {}) {
+  const candidatos = new Map();
+
+  if (tags.length) {
+    const { data, error } = await conteudoRepo.buscarPorTemas(tags, CAMPOS_BUSCA_CONTEUDO);
+    if (error) console.error('Erro ao buscar conteudo_base:', error);
+    for (const item of data || []) {
+      let emb;
+      try {
+        emb = vetor(item.embedding);
+      } catch (e) {
+        console.error('[conteudo_base] embedding ilegível, item ignorado:', item.id, e.message);
+        continue;
+      }
+      candidatos.set(item.id, { ...item, similaridade: embedding && emb ? cosseno(emb, embedding) : null });
+    }
+  }
+
+  if (embedding) {
+    const { data, error } = await conteudoRepo.buscarSemelhantes(embedding, vizinhos);
+    if (error) console.error('Erro na busca vetorial de conteudo_base:', error);
+    for (const item of data || []) {
+      if (!candidatos.has(item.id)) candidatos.set(item.id, item);
+      else candidatos.get(item.id).similaridade = item.similaridade;
+    }
+  }
+
+  return [...candidatos.values()]
+    .map(({ embedding: _e, ...item }) => {
+      const tag = tags.includes(item.tema) ? 1 : 0;
+      const score = embedding ? pesoTag * tag + pesoSimilaridade * Math.max(0, item.similaridade || 0) : tag;
+      return { ...item, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter(item => item.score >= (embedding ? scoreMinimo : 1))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, n);
+}
+
+/* ========= Edição pelo admin (validação + import/export) ========= */
+const CAMPOS_TEXTO_CONTEUDO = ['conceito', 'ferramentas_exercicios', 'frases_citacoes'];
+const CAMPOS_CONTEUDO = ['tema', ...CAMPOS_TEXTO_CONTEUDO];
+const MAX_CHARS_CAMPO = 4000;
+const FORMATOS_CONTEUDO = ['csv', 'markdown'];
 
-  if (error) {
-    console.error('Erro ao buscar conteudo_base:', error);
-    return [];
+// { patch, erros }; parcial=true para PATCH (só valida o que veio)
+function validarConteudo(body = {}, { parcial = false } = {}) {
+  const patch = {};
+  const erros = [];
+  if (body.tema !== undefined || !parcial) {
+    // grava o id da taxonomia (o lookup do /ia é por igualdade); aceita rótulo e sinônimos
+    const tema = normalizarTema(body.tema);
+    if (!tema) erros.push(`tema inválido: "${body.tema ?? ''}"`);
+    else patch.tema = tema;
+  }
+  for (const campo of CAMPOS_TEXTO_CONTEUDO) {
+    if (body[campo] === undefined) continue;
+    if (body[campo] !== null && typeof body[campo] !== 'string') {
+      erros.push(`${campo} deve ser texto`);
+      continue;
+    }
+    const valor = body[campo] === null ? null : body[campo].trim();
+    if (valor && valor.length > MAX_CHARS_CAMPO) erros.push(`${campo} excede ${MAX_CHARS_CAMPO} caracteres`);
+    else patch[campo] = valor || null;
+  }
+  if (body.ativo !== undefined) {
+    if (typeof body.ativo !== 'boolean') erros.push('ativo deve ser booleano');
+    else patch.ativo = body.ativo;
   }
-  return data; // [{tema, conceito, ferramentas_exercicios, frases_citacoes}]
+  if (!parcial && !CAMPOS_TEXTO_CONTEUDO.some(c => patch[c])) {
+    erros.push('informe ao menos um de: ' + CAMPOS_TEXTO_CONTEUDO.join(', '));
+  }
+  return { patch, erros };
 }
 
-module.exports = { buscarConteudoBasePorTags };
+/* --- CSV (RFC 4180: aspas duplas, "" como escape, quebras de linha dentro de aspas) --- */
+const COLUNAS_CSV = ['id', ...CAMPOS_CONTEUDO, 'ativo'];
+
+const celulaCSV = (v) => {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function conteudoParaCSV(linhas = []) {
+  const out = [COLUNAS_CSV.join(',')];
+  for (const row of linhas) out.push(COLUNAS_CSV.map(c => celulaCSV(c === 'ativo' ? row.ativo !== false : row[c])).join(','));
+  return out.join('\r\n') + '\r\n';
+}
+
+// registros com o número da linha física onde começam (campos entre aspas podem ter quebras)
+function lerCSV(texto) {
+  const registros = [];
+  let campo = '', registro = [], aspas = false, linha = 1, inicio = 1;
+  const s = String(texto || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === '\n' || (c === '\r' && s[i + 1] !== '\n')) linha++;
+    if (aspas) {
+      if (c === '"' && s[i + 1] === '"') { campo += '"'; i++; }
+      else if (c === '"') aspas = false;
+      else campo += c;
+    } else if (c === '"') aspas = true;
+    else if (c === ',') { registro.push(campo); campo = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') { i++; linha++; }
+      registro.push(campo); registros.push({ valores: registro, linha: inicio });
+      campo = ''; registro = []; inicio = linha;
+    } else campo += c;
+  }
+  if (campo || registro.length) { registro.push(campo); registros.push({ valores: registro, linha: inicio }); }
+  return registros.filter(r => r.valores.some(v => v.trim()));
+}
+
+// primeira linha é o cabeçalho; colunas desconhecidas são ignoradas
+function conteudoDeCSV(texto) {
+  const [cabecalho = { valores: [] }, ...linhas] = lerCSV(texto);
+  const cols = cabecalho.valores.map(c => c.trim().toLowerCase());
+  if (!cols.includes('tema')) throw new Error('CSV sem coluna "tema"');
+  return linhas.map(({ valores, linha }) => {
+    const item = { _linha: linha };
+    cols.forEach((c, j) => {
+      if (!COLUNAS_CSV.includes(c)) return;
+      const v = (valores[j] ?? '').trim();
+      if (c === 'ativo') { if (v) item.ativo = !/^(false|0|nao|não|n)$/i.test(v); }
+      else item[c] = v || (c === 'id' ? undefined : null);
+    });
+    return item;
+  });
+}
+
+/* --- Markdown: "## tema", comentário com o id e "### Seção" por campo --- */
+const SECOES_MD = {
+  conceito: 'Conceito',
+  ferramentas_exercicios: 'Ferramentas e exercícios',
+  frases_citacoes: 'Frases e citações',
+};
+
+function conteudoParaMarkdown(linhas = []) {
+  const out = ['# Conteúdo-base do Alan', ''];
+  for (const row of linhas) {
+    out.push(`## ${row.tema}`, `<!-- id: ${row.id}${row.ativo === false ? ' | inativo' : ''} -->`, '');
+    for (const [campo, titulo] of Object.entries(SECOES_MD)) {
+      if (row[campo]) out.push(`### ${titulo}`, '', row[campo], '');
+    }
+  }
+  return out.join('\n');
+}
+
+function conteudoDeMarkdown(texto) {
+  const itens = [];
+  const porTitulo = Object.fromEntries(Object.entries(SECOES_MD).map(([c, t]) => [normalizar(t), c]));
+  let atual = null, campo = null, buffer = [];
+  const fecharCampo = () => {
+    if (atual && campo) atual[campo] = buffer.join('\n').trim() || null;
+    campo = null; buffer = [];
+  };
+  String(texto || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((linha, i) => {
+    const h2 = linha.match(/^##\s+(.+?)\s*$/);
+    const h3 = linha.match(/^###\s+(.+?)\s*$/);
+    const meta = linha.match(/^<!--\s*id:\s*([^\s|]+)\s*(\|\s*inativo\s*)?-->\s*$/);
+    if (h2 && !h3) {
+      fecharCampo();
+      atual = { _linha: i + 1, tema: h2[1] };
+      itens.push(atual);
+    } else if (h3 && atual) {
+      fecharCampo();
+      campo = porTitulo[normalizar(h3[1])] || null;
+    } else if (meta && atual && !campo) {
+      atual.id = meta[1];
+      if (meta[2]) atual.ativo = false;
+    } else if (campo) {
+      buffer.push(linha);
+    }
+  });
+  fecharCampo();
+  return itens;
+}
+
+function renderizarConteudo(linhas, formato) {
+  if (formato === 'markdown') return { conteudo: conteudoParaMarkdown(linhas), contentType: 'text/markdown; charset=utf-8', extensao: 'md' };
+  return { conteudo: conteudoParaCSV(linhas), contentType: 'text/csv; charset=utf-8', extensao: 'csv' };
+}
+
+const lerConteudo = (texto, formato) => (formato === 'markdown' ? conteudoDeMarkdown(texto) : conteudoDeCSV(texto));
+
+module.exports = {
+  buscarConteudoRelevante,
+  textoParaEmbedding,
+  CAMPOS_CONTEUDO,
+  FORMATOS_CONTEUDO,
+  validarConteudo,
+  renderizarConteudo,
+  lerConteudo,
+};
@@ -0,0 +1,137 @@
+// cotas-utils.js
+// Cotas por usuário (tokens e USD, por dia e por mês) definidas pelo plano em usuarios.plano.
+// O uso vem de messages_usage (tudo que o usuário gerou: chat, tagger, extrações, embeddings, jobs);
+// fica em cache por usuário e cada chamada registrada soma no cache, então a checagem antes
+// do modelo não custa uma consulta por request. Dia e mês contam no fuso do produto.
+
+const LIMITES_PLANO = ['tokens_dia', 'tokens_mes', 'usd_dia', 'usd_mes'];
+
+// null = sem limite naquele recurso
+const PLANOS_PADRAO = {
+  gratuito: { tokens_dia: 60_000, tokens_mes: 600_000, usd_dia: 0.3, usd_mes: 3 },
+  essencial: { tokens_dia: 250_000, tokens_mes: 4_000_000, usd_dia: 1.5, usd_mes: 20 },
+  premium: { tokens_dia: 1_000_000, tokens_mes: 15_000_000, usd_dia: 6, usd_mes: 70 },
+  interno: { tokens_dia: null, tokens_mes: null, usd_dia: null, usd_mes: null },
+};
+
+function validarPlanos(planos) {
+  for (const [nome, limites] of Object.entries(planos)) {
+    if (!limites || typeof limites !== 'object') throw new Error(`plano inválido: ${nome}`);
+    for (const [k, v] of Object.entries(limites)) {
+      if (!LIMITES_PLANO.includes(k)) throw new Error(`limite desconhecido em ${nome}: ${k}`);
+      if (v !== null && (typeof v !== 'number' || v < 0)) throw new Error(`${nome}.${k} deve ser número >= 0 ou null`);
+    }
+  }
+  return planos;
+}
+
+/* --- períodos no fuso (dia/mês locais) --- */
+function partesNoFuso(data, fuso) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: fuso, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+  const p = Object.fromEntries(fmt.formatToParts(data).map(x => [x.type, Number(x.value)]));
+  return p;
+}
+
+const deslocamentoMs = (data, fuso) => {
+  const p = partesNoFuso(data, fuso);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(data.getTime() / 1000) * 1000;
+};
+
+// { dia: { inicio, fim }, mes: { inicio, fim } } como Date (fim = início do próximo período)
+function periodosAtuais(fuso, agora = new Date()) {
+  const p = partesNoFuso(agora, fuso);
+  const off = deslocamentoMs(agora, fuso);
+  const local = (y, m, d) => new Date(Date.UTC(y, m, d) - off);
+  return {
+    dia: { inicio: local(p.year, p.month - 1, p.day), fim: local(p.year, p.month - 1, p.day + 1) },
+    mes: { inicio: local(p.year, p.month - 1, 1), fim: local(p.year, p.month, 1) },
+  };
+}
+
+function criarControleCotas({
+  planos = PLANOS_PADRAO,
+  planoPadrao = 'gratuito',
+  buscarPlano,          // async (user_id) -> nome do plano | null
+  somarUso,             // async (user_id, desdeISO) -> { tokens, cost_usd }
+  fuso = 'America/Sao_Paulo',
+  cacheTtlMs = 60_000,
+} = {}) {
+  validarPlanos(planos);
+  if (!planos[planoPadrao]) throw new Error(`plano padrão inexistente: ${planoPadrao}`);
+  const cache = new Map(); // user_id -> { ts, plano, inicioDia, inicioMes, dia, mes }
+
+  async function carregar(user_id, agora) {
+    const chave = String(user_id);
+    const per = periodosAtuais(fuso, agora);
+    const atual = cache.get(chave);
+    if (atual && agora.getTime() - atual.ts < cacheTtlMs
+      && atual.inicioDia === per.dia.inicio.getTime() && atual.inicioMes === per.mes.inicio.getTime()) {
+      return { entrada: atual, per };
+    }
+    for (const [k, v] of cache) if (agora.getTime() - v.ts >= cacheTtlMs) cache.delete(k);
+
+    const [nomePlano, dia, mes] = await Promise.all([
+      buscarPlano(user_id),
+      somarUso(user_id, per.dia.inicio.toISOString()),
+      somarUso(user_id, per.mes.inicio.toISOString()),
+    ]);
+    const entrada = {
+      ts: agora.getTime(),
+      plano: planos[nomePlano] ? nomePlano : planoPadrao,
+      inicioDia: per.dia.inicio.getTime(),
+      inicioMes: per.mes.inicio.getTime(),
+      dia: { tokens: Number(dia?.tokens || 0), usd: Number(dia?.cost_usd || 0) },
+      mes: { tokens: Number(mes?.tokens || 0), usd: Number(mes?.cost_usd || 0) },
+    };
+    cache.set(chave, entrada);
+    return { entrada, per };
+  }
+
+  // { plano, limites, uso, restante, excedido, reinicia_em }; excedido = primeiro limite estourado ou null
+  async function consultar(user_id, { agora = new Date() } = {}) {
+    const { entrada, per } = await carregar(user_id, agora);
+    const limites = { tokens_dia: null, tokens_mes: null, usd_dia: null, usd_mes: null, ...planos[entrada.plano] };
+    const uso = {
+      tokens_dia: entrada.dia.tokens,
+      tokens_mes: entrada.mes.tokens,
+      usd_dia: Math.round(entrada.dia.usd * 1e6) / 1e6,
+      usd_mes: Math.round(entrada.mes.usd * 1e6) / 1e6,
+    };
+    const restante = {};
+    let excedido = null;
+    for (const k of LIMITES_PLANO) {
+      if (limites[k] === null) { restante[k] = null; continue; }
+      restante[k] = Math.max(0, Math.round((limites[k] - uso[k]) * 1e6) / 1e6);
+      if (!excedido && uso[k] >= limites[k]) {
+        const periodo = k.endsWith('_dia') ? 'dia' : 'mes';
+        excedido = { limite: k, valor: limites[k], usado: uso[k], reinicia_em: per[periodo].fim.toISOString() };
+      }
+    }
+    return {
+      plano: entrada.plano,
+      limites,
+      uso,
+      restante,
+      excedido,
+      reinicia_em: { dia: per.dia.fim.toISOString(), mes: per.mes.fim.toISOString() },
+    };
+  }
+
+  // soma uma chamada já feita ao cache (se o usuário estiver nele); o banco é a fonte no próximo recarregamento
+  function registrar(user_id, { tokens = 0, usd = 0 } = {}) {
+    const entrada = cache.get(String(user_id));
+    if (!entrada) return;
+    for (const p of [entrada.dia, entrada.mes]) {
+      p.tokens += Number(tokens || 0);
+      p.usd += Number(usd || 0);
+    }
+  }
+
+  const invalidar = (user_id) => cache.delete(String(user_id));
+
+  return { consultar, registrar, invalidar, planos: () => planos, planoPadrao };
+}
+
+module.exports = { LIMITES_PLANO, PLANOS_PADRAO, criarControleCotas, periodosAtuais };
@@ -0,0 +1,79 @@
+// eventos-utils.js
+// Extração de eventos de vida (perda de emprego, término, nascimento, mudança, morte...)
+// a partir das falas do usuário, com data aproximada e deduplicação contra o que já existe.
+const { similaridadeTexto, semCercaJson } = require('./texto-utils');
+
+const TIPOS_EVENTO = [
+  'perda_emprego', 'novo_emprego', 'termino', 'inicio_relacionamento', 'casamento', 'divorcio',
+  'nascimento', 'gravidez', 'mudanca', 'morte', 'doenca', 'formatura', 'aposentadoria', 'outro',
+];
+
+const PRECISOES_DATA = ['dia', 'mes', 'ano'];
+
+// "2024", "2024-05", "2024-05-17" -> { data_evento: 'YYYY-MM-DD', precisao_data }
+function normalizarDataEvento(valor) {
+  const m = String(valor || '').trim().match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (!m) return null;
+  const [, ano, mes, dia] = m;
+  const d = new Date(`${ano}-${mes || '01'}-${dia || '01'}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return null;
+  return { data_evento: d.toISOString().slice(0, 10), precisao_data: dia ? 'dia' : mes ? 'mes' : 'ano' };
+}
+
+async function extrairEventosVida(llm, textoUsuario, { hoje = new Date(), timeout } = {}) {
+  const prompt = `
+Hoje é ${hoje.toISOString().slice(0, 10)}. Leia as falas do usuário abaixo e liste apenas eventos de vida
+SIGNIFICATIVOS que aconteceram (ou vão acontecer com data marcada) com ele ou com pessoas próximas.
+Ignore planos vagos, hipóteses e fatos do dia a dia.
+Falas: """${textoUsuario}"""
+Tipos possíveis: ${TIPOS_EVENTO.join(', ')}
+
+Responda apenas em JSON:
+{ "eventos": [{ "tipo_evento": "...", "descricao": "frase curta em 3ª pessoa", "data_aproximada": "AAAA | AAAA-MM | AAAA-MM-DD" }] }
+(lista vazia se não houver; converta "mês passado", "ano retrasado" etc. em data aproximada)
+  `;
+
+  const completion = await llm.chat(
+    {
+      purpose: 'extract_life_events',
+      model: llm.modelos.extract,
+      temperature: 0,
+      max_tokens: 300,
+      messages: [{ role: 'user', content: prompt }],
+    },
+    { timeout }
+  );
+
+  let eventos = [];
+  try {
+    const content = semCercaJson(completion.choices?.[0]?.message?.content || '');
+    const parsed = JSON.parse(content);
+    eventos = (Array.isArray(parsed?.eventos) ? parsed.eventos : [])
+      .filter(e => e && typeof e.descricao === 'string' && e.descricao.trim())
+      .map(e => ({
+        tipo_evento: TIPOS_EVENTO.includes(e.tipo_evento) ? e.tipo_evento : 'outro',
+        descricao: e.descricao.trim().slice(0, 300),
+        ...(normalizarDataEvento(e.data_aproximada) || { data_evento: hoje.toISOString().slice(0, 10), precisao_data: 'ano' }),
+      }));
+  } catch (err) {
+    console.log('[eventos_vida] resposta do extrator não é JSON:', err.message);
+  }
+  return { eventos, completion };
+}
+
+// tolerância de data conforme a precisão menos precisa dos dois
+const TOLERANCIA_DIAS = { dia: 45, mes: 75, ano: 400 };
+
+// mesmo tipo e datas próximas, ou descrições quase iguais
+function eventoDuplicado(existentes = [], novo) {
+  return existentes.find(e => {
+    if (similaridadeTexto(e.descricao, novo.descricao) >= 0.6) return true;
+    if (e.tipo_evento !== novo.tipo_evento || novo.tipo_evento === 'outro') return false;
+    const rank = (p) => PRECISOES_DATA.indexOf(p);
+    const precisao = rank(e.precisao_data) > rank(novo.precisao_data) ? e.precisao_data : novo.precisao_data;
+    const dias = Math.abs(new Date(e.data_evento) - new Date(novo.data_evento)) / 86400_000;
+    return dias <= (TOLERANCIA_DIAS[precisao] || TOLERANCIA_DIAS.ano);
+  }) || null;
+}
+
+module.exports = { TIPOS_EVENTO, PRECISOES_DATA, normalizarDataEvento, extrairEventosVida, eventoDuplicado };
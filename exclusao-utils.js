@@ -0,0 +1,87 @@
+// exclusao-utils.js
+// Recibos de exclusão em cadeia de hash: cada recibo inclui o hash do anterior,
+// então editar/remover qualquer um quebra a verificação dos seguintes.
+const crypto = require('crypto');
+
+// JSON com chaves ordenadas, para o hash não depender da ordem de inserção
+function canonico(v) {
+  if (Array.isArray(v)) return `[${v.map(canonico).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonico(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+// identifica o titular sem guardar o id: quem tem o id (e o segredo) consegue conferir
+const hashTitular = (user_id, segredo) =>
+  crypto.createHmac('sha256', segredo).update(String(user_id)).digest('hex');
+
+const CAMPOS_HASH = ['seq', 'titular_hash', 'solicitado_em', 'agendado_para', 'executado_em', 'contagens', 'hash_anterior'];
+
+function calcularHash(recibo) {
+  const base = {};
+  for (const c of CAMPOS_HASH) base[c] = recibo[c] ?? null;
+  return crypto.createHash('sha256').update(canonico(base)).digest('hex');
+}
+
+function montarRecibo(anterior, { titular_hash, solicitado_em, agendado_para, executado_em, contagens }) {
+  const recibo = {
+    seq: (anterior?.seq || 0) + 1,
+    titular_hash,
+    solicitado_em: solicitado_em || null,
+    agendado_para: agendado_para || null,
+    executado_em,
+    contagens,
+    hash_anterior: anterior?.hash || null,
+  };
+  return { ...recibo, hash: calcularHash(recibo) };
+}
+
+// recibos em ordem de seq; { integra, total, quebra_em: seq do primeiro inválido | null }
+function verificarCadeia(recibos) {
+  let anterior = null;
+  for (const r of recibos) {
+    const esperadoSeq = (anterior?.seq || 0) + 1;
+    if (r.seq !== esperadoSeq || r.hash_anterior !== (anterior?.hash || null) || r.hash !== calcularHash(r)) {
+      return { integra: false, total: recibos.length, quebra_em: r.seq };
+    }
+    anterior = r;
+  }
+  return { integra: true, total: recibos.length, quebra_em: null };
+}
+
+// Varredura das exclusões vencidas. Toda instância roda a sua; cada conta só é apagada por quem
+// conseguir reservá-la (usuarios.reservarExclusao). Falha em excluir(usuario) libera a reserva para
+// a próxima varredura. Devolve os resultados de excluir, na ordem.
+async function varrerExclusoesVencidas({ usuarios, excluir, reservaMs, agora = () => new Date() }) {
+  const { data: vencidas, error } = await usuarios.listarExclusoesVencidas(agora().toISOString());
+  if (error) {
+    console.error('[exclusao] listar vencidas falhou:', error.message);
+    return [];
+  }
+
+  const feitas = [];
+  for (const usuario of vencidas || []) {
+    const t = agora();
+    const { data: reservada, error: errRes } = await usuarios.reservarExclusao(usuario.id, {
+      agora: t.toISOString(),
+      reservaVencida: new Date(t.getTime() - reservaMs).toISOString(),
+    });
+    if (errRes) {
+      console.error('[exclusao] reserva falhou:', errRes.message);
+      continue;
+    }
+    if (!reservada) continue;
+
+    try {
+      feitas.push(await excluir(usuario));
+    } catch (e) {
+      console.error('[exclusao] falha ao apagar conta:', e.message);
+      const { error: errLib } = await usuarios.liberarExclusao(usuario.id);
+      if (errLib) console.error('[exclusao] liberar reserva falhou:', errLib.message);
+    }
+  }
+  return feitas;
+}
+
+module.exports = { canonico, hashTitular, montarRecibo, verificarCadeia, varrerExclusoesVencidas };
@@ -0,0 +1,157 @@
+// export-utils.js
+// Arquivo de exportação LGPD (JSON versionado) + renderização legível em Markdown/HTML
+const { rotuloTema } = require('./taxonomia-utils');
+
+const EXPORT_VERSAO = 1;
+
+// nunca sai no arquivo, mesmo sendo "do usuário"
+const CAMPOS_OMITIDOS = {
+  usuarios: ['senha_hash'],
+};
+
+function montarArquivoExportacao(user_id, dados) {
+  const tabelas = {};
+  const contagens = {};
+  for (const [tabela, linhas] of Object.entries(dados || {})) {
+    const omitir = CAMPOS_OMITIDOS[tabela] || [];
+    tabelas[tabela] = (linhas || []).map(row => {
+      const out = { ...row };
+      for (const c of omitir) delete out[c];
+      return out;
+    });
+    contagens[tabela] = tabelas[tabela].length;
+  }
+  return {
+    formato: 'mentor360-export',
+    versao: EXPORT_VERSAO,
+    gerado_em: new Date().toISOString(),
+    user_id,
+    contagens,
+    tabelas,
+  };
+}
+
+const lista = (v) => (Array.isArray(v) ? (v.length ? v.join(', ') : '-') : (v || '-'));
+const dataBR = (iso) => (iso ? new Date(iso).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' }) : '-');
+
+// estrutura comum aos dois formatos: seções com pares rótulo/valor + sessões com mensagens
+function montarDocumento(arquivo) {
+  const t = arquivo.tabelas || {};
+  const usuario = (t.usuarios || [])[0] || {};
+  const perfil = (t.perfil_psicologico || [])[0] || null;
+
+  const mensagensPorSessao = new Map();
+  for (const m of t.mensagens_sessao || []) {
+    if (!mensagensPorSessao.has(m.sessao_id)) mensagensPorSessao.set(m.sessao_id, []);
+    mensagensPorSessao.get(m.sessao_id).push(m);
+  }
+
+  return {
+    titulo: `Seus dados no Mentor 360 — ${usuario.nome || arquivo.user_id}`,
+    gerado_em: arquivo.gerado_em,
+    secoes: [
+      {
+        titulo: 'Conta',
+        pares: [['Nome', usuario.nome], ['E-mail', usuario.email], ['Criada em', dataBR(usuario.created_at)]],
+      },
+      {
+        titulo: 'Perfil',
+        pares: perfil
+          ? [
+            ['Traços de personalidade', lista(perfil.tracos_personalidade)],
+            ['Valores declarados', lista(perfil.valores_declarados)],
+            ['Notas do mentor', perfil.notas_mentor || '-'],
+          ]
+          : [['Perfil', 'não informado']],
+      },
+      {
+        titulo: 'Pessoas mencionadas',
+        pares: (t.vinculos_usuario || []).map(v => [v.nome_real || '-', `${v.tipo_vinculo || '-'} · ${v.frequencia_mencao || 0} menção(ões)`]),
+      },
+      {
+        titulo: 'Eventos de vida',
+        pares: (t.eventos_vida || []).map(e => [dataBR(e.data_evento), `${e.tipo_evento || '-'}: ${e.descricao || '-'}`]),
+      },
+    ],
+    sessoes: (t.sessoes || []).map(s => ({
+      titulo: `Sessão de ${dataBR(s.data_sessao)}`,
+      resumo: s.resumo || null,
+      temas: lista(Array.isArray(s.tags_tema) ? s.tags_tema.map(rotuloTema) : s.tags_tema),
+      mensagens: (mensagensPorSessao.get(s.id) || []).map(m => ({
+        autor: m.origem === 'usuario' ? 'Você' : 'Mentor',
+        quando: dataBR(m.data_mensagem),
+        texto: m.texto_mensagem || '',
+      })),
+    })),
+  };
+}
+
+function renderizarMarkdown(arquivo) {
+  const doc = montarDocumento(arquivo);
+  const out = [`# ${doc.titulo}`, '', `_Gerado em ${dataBR(doc.gerado_em)} (versão ${arquivo.versao})_`, ''];
+  for (const s of doc.secoes) {
+    out.push(`## ${s.titulo}`, '');
+    if (!s.pares.length) out.push('_Nada registrado._');
+    for (const [k, v] of s.pares) out.push(`- **${k}:** ${v ?? '-'}`);
+    out.push('');
+  }
+  out.push('## Sessões', '');
+  if (!doc.sessoes.length) out.push('_Nenhuma sessão._', '');
+  for (const s of doc.sessoes) {
+    out.push(`### ${s.titulo}`, '');
+    if (s.resumo) out.push(`> ${s.resumo.replace(/\n/g, '\n> ')}`, '');
+    out.push(`Temas: ${s.temas}`, '');
+    for (const m of s.mensagens) out.push(`**${m.autor}** (${m.quando}): ${m.texto}`, '');
+  }
+  return out.join('\n');
+}
+
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+function renderizarHTML(arquivo) {
+  const doc = montarDocumento(arquivo);
+  const out = [
+    '<!doctype html>',
+    '<html lang="pt-BR"><head><meta charset="utf-8">',
+    `<title>${esc(doc.titulo)}</title>`,
+    '<style>body{font-family:sans-serif;max-width:760px;margin:2em auto;line-height:1.5}blockquote{color:#555;border-left:3px solid #ccc;margin:0;padding-left:1em}.msg{margin:.4em 0}</style>',
+    '</head><body>',
+    `<h1>${esc(doc.titulo)}</h1>`,
+    `<p><em>Gerado em ${esc(dataBR(doc.gerado_em))} (versão ${esc(arquivo.versao)})</em></p>`,
+  ];
+  for (const s of doc.secoes) {
+    out.push(`<h2>${esc(s.titulo)}</h2>`);
+    if (!s.pares.length) out.push('<p><em>Nada registrado.</em></p>');
+    else out.push('<ul>', ...s.pares.map(([k, v]) => `<li><strong>${esc(k)}:</strong> ${esc(v ?? '-')}</li>`), '</ul>');
+  }
+  out.push('<h2>Sessões</h2>');
+  if (!doc.sessoes.length) out.push('<p><em>Nenhuma sessão.</em></p>');
+  for (const s of doc.sessoes) {
+    out.push(`<h3>${esc(s.titulo)}</h3>`);
+    if (s.resumo) out.push(`<blockquote>${esc(s.resumo)}</blockquote>`);
+    out.push(`<p>Temas: ${esc(s.temas)}</p>`);
+    for (const m of s.mensagens) {
+      out.push(`<p class="msg"><strong>${esc(m.autor)}</strong> <small>(${esc(m.quando)})</small>: ${esc(m.texto)}</p>`);
+    }
+  }
+  out.push('</body></html>');
+  return out.join('\n');
+}
+
+// formato -> { conteudo, contentType, extensao }
+function renderizarExportacao(arquivo, formato = 'json') {
+  if (formato === 'markdown') return { conteudo: renderizarMarkdown(arquivo), contentType: 'text/markdown; charset=utf-8', extensao: 'md' };
+  if (formato === 'html') return { conteudo: renderizarHTML(arquivo), contentType: 'text/html; charset=utf-8', extensao: 'html' };
+  return { conteudo: JSON.stringify(arquivo, null, 2), contentType: 'application/json; charset=utf-8', extensao: 'json' };
+}
+
+const FORMATOS_EXPORTACAO = ['json', 'markdown', 'html'];
+
+module.exports = {
+  EXPORT_VERSAO,
+  FORMATOS_EXPORTACAO,
+  montarArquivoExportacao,
+  renderizarMarkdown,
+  renderizarHTML,
+  renderizarExportacao,
+};
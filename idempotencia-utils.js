@@ -0,0 +1,133 @@
+// idempotencia-utils.js
+// Idempotency-Key: a primeira request com a chave reserva o registro (em_andamento, com trava
+// curta); ao terminar, a resposta fica guardada pelo TTL e repetições recebem a mesma resposta.
+// Chave repetida com outro body -> conflito de hash (422 no middleware); trava ainda ativa -> 409.
+// Trava vencida (processo morreu no meio) pode ser retomada por outra request.
+// Backends como no limitador-utils.js: memoria | redis | postgres (tabela idempotencia via Supabase).
+const crypto = require('crypto');
+
+const CHAVE_VALIDA = /^[\x21-\x7e]{1,255}$/;
+
+// JSON com chaves ordenadas: { a, b } e { b, a } têm o mesmo hash
+function jsonCanonico(v) {
+  if (Array.isArray(v)) return `[${v.map(jsonCanonico).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${jsonCanonico(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+const hashCorpo = (corpo) => crypto.createHash('sha256').update(jsonCanonico(corpo || {})).digest('hex');
+
+// reservar() -> { reservado: true } | { registro: { status, hash, resposta } }
+function criarIdempotenciaMemoria({ intervaloLimpezaMs = 60_000 } = {}) {
+  const registros = new Map(); // `${escopo}:${chave}` -> { status, hash, resposta, expira }
+
+  async function reservar({ escopo, chave, hash, travaMs }) {
+    const k = `${escopo}:${chave}`;
+    const atual = registros.get(k);
+    if (atual && atual.expira > Date.now()) return { registro: { status: atual.status, hash: atual.hash, resposta: atual.resposta } };
+    registros.set(k, { status: 'em_andamento', hash, resposta: null, expira: Date.now() + travaMs });
+    return { reservado: true };
+  }
+
+  async function concluir({ escopo, chave, hash, resposta, ttlMs }) {
+    registros.set(`${escopo}:${chave}`, { status: 'concluida', hash, resposta, expira: Date.now() + ttlMs });
+  }
+
+  async function liberar({ escopo, chave }) {
+    registros.delete(`${escopo}:${chave}`);
+  }
+
+  async function limparExpirados() {
+    const agora = Date.now();
+    let removidos = 0;
+    for (const [k, r] of registros) if (r.expira <= agora) { registros.delete(k); removidos += 1; }
+    return removidos;
+  }
+
+  const timer = intervaloLimpezaMs > 0 ? setInterval(limparExpirados, intervaloLimpezaMs) : null;
+  if (timer) timer.unref();
+
+  return { nome: 'memoria', reservar, concluir, liberar, limparExpirados, fechar: () => timer && clearInterval(timer) };
+}
+
+// SET NX reserva; a trava e o TTL são o próprio PX da chave
+function criarIdempotenciaRedis({ cliente, prefixo = 'm360:' }) {
+  const k = (escopo, chave) => `${prefixo}idem:${escopo}:${chave}`;
+
+  async function reservar({ escopo, chave, hash, travaMs }) {
+    const registro = JSON.stringify({ status: 'em_andamento', hash, resposta: null });
+    const r = await cliente.comando('SET', k(escopo, chave), registro, 'PX', travaMs, 'NX');
+    if (r === 'OK') return { reservado: true };
+    const atual = await cliente.comando('GET', k(escopo, chave));
+    // expirou entre o SET e o GET: tenta de novo
+    if (!atual) return reservar({ escopo, chave, hash, travaMs });
+    return { registro: JSON.parse(atual) };
+  }
+
+  async function concluir({ escopo, chave, hash, resposta, ttlMs }) {
+    await cliente.comando('SET', k(escopo, chave), JSON.stringify({ status: 'concluida', hash, resposta }), 'PX', ttlMs);
+  }
+
+  async function liberar({ escopo, chave }) {
+    await cliente.comando('DEL', k(escopo, chave));
+  }
+
+  return { nome: 'redis', reservar, concluir, liberar, limparExpirados: async () => 0, fechar: () => cliente.fechar() };
+}
+
+// tabela idempotencia (user_id, chave) PK, hash, status, resposta jsonb, expira_em
+function criarIdempotenciaPostgres({ supabase }) {
+  const falha = (error) => Object.assign(new Error(`postgres: ${error.message}`), { causa: error });
+
+  async function reservar({ escopo, chave, hash, travaMs }) {
+    const agora = new Date();
+    const novo = { status: 'em_andamento', hash, resposta: null, expira_em: new Date(agora.getTime() + travaMs).toISOString() };
+    const { error } = await supabase.from('idempotencia').insert({ user_id: escopo, chave, ...novo });
+    if (!error) return { reservado: true };
+    if (error.code !== '23505') throw falha(error);
+
+    // já existe: vencido é retomado (update condicional, então só uma request ganha)
+    const { data: retomado, error: errUp } = await supabase.from('idempotencia')
+      .update(novo).eq('user_id', escopo).eq('chave', chave).lt('expira_em', agora.toISOString()).select('chave');
+    if (errUp) throw falha(errUp);
+    if (retomado?.length) return { reservado: true };
+
+    const { data, error: errSel } = await supabase.from('idempotencia')
+      .select('status, hash, resposta').eq('user_id', escopo).eq('chave', chave).maybeSingle();
+    if (errSel) throw falha(errSel);
+    if (!data) return reservar({ escopo, chave, hash, travaMs });
+    return { registro: data };
+  }
+
+  async function concluir({ escopo, chave, hash, resposta, ttlMs }) {
+    const { error } = await supabase.from('idempotencia')
+      .update({ status: 'concluida', hash, resposta, expira_em: new Date(Date.now() + ttlMs).toISOString() })
+      .eq('user_id', escopo).eq('chave', chave);
+    if (error) throw falha(error);
+  }
+
+  async function liberar({ escopo, chave }) {
+    const { error } = await supabase.from('idempotencia').delete().eq('user_id', escopo).eq('chave', chave);
+    if (error) throw falha(error);
+  }
+
+  // registros vencidos (travas abandonadas e respostas fora do TTL); devolve quantos saíram
+  async function limparExpirados() {
+    const { count, error } = await supabase.from('idempotencia')
+      .delete({ count: 'exact' }).lt('expira_em', new Date().toISOString());
+    if (error) throw falha(error);
+    return count ?? 0;
+  }
+
+  return { nome: 'postgres', reservar, concluir, liberar, limparExpirados, fechar: () => {} };
+}
+
+module.exports = {
+  CHAVE_VALIDA,
+  hashCorpo,
+  criarIdempotenciaMemoria,
+  criarIdempotenciaRedis,
+  criarIdempotenciaPostgres,
+};
@@ -3,12 +3,36 @@
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
-const { createClient } = require('@supabase/supabase-js');
-const OpenAI = require('openai');
 const { taggearMensagem } = require('./tagger-utils');
-const { buscarConteudoBasePorTags } = require('./conteudo_utils');
+const { TEMAS, rotuloTema, normalizarTemas, listaTemasParaPrompt } = require('./taxonomia-utils');
+const { normalizar, semCercaJson } = require('./texto-utils');
+const { buscarConteudoRelevante, textoParaEmbedding, CAMPOS_CONTEUDO, FORMATOS_CONTEUDO, validarConteudo, renderizarConteudo, lerConteudo } = require('./conteudo_utils');
+const { verificarJWT, emitirTokens, emitirTokenConta } = require('./auth-utils');
+const { criarProvedorLLM } = require('./llm-provider');
+const { criarRepositorios } = require('./repositorios');
+const { criarClienteSupabase } = require('./repositorios/supabase');
+const { TAGS_RISCO, classificarRisco, montarRespostaSeguranca } = require('./risco-utils');
+const { criarTransporteEmail } = require('./mail-utils');
+const { FORMATOS_EXPORTACAO, montarArquivoExportacao, renderizarExportacao } = require('./export-utils');
+const { hashTitular, montarRecibo, verificarCadeia, varrerExclusoesVencidas } = require('./exclusao-utils');
+const { CONTEXTOS_VINCULO, acumularTermos, mesclarTermos, topTermos, normalizarContextos } = require('./marcadores-utils');
+const { TIPOS_EVENTO, PRECISOES_DATA, normalizarDataEvento, extrairEventosVida, eventoDuplicado } = require('./eventos-utils');
+const { afirmacoesIniciais, derivarCamposPerfil, proporAtualizacaoPerfil, aplicarAtualizacaoPerfil } = require('./perfil-utils');
+const { NOME_VALIDO, variaveisTemplate, criarRegistroPrompts } = require('./prompt-utils');
+const { indexarMensagensSessao, buscarMemorias, montarBlocoMemorias } = require('./memorias-utils');
+const { criarFilaJobs } = require('./jobs-utils');
+const { criarTabelaPrecos, AGRUPAMENTOS_GASTO, resumirGastos } = require('./precos-utils');
+const { STATUS_JOB, supabaseJobs, memoriaJobs } = require('./repositorios/jobs');
+const { PLANOS_PADRAO, criarControleCotas } = require('./cotas-utils');
+const { criarLimitadorMemoria, criarLimitadorRedis, criarLimitadorPostgres, validarLimitesRota, limiteDaRota } = require('./limitador-utils');
+const { criarClienteRedis } = require('./redis-utils');
+const { CONTENT_TYPE_PROMETHEUS, BUCKETS_HTTP, BUCKETS_LLM, criarRegistroMetricas, instrumentarLLM } = require('./metricas-utils');
+const { criarTracer, criarExportadorOtlp, criarExportadorArquivo } = require('./tracing-utils');
+const { CHAVE_VALIDA, hashCorpo, criarIdempotenciaMemoria, criarIdempotenciaRedis, criarIdempotenciaPostgres } = require('./idempotencia-utils');
+const { criarStoreMemoria } = require('./repositorios/memoria');
 
 const crypto = require('crypto');
+const path = require('path');
 
 const app = express();
 
@@ -18,6 +42,10 @@ const FLAGS = {
   RAG_ENABLED: String(process.env.RAG_ENABLED ?? 'false') === 'true',
   RATE_LIMIT_ENABLED: String(process.env.RATE_LIMIT_ENABLED ?? 'true') === 'true',
   SAFE_MODE: String(process.env.SAFE_MODE ?? 'false') === 'true',
+  RISK_DETECTION_ENABLED: String(process.env.RISK_DETECTION_ENABLED ?? 'true') === 'true',
+  LIFE_EVENTS_ENABLED: String(process.env.LIFE_EVENTS_ENABLED ?? 'true') === 'true',
+  PROFILE_UPDATE_ENABLED: String(process.env.PROFILE_UPDATE_ENABLED ?? 'true') === 'true',
+  CONTENT_SEMANTIC_ENABLED: String(process.env.CONTENT_SEMANTIC_ENABLED ?? 'true') === 'true',
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
 };
 
@@ -33,11 +61,162 @@ const LIMITS = {
   SESSAO_COOLDOWN_SEC: Number(process.env.SESSAO_COOLDOWN_SEC || 120),
 };
 
+// Onde ficam rate limit e debounce: memoria (uma instância) | redis | postgres (várias instâncias)
+// RATE_LIMITS_JSON soma limites por rota aos globais acima (ver limitador-utils.js)
+const LIMITADOR = {
+  BACKEND: String(process.env.RATE_LIMIT_BACKEND || 'memoria').toLowerCase(),
+  REDIS_URL: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  REDIS_TIMEOUT_MS: Number(process.env.REDIS_TIMEOUT_MS || 1000),
+  PREFIXO: process.env.RATE_LIMIT_PREFIX || 'm360:',
+  LIMPEZA_SEC: Number(process.env.RATE_LIMIT_SWEEP_SEC || 60),
+  ROTAS: validarLimitesRota({
+    'POST /ia': { usuario: 20 },
+    'POST /senha/esqueci': { ip: 3, janela_seg: 600 },
+    ...(process.env.RATE_LIMITS_JSON ? JSON.parse(process.env.RATE_LIMITS_JSON) : {}),
+  }),
+};
+
+// METRICS_TOKEN definido: /metrics exige "Authorization: Bearer <token>" (bearer_token no scrape)
+const METRICAS = {
+  TOKEN: process.env.METRICS_TOKEN || null,
+  PREFIXO: process.env.METRICS_PREFIX ?? 'mentor360_',
+};
+
+// Tracing: spans sempre coletados (resumo no debug); exportados conforme TRACING_EXPORTER
+// (nenhum | otlp | arquivo). Variáveis OTEL_* seguem a convenção do OpenTelemetry.
+const TRACING = {
+  EXPORTADOR: String(process.env.TRACING_EXPORTER || 'nenhum').toLowerCase(),
+  SERVICO: process.env.OTEL_SERVICE_NAME || 'mentor360-back',
+  OTLP_URL: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+    || `${String(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '')}/v1/traces`,
+  // "chave=valor,chave2=valor2"
+  OTLP_HEADERS: Object.fromEntries(String(process.env.OTEL_EXPORTER_OTLP_HEADERS || '')
+    .split(',').map(p => p.split('=').map(x => x.trim())).filter(([k, v]) => k && v)),
+  ARQUIVO: process.env.TRACING_FILE || path.join(__dirname, 'traces.jsonl'),
+  AMOSTRAGEM: Number(process.env.TRACING_SAMPLE_RATIO ?? 1),
+  // traceparent do cliente só é seguido atrás de um proxy/gateway confiável; senão qualquer um
+  // escolhe o trace_id (e a amostragem) do request
+  CONFIAR_TRACEPARENT: String(process.env.TRACING_TRUST_TRACEPARENT ?? 'false') === 'true',
+};
+
+// Idempotency-Key nas rotas POST que criam/alteram estado; resposta guardada por TTL_HORAS
+const IDEMPOTENCIA = {
+  BACKEND: String(process.env.IDEMPOTENCY_BACKEND || LIMITADOR.BACKEND).toLowerCase(),
+  TTL_HORAS: Number(process.env.IDEMPOTENCY_TTL_HOURS || 24),
+  // trava da request em andamento; passa do timeout da request para não ser retomada no meio
+  TRAVA_SEC: Number(process.env.IDEMPOTENCY_LOCK_SEC || 60),
+};
+
 const LOGCFG = {
   DEBUG_ENABLED_BOOT: String(process.env.LOG_DEBUG_ENABLED || 'false') === 'true',
   DEBUG_TTL_MIN: Number(process.env.LOG_DEBUG_TTL_MIN || 30),
   TRUNCATE_CHARS: Number(process.env.LOG_TRUNCATE_CHARS || 800),
 };
+const AUTH = {
+  JWT_SECRET: process.env.AUTH_JWT_SECRET || '',
+  ACCESS_TTL_SEC: Number(process.env.AUTH_ACCESS_TTL_SEC || 900),
+  REFRESH_TTL_SEC: Number(process.env.AUTH_REFRESH_TTL_SEC || 30 * 24 * 3600),
+  VERIFY_EMAIL_TTL_SEC: Number(process.env.AUTH_VERIFY_EMAIL_TTL_SEC || 24 * 3600),
+  RESET_PASSWORD_TTL_SEC: Number(process.env.AUTH_RESET_PASSWORD_TTL_SEC || 3600),
+  REQUIRE_EMAIL_VERIFIED: String(process.env.AUTH_REQUIRE_EMAIL_VERIFIED || 'false') === 'true',
+  // base dos links enviados por e-mail (tela do front que consome o token)
+  APP_URL: process.env.APP_URL || 'https://mentor360-front.onrender.com',
+};
+if (!AUTH.JWT_SECRET) {
+  throw new Error('AUTH_JWT_SECRET não configurada');
+}
+
+// Protocolo de crise: limiar do classificador, quais tags acionam a resposta de segurança
+// (vazio = qualquer tag acima do limiar) e o texto de recursos exibido ao usuário
+const RISCO = {
+  LIMIAR: Number(process.env.RISK_THRESHOLD || 0.6),
+  USAR_LLM: String(process.env.RISK_LLM_ENABLED ?? 'true') === 'true',
+  TAGS_PROTOCOLO: String(process.env.RISK_PROTOCOL_TAGS || '').split(',').map(s => s.trim()).filter(Boolean),
+  CACHE_TTL_MS: Number(process.env.RISK_CACHE_TTL_MS || 5 * 60_000),
+  RECURSOS: process.env.RISK_RESOURCES_TEXT
+    || 'CVV – Centro de Valorização da Vida: ligue 188 (gratuito, 24h) ou converse pelo chat em cvv.org.br.\n'
+    + 'Em emergência, ligue 192 (SAMU) ou vá ao pronto-socorro mais próximo.',
+  TEMPLATE: process.env.RISK_REPLY_TEMPLATE
+    || 'Obrigado por confiar isso a mim. O que você está sentindo é sério, e você não precisa passar por isso sozinho(a).\n\n'
+    + 'Neste momento, o mais importante é falar com alguém que possa te apoiar agora:\n{{recursos}}\n\n'
+    + 'Se puder, chame também uma pessoa de confiança para ficar com você. Eu continuo aqui para conversar, '
+    + 'mas não substituo ajuda profissional em um momento como este.',
+};
+
+// Exportação LGPD: acima do limite de mensagens (ou se pedido) vira job em segundo plano
+const EXPORTACAO = {
+  LIMITE_SINCRONO_MENSAGENS: Number(process.env.EXPORT_SYNC_MAX_MESSAGES || 2000),
+  TTL_HORAS: Number(process.env.EXPORT_TTL_HOURS || 72),
+};
+
+// Exclusão de conta: confirmação por e-mail, carência e varredura periódica que apaga de vez
+const EXCLUSAO = {
+  CONFIRM_TTL_SEC: Number(process.env.ACCOUNT_DELETE_CONFIRM_TTL_SEC || 3600),
+  CARENCIA_DIAS: Number(process.env.ACCOUNT_DELETE_GRACE_DAYS || 7),
+  INTERVALO_MIN: Number(process.env.ACCOUNT_DELETE_SWEEP_MIN || 60), // 0 = só via /admin/exclusoes/processar
+  // reserva de uma conta em exclusão; passado isso sem terminar, outra instância pode retomar
+  RESERVA_MIN: Number(process.env.ACCOUNT_DELETE_CLAIM_MIN || 30),
+  // trocar este segredo impede conferir recibos antigos por user_id
+  HMAC_SECRET: process.env.ERASURE_HMAC_SECRET || AUTH.JWT_SECRET,
+};
+
+// Emoções/contextos por pessoa: meia-vida do peso e quantos termos guardar/exibir
+const MARCADORES = {
+  MEIA_VIDA_DIAS: Number(process.env.PEOPLE_MARKERS_HALF_LIFE_DAYS || 30),
+  MAX_GUARDADOS: Number(process.env.PEOPLE_MARKERS_MAX_STORED || 12),
+  MAX_EXIBIDOS: Number(process.env.PEOPLE_MARKERS_MAX_SHOWN || 5),
+};
+
+// Conteúdo-base no /ia: score = PESO_TAG * (tema bate) + PESO_SIMILARIDADE * cosseno(mensagem, item)
+const CONTEUDO_RAG = {
+  MAX_ITENS: Number(process.env.CONTENT_MAX_ITEMS || 3),
+  PESO_TAG: Number(process.env.CONTENT_TAG_WEIGHT || 0.3),
+  PESO_SIMILARIDADE: Number(process.env.CONTENT_SIMILARITY_WEIGHT || 0.7),
+  SCORE_MINIMO: Number(process.env.CONTENT_MIN_SCORE || 0.25),
+};
+
+// Memórias do /ia (RAG_ENABLED): resumos de sessão + trechos das falas do usuário.
+// score = similaridade * ((1 - PESO_RECENCIA) + PESO_RECENCIA * 0.5^(idade / MEIA_VIDA_DIAS))
+const MEMORIA = {
+  TRECHOS_ENABLED: String(process.env.MESSAGE_MEMORY_ENABLED ?? 'true') === 'true',
+  MAX_ITENS: Number(process.env.MEMORY_MAX_ITEMS || 3),
+  MAX_CHARS_TRECHO: Number(process.env.MEMORY_CHUNK_MAX_CHARS || 500),
+  MEIA_VIDA_DIAS: Number(process.env.MEMORY_HALF_LIFE_DAYS || 90),
+  PESO_RECENCIA: Number(process.env.MEMORY_RECENCY_WEIGHT || 0.3),
+  SIMILARIDADE_MINIMA: Number(process.env.MEMORY_MIN_SIMILARITY || 0.2),
+};
+
+// Fila de jobs pós-resposta (vínculos, perfil, embeddings, resumo de sessão) — ver jobs-utils.js.
+// JOBS_BACKEND=supabase|memoria (padrão: o de DATA_BACKEND); memoria perde os jobs num restart.
+const JOBS = {
+  BACKEND: String(process.env.JOBS_BACKEND || process.env.DATA_BACKEND || 'supabase').toLowerCase(),
+  WORKER_ENABLED: String(process.env.JOBS_WORKER_ENABLED ?? 'true') === 'true',
+  INTERVALO_MS: Number(process.env.JOBS_POLL_INTERVAL_MS || 2000),
+  LOTE: Number(process.env.JOBS_BATCH_SIZE || 5),
+  TRAVA_SEC: Number(process.env.JOBS_LOCK_SEC || 120),
+  MAX_TENTATIVAS: Number(process.env.JOBS_MAX_ATTEMPTS || 5),
+  BACKOFF_BASE_MS: Number(process.env.JOBS_BACKOFF_BASE_MS || 5000),
+  BACKOFF_MAX_MS: Number(process.env.JOBS_BACKOFF_MAX_MS || 60 * 60_000),
+  RETENCAO_DIAS: Number(process.env.JOBS_RETENTION_DAYS || 7),
+  // desligamento espera o lote em execução até este limite; o que não terminar volta quando a trava vencer
+  ESPERA_DESLIGAR_MS: Number(process.env.JOBS_SHUTDOWN_WAIT_MS || 10_000),
+};
+
+// Cotas por plano (usuarios.plano); PLANS_JSON sobrepõe/acrescenta planos no formato de PLANOS_PADRAO
+const COTAS = {
+  ENABLED: String(process.env.QUOTAS_ENABLED ?? 'true') === 'true',
+  PLANOS: { ...PLANOS_PADRAO, ...(process.env.PLANS_JSON ? JSON.parse(process.env.PLANS_JSON) : {}) },
+  PLANO_PADRAO: process.env.PLAN_DEFAULT || 'gratuito',
+  FUSO: process.env.QUOTAS_TIMEZONE || 'America/Sao_Paulo',
+  CACHE_TTL_SEC: Number(process.env.QUOTAS_CACHE_TTL_SEC || 60),
+};
+
+// Prompts versionados: arquivos de base + tabela prompt_templates (lida com cache)
+const PROMPTS = {
+  DIR: process.env.PROMPTS_DIR || path.join(__dirname, 'prompts'),
+  CACHE_TTL_SEC: Number(process.env.PROMPTS_CACHE_TTL_SEC || 60),
+};
+
 let __debug_until = LOGCFG.DEBUG_ENABLED_BOOT ? Date.now() + LOGCFG.DEBUG_TTL_MIN * 60_000 : 0;
 const isGlobalDebugActive = () => __debug_until && Date.now() < __debug_until;
 
@@ -70,7 +249,10 @@ const corsOptions = {
     return cb(new Error(`Origin ${origin} não permitido pelo CORS`));
   },
   methods: ['GET','HEAD','PUT','PATCH','POST','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization','X-Requested-With','Accept','x-admin-token'],
+  allowedHeaders: ['Content-Type','Authorization','X-Requested-With','Accept','x-admin-token','Idempotency-Key','traceparent'],
+  // o front lê o consumo restante direto das respostas do /ia
+  exposedHeaders: ['X-Request-Id','X-Trace-Id','Retry-After','Idempotent-Replayed','X-Quota-Plan','X-Quota-Remaining-Tokens-Day','X-Quota-Remaining-Tokens-Month',
+    'X-Quota-Remaining-Usd-Day','X-Quota-Remaining-Usd-Month','X-Quota-Reset-Day','X-Quota-Reset-Month'],
   credentials: false,           // não usamos cookies cross-site
   maxAge: 600,                  // 10min de cache do preflight
   optionsSuccessStatus: 204,
@@ -87,6 +269,7 @@ app.use((req, res, next) => { res.setHeader('Vary', 'Origin'); next(); });
 /* ========= RequestId + startTime ========= */
 app.use((req, res, next) => {
   req.request_id = crypto.randomUUID();
+  req.recebido_em = new Date().toISOString();
   req._startAt = process.hrtime.bigint();
   res.setHeader('X-Request-Id', req.request_id);
   next();
@@ -100,68 +283,180 @@ app.get('/healthz', (_req, res) => {
   res.json({ ok: true, ts: new Date().toISOString(), flags: FLAGS });
 });
 
-/* ========= Supabase & OpenAI ========= */
-const useKey =
-  process.env.SUPABASE_SECRET_KEY
-  || process.env.SUPABASE_SERVICE_ROLE_KEY
-  || process.env.SUPABASE_SERVICE_ROLE
-  || process.env.SUPABASE_KEY
-  || process.env.SUPABASE_ANON_KEY;
+/* ========= Métricas (Prometheus) ========= */
+const registroMetricas = criarRegistroMetricas({ prefixo: METRICAS.PREFIXO });
+const metricas = {
+  httpRequests: registroMetricas.contador('http_requests_total', 'Requests HTTP por rota e status.', ['method', 'route', 'status']),
+  httpDuracao: registroMetricas.histograma('http_request_duration_seconds', 'Duração das requests HTTP.', ['method', 'route'], BUCKETS_HTTP),
+  llmRequests: registroMetricas.contador('llm_requests_total', 'Chamadas ao provedor de LLM.', ['operation', 'model', 'purpose', 'status']),
+  llmDuracao: registroMetricas.histograma('llm_request_duration_seconds', 'Latência das chamadas ao LLM (stream: até o último chunk).', ['operation', 'model', 'purpose'], BUCKETS_LLM),
+  llmTokens: registroMetricas.contador('llm_tokens_total', 'Tokens consumidos no LLM.', ['model', 'purpose', 'type']),
+  llmCusto: registroMetricas.contador('llm_cost_usd_total', 'Custo estimado das chamadas registradas em messages_usage (USD).', ['model', 'purpose']),
+  dbRequests: registroMetricas.contador('supabase_requests_total', 'Requests ao Supabase por recurso.', ['resource', 'method', 'status']),
+  dbErros: registroMetricas.contador('supabase_errors_total', 'Requests ao Supabase com erro (HTTP >= 400 ou falha de rede).', ['resource', 'method']),
+  dbDuracao: registroMetricas.histograma('supabase_request_duration_seconds', 'Latência das requests ao Supabase.', ['resource', 'method'], BUCKETS_HTTP),
+  rateLimit: registroMetricas.contador('rate_limit_hits_total', 'Requests recusadas pelo rate limit.', ['scope', 'route']),
+  limitadorErros: registroMetricas.contador('rate_limit_store_errors_total', 'Falhas do backend de rate limit/debounce (request liberada).', ['backend']),
+  debounce: registroMetricas.contador('debounce_hits_total', 'Requests respondidas pelo cache de debounce.', ['route']),
+  injecao: registroMetricas.contador('prompt_injection_suspected_total', 'Mensagens com suspeita de prompt injection.', ['route']),
+};
+const inicioProcesso = Date.now() / 1000;
+registroMetricas.gauge('process_start_time_seconds', 'Início do processo (epoch).', [], (g) => g.set({}, inicioProcesso));
+registroMetricas.gauge('nodejs_heap_used_bytes', 'Heap V8 em uso.', [], (g) => g.set({}, process.memoryUsage().heapUsed));
+
+// rota = padrão do Express ("/sessao/:sessao_id"), não o caminho, para não explodir a cardinalidade
+const rotaDaMetrica = (req) => (req.route?.path ? `${req.baseUrl || ''}${req.route.path}` : 'nao_roteada');
+
+app.use((req, res, next) => {
+  const t0 = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = rotaDaMetrica(req);
+    metricas.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metricas.httpDuracao.observar({ method: req.method, route }, Number(process.hrtime.bigint() - t0) / 1e9);
+  });
+  next();
+});
+
+/* ========= Tracing ========= */
+function criarExportadorTracing(tipo) {
+  if (tipo === 'nenhum') return null;
+  if (tipo === 'otlp') return criarExportadorOtlp({ url: TRACING.OTLP_URL, cabecalhos: TRACING.OTLP_HEADERS, servico: TRACING.SERVICO });
+  if (tipo === 'arquivo') return criarExportadorArquivo({ arquivo: TRACING.ARQUIVO, servico: TRACING.SERVICO });
+  throw new Error(`TRACING_EXPORTER desconhecido: ${tipo}`);
+}
+const tracer = criarTracer({ exportador: criarExportadorTracing(TRACING.EXPORTADOR), amostragem: TRACING.AMOSTRAGEM });
+console.log('[TRACING] exportador:', TRACING.EXPORTADOR, TRACING.EXPORTADOR === 'otlp' ? TRACING.OTLP_URL : TRACING.EXPORTADOR === 'arquivo' ? TRACING.ARQUIVO : '');
+
+// span raiz por request; trace_id = request_id sem hífens (ou o do traceparent recebido, se TRACING_TRUST_TRACEPARENT)
+app.use((req, res, next) => {
+  const t = tracer.iniciarTrace(`${req.method} ${req.path}`, {
+    trace_id: req.request_id.replace(/-/g, ''),
+    traceparent: TRACING.CONFIAR_TRACEPARENT ? req.get('traceparent') : null,
+    atributos: { 'http.method': req.method, 'http.target': req.path, request_id: req.request_id },
+  });
+  res.setHeader('X-Trace-Id', t.span.trace_id);
+  const encerrar = () => {
+    const route = rotaDaMetrica(req);
+    t.encerrar({
+      nome: `${req.method} ${route}`,
+      atributos: { 'http.route': route, 'http.status_code': res.statusCode, 'user.id': req.user_id || undefined },
+      erro: res.statusCode >= 500 ? `HTTP ${res.statusCode}` : null,
+    });
+  };
+  res.once('finish', encerrar);
+  res.once('close', encerrar);
+  tracer.executar(t.contexto, next);
+});
 
-if (!process.env.SUPABASE_URL) {
-  throw new Error('SUPABASE_URL não configurada');
+function observarLLM({ operacao, model, purpose, segundos, erro, usage }) {
+  const rot = { operation: operacao, model: model || 'desconhecido', purpose: purpose || 'desconhecido' };
+  tracer.registrarSpan(`llm.${operacao} ${rot.purpose}`, {
+    segundos,
+    erro,
+    atributos: {
+      'gen_ai.system': llm.nome,
+      'gen_ai.request.model': rot.model,
+      'gen_ai.operation.name': operacao,
+      'llm.purpose': rot.purpose,
+      'gen_ai.usage.input_tokens': usage?.prompt_tokens,
+      'gen_ai.usage.output_tokens': usage?.completion_tokens,
+    },
+  });
+  metricas.llmRequests.inc({ ...rot, status: erro ? 'erro' : 'ok' });
+  metricas.llmDuracao.observar(rot, segundos);
+  if (usage) {
+    metricas.llmTokens.inc({ model: rot.model, purpose: rot.purpose, type: 'prompt' }, Number(usage.prompt_tokens || 0));
+    metricas.llmTokens.inc({ model: rot.model, purpose: rot.purpose, type: 'completion' }, Number(usage.completion_tokens || 0));
+  }
 }
 
-const supabase = createClient(process.env.SUPABASE_URL, useKey);
+function observarSupabase({ recurso, metodo, status, segundos, erro }) {
+  tracer.registrarSpan(`supabase ${metodo} ${recurso}`, {
+    segundos,
+    erro,
+    atributos: { 'db.system': 'postgresql', 'db.operation': metodo, 'db.collection.name': recurso, 'http.status_code': status },
+  });
+  metricas.dbRequests.inc({ resource: recurso, method: metodo, status });
+  metricas.dbDuracao.observar({ resource: recurso, method: metodo }, segundos);
+  if (erro) metricas.dbErros.inc({ resource: recurso, method: metodo });
+}
 
-// Log só para verificar se está usando uma chave que fura RLS
-const usedVarName =
-  process.env.SUPABASE_SECRET_KEY ? 'SUPABASE_SECRET_KEY' :
-  process.env.SUPABASE_SERVICE_ROLE_KEY ? 'SUPABASE_SERVICE_ROLE_KEY' :
-  process.env.SUPABASE_SERVICE_ROLE ? 'SUPABASE_SERVICE_ROLE' :
-  process.env.SUPABASE_KEY ? 'SUPABASE_KEY' :
-  process.env.SUPABASE_ANON_KEY ? 'SUPABASE_ANON_KEY' :
-  'nenhuma';
+app.get('/metrics', (req, res) => {
+  if (METRICAS.TOKEN && req.get('authorization') !== `Bearer ${METRICAS.TOKEN}`) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  res.set('Content-Type', CONTENT_TYPE_PROMETHEUS).send(registroMetricas.expor());
+});
 
-console.log('[SUPABASE] var usada:', usedVarName, '| RLS bypass?',
-  /SECRET_KEY|SERVICE_ROLE/.test(usedVarName) ? 'SIM' : 'NÃO');
+/* ========= Dados (Supabase ou memória) & LLM ========= */
+const DATA_BACKEND = String(process.env.DATA_BACKEND || 'supabase').toLowerCase();
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// DATA_BACKEND=memoria sobe sem Supabase (testes de integração e demos)
+const repos = criarRepositorios(DATA_BACKEND, {
+  supabase: DATA_BACKEND === 'supabase' ? criarClienteSupabase({ observar: observarSupabase }) : null,
+});
+console.log('[DADOS] backend:', repos.backend);
 
-// opcional: deixar o client no req
-app.use((req, _res, next) => { req.supabase = supabase; next(); });
+// LLM_PROVIDER=openai|compatible|fake (ver llm-provider.js); toda chamada passa pelas métricas
+const llm = instrumentarLLM(criarProvedorLLM(), observarLLM);
+console.log('[LLM] provider:', llm.nome, '| modelos:', llm.modelos);
 
-// raiz simples
-app.get('/', (_req, res) => res.send('API Mentor 360 funcionando!'));
+// USD por 1M tokens; LLM_PRICING_JSON/LLM_PRICING_FILE sobrepõem por modelo (ver precos-utils.js)
+const precos = criarTabelaPrecos({
+  json: process.env.LLM_PRICING_JSON || null,
+  arquivo: process.env.LLM_PRICING_FILE || null,
+});
 
-/* ========= Metrics (bem simples) ========= */
-const metrics = {
-  requests_total: { '2xx': 0, '4xx': 0, '5xx': 0 },
-  latency_ms_p50: 0,
-  latency_ms_p95: 0,
-  _latencies: [],
-  cost_usd_total: 0,
-};
-function recordLatency(ms) {
-  metrics._latencies.push(ms);
-  if (metrics._latencies.length > 500) metrics._latencies.shift();
-  const sorted = [...metrics._latencies].sort((a,b)=>a-b);
-  const p50 = sorted[Math.floor(sorted.length*0.5)] || 0;
-  const p95 = sorted[Math.floor(sorted.length*0.95)] || 0;
-  metrics.latency_ms_p50 = Math.round(p50);
-  metrics.latency_ms_p95 = Math.round(p95);
-}
-app.get('/metrics', (_req, res) => {
-  const lines = [
-    `requests_total_2xx ${metrics.requests_total['2xx']}`,
-    `requests_total_4xx ${metrics.requests_total['4xx']}`,
-    `requests_total_5xx ${metrics.requests_total['5xx']}`,
-    `latency_ms_p50 ${metrics.latency_ms_p50}`,
-    `latency_ms_p95 ${metrics.latency_ms_p95}`,
-    `cost_usd_total ${metrics.cost_usd_total.toFixed(6)}`,
-  ];
-  res.type('text/plain').send(lines.join('\n'));
+// uso do período vem de messages_usage; o cache soma cada chamada registrada (ver cotas-utils.js)
+const cotas = criarControleCotas({
+  planos: COTAS.PLANOS,
+  planoPadrao: COTAS.PLANO_PADRAO,
+  fuso: COTAS.FUSO,
+  cacheTtlMs: COTAS.CACHE_TTL_SEC * 1000,
+  async buscarPlano(user_id) {
+    const { data, error } = await repos.usuarios.buscarPorId(user_id, 'id, plano');
+    if (error) throw error;
+    return data?.plano || null;
+  },
+  async somarUso(user_id, desde) {
+    const { data, error } = await repos.logs.somarUso({ user_id, desde });
+    if (error) throw error;
+    return data;
+  },
+});
+console.log('[COTAS]', COTAS.ENABLED ? `ligadas | plano padrão: ${COTAS.PLANO_PADRAO}` : 'desligadas');
+
+// fila de jobs: por padrão na mesma base dos dados
+function criarRepoJobs(backend) {
+  if (backend === repos.backend) return repos.jobs;
+  if (backend === 'memoria') return memoriaJobs(criarStoreMemoria());
+  if (backend === 'supabase') return supabaseJobs(criarClienteSupabase({ observar: observarSupabase }));
+  throw new Error(`JOBS_BACKEND desconhecido: ${backend}`);
+}
+const repoJobs = criarRepoJobs(JOBS.BACKEND);
+const fila = criarFilaJobs({
+  repo: repoJobs,
+  intervaloMs: JOBS.INTERVALO_MS,
+  lote: JOBS.LOTE,
+  travaSegundos: JOBS.TRAVA_SEC,
+  maxTentativas: JOBS.MAX_TENTATIVAS,
+  backoffBaseMs: JOBS.BACKOFF_BASE_MS,
+  backoffMaxMs: JOBS.BACKOFF_MAX_MS,
 });
+console.log('[JOBS] backend:', JOBS.BACKEND, '| worker:', JOBS.WORKER_ENABLED ? 'ligado' : 'desligado');
+
+// prompts/<nome>.v<N>.txt + prompt_templates (ver prompt-utils.js)
+const prompts = criarRegistroPrompts({ dir: PROMPTS.DIR, repo: repos.prompts, cacheTtlMs: PROMPTS.CACHE_TTL_SEC * 1000 });
+
+// MAIL_TRANSPORT=console|arquivo|smtp (ver mail-utils.js)
+const mailer = criarTransporteEmail();
+console.log('[MAIL] transporte:', mailer.nome);
+
+// opcional: deixar os repositórios no req
+app.use((req, _res, next) => { req.repos = repos; next(); });
+
+// raiz simples
+app.get('/', (_req, res) => res.send('API Mentor 360 funcionando!'));
 
 /* ========= Redaction & Logging Utils ========= */
 const sha256Hex = (s) => crypto.createHash('sha256').update(String(s) || '').digest('hex');
@@ -196,6 +491,9 @@ function redactText(str) {
   return s;
 }
 
+// chaves cujo valor nunca vai para log (headers e campos de body com senha/token)
+const CHAVES_SECRETAS = new Set(['authorization', 'cookie', 'set-cookie', 'senha', 'nova_senha', 'refresh_token', 'token']);
+
 function redactValue(v) {
   if (v == null) return v;
   if (typeof v === 'string') return redactText(v);
@@ -205,7 +503,7 @@ function redactValue(v) {
     const out = {};
     for (const k of Object.keys(v)) {
       // não persistir headers sensíveis
-      if (['authorization', 'cookie', 'set-cookie'].includes(k.toLowerCase())) {
+      if (CHAVES_SECRETAS.has(k.toLowerCase())) {
         out[k] = '[REDACTED]';
         continue;
       }
@@ -225,7 +523,7 @@ function redactAndTruncate(obj, maxChars = LOGCFG.TRUNCATE_CHARS) {
     if (Array.isArray(val)) return val.map(walk);
     if (typeof val === 'object') {
       const out = {};
-      for (const k of Object.keys(val)) out[k] = walk(val[k]);
+      for (const k of Object.keys(val)) out[k] = CHAVES_SECRETAS.has(k.toLowerCase()) ? '[REDACTED]' : walk(val[k]);
       return out;
     }
     return val;
@@ -276,6 +574,9 @@ function getResponseId(openaiResp) {
 async function logUsageToSupabase({ user_id, sessao_id, model, usage, response_id, latency_ms, metadata, cost_usd }) {
   try {
     const { prompt_tokens = 0, completion_tokens = 0, total_tokens = 0 } = usage || {};
+    // custo pela tabela de preços quando o chamador não informa; tokens em cache vão no metadata
+    if (typeof cost_usd !== 'number') cost_usd = precos.calcular(model, usage);
+    const cached_tokens = usage?.prompt_tokens_details?.cached_tokens || 0;
     const basePayload = {
       user_id,
       sessao_id,
@@ -285,22 +586,24 @@ async function logUsageToSupabase({ user_id, sessao_id, model, usage, response_i
       total_tokens,
       response_id,
       latency_ms,
-      metadata: metadata || null
+      metadata: cached_tokens ? { ...(metadata || {}), cached_tokens } : (metadata || null)
     };
 
     // tenta com cost_usd quando existir
     const payloadTry = { ...basePayload };
     if (typeof cost_usd === 'number') payloadTry.cost_usd = cost_usd;
 
-    let { error } = await supabase.from('messages_usage').insert(payloadTry);
+    let { error } = await repos.logs.registrarUso(payloadTry);
     if (error && String(error.message || '').includes("'cost_usd'")) {
       // retry sem a coluna para ambientes onde ela não existe
-      const { error: err2 } = await supabase.from('messages_usage').insert(basePayload);
+      const { error: err2 } = await repos.logs.registrarUso(basePayload);
       if (err2) console.error('[messages_usage] insert error (retry):', err2);
+      else if (user_id) cotas.registrar(user_id, { tokens: total_tokens });
     } else if (error) {
       console.error('[messages_usage] insert error:', error);
-    } else if (typeof cost_usd === 'number') {
-      metrics.cost_usd_total += cost_usd;
+    } else {
+      if (typeof cost_usd === 'number') metricas.llmCusto.inc({ model: model || 'desconhecido', purpose: metadata?.purpose || 'desconhecido' }, cost_usd);
+      if (user_id) cotas.registrar(user_id, { tokens: total_tokens, usd: cost_usd || 0 });
     }
   } catch (e) {
     console.error('[messages_usage] logUsageToSupabase fail:', e);
@@ -335,7 +638,9 @@ async function logPromptToSupabase({
   output_tokens = null,
   cost_usd = null,
   user_message_text = null,
-  assistant_text = null
+  assistant_text = null,
+  template = null,
+  conteudo_ids = null
 }) {
   try {
     const msgs = request_body?.messages || request_body?.input || [];
@@ -365,12 +670,18 @@ async function logPromptToSupabase({
       assistant_text: truncateText(redactText(assistant_text || ''), LOGCFG.TRUNCATE_CHARS)
     };
 
+    if (typeof cost_usd !== 'number' && response_body?.usage) cost_usd = precos.calcular(model, response_body.usage);
     const payloadTry = { ...basePayload };
     if (typeof cost_usd === 'number') payloadTry.cost_usd = cost_usd;
+    if (template) {
+      payloadTry.prompt_template = template.nome;
+      payloadTry.prompt_versao = template.versao;
+    }
+    if (conteudo_ids) payloadTry.conteudo_ids = conteudo_ids;
 
-    let { error } = await supabase.from('prompt_logs').insert(payloadTry);
-    if (error && String(error.message || '').includes("'cost_usd'")) {
-      const { error: err2 } = await supabase.from('prompt_logs').insert(basePayload);
+    let { error } = await repos.logs.registrarPrompt(payloadTry);
+    if (error && /'(cost_usd|prompt_template|prompt_versao|conteudo_ids)'/.test(String(error.message || ''))) {
+      const { error: err2 } = await repos.logs.registrarPrompt(basePayload);
       if (err2) console.error('[prompt_logs] insert error (retry):', err2);
     } else if (error) {
       console.error('[prompt_logs] insert error:', error);
@@ -405,11 +716,12 @@ async function rawLog(req, flags = {}) {
     };
     const payload_json = redactAndTruncate(payload_in, LOGCFG.TRUNCATE_CHARS);
 
-    await supabase.from('api_raw_events').insert({
+    await repos.logs.registrarEventoBruto({
       id: crypto.randomUUID(),
       ts: new Date().toISOString(),
       request_id: req.request_id,
-      user_id: req.body?.user_id || null,
+      // só o sub do token identifica o titular (a exclusão de conta apaga por ele)
+      user_id: usuarioDoRequest(req),
       session_id: req.body?.sessao_id || req.body?.session_id || null,
       route: req.path,
       ip_hash,
@@ -423,22 +735,61 @@ async function rawLog(req, flags = {}) {
   }
 }
 
-// rate limit simples em memória
-const bucketsUser = new Map(); // user_id -> [timestamps]
-const bucketsIP = new Map();   // ip -> [timestamps]
+// uma conexão Redis / um cliente Supabase para limitador e idempotência, criados só se usados
+let clienteRedis = null;
+const redisCompartilhado = () => (clienteRedis ||= criarClienteRedis(LIMITADOR.REDIS_URL, { timeoutMs: LIMITADOR.REDIS_TIMEOUT_MS }));
+let clientePostgres = null;
+const postgresCompartilhado = () => (clientePostgres ||= criarClienteSupabase({ observar: observarSupabase }));
+
+// rate limit + debounce no backend configurado (compartilhado entre instâncias fora do modo memoria)
+function criarLimitador(backend) {
+  if (backend === 'memoria') return criarLimitadorMemoria({ intervaloLimpezaMs: LIMITADOR.LIMPEZA_SEC * 1000 });
+  if (backend === 'redis') return criarLimitadorRedis({ cliente: redisCompartilhado(), prefixo: LIMITADOR.PREFIXO });
+  if (backend === 'postgres') return criarLimitadorPostgres({ supabase: postgresCompartilhado() });
+  throw new Error(`RATE_LIMIT_BACKEND desconhecido: ${backend}`);
+}
+const limitador = criarLimitador(LIMITADOR.BACKEND);
+console.log('[LIMITADOR] backend:', limitador.nome, '| rotas com limite próprio:', Object.keys(LIMITADOR.ROTAS).length);
+
+function criarStoreIdempotencia(backend) {
+  if (backend === 'memoria') return criarIdempotenciaMemoria({ intervaloLimpezaMs: LIMITADOR.LIMPEZA_SEC * 1000 });
+  if (backend === 'redis') return criarIdempotenciaRedis({ cliente: redisCompartilhado(), prefixo: LIMITADOR.PREFIXO });
+  if (backend === 'postgres') return criarIdempotenciaPostgres({ supabase: postgresCompartilhado() });
+  throw new Error(`IDEMPOTENCY_BACKEND desconhecido: ${backend}`);
+}
+const idempotencia = criarStoreIdempotencia(IDEMPOTENCIA.BACKEND);
+console.log('[IDEMPOTENCIA] backend:', idempotencia.nome, '| ttl:', `${IDEMPOTENCIA.TTL_HORAS}h`);
+
+// no Postgres nada expira sozinho (memória varre no próprio store, Redis usa PX)
+const limpaveis = [['limitador', limitador], ['idempotencia', idempotencia]].filter(([, store]) => store.nome === 'postgres');
+if (LIMITADOR.LIMPEZA_SEC > 0 && limpaveis.length) {
+  setInterval(() => {
+    for (const [tag, store] of limpaveis) {
+      store.limparExpirados().catch(e => console.error(`[${tag}] limpeza falhou:`, e.message));
+    }
+  }, LIMITADOR.LIMPEZA_SEC * 1000).unref();
+}
 
-function allowRate(map, key, limit) {
-  const now = Date.now();
-  const windowMs = 60000;
-  const arr = (map.get(key) || []).filter(ts => now - ts < windowMs);
-  if (arr.length >= limit) { map.set(key, arr); return false; }
-  arr.push(now);
-  map.set(key, arr);
-  return true;
+// recusa com 429 se a chave passou do limite; true = liberado. escopo/rota só rotulam a métrica
+async function aplicarLimite(req, res, { chave, limite, janelaMs = 60_000, escopo, rota }) {
+  const r = await limitador.consumir(chave, { limite, janelaMs });
+  if (r.permitido) return true;
+  metricas.rateLimit.inc({ scope: escopo, route: rota });
+  const retry = Math.ceil(r.retryAfterMs / 1000);
+  res.setHeader('Retry-After', String(retry));
+  res.status(429).json({ error_code: 'RATE_LIMITED', retry_after_seconds: retry });
+  return false;
+}
+
+// o middleware roda antes do requireAuth: usa o sub do token (sem exigir). Sem token válido não há
+// usuário — o user_id do body é do cliente e não pode escolher o balde de limite de ninguém
+function usuarioDoRequest(req) {
+  const [scheme, token] = String(req.get('authorization') || '').split(' ');
+  const payload = scheme === 'Bearer' ? verificarJWT(token, AUTH.JWT_SECRET) : null;
+  return payload?.sub ? String(payload.sub) : null;
 }
 
-// debounce idempotente em memória
-const recentRequests = new Map(); // key -> { ts, response }
+// debounce idempotente: resposta do handler fica guardada pela janela do debounce
 function debounceKey({ user_id, sessao_id, texto_mensagem, mensagem, path }) {
   const base = JSON.stringify({
     u: user_id || null,
@@ -449,6 +800,22 @@ function debounceKey({ user_id, sessao_id, texto_mensagem, mensagem, path }) {
   return crypto.createHash('sha256').update(base).digest('hex').slice(0, 32);
 }
 
+// resposta final de sucesso: vai para o debounce e, em SSE, é o que a Idempotency-Key repete
+function memorizarResposta(req, payload) {
+  if (req._idempotencia) req._idempotencia.payloadFinal = payload;
+  if (!req._debounceKey) return;
+  limitador.guardarResposta(req._debounceKey, payload, LIMITS.DEBOUNCE_WINDOW_MS)
+    .catch(e => console.error('[limitador] debounce não gravado:', e.message));
+}
+
+// o gatekeeper roda antes do roteamento (sem req.route): rótulo de métrica só com rota conhecida,
+// a chave de RATE_LIMITS_JSON ou 'gatekeeper', nunca o caminho cru (ids e 404s não viram séries)
+function rotaDoGatekeeper(req) {
+  if (LIMITADOR.ROTAS[`${req.method} ${req.path}`]) return `${req.method} ${req.path}`;
+  if (LIMITADOR.ROTAS[req.path]) return req.path;
+  return 'gatekeeper';
+}
+
 app.use(async (req, res, next) => {
   try {
     // Gatekeeper para métodos que têm body
@@ -469,33 +836,42 @@ app.use(async (req, res, next) => {
     // Suspeita de prompt injection
     const content = req.body?.mensagem || req.body?.texto_mensagem || '';
     const injection = looksLikeInjection(content);
+    if (injection) metricas.injecao.inc({ route: rotaDoGatekeeper(req) });
 
     // Raw log best-effort
     rawLog(req, { prompt_injection_suspected: injection }).catch(()=>{});
 
-    // Rate limit
+    // Rate limit (global por IP e usuário + limites próprios da rota); backend fora do ar libera
     if (FLAGS.RATE_LIMIT_ENABLED) {
       const ip = (req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').toString();
-      if (!allowRate(bucketsIP, ip, LIMITS.RATE_PER_MIN_IP)) {
-        res.setHeader('Retry-After', '20');
-        return res.status(429).json({ error_code: 'RATE_LIMITED', retry_after_seconds: 20 });
-      }
-      const uid = req.body?.user_id;
-      if (uid && !allowRate(bucketsUser, uid, LIMITS.RATE_PER_MIN_USER)) {
-        res.setHeader('Retry-After', '20');
-        return res.status(429).json({ error_code: 'RATE_LIMITED', retry_after_seconds: 20 });
+      const uid = usuarioDoRequest(req);
+      const daRota = limiteDaRota(LIMITADOR.ROTAS, req.method, req.path);
+      try {
+        const rota = `${req.method} ${req.path}`;
+        const rotulo = rotaDoGatekeeper(req);
+        if (!await aplicarLimite(req, res, { chave: `ip:${ip}`, limite: LIMITS.RATE_PER_MIN_IP, escopo: 'ip', rota: rotulo })) return;
+        if (uid && !await aplicarLimite(req, res, { chave: `u:${uid}`, limite: LIMITS.RATE_PER_MIN_USER, escopo: 'usuario', rota: rotulo })) return;
+        if (daRota?.ip && !await aplicarLimite(req, res, { chave: `ip:${ip}:${rota}`, limite: daRota.ip, janelaMs: daRota.janelaMs, escopo: 'rota_ip', rota: rotulo })) return;
+        if (daRota?.usuario && uid && !await aplicarLimite(req, res, { chave: `u:${uid}:${rota}`, limite: daRota.usuario, janelaMs: daRota.janelaMs, escopo: 'rota_usuario', rota: rotulo })) return;
+      } catch (e) {
+        metricas.limitadorErros.inc({ backend: limitador.nome });
+        console.error('[limitador] falhou, liberando request:', e.message);
       }
     }
 
-    // Debounce idempotente só para /ia e /mensagem
-    if (['/ia','/mensagem'].includes(req.path) && req.method === 'POST') {
-      const key = debounceKey({ ...req.body, path: req.path });
-      const prev = recentRequests.get(key);
-      const now = Date.now();
-      if (prev && now - prev.ts < LIMITS.DEBOUNCE_WINDOW_MS) {
-        return res.status(200).json(prev.response);
+    // Debounce idempotente só para /ia e /mensagem; com Idempotency-Key o cliente decide o que é repetição
+    if (['/ia','/mensagem'].includes(req.path) && req.method === 'POST' && !req.get('idempotency-key')) {
+      const key = debounceKey({ ...req.body, user_id: usuarioDoRequest(req), path: req.path });
+      const prev = await limitador.buscarResposta(key).catch(e => {
+        metricas.limitadorErros.inc({ backend: limitador.nome });
+        console.error('[limitador] debounce indisponível:', e.message);
+        return null;
+      });
+      if (prev) {
+        metricas.debounce.inc({ route: req.path });
+        return res.status(200).json(prev);
       }
-      // armazenar vazia; depois do handler a gente preenche
+      // depois do handler a gente guarda a resposta (memorizarResposta)
       req._debounceKey = key;
     }
 
@@ -514,15 +890,10 @@ app.use(async (req, res, next) => {
 });
 
 /* ========= Utils ========= */
-const OPENAI_EXTRACT_MODEL = 'gpt-4o-mini';
-
-const normalize = (s = '') =>
-  s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
-
 const uniqMerge = (a = [], b = []) => {
-  const seen = new Set((a || []).map(x => normalize(x)));
+  const seen = new Set((a || []).map(x => normalizar(x)));
   const out = [...(a || [])];
-  (b || []).forEach(x => { if (!seen.has(normalize(x))) out.push(x); });
+  (b || []).forEach(x => { if (!seen.has(normalizar(x))) out.push(x); });
   return out;
 };
 
@@ -531,7 +902,7 @@ function safeParseJSON(str, fallback = null) {
   catch { return fallback; }
 }
 
-/* ========= OpenAI helpers ========= */
+/* ========= LLM helpers ========= */
 async function extrairPessoasDaMensagem(texto, user_id, sessao_id) {
   const sys = `Extraia pessoas citadas da mensagem. Responda EXATAMENTE este JSON:
 [
@@ -539,16 +910,19 @@ async function extrairPessoasDaMensagem(texto, user_id, sessao_id) {
     "nome_real": "string ou vazio se não souber",
     "apelidos": ["array de apelidos ou variações"],
     "tipo_vinculo": "pai|mae|mãe|irmao|irmã|filho|filha|esposa|esposo|conjuge|namorada|namorado|eu mesmo|amigo|colega|desconhecido",
+    "emocoes": ["emoções que o usuário expressa sobre essa pessoa nesta mensagem, 1-2 palavras cada (ex.: raiva, carinho, culpa, saudade); vazio se não houver"],
+    "contextos": ["${CONTEXTOS_VINCULO.join('|')}"],
     "observacao": "curto contexto se útil (opcional)"
   }
 ]`;
 
   const t0 = Date.now();
-  const r = await openai.chat.completions.create(
+  const r = await llm.chat(
     {
-      model: OPENAI_EXTRACT_MODEL,
+      purpose: 'extract_people',
+      model: llm.modelos.extract,
       temperature: 0,
-      max_tokens: 300,
+      max_tokens: 400,
       messages: [
         { role: 'system', content: sys },
         { role: 'user', content: `Mensagem: """${texto}"""` },
@@ -558,11 +932,11 @@ async function extrairPessoasDaMensagem(texto, user_id, sessao_id) {
   );
   const latency_ms = Date.now() - t0;
 
-  if (r?.usage && user_id && sessao_id) {
+  if (r?.usage) {
     await logUsageToSupabase({
       user_id,
       sessao_id,
-      model: r?.model || OPENAI_EXTRACT_MODEL,
+      model: r?.model || llm.modelos.extract,
       usage: r.usage,
       response_id: getResponseId(r),
       latency_ms,
@@ -570,8 +944,7 @@ async function extrairPessoasDaMensagem(texto, user_id, sessao_id) {
     });
   }
 
-  let raw = r.choices?.[0]?.message?.content?.trim() || '[]';
-  raw = raw.replace(/^```json\s*/i, '').replace(/^```/, '').replace(/```$/, '').trim();
+  const raw = semCercaJson(r.choices?.[0]?.message?.content || '[]');
   try { const parsed = JSON.parse(raw); if (Array.isArray(parsed)) return parsed; }
   catch (_) {}
   return [];
@@ -579,9 +952,10 @@ async function extrairPessoasDaMensagem(texto, user_id, sessao_id) {
 
 async function resumirPerfilCompacto(baseTexto, user_id, sessao_id) {
   const t0 = Date.now();
-  const r = await openai.chat.completions.create(
+  const r = await llm.chat(
     {
-      model: OPENAI_EXTRACT_MODEL,
+      purpose: 'perfil_compacto',
+      model: llm.modelos.extract,
       temperature: 0.2,
       max_tokens: 90,
       messages: [
@@ -593,11 +967,11 @@ async function resumirPerfilCompacto(baseTexto, user_id, sessao_id) {
   );
   const latency_ms = Date.now() - t0;
 
-  if (r?.usage && user_id && sessao_id) {
+  if (r?.usage) {
     await logUsageToSupabase({
       user_id,
       sessao_id,
-      model: r?.model || OPENAI_EXTRACT_MODEL,
+      model: r?.model || llm.modelos.extract,
       usage: r.usage,
       response_id: getResponseId(r),
       latency_ms,
@@ -608,9 +982,66 @@ async function resumirPerfilCompacto(baseTexto, user_id, sessao_id) {
   return r.choices?.[0]?.message?.content?.trim() || '';
 }
 
+/* ========= Risco em tempo real ========= */
+const riscoCache = new Map(); // hash(sessao+mensagem) -> { ts, resultado }; /mensagem e /ia recebem o mesmo texto
+
+async function avaliarRiscoMensagem({ user_id, sessao_id, mensagem, rota }) {
+  if (!FLAGS.RISK_DETECTION_ENABLED || !mensagem) return { detectado: false, protocolo: false, tags: [] };
+
+  const chave = sha256Hex(`${sessao_id}|${mensagem}`).slice(0, 32);
+  const now = Date.now();
+  const prev = riscoCache.get(chave);
+  if (prev && now - prev.ts < RISCO.CACHE_TTL_MS) return prev.resultado;
+  for (const [k, v] of riscoCache) if (now - v.ts >= RISCO.CACHE_TTL_MS) riscoCache.delete(k);
+
+  const t0 = Date.now();
+  const r = await classificarRisco(llm, mensagem, {
+    limiar: RISCO.LIMIAR,
+    usarLLM: RISCO.USAR_LLM,
+    timeout: LIMITS.PROVIDER_TIMEOUT_MS,
+  });
+  if (r.completion?.usage) {
+    await logUsageToSupabase({
+      user_id,
+      sessao_id,
+      model: r.completion.model || llm.modelos.extract,
+      usage: r.completion.usage,
+      response_id: getResponseId(r.completion),
+      latency_ms: Date.now() - t0,
+      metadata: { purpose: 'risk_classifier' },
+    });
+  }
+
+  const protocolo = r.detectado
+    && (!RISCO.TAGS_PROTOCOLO.length || r.tags.some(t => RISCO.TAGS_PROTOCOLO.includes(t)));
+  const resultado = { detectado: r.detectado, protocolo, tags: r.tags };
+  riscoCache.set(chave, { ts: now, resultado });
+
+  if (r.detectado) {
+    // sinaliza a sessão já agora; /finalizar-sessao só acrescenta
+    const { data: sess } = await repos.sessoes.buscarPorId(sessao_id, 'tags_risco');
+    const { error: errSess } = await repos.sessoes.atualizar(sessao_id, { tags_risco: uniqMerge(sess?.tags_risco || [], r.tags) });
+    if (errSess) console.error('[risco] falha ao sinalizar sessão:', errSess);
+
+    const { error } = await repos.riscos.registrar({
+      user_id,
+      sessao_id,
+      rota,
+      tags: r.tags,
+      scores: r.scores,
+      fonte: r.fonte,
+      protocolo_acionado: protocolo,
+      trecho: truncateText(redactText(mensagem), 500),
+      status: 'pendente',
+    });
+    if (error) console.error('[eventos_risco] insert error:', error);
+  }
+  return resultado;
+}
+
 /* ========= Regras de vínculos ========= */
 const familyGroup = (tipo = '') => {
-  const t = normalize(tipo);
+  const t = normalizar(tipo);
   if (['esposa','esposo','conjuge','cônjuge','marido','namorada','namorado','parceira','parceiro'].includes(t)) return 'conjugal';
   if (['irma','irmão','irmao','irmã'].includes(t)) return 'irmao';
   if (['mae','mãe','pai','sogra','sogro'].includes(t)) return 'parental';
@@ -625,58 +1056,67 @@ const groupsConflict = (a, b) => {
   return conflict.has(`${ga}|${gb}`);
 };
 
+// lança em erro: sem a lista, o upsert criaria duplicatas de quem já existe
 async function fetchVinculosExistentes(user_id) {
-  const { data, error } = await supabase.from('vinculos_usuario').select('*').eq('user_id', user_id);
-  if (error) { console.error('Erro ao buscar vínculos existentes:', error); return []; }
+  const { data, error } = await repos.vinculos.listarPorUsuario(user_id);
+  if (error) throw error;
   return data || [];
 }
 
-function encontrarMatchVinculo(existing = [], { nome_real, apelidos = [], tipo_vinculo }) {
-  const nomeN = normalize(nome_real || '');
-  const aliasesN = (apelidos || []).map(normalize);
+// { score, conflito }: conflito = grupos familiares incompatíveis sem nome/apelido composto em comum
+function pontuarMatchVinculo(v, { nome_real, apelidos = [], tipo_vinculo }) {
+  const nomeN = normalizar(nome_real || '');
+  const aliasesN = (apelidos || []).map(normalizar);
+  let score = 0;
+  const vNome = normalizar(v.nome_real || '');
+  const vAliases = (v.apelidos_descricoes || []).map(normalizar);
+
+  if (nomeN && vNome && nomeN === vNome) score += 6;
+  if (aliasesN.some(a => a.includes(' ') && vAliases.includes(a))) score += 5;
+  if (aliasesN.some(a => !a.includes(' ') && vAliases.includes(a))) {
+    if (!groupsConflict(v.tipo_vinculo || '', tipo_vinculo || '')) score += 2;
+  }
+  if (nomeN && vNome && !score) {
+    const a = new Set(nomeN.split(/\s+/)), b = new Set(vNome.split(/\s+/));
+    const inter = [...a].filter(x => b.has(x)).length;
+    const jacc = inter / Math.max(1, a.size + b.size - inter);
+    if (jacc >= 0.7) score += 4;
+  }
+  const conflict = groupsConflict(v.tipo_vinculo || '', tipo_vinculo || '');
+  const strong = (nomeN && vNome && nomeN === vNome) || aliasesN.some(a => a.includes(' ') && vAliases.includes(a));
+  return { score, conflito: !!(conflict && !strong) };
+}
+
+const LIMIAR_MATCH_VINCULO = 5;
+
+function encontrarMatchVinculo(existing = [], pessoa) {
   let best = null, bestScore = -1;
 
   for (const v of existing) {
-    let score = 0;
-    const vNome = normalize(v.nome_real || '');
-    const vAliases = (v.apelidos_descricoes || []).map(normalize);
-
-    if (nomeN && vNome && nomeN === vNome) score += 6;
-    if (aliasesN.some(a => a.includes(' ') && vAliases.includes(a))) score += 5;
-    if (aliasesN.some(a => !a.includes(' ') && vAliases.includes(a))) {
-      if (!groupsConflict(v.tipo_vinculo || '', tipo_vinculo || '')) score += 2;
-    }
-    if (nomeN && vNome && !score) {
-      const a = new Set(nomeN.split(/\s+/)), b = new Set(vNome.split(/\s+/));
-      const inter = [...a].filter(x => b.has(x)).length;
-      const jacc = inter / Math.max(1, a.size + b.size - inter);
-      if (jacc >= 0.7) score += 4;
-    }
-    const conflict = groupsConflict(v.tipo_vinculo || '', tipo_vinculo || '');
-    const strong = (nomeN && vNome && nomeN === vNome) || aliasesN.some(a => a.includes(' ') && vAliases.includes(a));
-    if (conflict && !strong) continue;
+    const { score, conflito } = pontuarMatchVinculo(v, pessoa);
+    if (conflito) continue;
 
     if (score > bestScore) { bestScore = score; best = v; }
   }
-  return bestScore >= 5 ? best : null;
+  return bestScore >= LIMIAR_MATCH_VINCULO ? best : null;
 }
 
+// oculto/nao_e_pessoa são marcações do usuário (ver /vinculos): nunca entram no prompt
+const visivelNoContexto = (v) => !v.oculto && !v.nao_e_pessoa;
+
 async function getConjuges(user_id) {
-  const { data } = await supabase
-    .from('vinculos_usuario')
-    .select('id, nome_real, apelidos_descricoes, tipo_vinculo')
-    .eq('user_id', user_id);
-  return (data || []).filter(v =>
+  const { data } = await repos.vinculos.listarPorUsuario(user_id, 'id, nome_real, apelidos_descricoes, tipo_vinculo, nao_e_pessoa');
+  return (data || []).filter(v => !v.nao_e_pessoa).filter(v =>
     ['esposa','esposo','conjuge','cônjuge','marido','namorada','namorado','parceira','parceiro']
-      .includes(normalize(v.tipo_vinculo))
+      .includes(normalizar(v.tipo_vinculo))
   );
 }
 
 function matchNomeOuAlias(v, alvo) {
-  const t = normalize(alvo);
+  const t = normalizar(alvo);
   if (!t) return false;
-  if (normalize(v.nome_real || '') === t) return true;
-  const aliases = (v.apelidos_descricoes || []).map(normalize);
+  if (normalizar(v.nome_real || '') === t) return true;
+  const aliases = (v.apelidos_descricoes || []).map(normalizar);
   return aliases.includes(t);
 }
 
@@ -688,13 +1128,13 @@ async function inferirParentescoRelativo(texto, user_id, pessoas) {
   const re = /(m[aã]e|pai)\s+da?\s+([A-Za-zÀ-ÖØ-öø-ÿ][A-Za-zÀ-ÖØ-öø-ÿ\s'.-]{1,60})/gi;
   let m;
   while ((m = re.exec(texto)) !== null) {
-    const tipo = normalize(m[1]);
+    const tipo = normalizar(m[1]);
     const alvo = m[2].trim();
     const eConjuge = conj.some(v => matchNomeOuAlias(v, alvo));
     if (eConjuge) {
       const mapped = tipo.startsWith('p') ? 'sogro' : 'sogra';
       for (const p of out) {
-        const t = normalize(p.tipo_vinculo || '');
+        const t = normalizar(p.tipo_vinculo || '');
         if (t === 'mae' || t === 'mãe' || t === 'pai') p.tipo_vinculo = mapped;
       }
     }
@@ -703,34 +1143,58 @@ async function inferirParentescoRelativo(texto, user_id, pessoas) {
 }
 
 /* ========= Upsert vínculos ========= */
-async function upsertVinculo(user_id, pessoa, agoraISO, trechoMensagem = '') {
+const HISTORICO_MENCOES_MAX = 12;
+
+const optsMarcadores = (agora) => ({ agora, meiaVidaDias: MARCADORES.MEIA_VIDA_DIAS, max: MARCADORES.MAX_GUARDADOS });
+
+// linhas antigas só têm os arrays; viram peso 1 na primeira atualização
+const pesosOuLegado = (pesos, legado, agora) =>
+  pesos && typeof pesos === 'object' ? pesos : acumularTermos({}, legado || [], optsMarcadores(agora));
+
+// soma as emoções/contextos da menção atual aos pesos do vínculo e recalcula os arrays exibidos
+function acumularMarcadores(v, pessoa, agora) {
+  const opts = optsMarcadores(agora);
+  const pesos_emocionais = acumularTermos(pesosOuLegado(v?.pesos_emocionais, v?.marcador_emocional, agora), pessoa.emocoes, opts);
+  const pesos_contextos = acumularTermos(pesosOuLegado(v?.pesos_contextos, v?.contextos_relevantes, agora), normalizarContextos(pessoa.contextos), opts);
+  return {
+    pesos_emocionais,
+    pesos_contextos,
+    marcador_emocional: topTermos(pesos_emocionais, MARCADORES.MAX_EXIBIDOS, opts),
+    contextos_relevantes: topTermos(pesos_contextos, MARCADORES.MAX_EXIBIDOS, opts),
+  };
+}
+
+// mencao_id identifica a fala (mensagem ou request do /ia): em nova tentativa do job, a pessoa
+// que já contou essa menção no histórico não soma de novo. Erro de banco lança (a fila repete).
+async function upsertVinculo(user_id, pessoa, agoraISO, trechoMensagem = '', mencao_id = null) {
   const existentes = await fetchVinculosExistentes(user_id);
   const match = encontrarMatchVinculo(existentes, pessoa);
-  const novoHistoricoItem = { data: agoraISO, trecho: (trechoMensagem || '').slice(0, 240) };
+  const novoHistoricoItem = { data: agoraISO, trecho: (trechoMensagem || '').slice(0, 240), ...(mencao_id ? { mencao_id } : {}) };
 
   if (match) {
-    const apelidosNew = uniqMerge(match.apelidos_descricoes || [], pessoa.apelidos || []);
+    if (mencao_id && (match.historico_mencoes || []).some(h => h?.mencao_id === mencao_id)) return match.id;
+    // campos corrigidos pelo usuário ficam como estão; o extrator só atualiza contadores/histórico
+    const manuais = new Set(match.campos_editados || []);
+    const apelidosNew = manuais.has('apelidos_descricoes')
+      ? (match.apelidos_descricoes || [])
+      : uniqMerge(match.apelidos_descricoes || [], pessoa.apelidos || []);
     const historico = Array.isArray(match.historico_mencoes) ? match.historico_mencoes : [];
-    const historicoNovo = [...historico, novoHistoricoItem].slice(-12);
+    const historicoNovo = [...historico, novoHistoricoItem].slice(-HISTORICO_MENCOES_MAX);
 
     const nomeAtual = match.nome_real || '';
     const nomeNovo = pessoa.nome_real || '';
     const nomeFinal = (!nomeAtual && nomeNovo) || (nomeNovo && nomeNovo.length > nomeAtual.length) ? nomeNovo : nomeAtual;
 
-    const { error } = await supabase
-      .from('vinculos_usuario')
-      .update({
-        nome_real: nomeFinal || match.nome_real,
-        tipo_vinculo: pessoa.tipo_vinculo || match.tipo_vinculo,
-        apelidos_descricoes: apelidosNew,
-        marcador_emocional: match.marcador_emocional || [],
-        contextos_relevantes: match.contextos_relevantes || [],
-        frequencia_mencao: (match.frequencia_mencao || 0) + 1,
-        ultima_mencao: agoraISO,
-        historico_mencoes: historicoNovo,
-      })
-      .eq('id', match.id);
-    if (error) console.error('Erro update vínculo:', error);
+    const { error } = await repos.vinculos.atualizar(match.id, {
+      nome_real: manuais.has('nome_real') ? match.nome_real : (nomeFinal || match.nome_real),
+      tipo_vinculo: manuais.has('tipo_vinculo') ? match.tipo_vinculo : (pessoa.tipo_vinculo || match.tipo_vinculo),
+      apelidos_descricoes: apelidosNew,
+      ...acumularMarcadores(match, pessoa, new Date(agoraISO)),
+      frequencia_mencao: (match.frequencia_mencao || 0) + 1,
+      ultima_mencao: agoraISO,
+      historico_mencoes: historicoNovo,
+    });
+    if (error) throw error;
     return match.id;
   }
 
@@ -739,25 +1203,24 @@ async function upsertVinculo(user_id, pessoa, agoraISO, trechoMensagem = '') {
     nome_real: pessoa.nome_real || null,
     tipo_vinculo: pessoa.tipo_vinculo || 'desconhecido',
     apelidos_descricoes: pessoa.apelidos || [],
-    marcador_emocional: [],
-    contextos_relevantes: [],
+    ...acumularMarcadores(null, pessoa, new Date(agoraISO)),
     frequencia_mencao: 1,
     ultima_mencao: agoraISO,
     historico_mencoes: [novoHistoricoItem],
     perfil_compacto: null,
   };
 
-  const { data, error } = await supabase.from('vinculos_usuario').insert([toInsert]).select('id').single();
-  if (error) { console.error('Erro insert vínculo:', error); return null; }
+  const { data, error } = await repos.vinculos.criar(toInsert);
+  if (error) throw error;
   return data?.id || null;
 }
 
 async function atualizarPerfilCompacto(vinculoId, user_id, sessao_id) {
   if (!vinculoId) return;
-  const { data: v, error } = await supabase
-    .from('vinculos_usuario')
-    .select('nome_real, tipo_vinculo, apelidos_descricoes, marcador_emocional, contextos_relevantes, perfil_compacto')
-    .eq('id', vinculoId).single();
+  const { data: v, error } = await repos.vinculos.buscarPorId(
+    vinculoId,
+    'nome_real, tipo_vinculo, apelidos_descricoes, marcador_emocional, contextos_relevantes, perfil_compacto'
+  );
   if (error || !v) return;
 
   const base = `
@@ -769,39 +1232,64 @@ Contextos: ${(v.contextos_relevantes || []).join(', ') || '-'}
 `.trim();
 
   const resumo = await resumirPerfilCompacto(base, user_id, sessao_id);
-  if (resumo) await supabase.from('vinculos_usuario').update({ perfil_compacto: resumo }).eq('id', vinculoId);
+  if (resumo) await repos.vinculos.atualizar(vinculoId, { perfil_compacto: resumo });
 }
 
-async function processarVinculosUsuario(texto, user_id, sessao_id) {
+// data_mencao = quando o usuário falou (o job pode rodar bem depois, com backoff)
+async function processarVinculosUsuario(texto, user_id, sessao_id, { mencao_id = null, data_mencao = null } = {}) {
   if (!FLAGS.MEMORY_WRITE_ENABLED) return [];
   const pessoas = await extrairPessoasDaMensagem(texto, user_id, sessao_id);
   const pessoasAjustadas = await inferirParentescoRelativo(texto, user_id, pessoas);
-  const agoraISO = new Date().toISOString();
+  const agoraISO = data_mencao || new Date().toISOString();
 
   const nomesOuApelidosCitados = [];
   for (const p of pessoasAjustadas) {
     p.apelidos = Array.isArray(p.apelidos) ? p.apelidos.filter(Boolean) : [];
+    p.emocoes = Array.isArray(p.emocoes) ? p.emocoes.filter(e => typeof e === 'string' && e.trim()) : [];
+    p.contextos = Array.isArray(p.contextos) ? p.contextos : [];
     if (p.nome_real) nomesOuApelidosCitados.push(p.nome_real);
     nomesOuApelidosCitados.push(...p.apelidos);
-    const id = await upsertVinculo(user_id, p, agoraISO, texto);
-    if (id) await atualizarPerfilCompacto(id, user_id, sessao_id);
+    const id = await upsertVinculo(user_id, p, agoraISO, texto, mencao_id);
+    // um job por pessoa: a falha no resumo de uma não refaz o upsert das outras
+    if (id) {
+      await fila.enfileirar('perfil_vinculo', { vinculo_id: id, user_id, sessao_id },
+        { chave: mencao_id ? `perfil_vinculo:${id}:${mencao_id}` : null });
+    }
   }
   return nomesOuApelidosCitados.filter(Boolean);
 }
 
+// nomes/apelidos de vínculos já conhecidos que aparecem no texto; a extração com LLM
+// roda depois da resposta (job vinculos_mensagem), então pessoa nova só entra no próximo turno
+const palavras = (s = '') => normalizar(String(s)).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+async function nomesConhecidosNoTexto(user_id, texto) {
+  const { data, error } = await repos.vinculos.listarPorUsuario(user_id, 'nome_real, apelidos_descricoes, oculto, nao_e_pessoa');
+  if (error || !data) return [];
+  const alvo = ` ${palavras(texto)} `;
+  const citados = [];
+  for (const v of data.filter(visivelNoContexto)) {
+    for (const nome of [v.nome_real, ...(v.apelidos_descricoes || [])]) {
+      const n = palavras(nome || '');
+      if (n && alvo.includes(` ${n} `)) citados.push(nome);
+    }
+  }
+  return citados;
+}
+
 async function selecionarVinculosParaContexto(user_id, nomesCitados = [], limite = 3) {
-  const { data, error } = await supabase
-    .from('vinculos_usuario')
-    .select('id, nome_real, tipo_vinculo, apelidos_descricoes, perfil_compacto, frequencia_mencao, ultima_mencao, marcador_emocional, contextos_relevantes')
-    .eq('user_id', user_id);
+  const { data, error } = await repos.vinculos.listarPorUsuario(
+    user_id,
+    'id, nome_real, tipo_vinculo, apelidos_descricoes, perfil_compacto, frequencia_mencao, ultima_mencao, marcador_emocional, contextos_relevantes, fixado, oculto, nao_e_pessoa'
+  );
   if (error || !data) return [];
 
-  const nomesN = nomesCitados.map(normalize);
-  const citados = [], outros = [];
-  for (const v of data) {
-    const nomeMatch = nomesN.includes(normalize(v.nome_real || ''));
-    const aliasMatch = (v.apelidos_descricoes || []).some(a => nomesN.includes(normalize(a)));
-    (nomeMatch || aliasMatch ? citados : outros).push(v);
+  const nomesN = nomesCitados.map(normalizar);
+  const citados = [], fixados = [], outros = [];
+  for (const v of data.filter(visivelNoContexto)) {
+    const nomeMatch = nomesN.includes(normalizar(v.nome_real || ''));
+    const aliasMatch = (v.apelidos_descricoes || []).some(a => nomesN.includes(normalizar(a)));
+    (nomeMatch || aliasMatch ? citados : v.fixado ? fixados : outros).push(v);
   }
 
   outros.sort((a, b) => {
@@ -810,7 +1298,8 @@ async function selecionarVinculosParaContexto(user_id, nomesCitados = [], limite
     return new Date(b.ultima_mencao || 0) - new Date(a.ultima_mencao || 0);
   });
 
-  return [...citados, ...outros].slice(0, limite);
+  // fixados entram mesmo além do limite: o usuário pediu para estarem sempre no contexto
+  return [...citados, ...fixados, ...outros].slice(0, Math.max(limite, citados.length + fixados.length));
 }
 
 function montarBlocoVinculos(vinculos = []) {
@@ -822,14 +1311,334 @@ function montarBlocoVinculos(vinculos = []) {
   }).join('\n');
 }
 
+/* ========= Eventos de vida ========= */
+// roda no /finalizar-sessao sobre as falas do usuário; best-effort (não derruba o encerramento)
+async function registrarEventosVida({ user_id, sessao_id, mensagens = [] }) {
+  if (!FLAGS.MEMORY_WRITE_ENABLED || !FLAGS.LIFE_EVENTS_ENABLED) return [];
+  const falas = mensagens.filter(m => m.origem === 'usuario').map(m => m.texto_mensagem).filter(Boolean);
+  if (!falas.length) return [];
+
+  const t0 = Date.now();
+  const { eventos, completion } = await extrairEventosVida(llm, cut(falas.join('\n'), 6000), { timeout: LIMITS.PROVIDER_TIMEOUT_MS });
+  if (completion?.usage) {
+    await logUsageToSupabase({
+      user_id,
+      sessao_id,
+      model: completion?.model || llm.modelos.extract,
+      usage: completion.usage,
+      response_id: getResponseId(completion),
+      latency_ms: Date.now() - t0,
+      metadata: { purpose: 'extract_life_events' },
+    });
+  }
+  if (!eventos.length) return [];
+
+  const { data: existentes, error } = await repos.perfil.listarEventos(user_id, 'id, tipo_evento, descricao, data_evento, precisao_data');
+  if (error) throw error; // roda como job: nova tentativa em vez de pular a sessão
+
+  const criados = [];
+  const conhecidos = [...(existentes || [])];
+  for (const ev of eventos) {
+    if (eventoDuplicado(conhecidos, ev)) continue;
+    const { data, error: errIns } = await repos.perfil.criarEvento({
+      user_id,
+      sessao_id,
+      ...ev,
+      origem: 'automatico',
+      confirmado: false,
+    });
+    if (errIns) { console.error('[eventos_vida] insert error:', errIns.message); continue; }
+    criados.push(data);
+    conhecidos.push(data);
+  }
+  return criados;
+}
+
+/* ========= Perfil psicológico ========= */
+// grava o perfil derivado das afirmações + uma linha de histórico com o que mudou
+async function salvarVersaoPerfil({ user_id, atual, afirmacoes, sessao_id = null, origem, adicionadas = [], removidas = [] }) {
+  const versao = (atual?.versao || 0) + 1;
+  const { data, error } = await repos.perfil.salvarPerfil(user_id, {
+    ...derivarCamposPerfil(afirmacoes),
+    afirmacoes,
+    versao,
+    atualizado_em: new Date().toISOString(),
+  });
+  if (error) throw new Error(error.message);
+
+  const { error: errVer } = await repos.perfil.registrarVersao({
+    user_id,
+    versao,
+    sessao_id,
+    origem,
+    adicionadas,
+    removidas,
+    afirmacoes,
+  });
+  if (errVer) console.error('[perfil] histórico não gravado:', errVer.message);
+  return data;
+}
+
+// perfil legado (só os textos) vira lista de afirmações na primeira leitura e já fica gravado,
+// para ids e criado_em não mudarem de uma leitura para outra
+async function carregarPerfil(user_id) {
+  const { data: perfil, error } = await repos.perfil.buscarPerfil(user_id);
+  if (error || !perfil || Array.isArray(perfil.afirmacoes)) return { data: perfil, error };
+  return repos.perfil.salvarPerfil(user_id, { afirmacoes: afirmacoesIniciais(perfil) });
+}
+
+// roda no /finalizar-sessao; null quando nada mudou
+async function atualizarPerfilPsicologico({ user_id, sessao_id, resumo, mensagens = [] }) {
+  if (!FLAGS.MEMORY_WRITE_ENABLED || !FLAGS.PROFILE_UPDATE_ENABLED) return null;
+  const falas = mensagens.filter(m => m.origem === 'usuario').map(m => m.texto_mensagem).filter(Boolean);
+  if (!falas.length) return null;
+
+  const { data: atual, error } = await carregarPerfil(user_id);
+  if (error) throw error; // roda como job: nova tentativa em vez de pular a sessão
+  const afirmacoes = afirmacoesIniciais(atual);
+
+  const t0 = Date.now();
+  const proposta = await proporAtualizacaoPerfil(
+    llm,
+    { afirmacoes, resumo: cut(resumo || '', 3000), falas: cut(falas.join('\n'), 4000) },
+    { timeout: LIMITS.PROVIDER_TIMEOUT_MS }
+  );
+  if (proposta.completion?.usage) {
+    await logUsageToSupabase({
+      user_id,
+      sessao_id,
+      model: proposta.completion?.model || llm.modelos.extract,
+      usage: proposta.completion.usage,
+      response_id: getResponseId(proposta.completion),
+      latency_ms: Date.now() - t0,
+      metadata: { purpose: 'perfil_update' },
+    });
+  }
+
+  const r = aplicarAtualizacaoPerfil(afirmacoes, proposta, { sessao_id });
+  if (!r.adicionadas.length && !r.removidas.length) return null;
+
+  const salvo = await salvarVersaoPerfil({
+    user_id, atual, afirmacoes: r.afirmacoes, sessao_id, origem: 'finalizar_sessao',
+    adicionadas: r.adicionadas, removidas: r.removidas,
+  });
+  return { versao: salvo.versao, adicionadas: r.adicionadas.length, removidas: r.removidas.length };
+}
+
+/* ========= Auth ========= */
+// Identidade vem só do Bearer token; user_id em body/params tem que bater com ele
+async function requireAuth(req, res, next) {
+  const [scheme, token] = String(req.get('authorization') || '').split(' ');
+  const payload = scheme === 'Bearer' ? verificarJWT(token, AUTH.JWT_SECRET) : null;
+  if (!payload || payload.typ !== 'access' || !payload.sub) {
+    return res.status(401).json({ error_code: 'UNAUTHORIZED', mensagem: 'Token ausente, inválido ou expirado.' });
+  }
+
+  // token emitido antes da última troca de senha (pwh diferente) ou de usuário removido não vale mais
+  const { data: usuario, error } = await repos.usuarios.buscarPorId(payload.sub, 'id, senha_hash');
+  if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+  if (!usuario || senhaFingerprint(usuario.senha_hash) !== payload.pwh) {
+    return res.status(401).json({ error_code: 'UNAUTHORIZED', mensagem: 'Token ausente, inválido ou expirado.' });
+  }
+
+  const user_id = String(payload.sub);
+  const informados = [req.params?.user_id, req.body?.user_id].filter(v => v != null && v !== '');
+  if (informados.some(v => String(v) !== user_id)) {
+    return res.status(403).json({ error_code: 'FORBIDDEN', mensagem: 'user_id não corresponde ao token.' });
+  }
+
+  req.user_id = user_id;
+  // handlers antigos leem user_id do body; preenche a partir do token
+  if (req.body && typeof req.body === 'object') req.body.user_id = user_id;
+  next();
+}
+
+/* ========= Cotas por plano ========= */
+const CABECALHOS_COTA = {
+  tokens_dia: 'X-Quota-Remaining-Tokens-Day',
+  tokens_mes: 'X-Quota-Remaining-Tokens-Month',
+  usd_dia: 'X-Quota-Remaining-Usd-Day',
+  usd_mes: 'X-Quota-Remaining-Usd-Month',
+};
+
+// consulta a cota do usuário e põe os cabeçalhos X-Quota-* (limites sem teto não viram cabeçalho);
+// null = cotas desligadas ou consulta falhou (sem como medir o uso, não bloqueia o usuário)
+async function consultarCota(req, res) {
+  if (!COTAS.ENABLED) return null;
+  let c;
+  try {
+    c = await cotas.consultar(req.user_id);
+  } catch (e) {
+    console.error('[cotas] consulta falhou, liberando request:', e.message);
+    return null;
+  }
+
+  res.setHeader('X-Quota-Plan', c.plano);
+  for (const [limite, cabecalho] of Object.entries(CABECALHOS_COTA)) {
+    if (c.restante[limite] !== null) res.setHeader(cabecalho, String(c.restante[limite]));
+  }
+  res.setHeader('X-Quota-Reset-Day', c.reinicia_em.dia);
+  res.setHeader('X-Quota-Reset-Month', c.reinicia_em.mes);
+  return c;
+}
+
+// depois do requireAuth, antes de rotas que chamam o modelo
+async function exigirCota(req, res, next) {
+  const c = await consultarCota(req, res);
+  if (c?.excedido) {
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil((Date.parse(c.excedido.reinicia_em) - Date.now()) / 1000))));
+    return res.status(429).json({
+      error_code: 'QUOTA_EXCEEDED',
+      mensagem: `Limite do plano ${c.plano} atingido (${c.excedido.limite}). Libera em ${c.excedido.reinicia_em}.`,
+      plano: c.plano,
+      limite: c.excedido.limite,
+      valor_limite: c.excedido.valor,
+      usado: c.excedido.usado,
+      reinicia_em: c.excedido.reinicia_em,
+    });
+  }
+  next();
+}
+
+/* ========= Idempotency-Key ========= */
+// envolve o handler da rota, depois do requireAuth (a chave vale por usuário) e do exigirCota
+// (429 de cota não é resultado da operação). Sem o cabeçalho, só chama o handler.
+// Repetição com o mesmo body devolve a resposta guardada (Idempotent-Replayed: true);
+// outro body com a mesma chave -> 422; a primeira ainda rodando -> 409.
+// O resultado só é gravado quando o handler termina (não quando o cliente desconecta: a retentativa
+// pega 409 até lá). Erro de servidor, 409 e 429 liberam a chave para o cliente tentar de novo.
+const STATUS_NAO_GUARDADOS = new Set([409, 429]);
+
+function idempotente(handler) {
+  return async (req, res) => {
+    const chave = req.get('idempotency-key');
+    if (chave === undefined) return handler(req, res);
+    if (!CHAVE_VALIDA.test(chave)) {
+      return res.status(400).json({ error_code: 'IDEMPOTENCY_KEY_INVALID', mensagem: 'Idempotency-Key deve ter de 1 a 255 caracteres ASCII visíveis.' });
+    }
+
+    const escopo = req.user_id;
+    const { user_id: _ignorado, ...corpo } = req.body || {};
+    const hash = hashCorpo({ rota: `${req.method} ${req.path}`, corpo });
+
+    let r;
+    try {
+      r = await idempotencia.reservar({ escopo, chave, hash, travaMs: IDEMPOTENCIA.TRAVA_SEC * 1000 });
+    } catch (e) {
+      // store fora do ar: processa sem garantia em vez de recusar
+      console.error('[idempotencia] reserva falhou, seguindo sem chave:', e.message);
+      return handler(req, res);
+    }
+
+    if (!r.reservado) {
+      const { status, hash: hashGuardado, resposta } = r.registro;
+      if (hashGuardado !== hash) {
+        return res.status(422).json({ error_code: 'IDEMPOTENCY_KEY_REUSED', mensagem: 'Idempotency-Key já usada com outro conteúdo.' });
+      }
+      if (status !== 'concluida') {
+        res.setHeader('Retry-After', '1');
+        return res.status(409).json({ error_code: 'IDEMPOTENCY_IN_PROGRESS', mensagem: 'Request com esta Idempotency-Key ainda em processamento.' });
+      }
+      res.setHeader('Idempotent-Replayed', 'true');
+      if (resposta.sse) {
+        iniciarSSE(res);
+        if (resposta.body?.resposta) sseSend(res, 'token', { delta: resposta.body.resposta });
+        sseSend(res, 'done', resposta.body);
+        return res.end();
+      }
+      return res.status(resposta.status).json(resposta.body);
+    }
+
+    req._idempotencia = { chave };
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      req._idempotencia.resposta = { status: res.statusCode, body };
+      return json(body);
+    };
+
+    let falhou = false;
+    try {
+      await handler(req, res);
+    } catch (e) {
+      falhou = true;
+      throw e;
+    } finally {
+      const { resposta: capturada, payloadFinal } = req._idempotencia;
+      const sse = String(res.getHeader('content-type') || '').startsWith('text/event-stream');
+      const resposta = falhou ? null : sse
+        ? (payloadFinal ? { status: 200, body: payloadFinal, sse: true } : null)
+        : capturada;
+      const operacao = resposta && resposta.status < 500 && !STATUS_NAO_GUARDADOS.has(resposta.status)
+        ? idempotencia.concluir({ escopo, chave, hash, resposta, ttlMs: IDEMPOTENCIA.TTL_HORAS * 3600_000 })
+        : idempotencia.liberar({ escopo, chave });
+      operacao.catch(e => console.error('[idempotencia] falha ao gravar resultado:', e.message));
+    }
+  };
+}
+
+/* ========= Tokens de conta (verificação de e-mail / redefinição de senha) ========= */
+// reset carrega um pedaço do hash da senha: trocar a senha invalida links antigos
+const senhaFingerprint = (senha_hash) => sha256Hex(senha_hash || '').slice(0, 16);
+
+async function enviarEmailVerificacao(usuario) {
+  const { token } = emitirTokenConta(AUTH.JWT_SECRET, {
+    user_id: usuario.id,
+    tipo: 'verify_email',
+    ttlSec: AUTH.VERIFY_EMAIL_TTL_SEC,
+    extra: { email: usuario.email },
+  });
+  const link = `${AUTH.APP_URL}/verificar-email?token=${encodeURIComponent(token)}`;
+  await mailer.enviar({
+    para: usuario.email,
+    assunto: 'Confirme seu e-mail no Mentor 360',
+    texto: `Olá, ${usuario.nome || ''}!\n\nPara confirmar seu e-mail, acesse:\n${link}\n\nO link expira em ${Math.round(AUTH.VERIFY_EMAIL_TTL_SEC / 3600)}h.`,
+    html: `<p>Olá, ${usuario.nome || ''}!</p><p>Para confirmar seu e-mail, <a href="${link}">clique aqui</a>.</p><p>O link expira em ${Math.round(AUTH.VERIFY_EMAIL_TTL_SEC / 3600)}h.</p>`,
+  });
+}
+
+async function enviarEmailRedefinicao(usuario) {
+  const { token } = emitirTokenConta(AUTH.JWT_SECRET, {
+    user_id: usuario.id,
+    tipo: 'reset_password',
+    ttlSec: AUTH.RESET_PASSWORD_TTL_SEC,
+    extra: { pwh: senhaFingerprint(usuario.senha_hash) },
+  });
+  const link = `${AUTH.APP_URL}/redefinir-senha?token=${encodeURIComponent(token)}`;
+  await mailer.enviar({
+    para: usuario.email,
+    assunto: 'Redefinição de senha do Mentor 360',
+    texto: `Recebemos um pedido para redefinir sua senha. Para criar uma nova, acesse:\n${link}\n\nO link expira em ${Math.round(AUTH.RESET_PASSWORD_TTL_SEC / 60)} minutos. Se não foi você, ignore este e-mail.`,
+    html: `<p>Recebemos um pedido para redefinir sua senha.</p><p><a href="${link}">Criar nova senha</a> (expira em ${Math.round(AUTH.RESET_PASSWORD_TTL_SEC / 60)} minutos).</p><p>Se não foi você, ignore este e-mail.</p>`,
+  });
+}
+
+// valida assinatura/expiração/tipo e marca o jti como usado; { payload } ou { status, erro }
+async function consumirTokenConta(token, tipo) {
+  const payload = verificarJWT(token, AUTH.JWT_SECRET);
+  if (!payload || payload.typ !== tipo || !payload.sub || !payload.jti) {
+    return { status: 400, erro: 'Link inválido ou expirado.' };
+  }
+  const { error } = await repos.tokens.consumir({
+    jti: payload.jti,
+    user_id: payload.sub,
+    tipo,
+    expira_em: new Date(payload.exp * 1000).toISOString(),
+  });
+  if (error) {
+    if (error.code === '23505') return { status: 400, erro: 'Este link já foi utilizado.' };
+    return { status: 500, erro: 'Erro no banco de dados.' };
+  }
+  return { payload };
+}
+
 /* ========= Rotas ========= */
 
-app.post('/pessoas', async (req, res) => {
+app.post('/pessoas', requireAuth, async (req, res) => {
   try {
     const { user_id, pessoas } = req.body;
     if (!user_id || !Array.isArray(pessoas)) return res.status(400).json({ erro: 'Dados inválidos' });
 
-    const { data, error } = await supabase.from('pessoas_importantes').insert(
+    const { data, error } = await repos.vinculos.criarPessoasImportantes(
       pessoas.map(p => ({ user_id, nome: p.nome, apelido: p.apelido, relacao: p.relacao, sentimento: p.sentimento }))
     );
     if (error) return res.status(500).json({ erro: 'Erro ao salvar no banco' });
@@ -843,14 +1652,17 @@ app.post('/cadastro', async (req, res) => {
   const { nome, email, senha } = req.body;
   if (!nome || !email || !senha) return res.status(400).json({ erro: 'Preencha todos os campos.' });
 
-  const { data: usuarios, error: errorSelect } = await supabase.from('usuarios').select('*').eq('email', email);
+  const { data: existente, error: errorSelect } = await repos.usuarios.buscarPorEmail(email);
   if (errorSelect) return res.status(500).json({ erro: 'Erro no banco de dados.' });
-  if (usuarios && usuarios.length > 0) return res.status(409).json({ erro: 'E-mail já cadastrado.' });
+  if (existente) return res.status(409).json({ erro: 'E-mail já cadastrado.' });
 
   const senhaHash = await bcrypt.hash(senha, 10);
-  const { error: errorInsert } = await supabase.from('usuarios').insert([{ nome, email, senha_hash: senhaHash }]);
+  const { data: novo, error: errorInsert } = await repos.usuarios.criar({ nome, email, senha_hash: senhaHash });
   if (errorInsert) return res.status(500).json({ erro: 'Erro ao cadastrar usuário.' });
 
+  // falha no envio não desfaz o cadastro; o usuário pode pedir outro link
+  await enviarEmailVerificacao(novo).catch(e => console.error('[MAIL] verificação falhou:', e.message));
+
   okJson(req, res, { mensagem: 'Cadastro realizado com sucesso!' }, 201);
 });
 
@@ -858,47 +1670,171 @@ app.post('/login', async (req, res) => {
   const { email, senha, acceptTerms } = req.body;
   if (!email || !senha) return res.status(400).json({ erro: 'Preencha todos os campos.' });
 
-  const { data: usuarios, error } = await supabase.from('usuarios').select('*').eq('email', email).limit(1);
+  const { data: usuario, error } = await repos.usuarios.buscarPorEmail(email);
   if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
-  if (!usuarios || usuarios.length === 0) return res.status(404).json({ erro: 'Usuário não encontrado.' });
+  if (!usuario) return res.status(404).json({ erro: 'Usuário não encontrado.' });
 
-  const usuario = usuarios[0];
   const ok = await bcrypt.compare(senha, usuario.senha_hash);
   if (!ok) return res.status(401).json({ erro: 'Senha incorreta.' });
+  if (AUTH.REQUIRE_EMAIL_VERIFIED && !usuario.email_verificado_em) {
+    return res.status(403).json({ error_code: 'EMAIL_NOT_VERIFIED', erro: 'Confirme seu e-mail antes de entrar.' });
+  }
 
   if (acceptTerms && !usuario.accepted_terms_at) {
-    await supabase.from('usuarios').update({ accepted_terms_at: new Date().toISOString() }).eq('id', usuario.id);
+    await repos.usuarios.atualizar(usuario.id, { accepted_terms_at: new Date().toISOString() });
   }
 
-  okJson(req, res, { mensagem: `Login autorizado! Bem-vindo(a), ${usuario.nome}`, user_id: usuario.id, nome: usuario.nome });
+  const tokens = emitirTokens(AUTH.JWT_SECRET, usuario.id, {
+    accessTtlSec: AUTH.ACCESS_TTL_SEC,
+    refreshTtlSec: AUTH.REFRESH_TTL_SEC,
+    extra: { pwh: senhaFingerprint(usuario.senha_hash) },
+  });
+  okJson(req, res, {
+    mensagem: `Login autorizado! Bem-vindo(a), ${usuario.nome}`,
+    user_id: usuario.id,
+    nome: usuario.nome,
+    email_verificado: !!usuario.email_verificado_em,
+    exclusao_agendada_para: usuario.exclusao_agendada_para || null,
+    ...tokens,
+  });
 });
 
-app.post('/tag-teste', async (req, res) => {
-  const { mensagem } = req.body;
-  if (!mensagem) return res.status(400).json({ erro: 'Envie a mensagem!' });
-  try {
-    const tagsTema = await taggearMensagem(openai, mensagem);
-    okJson(req, res, { tags: tagsTema });
-  } catch (error) {
-    errorJson(req, res, error, 'Erro ao taggear');
+app.post('/refresh-token', async (req, res) => {
+  const { refresh_token } = req.body || {};
+  const payload = verificarJWT(refresh_token, AUTH.JWT_SECRET);
+  if (!payload || payload.typ !== 'refresh' || !payload.sub || !payload.jti) {
+    return res.status(401).json({ error_code: 'UNAUTHORIZED', mensagem: 'Refresh token inválido ou expirado.' });
+  }
+
+  // rotação: cada refresh vale uma vez; um refresh vazado deixa de servir assim que o dono renova
+  const { error: errUso } = await repos.tokens.consumir({
+    jti: payload.jti,
+    user_id: payload.sub,
+    tipo: 'refresh',
+    expira_em: new Date(payload.exp * 1000).toISOString(),
+  });
+  if (errUso) {
+    if (errUso.code === '23505') return res.status(401).json({ error_code: 'UNAUTHORIZED', mensagem: 'Refresh token já utilizado.' });
+    return res.status(500).json({ erro: 'Erro no banco de dados.' });
+  }
+
+  // usuário pode ter sido removido ou ter trocado a senha depois da emissão
+  const { data: usuario, error } = await repos.usuarios.buscarPorId(payload.sub, 'id, senha_hash');
+  if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+  if (!usuario) return res.status(401).json({ error_code: 'UNAUTHORIZED', mensagem: 'Usuário não encontrado.' });
+  const pwh = senhaFingerprint(usuario.senha_hash);
+  if (pwh !== payload.pwh) {
+    return res.status(401).json({ error_code: 'UNAUTHORIZED', mensagem: 'Refresh token inválido ou expirado.' });
   }
+
+  const tokens = emitirTokens(AUTH.JWT_SECRET, usuario.id, {
+    accessTtlSec: AUTH.ACCESS_TTL_SEC,
+    refreshTtlSec: AUTH.REFRESH_TTL_SEC,
+    extra: { pwh },
+  });
+  okJson(req, res, { user_id: usuario.id, ...tokens });
 });
 
-/* ======== NOVA-SESSAO idempotente com cooldown ======== */
-app.post('/nova-sessao', async (req, res) => {
-  const { user_id, mensagem } = req.body;
-  if (!user_id) return res.status(400).json({ erro: 'Informe user_id.' });
+// Respostas de "solicitar" são sempre iguais para não revelar quais e-mails existem
+const RESPOSTA_SOLICITACAO = { mensagem: 'Se o e-mail estiver cadastrado, enviaremos as instruções.' };
+
+app.post('/email/verificacao', async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ erro: 'Informe o e-mail.' });
 
   try {
-    // 1) Se já há sessão aberta, apenas reaproveite
-    const { data: sessaoAberta, error: errAberta } = await supabase
-      .from('sessoes')
-      .select('*')
-      .eq('user_id', user_id)
-      .eq('status', 'aberta')
-      .order('data_sessao', { ascending: false })
-      .limit(1)
-      .maybeSingle();
+    const { data: usuario, error } = await repos.usuarios.buscarPorEmail(email);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (usuario && !usuario.email_verificado_em) await enviarEmailVerificacao(usuario);
+    okJson(req, res, RESPOSTA_SOLICITACAO);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao enviar e-mail de verificação.');
+  }
+});
+
+app.post('/email/verificar', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ erro: 'Informe o token.' });
+
+  try {
+    const r = await consumirTokenConta(token, 'verify_email');
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+
+    const { data: usuario, error } = await repos.usuarios.buscarPorId(r.payload.sub, 'id, email, email_verificado_em');
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    // e-mail trocado depois da emissão: link não vale para o endereço novo
+    if (!usuario || usuario.email !== r.payload.email) return res.status(400).json({ erro: 'Link inválido ou expirado.' });
+
+    if (!usuario.email_verificado_em) {
+      const { error: errUp } = await repos.usuarios.atualizar(usuario.id, { email_verificado_em: new Date().toISOString() });
+      if (errUp) return res.status(500).json({ erro: 'Erro ao confirmar e-mail.' });
+    }
+    okJson(req, res, { mensagem: 'E-mail confirmado!' });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao confirmar e-mail.');
+  }
+});
+
+app.post('/senha/esqueci', async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ erro: 'Informe o e-mail.' });
+
+  try {
+    const { data: usuario, error } = await repos.usuarios.buscarPorEmail(email);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (usuario) await enviarEmailRedefinicao(usuario);
+    okJson(req, res, RESPOSTA_SOLICITACAO);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao enviar e-mail de redefinição.');
+  }
+});
+
+app.post('/senha/redefinir', async (req, res) => {
+  const { token, nova_senha } = req.body || {};
+  if (!token || !nova_senha) return res.status(400).json({ erro: 'Informe token e nova_senha.' });
+
+  try {
+    // confere o fingerprint antes de consumir, para um link velho não queimar nada
+    const payload = verificarJWT(token, AUTH.JWT_SECRET);
+    if (!payload || payload.typ !== 'reset_password') return res.status(400).json({ erro: 'Link inválido ou expirado.' });
+    const { data: usuario, error } = await repos.usuarios.buscarPorId(payload.sub, 'id, senha_hash');
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!usuario || senhaFingerprint(usuario.senha_hash) !== payload.pwh) {
+      return res.status(400).json({ erro: 'Link inválido ou expirado.' });
+    }
+
+    const r = await consumirTokenConta(token, 'reset_password');
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+
+    const senhaHash = await bcrypt.hash(String(nova_senha), 10);
+    const { error: errUp } = await repos.usuarios.atualizar(usuario.id, { senha_hash: senhaHash });
+    if (errUp) return res.status(500).json({ erro: 'Erro ao redefinir senha.' });
+
+    okJson(req, res, { mensagem: 'Senha redefinida com sucesso!' });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao redefinir senha.');
+  }
+});
+
+app.post('/tag-teste', requireAuth, exigirCota, async (req, res) => {
+  const { mensagem } = req.body;
+  if (!mensagem) return res.status(400).json({ erro: 'Envie a mensagem!' });
+  try {
+    const tagsTema = await taggearComUso(mensagem, { user_id: req.user_id });
+    okJson(req, res, { tags: tagsTema });
+  } catch (error) {
+    errorJson(req, res, error, 'Erro ao taggear');
+  }
+});
+
+/* ======== NOVA-SESSAO idempotente com cooldown ======== */
+app.post('/nova-sessao', requireAuth, idempotente(async (req, res) => {
+  const { user_id, mensagem } = req.body;
+  if (!user_id) return res.status(400).json({ erro: 'Informe user_id.' });
+
+  try {
+    // 1) Se já há sessão aberta, apenas reaproveite
+    const { data: sessaoAberta, error: errAberta } = await repos.sessoes.buscarAberta(user_id);
     if (errAberta) return res.status(500).json({ erro: 'Erro ao verificar sessão aberta.' });
     if (sessaoAberta) {
       return okJson(req, res, { mensagem: 'Sessão aberta reaproveitada', sessao: sessaoAberta });
@@ -906,13 +1842,10 @@ app.post('/nova-sessao', async (req, res) => {
 
     // 2) Sem sessão aberta: tentar reaproveitar a última "vazia" recente
     const cooldownSec = LIMITS.SESSAO_COOLDOWN_SEC;
-    const { data: ultimaSessao, error: errUlt } = await supabase
-      .from('sessoes')
-      .select('id, user_id, data_sessao, status, encerrada_em, resumo')
-      .eq('user_id', user_id)
-      .order('data_sessao', { ascending: false })
-      .limit(1)
-      .maybeSingle();
+    const { data: ultimaSessao, error: errUlt } = await repos.sessoes.buscarUltima(
+      user_id,
+      'id, user_id, data_sessao, status, encerrada_em, resumo'
+    );
     if (errUlt) return res.status(500).json({ erro: 'Erro ao buscar última sessão.' });
 
     if (ultimaSessao && ultimaSessao.id && ultimaSessao.data_sessao) {
@@ -920,18 +1853,12 @@ app.post('/nova-sessao', async (req, res) => {
 
       if (ageSec <= cooldownSec) {
         // contar mensagens para decidir se é "vazia"
-        const { count, error: errCount } = await supabase
-          .from('mensagens_sessao')
-          .select('id', { count: 'exact', head: true })
-          .eq('sessao_id', ultimaSessao.id);
+        const { count, error: errCount } = await repos.mensagens.contarPorSessao(ultimaSessao.id);
 
         if (!errCount && (count ?? 0) === 0) {
           // se estiver encerrada, re-abrir
           if (ultimaSessao.status !== 'aberta') {
-            const { error: errReopen } = await supabase
-              .from('sessoes')
-              .update({ status: 'aberta', encerrada_em: null })
-              .eq('id', ultimaSessao.id);
+            const { error: errReopen } = await repos.sessoes.atualizar(ultimaSessao.id, { status: 'aberta', encerrada_em: null });
             if (errReopen) return res.status(500).json({ erro: 'Falha ao reabrir sessão recente.' });
             ultimaSessao.status = 'aberta';
             ultimaSessao.encerrada_em = null;
@@ -949,21 +1876,12 @@ app.post('/nova-sessao', async (req, res) => {
       status: 'aberta'
     };
 
-    const { data: nova, error: insertErr } = await supabase
-      .from('sessoes')
-      .insert([novaPayload])
-      .select()
-      .single();
+    const { data: nova, error: insertErr } = await repos.sessoes.criar(novaPayload);
 
     // 4) Fallback contra corrida: se deu conflito/unique, tente buscar a aberta e retornar
     if (insertErr) {
       if (insertErr.code === '23505' || /unique/i.test(insertErr.message || '')) {
-        const { data: existente } = await supabase.from('sessoes')
-          .select('*')
-          .eq('user_id', user_id).eq('status', 'aberta')
-          .order('data_sessao', { ascending: false })
-          .limit(1)
-          .maybeSingle();
+        const { data: existente } = await repos.sessoes.buscarAberta(user_id);
         if (existente) return okJson(req, res, { mensagem: 'Sessão aberta reaproveitada (race)', sessao: existente });
         return res.status(500).json({ erro: 'Erro ao recuperar sessão aberta após conflito.' });
       }
@@ -975,16 +1893,14 @@ app.post('/nova-sessao', async (req, res) => {
     console.error('[EXC /nova-sessao]', e);
     res.status(500).json({ erro: 'Erro inesperado ao criar nova sessão.' });
   }
-});
+}));
 
-app.get('/sessao-aberta/:user_id', async (req, res) => {
+app.get('/sessao-aberta/:user_id', requireAuth, async (req, res) => {
   const { user_id } = req.params;
   if (!user_id) return res.status(400).json({ erro: 'Informe user_id.' });
 
   try {
-    const { data, error } = await supabase.from('sessoes').select('*')
-      .eq('user_id', user_id).eq('status', 'aberta')
-      .order('data_sessao', { ascending: false }).limit(1).maybeSingle();
+    const { data, error } = await repos.sessoes.buscarAberta(user_id);
     if (error) return res.status(500).json({ erro: 'Erro ao buscar sessão aberta.' });
     if (!data) return res.status(404).json({ erro: 'Sem sessão aberta.' });
     okJson(req, res, { sessao: data });
@@ -995,19 +1911,19 @@ app.get('/sessao-aberta/:user_id', async (req, res) => {
 
 
 // Detalhe de uma sessão por ID (usado pelo front para validar/retomar)
-app.get('/sessao/:sessao_id', async (req, res) => {
+app.get('/sessao/:sessao_id', requireAuth, async (req, res) => {
   const { sessao_id } = req.params;
   if (!sessao_id) return res.status(400).json({ error: 'sessao_id obrigatório' });
 
   try {
-    const { data, error } = await supabase
-      .from('sessoes')
-      .select('id, user_id, status, data_sessao, encerrada_em, resumo, tags_tema, tags_risco')
-      .eq('id', sessao_id)
-      .maybeSingle();
+    const { data, error } = await repos.sessoes.buscarPorId(
+      sessao_id,
+      'id, user_id, status, data_sessao, encerrada_em, resumo, tags_tema, tags_risco'
+    );
 
     if (error) return res.status(500).json({ error: 'Erro ao buscar sessão.' });
     if (!data) return res.status(404).json({ error: 'Sessão não encontrada.' });
+    if (String(data.user_id) !== req.user_id) return res.status(403).json({ error: 'Sessão não pertence ao usuário.' });
 
     okJson(req, res, { sessao: data });
   } catch (e) {
@@ -1018,31 +1934,32 @@ app.get('/sessao/:sessao_id', async (req, res) => {
 
 
 
-app.get('/sessoes/:user_id', async (req, res) => {
+app.get('/sessoes/:user_id', requireAuth, async (req, res) => {
   const { user_id } = req.params;
   if (!user_id) return res.status(400).json({ erro: 'Informe o user_id.' });
 
-  const { data, error } = await supabase.from('sessoes')
-    .select('id, data_sessao, resumo, tags_tema, tags_risco, sentimentos_reportados, status')
-    .eq('user_id', user_id).order('data_sessao', { ascending: false });
+  const { data, error } = await repos.sessoes.listarPorUsuario(user_id, {
+    campos: 'id, data_sessao, resumo, tags_tema, tags_risco, sentimentos_reportados, status',
+  });
   if (error) return res.status(500).json({ erro: 'Erro ao buscar sessões.' });
   okJson(req, res, { sessoes: data });
 });
 
 async function montarContextoCompleto(user_id) {
-  const { data: perfil } = await supabase.from('perfil_psicologico')
-    .select('tracos_personalidade, valores_declarados, notas_mentor').eq('user_id', user_id).single();
+  const { data: perfil } = await repos.perfil.buscarPerfil(user_id, 'tracos_personalidade, valores_declarados, notas_mentor');
 
-  const { data: eventos } = await supabase.from('eventos_vida')
-    .select('tipo_evento, descricao, data_evento').eq('user_id', user_id)
-    .order('data_evento', { ascending: false }).limit(3);
+  const { data: eventos } = await repos.perfil.listarEventosRecentes(user_id, {
+    campos: 'tipo_evento, descricao, data_evento', limite: 3,
+  });
 
-  const { data: vinculos } = await supabase.from('vinculos_usuario')
-    .select('tipo_vinculo, nome_real, apelidos_descricoes, marcador_emocional').eq('user_id', user_id);
+  const { data: todosVinculos } = await repos.vinculos.listarPorUsuario(
+    user_id, 'tipo_vinculo, nome_real, apelidos_descricoes, marcador_emocional, oculto, nao_e_pessoa'
+  );
+  const vinculos = (todosVinculos || []).filter(visivelNoContexto);
 
-  const { data: sessoes } = await supabase.from('sessoes')
-    .select('data_sessao, resumo, tags_tema, tags_risco').eq('user_id', user_id)
-    .order('data_sessao', { ascending: false }).limit(3);
+  const { data: sessoes } = await repos.sessoes.listarPorUsuario(user_id, {
+    campos: 'data_sessao, resumo, tags_tema, tags_risco', limite: 3,
+  });
 
   let contexto = '';
   contexto += `Perfil do Usuário:\n`;
@@ -1064,13 +1981,13 @@ async function montarContextoCompleto(user_id) {
 
   contexto += `Últimas sessões:\n`;
   (sessoes || []).forEach(sessao => {
-    contexto += `- ${new Date(sessao.data_sessao).toLocaleDateString()}: "${sessao.resumo}" | Temas: ${sessao.tags_tema?.join(', ') || '-'} | Riscos: ${sessao.tags_risco?.join(', ') || '-'}\n`;
+    contexto += `- ${new Date(sessao.data_sessao).toLocaleDateString()}: "${sessao.resumo}" | Temas: ${sessao.tags_tema?.map(rotuloTema).join(', ') || '-'} | Riscos: ${sessao.tags_risco?.join(', ') || '-'}\n`;
   });
 
   return contexto;
 }
 
-app.get('/contexto/:user_id', async (req, res) => {
+app.get('/contexto/:user_id', requireAuth, async (req, res) => {
   const { user_id } = req.params;
   if (!user_id) return res.status(400).json({ erro: 'Informe o user_id.' });
   try {
@@ -1081,22 +1998,335 @@ app.get('/contexto/:user_id', async (req, res) => {
   }
 });
 
-async function buscarResumosSemelhantes(supabaseClient, openaiClient, user_id, textoConsulta, nResultados = 3) {
-  if (!FLAGS.RAG_ENABLED) return [];
-  const embeddingResponse = await openaiClient.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: textoConsulta,
+/* ========= IA (com logging em prompt_logs) ========= */
+const cut = (txt = '', max = 800) => String(txt).slice(0, max);
+const cutLines = (arr = [], maxLines = 10, maxPerLine = 180) =>
+  arr.slice(-maxLines).map(l => cut(l, maxPerLine));
+
+// toda chamada de embedding passa por aqui para entrar em messages_usage (com custo)
+async function embedComUso({ input, purpose, user_id = null, sessao_id = null }) {
+  const t0 = Date.now();
+  const resp = await llm.embed({ input, purpose });
+  await logUsageToSupabase({
+    user_id,
+    sessao_id,
+    model: resp.model || llm.modelos.embedding,
+    usage: { prompt_tokens: resp.usage?.prompt_tokens || 0, completion_tokens: 0, total_tokens: resp.usage?.total_tokens || 0 },
+    response_id: null,
+    latency_ms: Date.now() - t0,
+    metadata: { purpose, itens: Array.isArray(input) ? input.length : 1 },
+  });
+  return resp;
+}
+
+async function taggearComUso(mensagem, { user_id = null, sessao_id = null } = {}) {
+  const t0 = Date.now();
+  const { tags, completion, template, pedido } = await taggearMensagem(llm, prompts, mensagem, { user_id });
+  const latency_ms = Date.now() - t0;
+  if (completion?.usage) {
+    await logUsageToSupabase({
+      user_id,
+      sessao_id,
+      model: completion?.model || llm.modelos.tagger,
+      usage: completion.usage,
+      response_id: getResponseId(completion),
+      latency_ms,
+      metadata: { purpose: 'tagger', prompt_template: template?.nome, prompt_versao: template?.versao },
+    });
+  }
+  await logPromptToSupabase({
+    user_id,
+    sessao_id,
+    model: completion?.model || llm.modelos.tagger,
+    purpose: 'tagger',
+    request_body: pedido,
+    response_body: completion,
+    status: 'ok',
+    latency_ms,
+    input_tokens: completion?.usage?.prompt_tokens ?? null,
+    output_tokens: completion?.usage?.completion_tokens ?? null,
+    user_message_text: mensagem,
+    template,
+  });
+  return tags;
+}
+
+// null se o provedor falhar: o /ia segue só com tags (e sem memórias)
+async function embeddingDoTexto(texto, { user_id = null, sessao_id = null } = {}) {
+  try {
+    const resp = await embedComUso({ input: texto, purpose: 'embedding_mensagem', user_id, sessao_id });
+    return resp.data?.[0]?.embedding || null;
+  } catch (e) {
+    console.error('[embeddings] falha ao gerar embedding:', e.message);
+    return null;
+  }
+}
+
+// Passos 1-8 do /ia: monta system + contexto do assistant + mensagem do usuário
+async function montarPromptIA({ user_id, sessao_id, mensagem }) {
+  // 1) Tags + conteúdo-base (tag + similaridade com a mensagem)
+  const tagsTema = await tracer.comSpan('ia.tagger', {}, () => taggearComUso(mensagem, { user_id, sessao_id }));
+  const embeddingMensagem = (FLAGS.RAG_ENABLED || FLAGS.CONTENT_SEMANTIC_ENABLED)
+    ? await tracer.comSpan('ia.embedding_mensagem', {}, () => embeddingDoTexto(mensagem, { user_id, sessao_id }))
+    : null;
+  const conteudosBase = await tracer.comSpan('ia.conteudo_base', { tags: (tagsTema || []).join(',') }, () => buscarConteudoRelevante(repos.conteudo, {
+    tags: tagsTema,
+    embedding: FLAGS.CONTENT_SEMANTIC_ENABLED ? embeddingMensagem : null,
+    n: CONTEUDO_RAG.MAX_ITENS,
+    pesoTag: CONTEUDO_RAG.PESO_TAG,
+    pesoSimilaridade: CONTEUDO_RAG.PESO_SIMILARIDADE,
+    scoreMinimo: CONTEUDO_RAG.SCORE_MINIMO,
+  }));
+
+  let contextoAlan = 'Conteúdo-base do Alan (compacto):\n';
+  if (conteudosBase && conteudosBase.length > 0) {
+    conteudosBase.forEach((item, i) => {
+      const bloco = [
+        item?.conceito ? `• Conceito: ${item.conceito}` : null,
+        item?.ferramentas_exercicios ? `• Ferramenta: ${item.ferramentas_exercicios}` : null,
+        item?.frases_citacoes ? `• Citação: ${item.frases_citacoes}` : null,
+      ].filter(Boolean).join('\n');
+      if (bloco) contextoAlan += `${i + 1}) Tema: ${rotuloTema(item.tema)}\n${cut(bloco, 350)}\n`;
+    });
+  } else {
+    contextoAlan += '• Sem referências específicas aplicáveis.\n';
+  }
+  contextoAlan = cut(contextoAlan, 700);
+
+  // 2) Histórico recente
+  const { data: histU } = await tracer.comSpan('ia.historico', {}, () => repos.mensagens.listarPorSessao(sessao_id, 'texto_mensagem, origem, data_mensagem'));
+
+  const histTurnos = (histU || [])
+    .map(m => `${m.origem === 'usuario' ? 'U' : 'B'}: ${m.texto_mensagem}`.replace(/\s+/g, ' '));
+  const histCompacto = cutLines(histTurnos, 10, 180).join('\n');
+  const contextoConversa = `Histórico recente (compacto):\n${histCompacto || '—'}\n`;
+
+  // 3) Memórias (RAG) — respeita flag
+  const memorias = FLAGS.RAG_ENABLED
+    ? await tracer.comSpan('ia.memorias', {}, () => buscarMemorias(repos.embeddings, repos.sessoes, {
+      user_id,
+      embedding: embeddingMensagem,
+      n: MEMORIA.MAX_ITENS,
+      meiaVidaDias: MEMORIA.MEIA_VIDA_DIAS,
+      pesoRecencia: MEMORIA.PESO_RECENCIA,
+      similaridadeMinima: MEMORIA.SIMILARIDADE_MINIMA,
+      incluirTrechos: MEMORIA.TRECHOS_ENABLED,
+    }))
+    : [];
+  const contextoMemorias = montarBlocoMemorias(memorias);
+
+  // 4) Vínculos citados
+  const vinculosContexto = await tracer.comSpan('ia.vinculos', {}, async () => {
+    const nomesOuApelidos = await nomesConhecidosNoTexto(user_id, mensagem);
+    return selecionarVinculosParaContexto(user_id, nomesOuApelidos);
   });
-  const novoEmbedding = embeddingResponse.data[0].embedding;
-  const { data, error } = await supabaseClient.rpc('buscar_resumos_semelhantes', {
-    uid: user_id, query_embedding: novoEmbedding, n: nResultados,
+  const blocoVinculos = cut(montarBlocoVinculos(vinculosContexto), 700);
+
+  // 5) Moldura do usuário
+  const moldura = cut(await tracer.comSpan('ia.contexto_completo', {}, () => montarContextoCompleto(user_id)), 1000);
+
+  // 6) System prompt (versão sorteada por usuário)
+  const { texto: systemMsg, template } = await tracer.comSpan('ia.prompt_sistema', {}, () => prompts.renderizar('alan_sistema', {}, { user_id }));
+
+  // 7) Contexto do assistant
+  const assistantContext = [
+    contextoConversa,
+    contextoMemorias,
+    'PESSOAS E RELAÇÕES (compacto):',
+    blocoVinculos,
+    'MOLDURA DO USUÁRIO:',
+    moldura,
+    contextoAlan
+  ].filter(Boolean).join('\n\n').trim();
+
+  // 8) Payload da chamada ao modelo
+  const messagesPayload = [
+    { role: 'system', content: systemMsg },
+    { role: 'assistant', content: assistantContext },
+    { role: 'user', content: mensagem },
+  ];
+
+  const conteudos = conteudosBase.map(({ id, tema, score }) => ({ id, tema, score }));
+  const memoriasUsadas = memorias.map(({ tipo, sessao_id, data, score }) => ({ tipo, sessao_id, data, score }));
+  return { systemMsg, assistantContext, messagesPayload, template, conteudos, memorias: memoriasUsadas };
+}
+
+// usage + prompt_logs + persistência da resposta do bot (comum ao JSON e ao stream)
+async function registrarRespostaIA({ user_id, sessao_id, modelChat, messagesPayload, template, conteudo_ids = [], completion, latency_ms, mensagem, resposta, mencao }) {
+  if (completion?.usage && user_id && sessao_id) {
+    await logUsageToSupabase({
+      user_id,
+      sessao_id,
+      model: completion?.model || modelChat,
+      usage: completion.usage,
+      response_id: getResponseId(completion),
+      latency_ms,
+      metadata: { purpose: 'ia_chat', prompt_template: template?.nome, prompt_versao: template?.versao, conteudo_ids },
+    });
+  }
+
+  // >>> LOG EM prompt_logs
+  await logPromptToSupabase({
+    user_id,
+    sessao_id,
+    model: completion?.model || modelChat,
+    purpose: 'chat_reply',
+    request_body: { model: modelChat, temperature: 0.3, max_tokens: 600, messages: messagesPayload },
+    response_body: completion,
+    status: 'ok',
+    latency_ms,
+    input_tokens: completion?.usage?.prompt_tokens ?? null,
+    output_tokens: completion?.usage?.completion_tokens ?? null,
+    user_message_text: mensagem,
+    assistant_text: resposta,
+    template,
+    conteudo_ids
   });
-  if (error) { console.error('Erro na busca vetorial:', error); return []; }
-  return data;
+
+  // 9) Persistência controlada por flag
+  if (FLAGS.MEMORY_WRITE_ENABLED) {
+    const { error: insertMsgErr } = await repos.mensagens.criar({ sessao_id, user_id, texto_mensagem: resposta, origem: 'bot' });
+    if (insertMsgErr) throw insertMsgErr;
+
+    // vínculos citados na fala do usuário: fora do caminho da resposta
+    await fila.enfileirar('vinculos_mensagem', { user_id, sessao_id, texto: mensagem, mencao_id: mencao.id, data_mencao: mencao.data },
+      { chave: `vinculos_mensagem:${mencao.id}` })
+      .catch(e => console.error('[jobs] vinculos_mensagem não enfileirado:', e.message));
+  }
 }
 
-/* ========= IA (com logging em prompt_logs) ========= */
-app.post('/ia', async (req, res) => {
+function iniciarSSE(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // nginx/Render não bufferizar
+  res.flushHeaders();
+}
+
+function sseSend(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Variante SSE do /ia: eventos `token` (delta), `done` (resposta final) e `error`
+async function responderIAStream(req, res, { user_id, sessao_id, mensagem, modelChat, messagesPayload, template, conteudo_ids }) {
+  iniciarSSE(res);
+
+  // cliente fechou a aba/conexão: cancela a geração no provedor
+  const ac = new AbortController();
+  let clienteSaiu = false;
+  res.on('close', () => {
+    if (!res.writableEnded) { clienteSaiu = true; ac.abort(); }
+  });
+
+  const t0 = Date.now();
+  let resposta = '';
+  let meta = { id: null, model: null, usage: null, finish_reason: null };
+
+  try {
+    const stream = await llm.chatStream(
+      {
+        purpose: 'ia_chat',
+        model: modelChat,
+        temperature: 0.3,
+        max_tokens: 600,
+        messages: messagesPayload,
+      },
+      { timeout: LIMITS.PROVIDER_TIMEOUT_MS, signal: ac.signal }
+    );
+
+    for await (const chunk of stream) {
+      meta.id = meta.id || chunk.id || null;
+      meta.model = meta.model || chunk.model || null;
+      if (chunk.usage) meta.usage = chunk.usage;
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) meta.finish_reason = choice.finish_reason;
+      const delta = choice?.delta?.content;
+      if (delta) {
+        resposta += delta;
+        sseSend(res, 'token', { delta });
+      }
+    }
+  } catch (error) {
+    if (!clienteSaiu) throw error;
+  }
+  const latency_ms = Date.now() - t0;
+
+  if (clienteSaiu) {
+    // resposta parcial não vai para mensagens_sessao; só registra o abandono
+    await logPromptToSupabase({
+      user_id,
+      sessao_id,
+      model: meta.model || modelChat,
+      purpose: 'chat_reply',
+      request_body: { model: modelChat, temperature: 0.3, max_tokens: 600, messages: messagesPayload, stream: true },
+      response_body: { id: meta.id, model: meta.model, usage: meta.usage },
+      status: 'aborted',
+      error_message: 'client_disconnected',
+      latency_ms,
+      user_message_text: mensagem,
+      assistant_text: resposta,
+      template,
+      conteudo_ids
+    });
+    finalizeLog(req, res);
+    return;
+  }
+
+  resposta = resposta.trim();
+  const completion = {
+    id: meta.id,
+    model: meta.model,
+    usage: meta.usage,
+    choices: [{ finish_reason: meta.finish_reason }],
+  };
+  await tracer.comSpan('ia.registrar_resposta', {}, () => registrarRespostaIA({ user_id, sessao_id, modelChat, messagesPayload, template, conteudo_ids, completion, latency_ms, mensagem, resposta, mencao: { id: req.request_id, data: req.recebido_em } }));
+
+  const payload = { resposta, request_id: req.request_id, conteudo_ids };
+  memorizarResposta(req, payload);
+
+  sseSend(res, 'done', payload);
+  res.end();
+  finalizeLog(req, res);
+}
+
+// Risco acima do limiar: resposta de segurança fixa no lugar da persona do mentor
+async function responderProtocoloCrise(req, res, { user_id, sessao_id, mensagem, risco, streamOn }) {
+  const resposta = montarRespostaSeguranca(RISCO.TEMPLATE, RISCO.RECURSOS);
+
+  if (FLAGS.MEMORY_WRITE_ENABLED) {
+    const { error: insertMsgErr } = await repos.mensagens.criar({ sessao_id, user_id, texto_mensagem: resposta, origem: 'bot' });
+    if (insertMsgErr) throw insertMsgErr;
+  }
+
+  await logPromptToSupabase({
+    user_id,
+    sessao_id,
+    model: null,
+    purpose: 'crisis_protocol',
+    request_body: { messages: [{ role: 'user', content: mensagem }] },
+    response_body: null,
+    status: 'ok',
+    latency_ms: 0,
+    user_message_text: mensagem,
+    assistant_text: resposta
+  });
+
+  const payload = { resposta, request_id: req.request_id, protocolo_crise: true, riscos: risco.tags };
+  memorizarResposta(req, payload);
+
+  if (streamOn) {
+    iniciarSSE(res);
+    sseSend(res, 'token', { delta: resposta });
+    sseSend(res, 'done', payload);
+    res.end();
+    return finalizeLog(req, res);
+  }
+  okJson(req, res, payload);
+}
+
+app.post('/ia', requireAuth, exigirCota, idempotente(async (req, res) => {
   const { user_id, sessao_id, mensagem } = req.body;
   if (!user_id || !sessao_id || !mensagem) {
     return res.status(400).json({ erro: 'Informe user_id, sessao_id e mensagem.' });
@@ -1104,14 +2334,13 @@ app.post('/ia', async (req, res) => {
 
   // 0) Verifica status da sessão antes de qualquer coisa
   try {
-    const { data: sess, error: errSess } = await supabase
-      .from('sessoes')
-      .select('id, status')
-      .eq('id', sessao_id)
-      .maybeSingle();
+    const { data: sess, error: errSess } = await repos.sessoes.buscarPorId(sessao_id, 'id, user_id, status');
 
     if (errSess) return res.status(500).json({ erro: 'Erro ao consultar sessão.' });
     if (!sess) return res.status(404).json({ erro: 'Sessão não encontrada.' });
+    if (String(sess.user_id) !== String(user_id)) {
+      return res.status(403).json({ erro: 'Sessão não pertence ao usuário.' });
+    }
 
     if (String(sess.status || '').toLowerCase() !== 'aberta') {
       // trava dura: não responde em sessão encerrada
@@ -1126,96 +2355,30 @@ app.post('/ia', async (req, res) => {
   }
 
   const debugOn = String(req.query.debug || process.env.DEBUG_API || '') === '1';
+  const streamOn = String(req.get('accept') || '').includes('text/event-stream');
   const safeLen = (s) => String(s || '').length;
-  const cut = (txt = '', max = 800) => String(txt).slice(0, max);
-  const cutLines = (arr = [], maxLines = 10, maxPerLine = 180) =>
-    arr.slice(-maxLines).map(l => cut(l, maxPerLine));
-
-  const modelChat = process.env.LLM_MODEL || 'gpt-4o';
-
-  try {
-    // 1) Tags + conteúdo-base
-    const tagsTema = await taggearMensagem(openai, mensagem);
-    const conteudosBase = await buscarConteudoBasePorTags(supabase, tagsTema);
-
-    let contextoAlan = 'Conteúdo-base do Alan (compacto):\n';
-    if (conteudosBase && conteudosBase.length > 0) {
-      conteudosBase.slice(0, 3).forEach((item, i) => {
-        const bloco = [
-          item?.conceito ? `• Conceito: ${item.conceito}` : null,
-          item?.ferramentas_exercicios ? `• Ferramenta: ${item.ferramentas_exercicios}` : null,
-          item?.frases_citacoes ? `• Citação: ${item.frases_citacoes}` : null,
-        ].filter(Boolean).join('\n');
-        if (bloco) contextoAlan += `${i + 1}) Tema: ${item.tema}\n${cut(bloco, 350)}\n`;
-      });
-    } else {
-      contextoAlan += '• Sem referências específicas aplicáveis.\n';
-    }
-    contextoAlan = cut(contextoAlan, 700);
-
-    // 2) Histórico recente
-    const { data: histU } = await supabase.from('mensagens_sessao')
-      .select('texto_mensagem, origem, data_mensagem')
-      .eq('sessao_id', sessao_id)
-      .order('data_mensagem', { ascending: true });
-
-    const histTurnos = (histU || [])
-      .map(m => `${m.origem === 'usuario' ? 'U' : 'B'}: ${m.texto_mensagem}`.replace(/\s+/g, ' '));
-    const histCompacto = cutLines(histTurnos, 10, 180).join('\n');
-    const contextoConversa = `Histórico recente (compacto):\n${histCompacto || '—'}\n`;
-
-    // 3) Memórias (RAG) — respeita flag
-    const memorias = await buscarResumosSemelhantes(supabase, openai, user_id, mensagem, 3);
-    const contextoMemorias =
-      memorias && memorias.length
-        ? 'Memórias relevantes:\n' + cutLines(memorias.map(m => `• ${m.resumo}`), 3, 220).join('\n') + '\n'
-        : 'Memórias relevantes:\n—\n';
-
-    // 4) Vínculos citados
-    const nomesOuApelidos = await processarVinculosUsuario(mensagem, user_id, sessao_id);
-    const vinculosContexto = await selecionarVinculosParaContexto(user_id, nomesOuApelidos);
-    const blocoVinculos = cut(montarBlocoVinculos(vinculosContexto), 700);
-
-    // 5) Moldura do usuário
-    const moldura = cut(await montarContextoCompleto(user_id), 1000);
-
-    // 6) System prompt
-    const systemMsg = `
-    Você é a versão virtual de Alan Fernandes, mentor de autoconhecimento, desenvolvimento humano e de estratégias de comportamento e comunicação. Sua missão é ser a presença digital do Alan, oferecendo escuta profunda, acolhimento verdadeiro com empatia, sabedoria e conhecimento de forma prática, e uma energia vibrante e contagiante, que desperta no usuário a vontade real de se transformar em sua melhor versão, para guiar o usuário em processos de autoconhecimento com foco em liberdade emocional e desenvolvimento de habilidades para performar melhor em todas as áreas da vida.
-    Seu objetivo é acolher, ouvir, provocar reflexões transformadoras, estimular ações conscientes e focadas na resolução de problemas e conflitos, estimular soluções para problemas pessoais e de performance, dar orientações sobre aperfeiçoamento comportamental, dar instruções sobre aprimoramento de habilidades sociais e desenvolvimento de comunicação autêntica influente, proporcionar um processo de autoconhecimento para aumentar a permissão do usuário em se desenvolver e ser livre para ser ele mesmo. Sua presença deve transmitir muita clareza, confiança e uma energia positiva que impulsiona o usuário a se sentir mais forte e esperançoso após cada interação. Sua atuação deve estabelecer uma atmosfera de motivação segura, onde o usuário se sinta energizado e guiado.
-    Diretrizes comportamentais:
-    - Faça uma pergunta de cada vez, apenas quando houver necessidade de aprofundar o tema ou quando o usuário demonstrar abertura para continuar a reflexão.  
-    - Reconheça quando o usuário chega a uma conclusão ou faz uma afirmação clara, podendo apenas validar e encerrar a fala sem acrescentar nova pergunta.  
-    - Evite encerrar todas as respostas com “em que mais posso ajudar?” ou com perguntas desnecessárias. Use o silêncio e a pausa como parte natural da conversa, aguardando o próximo input do usuário.  
-    - Antes de propor soluções, pergunte se o usuário está pronto para receber orientações práticas ou se prefere continuar investigando a causa do problema.  
-    - Ao oferecer técnicas ou ferramentas, desenvolva com clareza conceitual, base científica e exemplos práticos.  
-    - Nunca insista, acompanhe o tempo e o ritmo do usuário.  
-    - Quando perceber que a conversa chegou a um fechamento natural, faça uma breve síntese do que o usuário trouxe e valide a clareza ou decisão que ele alcançou.  
-    - Sempre que possível, incentive o usuário a sair da interação com uma ação concreta, mesmo pequena, que reforce o aprendizado ou a decisão tomada.  
-    - Esse fechamento pode variar em estilo (reflexivo, encorajador, objetivo), mas deve transmitir naturalidade e motivação, sem soar forçado ou repetitivo.  
-    `.trim();
-
-    // 7) Contexto do assistant
-    const assistantContext = [
-      contextoConversa,
-      contextoMemorias,
-      'PESSOAS E RELAÇÕES (compacto):',
-      blocoVinculos,
-      'MOLDURA DO USUÁRIO:',
-      moldura,
-      contextoAlan
-    ].filter(Boolean).join('\n\n').trim();
 
-    // 8) Chamada ao modelo
-    const messagesPayload = [
-      { role: 'system', content: systemMsg },
-      { role: 'assistant', content: assistantContext },
-      { role: 'user', content: mensagem },
-    ];
+  const modelChat = llm.modelos.chat;
+
+  try {
+    // Risco em tempo real antes de montar o prompt
+    const risco = await tracer.comSpan('ia.risco', {}, () => avaliarRiscoMensagem({ user_id, sessao_id, mensagem, rota: '/ia' }));
+    if (risco.protocolo) {
+      return await responderProtocoloCrise(req, res, { user_id, sessao_id, mensagem, risco, streamOn });
+    }
+
+    const { systemMsg, assistantContext, messagesPayload, template, conteudos, memorias } = await tracer.comSpan('ia.montar_prompt', {}, () => montarPromptIA({ user_id, sessao_id, mensagem }));
+    const conteudo_ids = conteudos.map(c => c.id);
 
+    if (streamOn) {
+      return await responderIAStream(req, res, { user_id, sessao_id, mensagem, modelChat, messagesPayload, template, conteudo_ids });
+    }
+
+    // 8) Chamada ao modelo
     const t0 = Date.now();
-    const completion = await openai.chat.completions.create(
+    const completion = await llm.chat(
       {
+        purpose: 'ia_chat',
         model: modelChat,
         temperature: 0.3,
         max_tokens: 600,
@@ -1225,46 +2388,12 @@ app.post('/ia', async (req, res) => {
     );
     const latency_ms = Date.now() - t0;
 
-    if (completion?.usage && user_id && sessao_id) {
-      await logUsageToSupabase({
-        user_id,
-        sessao_id,
-        model: completion?.model || modelChat,
-        usage: completion.usage,
-        response_id: getResponseId(completion),
-        latency_ms,
-        metadata: { purpose: 'ia_chat' },
-      });
-    }
-
     const resposta = completion.choices?.[0]?.message?.content?.trim() || '';
 
-    // >>> LOG EM prompt_logs
-    await logPromptToSupabase({
-      user_id,
-      sessao_id,
-      model: completion?.model || modelChat,
-      purpose: 'chat_reply',
-      request_body: { model: modelChat, temperature: 0.3, max_tokens: 600, messages: messagesPayload },
-      response_body: completion,
-      status: 'ok',
-      latency_ms,
-      input_tokens: completion?.usage?.prompt_tokens ?? null,
-      output_tokens: completion?.usage?.completion_tokens ?? null,
-      user_message_text: mensagem,
-      assistant_text: resposta
-    });
-
-    // 9) Persistência controlada por flag
-    if (FLAGS.MEMORY_WRITE_ENABLED) {
-      const { error: insertMsgErr } = await supabase
-        .from('mensagens_sessao')
-        .insert([{ sessao_id, user_id, texto_mensagem: resposta, origem: 'bot' }]);
-      if (insertMsgErr) throw insertMsgErr;
-    }
+    await tracer.comSpan('ia.registrar_resposta', {}, () => registrarRespostaIA({ user_id, sessao_id, modelChat, messagesPayload, template, conteudo_ids, completion, latency_ms, mensagem, resposta, mencao: { id: req.request_id, data: req.recebido_em } }));
 
     // 10) Resposta + debug opcional (somente no payload de resposta, não em logs)
-    const payload = { resposta, request_id: req.request_id };
+    const payload = { resposta, request_id: req.request_id, conteudo_ids };
     if (debugOn) {
       payload.debug = {
         usage: completion.usage || null,
@@ -1278,13 +2407,15 @@ app.post('/ia', async (req, res) => {
           assistant: truncateText(assistantContext),
           user: truncateText(mensagem),
         },
+        template: template.id,
+        conteudos,
+        memorias,
+        // etapas do pipeline (spans) com início relativo à request e duração
+        tempos: tracer.resumoAtual(),
       };
     }
 
-    // Debounce cache fill
-    if (req._debounceKey) {
-      recentRequests.set(req._debounceKey, { ts: Date.now(), response: payload });
-    }
+    memorizarResposta(req, payload);
 
     okJson(req, res, payload);
   } catch (error) {
@@ -1292,9 +2423,9 @@ app.post('/ia', async (req, res) => {
       await logPromptToSupabase({
         user_id,
         sessao_id,
-        model: process.env.LLM_MODEL || 'gpt-4o',
+        model: modelChat,
         purpose: 'chat_reply',
-        request_body: { model: process.env.LLM_MODEL || 'gpt-4o', messages: [] },
+        request_body: { model: modelChat, messages: [] },
         response_body: { error: String(error?.message || error) },
         status: 'error',
         error_message: String(error?.message || error),
@@ -1304,12 +2435,19 @@ app.post('/ia', async (req, res) => {
     } catch (e2) {
       console.error('[prompt_logs] falhou ao logar erro:', e2);
     }
+    if (streamOn && res.headersSent) {
+      // já em SSE: avisa pelo próprio stream em vez de JSON
+      sseSend(res, 'error', { error_code: 'INTERNAL', message: 'Erro ao gerar resposta da IA.', request_id: req.request_id });
+      res.end();
+      console.error('[EXC /ia stream]', error);
+      return finalizeLog(req, res);
+    }
     errorJson(req, res, error, 'Erro ao gerar resposta da IA.');
   }
-});
+}));
 
 
-app.post('/mensagem', async (req, res) => {
+app.post('/mensagem', requireAuth, idempotente(async (req, res) => {
   const { sessao_id, user_id, texto_mensagem, origem } = req.body;
   if (!sessao_id || !user_id || !texto_mensagem) {
     return res.status(400).json({ error: 'Campos obrigatórios faltando' });
@@ -1317,11 +2455,7 @@ app.post('/mensagem', async (req, res) => {
 
   try {
     // 1) valida sessão e status
-    const { data: sess, error: errSess } = await supabase
-      .from('sessoes')
-      .select('id, user_id, status')
-      .eq('id', sessao_id)
-      .single();
+    const { data: sess, error: errSess } = await repos.sessoes.buscarPorId(sessao_id, 'id, user_id, status');
 
     if (errSess || !sess) {
       return res.status(404).json({ error: 'Sessão não encontrada', status_atual: null });
@@ -1335,32 +2469,45 @@ app.post('/mensagem', async (req, res) => {
     }
 
     // 2) persiste mensagem
-    const { data, error } = await supabase.from('mensagens_sessao').insert([{
+    const { data, error } = await repos.mensagens.criar({
       sessao_id, user_id, texto_mensagem, origem: origem || 'usuario',
-    }]);
+    });
     if (error) throw error;
 
-    // 3) memória/vínculos (opcional por flag)
+    // 3) risco em tempo real (só fala do usuário)
+    const risco = (origem || 'usuario') === 'usuario'
+      ? await avaliarRiscoMensagem({ user_id, sessao_id, mensagem: texto_mensagem, rota: '/mensagem' })
+      : { protocolo: false };
+
+    // 4) memória/vínculos (opcional por flag) — roda como job
     if ((origem || 'usuario') === 'usuario' && FLAGS.MEMORY_WRITE_ENABLED) {
-      await processarVinculosUsuario(texto_mensagem, user_id, sessao_id);
+      await fila.enfileirar('vinculos_mensagem', { user_id, sessao_id, texto: texto_mensagem, mencao_id: data?.id || req.request_id, data_mencao: data?.data_mensagem || req.recebido_em },
+        { chave: `vinculos_mensagem:${data?.id || req.request_id}` })
+        .catch(e => console.error('[jobs] vinculos_mensagem não enfileirado:', e.message));
     }
 
     const payload = { success: true, mensagem: 'Mensagem salva!', data, request_id: req.request_id };
-    if (req._debounceKey) {
-      recentRequests.set(req._debounceKey, { ts: Date.now(), response: payload });
+    if (risco.protocolo) {
+      payload.protocolo_crise = true;
+      payload.recursos_crise = RISCO.RECURSOS;
     }
+    memorizarResposta(req, payload);
     okJson(req, res, payload, 201);
   } catch (error) {
     errorJson(req, res, error, error.message);
   }
-});
+}));
 
 
-app.get('/historico/:sessao_id', async (req, res) => {
+app.get('/historico/:sessao_id', requireAuth, async (req, res) => {
   const { sessao_id } = req.params;
   try {
-    const { data, error } = await supabase.from('mensagens_sessao')
-      .select('*').eq('sessao_id', sessao_id).order('data_mensagem', { ascending: true });
+    const { data: sess, error: errSess } = await repos.sessoes.buscarPorId(sessao_id, 'id, user_id');
+    if (errSess) throw errSess;
+    if (!sess) return res.status(404).json({ error: 'Sessão não encontrada' });
+    if (String(sess.user_id) !== req.user_id) return res.status(403).json({ error: 'Sessão não pertence ao usuário' });
+
+    const { data, error } = await repos.mensagens.listarPorSessao(sessao_id);
     if (error) throw error;
     okJson(req, res, { mensagens: data });
   } catch (error) {
@@ -1368,22 +2515,19 @@ app.get('/historico/:sessao_id', async (req, res) => {
   }
 });
 
-app.post('/finalizar-sessao', async (req, res) => {
+// sem exigirCota: a sessão sempre fecha; com a cota estourada só o resumo por LLM (e o que depende dele) fica de fora
+app.post('/finalizar-sessao', requireAuth, idempotente(async (req, res) => {
   const { sessao_id, user_id } = req.body;
   if (!sessao_id) return res.status(400).json({ error: 'sessao_id obrigatório' });
 
   try {
     // 0) valida sessão e status
-    const { data: sess, error: errSess } = await supabase
-      .from('sessoes')
-      .select('id, user_id, status')
-      .eq('id', sessao_id)
-      .single();
+    const { data: sess, error: errSess } = await repos.sessoes.buscarPorId(sessao_id, 'id, user_id, status');
 
     if (errSess || !sess) {
       return res.status(404).json({ error: 'Sessão não encontrada' });
     }
-    if (user_id && String(sess.user_id) !== String(user_id)) {
+    if (String(sess.user_id) !== String(user_id)) {
       return res.status(403).json({ error: 'Sessão não pertence ao usuário' });
     }
 
@@ -1392,143 +2536,210 @@ app.post('/finalizar-sessao', async (req, res) => {
       return okJson(req, res, { sucesso: true, ja_encerrada: true });
     }
 
-    // 1) busca mensagens (pode estar vazia)
-    const { data: mensagens, error } = await supabase
-      .from('mensagens_sessao')
-      .select('*')
-      .eq('sessao_id', sessao_id)
-      .order('data_mensagem', { ascending: true });
-    if (error) throw error;
+    // 1) resumo/tags, eventos de vida, perfil e embeddings rodam na fila (ver "Jobs pós-resposta");
+    //    enfileira antes de encerrar para que uma falha aqui deixe a sessão aberta para nova tentativa
+    const cota = await consultarCota(req, res);
+    const semLLM = !!cota?.excedido;
+    const job = await fila.enfileirar('resumo_sessao', { user_id: sess.user_id, sessao_id, sem_llm: semLLM }, { chave: `resumo_sessao:${sessao_id}` });
 
-    // 2) se há mensagens, gerar resumo/tags; se não, encerrar direto
-    let resumo = null, tags_tema = [], tags_risco = [];
-    if (mensagens && mensagens.length) {
-      const textoSessao = mensagens
-        .map(msg => (msg.origem === 'usuario' ? 'Usuário: ' : 'Bot: ') + msg.texto_mensagem)
-        .join('\n');
-
-      const listaTagsTema = [
-        'ansiedade e medo do futuro','autoconfianca e coragem para mundancas','autoconhecimento','autoestima e autovalor',
-        'autosabotagem e procrastinacao','carreira e prosperidade','carreira trabalho e prosperidade','comunicacao e assertividade',
-        'conflitos conjugais / amorosos','culpa perdao e reconciliacao','dependencia emocional','espiritualidade e conexao emocional',
-        'espiritualidade e conexao existencial','limites autonomia e assertividade','luto perdas e recomecos',
-        'medo ansiedade e gestao de emocoes dificeis','mudancas adaptacao e ciclos de vida','procrastinacao e gestao de tempo',
-        'proposito e sentido de vida','proposito realizacao e construcao de futuro','relacionamentos familiares',
-        'saude emocional e autocuidado','saude fisica autocuidado e corpo como aliado (saude cem)',
-        'sexualidade e autoaceitacao do prazer','traumas e feridas emocionais','vergonha medo de exposicao e aceitacao social',
-        'vulnerabilidade vergonha e autenticidade'
-      ];
-      const listaTagsRisco = [
-        'ideacao_suicida','autolesao','violencia_domestica_(sofrida_ou_praticada)','violencia_sexual','abuso_fisico_ou_psicologico',
-        'isolamento_extremo','desamparo_total_(sentimento_de_abandono,desesperanca_intensa)','ataques_de_panico_recorrentes',
-        'crise_psicotica/agitacao_grave','dependencia_quimica_ativa(com_risco_de_vida)','recusa_total_de_ajuda_diante_de_sofrimento_grave'
-      ];
-
-      const prompt = [
-        "Você é um mentor virtual. Analise o texto da sessão a seguir e faça:",
-        "",
-        "1. Escreva um resumo objetivo dos principais pontos da sessão com no máximo 750 palavras. Inclua: pergunta/dilema central; trechos literais das mensagens do usuário (ignore respostas do bot); síntese da sessão; compromissos e perguntas abertas.",
-        "2. Liste os temas abordados, escolhendo só 2 entre: " + String(listaTagsTema),
-        "3. Liste os riscos detectados, escolhendo entre: " + String(listaTagsRisco),
-        "",
-        "Sessão:",
-        '"""',
-        String(textoSessao || ""),
-        '"""',
-        "",
-        "Retorne APENAS JSON:",
-        '{"resumo":"...", "tags_tema":["...","..."], "tags_risco":["..."]}'
-      ].join("\n").trim();
-
-      const t0 = Date.now();
-      const completion = await openai.chat.completions.create(
-        {
-          model: process.env.LLM_MODEL || 'gpt-4o',
-          temperature: 0.2,
-          max_tokens: 600,
-          messages: [
-            { role: 'system', content: 'Você é um mentor virtual especialista em psicologia e autoconhecimento.' },
-            { role: 'user', content: prompt },
-          ],
-        },
-        { timeout: LIMITS.PROVIDER_TIMEOUT_MS }
-      );
-      const latency_ms = Date.now() - t0;
-
-      if (completion?.usage && user_id && sessao_id) {
-        await logUsageToSupabase({
-          user_id,
-          sessao_id,
-          model: completion?.model || (process.env.LLM_MODEL || 'gpt-4o'),
-          usage: completion.usage,
-          response_id: getResponseId(completion),
-          latency_ms,
-          metadata: { purpose: 'finalizar_sessao' },
-        });
-      }
+    // 2) encerra sessão (sempre)
+    const { error: updateError } = await repos.sessoes.atualizar(sessao_id, {
+      status: 'encerrada',
+      encerrada_em: new Date().toISOString()
+    });
+    if (updateError) throw updateError;
 
-      let conteudo = completion.choices?.[0]?.message?.content ?? "";
-      const BT = String.fromCharCode(96); // `
-      const FENCE = BT + BT + BT;
-      let c = String(conteudo || "");
-      const startsFence = c.slice(0, 3) === FENCE;
-      const firstNL = startsFence ? c.indexOf("\n") : -1;
-      c = startsFence ? (firstNL >= 0 ? c.slice(firstNL + 1) : c.slice(3)) : c;
-      const endsFence = c.slice(-3) === FENCE;
-      c = endsFence ? c.slice(0, -3) : c;
-      conteudo = c.trim();
-
-      const gptResposta = safeParseJSON(conteudo);
-      if (gptResposta) {
-        resumo = gptResposta.resumo || null;
-        tags_tema = Array.isArray(gptResposta.tags_tema) ? gptResposta.tags_tema : [];
-        tags_risco = Array.isArray(gptResposta.tags_risco) ? gptResposta.tags_risco : [];
-      }
-    }
+    // resumo/tags aparecem em GET /sessao/:sessao_id quando o job terminar
+    okJson(req, res, {
+      sucesso: true,
+      processamento: 'em_fila',
+      job_id: job.id,
+      status_url: `/sessao/${sessao_id}`,
+      ...(semLLM ? { resumo: false, motivo: 'QUOTA_EXCEEDED' } : {}),
+    }, 202);
+  } catch (error) {
+    errorJson(req, res, error, error.message);
+  }
+}));
+
+/* ========= Jobs pós-resposta ========= */
+// Cada handler lê o estado atual do banco (o payload só carrega ids) e lança em falha para
+// a fila tentar de novo; os que gravam em lote checam o que já foi feito numa tentativa anterior.
+// Jobs filhos vão com chave: nova tentativa de quem enfileira não duplica o filho.
+const enfileirarFilho = (enfileirar, tipo, payload) => enfileirar(tipo, payload, { chave: `${tipo}:${payload.sessao_id}` });
+
+// sem_llm (cota estourada ao encerrar): só consolida os riscos, sem resumo nem jobs que usam o modelo
+async function resumirSessao({ user_id, sessao_id, sem_llm = false }, { enfileirar }) {
+  const { data: sess, error: errSess } = await repos.sessoes.buscarPorId(sessao_id, 'id, user_id, resumo, tags_tema, tags_risco, resumo_gerado_em');
+  if (errSess) throw errSess;
+  if (!sess) throw Object.assign(new Error('sessão não existe mais'), { permanente: true });
+
+  // 1) busca mensagens (pode estar vazia)
+  const { data: mensagens, error } = await repos.mensagens.listarPorSessao(sessao_id);
+  if (error) throw error;
+
+  // 2) se há mensagens, gerar resumo/tags; se não, só consolida os riscos.
+  //    resumo_gerado_em = tentativa anterior passou do LLM e falhou depois: não gera (nem cobra) de novo
+  const jaGerado = !!sess.resumo_gerado_em;
+  let resumo = jaGerado ? sess.resumo : null, tags_tema = jaGerado ? (sess.tags_tema || []) : [], tags_risco = [];
+  if (mensagens && mensagens.length && !jaGerado && !sem_llm) {
+    const textoSessao = mensagens
+      .map(msg => (msg.origem === 'usuario' ? 'Usuário: ' : 'Bot: ') + msg.texto_mensagem)
+      .join('\n');
 
-    // 3) encerra sessão (sempre)
-    const { error: updateError } = await supabase
-      .from('sessoes')
-      .update({
-        resumo: resumo || null,
-        tags_tema: tags_tema || [],
-        tags_risco: tags_risco || [],
-        status: 'encerrada',
-        encerrada_em: new Date().toISOString()
-      })
-      .eq('id', sessao_id);
-    if (updateError) throw updateError;
+    const { texto: prompt, template } = await prompts.renderizar('resumo_sessao', {
+      tags_tema: listaTemasParaPrompt(),
+      tags_risco: String(TAGS_RISCO),
+      texto_sessao: String(textoSessao || ''),
+    }, { user_id });
 
-    // 4) opcional: salvar embedding só se houver resumo e RAG habilitado
-    if (FLAGS.RAG_ENABLED && resumo) {
-      const emb = await openai.embeddings.create({ model: 'text-embedding-3-small', input: resumo });
-      const embedding = emb.data[0].embedding;
-
-      const { data: sessaoInfo, error: sessaoError } = await supabase
-        .from('sessoes')
-        .select('user_id')
-        .eq('id', sessao_id)
-        .single();
-      if (!sessaoError && sessaoInfo) {
-        await supabase.from('session_embeddings').insert([{
-          user_id: sessaoInfo.user_id,
-          sessao_id,
-          resumo,
-          embedding
-        }]).then(({ error: embError }) => {
-          if (embError) console.error('[session_embeddings] insert error:', embError);
-        });
-      }
+    const t0 = Date.now();
+    const completion = await llm.chat(
+      {
+        purpose: 'finalizar_sessao',
+        model: llm.modelos.chat,
+        temperature: 0.2,
+        max_tokens: 600,
+        messages: [
+          { role: 'system', content: 'Você é um mentor virtual especialista em psicologia e autoconhecimento.' },
+          { role: 'user', content: prompt },
+        ],
+      },
+      { timeout: LIMITS.PROVIDER_TIMEOUT_MS }
+    );
+    const latency_ms = Date.now() - t0;
+
+    if (completion?.usage) {
+      await logUsageToSupabase({
+        user_id,
+        sessao_id,
+        model: completion?.model || llm.modelos.chat,
+        usage: completion.usage,
+        response_id: getResponseId(completion),
+        latency_ms,
+        metadata: { purpose: 'finalizar_sessao', prompt_template: template.nome, prompt_versao: template.versao },
+      });
     }
 
-    okJson(req, res, { sucesso: true, resumo, tags_tema, tags_risco });
-  } catch (error) {
-    errorJson(req, res, error, error.message);
+    const gptResposta = safeParseJSON(semCercaJson(completion.choices?.[0]?.message?.content));
+    if (gptResposta) {
+      resumo = gptResposta.resumo || null;
+      const temas = normalizarTemas(gptResposta.tags_tema);
+      if (temas.rejeitadas.length) console.warn('[finalizar] tags_tema fora da taxonomia descartadas:', temas.rejeitadas);
+      tags_tema = temas.ids;
+      tags_risco = Array.isArray(gptResposta.tags_risco) ? gptResposta.tags_risco : [];
+    }
   }
-});
+
+  // riscos sinalizados em tempo real durante a sessão não se perdem no resumo
+  tags_risco = uniqMerge(sess.tags_risco || [], tags_risco);
+
+  // 3) grava resumo/tags
+  const { error: updateError } = await repos.sessoes.atualizar(sessao_id, {
+    resumo: resumo || null,
+    tags_tema: tags_tema || [],
+    tags_risco: tags_risco || [],
+    resumo_gerado_em: sess.resumo_gerado_em || (sem_llm ? null : new Date().toISOString()),
+  });
+  if (updateError) throw updateError;
+
+  // 4) o resto depende do resumo/mensagens e falha (e tenta de novo) por conta própria
+  if (mensagens && mensagens.length && !sem_llm) {
+    await enfileirarFilho(enfileirar, 'eventos_vida', { user_id, sessao_id });
+    await enfileirarFilho(enfileirar, 'perfil_psicologico', { user_id, sessao_id });
+    if (FLAGS.RAG_ENABLED) await enfileirarFilho(enfileirar, 'memorias_sessao', { user_id, sessao_id });
+  }
+  return { resumo, tags_tema, tags_risco };
+}
+
+async function carregarSessaoParaJob(sessao_id) {
+  const [{ data: sess, error: errSess }, { data: mensagens, error: errMsg }] = await Promise.all([
+    repos.sessoes.buscarPorId(sessao_id, 'id, user_id, resumo'),
+    repos.mensagens.listarPorSessao(sessao_id),
+  ]);
+  if (errSess || errMsg) throw errSess || errMsg;
+  if (!sess) throw Object.assign(new Error('sessão não existe mais'), { permanente: true });
+  return { sess, mensagens: mensagens || [] };
+}
+
+// 4a) eventos de vida citados na sessão (eventoDuplicado segura repetição em nova tentativa)
+async function jobEventosVida({ user_id, sessao_id }) {
+  const { mensagens } = await carregarSessaoParaJob(sessao_id);
+  const eventos = await registrarEventosVida({ user_id, sessao_id, mensagens });
+  return { eventos_vida: eventos.map(e => ({ id: e.id, tipo_evento: e.tipo_evento, data_evento: e.data_evento })) };
+}
+
+// 4b) perfil psicológico incremental
+async function jobPerfilPsicologico({ user_id, sessao_id }) {
+  const { sess, mensagens } = await carregarSessaoParaJob(sessao_id);
+  const perfil = await atualizarPerfilPsicologico({ user_id, sessao_id, resumo: sess.resumo, mensagens });
+  return { perfil };
+}
+
+// 4c) memória entre sessões: trechos das falas ainda não indexadas (lote parcial de uma
+// tentativa anterior fica, o resto continua) e depois o resumo
+async function jobMemoriasSessao({ user_id, sessao_id }) {
+  const { sess, mensagens } = await carregarSessaoParaJob(sessao_id);
+
+  let trechos = 0;
+  if (MEMORIA.TRECHOS_ENABLED && mensagens.length) {
+    const { data: indexadas, error } = await repos.embeddings.listarMensagensIndexadas(sessao_id);
+    if (error) throw error;
+    const embedTrechos = { embed: ({ input }) => embedComUso({ input, purpose: 'embedding_trechos', user_id, sessao_id }) };
+    trechos = await indexarMensagensSessao(repos.embeddings, embedTrechos, {
+      user_id,
+      sessao_id,
+      mensagens,
+      maxChars: MEMORIA.MAX_CHARS_TRECHO,
+      jaIndexadas: new Set((indexadas || []).map(String)),
+    });
+  }
+
+  if (sess.resumo) {
+    const emb = await embedComUso({ input: sess.resumo, purpose: 'embedding_resumo', user_id, sessao_id });
+    const { error: embError } = await repos.embeddings.salvarResumoSessao({
+      user_id,
+      sessao_id,
+      resumo: sess.resumo,
+      embedding: emb.data[0].embedding,
+    });
+    if (embError) throw embError;
+  }
+  return { trechos, resumo: !!sess.resumo };
+}
+
+async function jobVinculosMensagem({ user_id, sessao_id, texto, mencao_id = null, data_mencao = null }) {
+  const citados = await processarVinculosUsuario(texto, user_id, sessao_id, { mencao_id, data_mencao });
+  return { citados };
+}
+
+async function jobPerfilVinculo({ vinculo_id, user_id, sessao_id }) {
+  await atualizarPerfilCompacto(vinculo_id, user_id, sessao_id);
+}
+
+// cada execução de job é um trace próprio (não herda o da request que enfileirou)
+const registrarJob = (tipo, handler) => fila.registrar(tipo, (payload, ctx) =>
+  tracer.rodarTrace(`job ${tipo}`, { atributos: { 'job.id': ctx.job.id, 'job.tentativa': ctx.job.tentativas } }, () => handler(payload, ctx)));
+
+registrarJob('resumo_sessao', resumirSessao);
+registrarJob('eventos_vida', jobEventosVida);
+registrarJob('perfil_psicologico', jobPerfilPsicologico);
+registrarJob('memorias_sessao', jobMemoriasSessao);
+registrarJob('vinculos_mensagem', jobVinculosMensagem);
+registrarJob('perfil_vinculo', jobPerfilVinculo);
+
+if (JOBS.WORKER_ENABLED) {
+  fila.iniciar();
+  // concluídos só servem para inspeção recente; mortos ficam até alguém reprocessar
+  setInterval(async () => {
+    const limite = new Date(Date.now() - JOBS.RETENCAO_DIAS * 86400_000).toISOString();
+    const { error } = await repoJobs.apagarConcluidos(limite);
+    if (error) console.error('[jobs] limpeza falhou:', error.message);
+  }, 60 * 60_000).unref();
+}
 
 /* ========= Feedback de sessão ========= */
-app.post('/feedback/sessao', async (req, res) => {
+app.post('/feedback/sessao', requireAuth, idempotente(async (req, res) => {
   try {
     const {
       user_id,
@@ -1569,11 +2780,7 @@ app.post('/feedback/sessao', async (req, res) => {
     const _atingiu  = typeof atingiu_objetivo === 'boolean' ? atingiu_objetivo : null;
     const _sugestao = (sugestao || '').toString().trim().slice(0, 4000);
 
-    const { data: sess, error: errSess } = await supabase
-      .from('sessoes')
-      .select('id, user_id')
-      .eq('id', sessao_id)
-      .single();
+    const { data: sess, error: errSess } = await repos.sessoes.buscarPorId(sessao_id, 'id, user_id');
 
     if (errSess || !sess) return res.status(400).json({ erro: 'Sessão não encontrada.' });
     if (sess.user_id !== user_id) return res.status(403).json({ erro: 'Sessão não pertence ao usuário.' });
@@ -1593,11 +2800,7 @@ app.post('/feedback/sessao', async (req, res) => {
       concluida_em: new Date().toISOString(),
     };
 
-    const { data: upserted, error: errUp } = await supabase
-      .from('sessao_feedback')
-      .upsert(payload, { onConflict: 'user_id,sessao_id' })
-      .select('id, user_id, sessao_id, nps, nota_tom_rapport, nota_memoria, created_at')
-      .single();
+    const { data: upserted, error: errUp } = await repos.feedback.salvar(payload);
 
     if (errUp) return res.status(400).json({ erro: 'Não foi possível salvar feedback.', detalhe: errUp.message });
 
@@ -1605,33 +2808,1298 @@ app.post('/feedback/sessao', async (req, res) => {
   } catch (e) {
     errorJson(req, res, e, 'Falha interna ao salvar feedback.');
   }
-});
+}));
+
+/* ========= Vínculos (edição pelo usuário) ========= */
+const CAMPOS_VINCULO_API = 'id, user_id, nome_real, tipo_vinculo, apelidos_descricoes, perfil_compacto, frequencia_mencao, '
+  + 'ultima_mencao, historico_mencoes, marcador_emocional, contextos_relevantes, pesos_emocionais, pesos_contextos, '
+  + 'fixado, oculto, nao_e_pessoa, campos_editados, editado_em';
+// campos de texto que, uma vez editados, o upsert automático não sobrescreve
+const CAMPOS_VINCULO_PROTEGIDOS = ['nome_real', 'tipo_vinculo', 'apelidos_descricoes'];
+const FLAGS_VINCULO = ['fixado', 'oculto', 'nao_e_pessoa'];
+
+const semUserId = ({ user_id: _omit, ...v }) => v;
+
+// vínculo de outro usuário responde igual a inexistente
+async function buscarVinculoDoUsuario(vinculo_id, user_id) {
+  const { data, error } = await repos.vinculos.buscarPorId(vinculo_id, CAMPOS_VINCULO_API);
+  if (error) return { error };
+  if (!data || String(data.user_id) !== String(user_id)) return { data: null };
+  return { data };
+}
 
-/* ========= Admin: prompt logs (lista) ========= */
-app.get('/admin/prompt-logs', async (req, res) => {
+// valida o body do PATCH; { patch } ou { erro }
+function validarPatchVinculo(body = {}) {
+  const patch = {};
+  if ('nome_real' in body) {
+    if (body.nome_real !== null && (typeof body.nome_real !== 'string' || body.nome_real.length > 120)) {
+      return { erro: 'nome_real deve ser texto (até 120 caracteres) ou null.' };
+    }
+    patch.nome_real = body.nome_real ? body.nome_real.trim() : null;
+  }
+  if ('tipo_vinculo' in body) {
+    if (typeof body.tipo_vinculo !== 'string' || !body.tipo_vinculo.trim() || body.tipo_vinculo.length > 60) {
+      return { erro: 'tipo_vinculo deve ser texto (até 60 caracteres).' };
+    }
+    patch.tipo_vinculo = body.tipo_vinculo.trim().toLowerCase();
+  }
+  if ('apelidos_descricoes' in body) {
+    const a = body.apelidos_descricoes;
+    if (!Array.isArray(a) || a.length > 20 || a.some(x => typeof x !== 'string' || x.length > 80)) {
+      return { erro: 'apelidos_descricoes deve ser uma lista de até 20 textos.' };
+    }
+    patch.apelidos_descricoes = a.map(x => x.trim()).filter(Boolean).reduce((acc, x) => uniqMerge(acc, [x]), []);
+  }
+  for (const f of FLAGS_VINCULO) {
+    if (f in body) {
+      if (typeof body[f] !== 'boolean') return { erro: `${f} deve ser booleano.` };
+      patch[f] = body[f];
+    }
+  }
+  if (!Object.keys(patch).length) return { erro: 'Nada para atualizar.' };
+  return { patch };
+}
+
+app.get('/vinculos', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await repos.vinculos.listarPorUsuario(req.user_id, CAMPOS_VINCULO_API);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+
+    const incluirOcultos = req.query.incluir_ocultos === '1' || req.query.incluir_ocultos === 'true';
+    const vinculos = (data || [])
+      .filter(v => incluirOcultos || visivelNoContexto(v))
+      .sort((a, b) => (!!b.fixado - !!a.fixado) || ((b.frequencia_mencao || 0) - (a.frequencia_mencao || 0)))
+      .map(semUserId);
+    okJson(req, res, { vinculos });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao listar vínculos.');
+  }
+});
+
+// mais frouxo que LIMIAR_MATCH_VINCULO: aqui é só sugestão, quem decide é o usuário
+const LIMIAR_SUGESTAO_DUPLICATA = 2;
+
+const maisRecente = (a, b) => (new Date(a || 0) >= new Date(b || 0) ? a : b);
+const ordenarHistorico = (h = []) => [...h].sort((x, y) => new Date(x.data || 0) - new Date(y.data || 0));
+
+// pares com pontuação >= limiar nas mesmas heurísticas do upsert (nos dois sentidos)
+function sugerirDuplicatas(vinculos = []) {
+  const comoPessoa = (v) => ({
+    nome_real: v.nome_real,
+    apelidos: [...(v.apelidos_descricoes || []), v.nome_real].filter(Boolean),
+    tipo_vinculo: v.tipo_vinculo,
+  });
+  const resumo = (v) => ({ id: v.id, nome_real: v.nome_real, tipo_vinculo: v.tipo_vinculo, apelidos_descricoes: v.apelidos_descricoes || [] });
+
+  const pares = [];
+  for (let i = 0; i < vinculos.length; i++) {
+    for (let j = i + 1; j < vinculos.length; j++) {
+      const a = vinculos[i], b = vinculos[j];
+      const ab = pontuarMatchVinculo(a, comoPessoa(b));
+      const ba = pontuarMatchVinculo(b, comoPessoa(a));
+      if (ab.conflito || ba.conflito) continue;
+      const score = Math.max(ab.score, ba.score);
+      if (score >= LIMIAR_SUGESTAO_DUPLICATA) pares.push({ a: resumo(a), b: resumo(b), score });
+    }
+  }
+  return pares.sort((x, y) => y.score - x.score);
+}
+
+app.get('/vinculos/duplicatas', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await repos.vinculos.listarPorUsuario(req.user_id, CAMPOS_VINCULO_API);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    okJson(req, res, { candidatos: sugerirDuplicatas((data || []).filter(v => !v.nao_e_pessoa)) });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao sugerir duplicatas.');
+  }
+});
+
+app.get('/vinculos/:vinculo_id', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await buscarVinculoDoUsuario(req.params.vinculo_id, req.user_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!data) return res.status(404).json({ erro: 'Vínculo não encontrado.' });
+    okJson(req, res, semUserId(data));
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao buscar vínculo.');
+  }
+});
+
+app.patch('/vinculos/:vinculo_id', requireAuth, async (req, res) => {
+  try {
+    const { patch, erro } = validarPatchVinculo(req.body || {});
+    if (erro) return res.status(400).json({ erro });
+
+    const { data: atual, error } = await buscarVinculoDoUsuario(req.params.vinculo_id, req.user_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!atual) return res.status(404).json({ erro: 'Vínculo não encontrado.' });
+
+    const editados = CAMPOS_VINCULO_PROTEGIDOS.filter(c => c in patch);
+    const { error: errUp } = await repos.vinculos.atualizar(atual.id, {
+      ...patch,
+      campos_editados: uniqMerge(atual.campos_editados || [], editados),
+      editado_em: new Date().toISOString(),
+    });
+    if (errUp) return res.status(500).json({ erro: 'Erro ao atualizar vínculo.' });
+
+    const { data } = await buscarVinculoDoUsuario(atual.id, req.user_id);
+    okJson(req, res, semUserId(data || { ...atual, ...patch }));
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao atualizar vínculo.');
+  }
+});
+
+function mesclarMarcadores(d, o) {
+  const agora = new Date();
+  const opts = optsMarcadores(agora);
+  const pesos_emocionais = mesclarTermos(
+    pesosOuLegado(d.pesos_emocionais, d.marcador_emocional, agora),
+    pesosOuLegado(o.pesos_emocionais, o.marcador_emocional, agora), opts);
+  const pesos_contextos = mesclarTermos(
+    pesosOuLegado(d.pesos_contextos, d.contextos_relevantes, agora),
+    pesosOuLegado(o.pesos_contextos, o.contextos_relevantes, agora), opts);
+  return {
+    pesos_emocionais,
+    pesos_contextos,
+    marcador_emocional: topTermos(pesos_emocionais, MARCADORES.MAX_EXIBIDOS, opts),
+    contextos_relevantes: topTermos(pesos_contextos, MARCADORES.MAX_EXIBIDOS, opts),
+  };
+}
+
+// :vinculo_id fica; origem_id é absorvido e apagado
+app.post('/vinculos/:vinculo_id/mesclar', requireAuth, exigirCota, async (req, res) => {
+  try {
+    const { origem_id } = req.body || {};
+    if (!origem_id) return res.status(400).json({ erro: 'Informe origem_id.' });
+    if (String(origem_id) === String(req.params.vinculo_id)) return res.status(400).json({ erro: 'Não é possível mesclar um vínculo com ele mesmo.' });
+
+    const [dest, orig] = await Promise.all([
+      buscarVinculoDoUsuario(req.params.vinculo_id, req.user_id),
+      buscarVinculoDoUsuario(origem_id, req.user_id),
+    ]);
+    if (dest.error || orig.error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!dest.data || !orig.data) return res.status(404).json({ erro: 'Vínculo não encontrado.' });
+    const d = dest.data, o = orig.data;
+
+    // o nome da origem vira apelido, para o extrator continuar achando a pessoa por ele
+    const apelidosOrigem = [...(o.apelidos_descricoes || []), ...(o.nome_real && normalizar(o.nome_real) !== normalizar(d.nome_real || '') ? [o.nome_real] : [])];
+    const { error: errUp } = await repos.vinculos.atualizar(d.id, {
+      nome_real: d.nome_real || o.nome_real,
+      apelidos_descricoes: uniqMerge(d.apelidos_descricoes || [], apelidosOrigem),
+      historico_mencoes: ordenarHistorico([...(d.historico_mencoes || []), ...(o.historico_mencoes || [])]).slice(-HISTORICO_MENCOES_MAX),
+      frequencia_mencao: (d.frequencia_mencao || 0) + (o.frequencia_mencao || 0),
+      ultima_mencao: maisRecente(d.ultima_mencao, o.ultima_mencao),
+      ...mesclarMarcadores(d, o),
+      fixado: !!(d.fixado || o.fixado),
+      // herda só o que o usuário editou à mão; juntar apelidos na mesclagem não trava o campo para o extrator
+      campos_editados: uniqMerge(d.campos_editados || [], o.campos_editados || []),
+      editado_em: new Date().toISOString(),
+    });
+    if (errUp) return res.status(500).json({ erro: 'Erro ao mesclar vínculos.' });
+
+    const { error: errDel } = await repos.vinculos.excluir(o.id);
+    if (errDel) return res.status(500).json({ erro: 'Erro ao remover vínculo mesclado.' });
+
+    await atualizarPerfilCompacto(d.id, req.user_id, null);
+    const { data } = await buscarVinculoDoUsuario(d.id, req.user_id);
+    okJson(req, res, semUserId(data));
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao mesclar vínculos.');
+  }
+});
+
+// move as menções escolhidas (índices de historico_mencoes) para um vínculo novo
+app.post('/vinculos/:vinculo_id/dividir', requireAuth, exigirCota, async (req, res) => {
+  try {
+    const { mencoes, ...campos } = req.body || {};
+    delete campos.user_id;
+    const { patch: novoPatch = {}, erro } = Object.keys(campos).length ? validarPatchVinculo(campos) : {};
+    if (erro) return res.status(400).json({ erro });
+    if (!novoPatch.nome_real && !novoPatch.apelidos_descricoes?.length) {
+      return res.status(400).json({ erro: 'Informe nome_real ou apelidos_descricoes para o novo vínculo.' });
+    }
+
+    const { data: atual, error } = await buscarVinculoDoUsuario(req.params.vinculo_id, req.user_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!atual) return res.status(404).json({ erro: 'Vínculo não encontrado.' });
+
+    const historico = atual.historico_mencoes || [];
+    const indices = new Set(Array.isArray(mencoes) ? mencoes : []);
+    if (!indices.size || [...indices].some(i => !Number.isInteger(i) || i < 0 || i >= historico.length)) {
+      return res.status(400).json({ erro: `mencoes deve listar índices de historico_mencoes (0 a ${historico.length - 1}).` });
+    }
+    if (indices.size === historico.length) {
+      return res.status(400).json({ erro: 'Para mover todas as menções, edite o vínculo (PATCH).' });
+    }
+
+    const movidas = historico.filter((_, i) => indices.has(i));
+    const ficam = historico.filter((_, i) => !indices.has(i));
+    const movidosN = (novoPatch.apelidos_descricoes || []).map(normalizar);
+    const agora = new Date().toISOString();
+
+    const { data: criado, error: errIns } = await repos.vinculos.criar({
+      user_id: req.user_id,
+      nome_real: novoPatch.nome_real || null,
+      tipo_vinculo: novoPatch.tipo_vinculo || 'desconhecido',
+      apelidos_descricoes: novoPatch.apelidos_descricoes || [],
+      marcador_emocional: [],
+      contextos_relevantes: [],
+      pesos_emocionais: {},
+      pesos_contextos: {},
+      frequencia_mencao: movidas.length,
+      ultima_mencao: movidas.reduce((m, h) => maisRecente(m, h.data), null),
+      historico_mencoes: movidas,
+      perfil_compacto: null,
+      fixado: !!novoPatch.fixado,
+      oculto: !!novoPatch.oculto,
+      nao_e_pessoa: !!novoPatch.nao_e_pessoa,
+      campos_editados: CAMPOS_VINCULO_PROTEGIDOS.filter(c => c in novoPatch),
+      editado_em: agora,
+    });
+    if (errIns) return res.status(500).json({ erro: 'Erro ao criar vínculo.' });
+
+    const { error: errUp } = await repos.vinculos.atualizar(atual.id, {
+      apelidos_descricoes: (atual.apelidos_descricoes || []).filter(a => !movidosN.includes(normalizar(a))),
+      historico_mencoes: ficam,
+      frequencia_mencao: Math.max(ficam.length, (atual.frequencia_mencao || 0) - movidas.length),
+      ultima_mencao: ficam.reduce((m, h) => maisRecente(m, h.data), null) || atual.ultima_mencao,
+      campos_editados: uniqMerge(atual.campos_editados || [], movidosN.length ? ['apelidos_descricoes'] : []),
+      editado_em: agora,
+    });
+    if (errUp) return res.status(500).json({ erro: 'Erro ao atualizar vínculo original.' });
+
+    await atualizarPerfilCompacto(atual.id, req.user_id, null);
+    await atualizarPerfilCompacto(criado.id, req.user_id, null);
+    const [orig, novo] = await Promise.all([
+      buscarVinculoDoUsuario(atual.id, req.user_id),
+      buscarVinculoDoUsuario(criado.id, req.user_id),
+    ]);
+    okJson(req, res, { original: semUserId(orig.data), novo: semUserId(novo.data) }, 201);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao dividir vínculo.');
+  }
+});
+
+app.delete('/vinculos/:vinculo_id', requireAuth, async (req, res) => {
+  try {
+    const { data: atual, error } = await buscarVinculoDoUsuario(req.params.vinculo_id, req.user_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!atual) return res.status(404).json({ erro: 'Vínculo não encontrado.' });
+
+    const { error: errDel } = await repos.vinculos.excluir(atual.id);
+    if (errDel) return res.status(500).json({ erro: 'Erro ao excluir vínculo.' });
+    okJson(req, res, { sucesso: true });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao excluir vínculo.');
+  }
+});
+
+/* ========= Eventos de vida (revisão pelo usuário) ========= */
+const CAMPOS_EVENTO_API = 'id, user_id, tipo_evento, descricao, data_evento, precisao_data, origem, confirmado, sessao_id, created_at, editado_em';
+
+async function buscarEventoDoUsuario(evento_id, user_id) {
+  const { data, error } = await repos.perfil.buscarEvento(evento_id, CAMPOS_EVENTO_API);
+  if (error) return { error };
+  if (!data || String(data.user_id) !== String(user_id)) return { data: null };
+  return { data };
+}
+
+function validarPatchEvento(body = {}) {
+  const patch = {};
+  if ('tipo_evento' in body) {
+    if (!TIPOS_EVENTO.includes(body.tipo_evento)) return { erro: `tipo_evento deve ser um de: ${TIPOS_EVENTO.join(', ')}` };
+    patch.tipo_evento = body.tipo_evento;
+  }
+  if ('descricao' in body) {
+    if (typeof body.descricao !== 'string' || !body.descricao.trim() || body.descricao.length > 300) {
+      return { erro: 'descricao deve ser texto (até 300 caracteres).' };
+    }
+    patch.descricao = body.descricao.trim();
+  }
+  if ('data_evento' in body) {
+    const d = normalizarDataEvento(body.data_evento);
+    if (!d) return { erro: 'data_evento deve estar no formato AAAA, AAAA-MM ou AAAA-MM-DD.' };
+    Object.assign(patch, d);
+  }
+  if ('precisao_data' in body) {
+    if (!PRECISOES_DATA.includes(body.precisao_data)) return { erro: `precisao_data deve ser um de: ${PRECISOES_DATA.join(', ')}` };
+    patch.precisao_data = body.precisao_data;
+  }
+  if ('confirmado' in body) {
+    if (typeof body.confirmado !== 'boolean') return { erro: 'confirmado deve ser booleano.' };
+    patch.confirmado = body.confirmado;
+  }
+  if (!Object.keys(patch).length) return { erro: 'Nada para atualizar.' };
+  return { patch };
+}
+
+app.get('/eventos-vida', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await repos.perfil.listarEventos(req.user_id, CAMPOS_EVENTO_API);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    okJson(req, res, { eventos: (data || []).map(semUserId) });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao listar eventos de vida.');
+  }
+});
+
+// corrigir também confirma: o evento passa a ser "do usuário" e sai da fila de revisão
+app.patch('/eventos-vida/:evento_id', requireAuth, async (req, res) => {
+  try {
+    const { patch, erro } = validarPatchEvento(req.body || {});
+    if (erro) return res.status(400).json({ erro });
+
+    const { data: atual, error } = await buscarEventoDoUsuario(req.params.evento_id, req.user_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!atual) return res.status(404).json({ erro: 'Evento não encontrado.' });
+
+    const { data, error: errUp } = await repos.perfil.atualizarEvento(atual.id, {
+      confirmado: true,
+      ...patch,
+      editado_em: new Date().toISOString(),
+    });
+    if (errUp) return res.status(500).json({ erro: 'Erro ao atualizar evento.' });
+    okJson(req, res, semUserId(data || { ...atual, ...patch }));
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao atualizar evento de vida.');
+  }
+});
+
+app.delete('/eventos-vida/:evento_id', requireAuth, async (req, res) => {
+  try {
+    const { data: atual, error } = await buscarEventoDoUsuario(req.params.evento_id, req.user_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!atual) return res.status(404).json({ erro: 'Evento não encontrado.' });
+
+    const { error: errDel } = await repos.perfil.excluirEvento(atual.id);
+    if (errDel) return res.status(500).json({ erro: 'Erro ao excluir evento.' });
+    okJson(req, res, { sucesso: true });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao excluir evento de vida.');
+  }
+});
+
+/* ========= Perfil psicológico (visualização e veto) ========= */
+function perfilParaApi(perfil) {
+  const afirmacoes = afirmacoesIniciais(perfil);
+  return {
+    versao: perfil?.versao || 0,
+    atualizado_em: perfil?.atualizado_em || null,
+    ...derivarCamposPerfil(afirmacoes),
+    afirmacoes,
+  };
+}
+
+app.get('/perfil', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await carregarPerfil(req.user_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    okJson(req, res, perfilParaApi(data));
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao buscar perfil.');
+  }
+});
+
+app.get('/perfil/versoes', requireAuth, async (req, res) => {
+  try {
+    const limite = Math.min(parseInt(req.query.limit || '50', 10), 200);
+    const { data, error } = await repos.perfil.listarVersoes(req.user_id, { limite });
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    okJson(req, res, { versoes: (data || []).map(semUserId) });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao listar versões do perfil.');
+  }
+});
+
+// vetada some do perfil e vira "não proponha" para o extrator; DELETE desfaz
+async function alterarVetoAfirmacao(req, res, vetado) {
+  try {
+    const { data: atual, error } = await carregarPerfil(req.user_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+
+    const afirmacoes = afirmacoesIniciais(atual);
+    const alvo = afirmacoes.find(a => a.id === req.params.afirmacao_id);
+    if (!alvo) return res.status(404).json({ erro: 'Afirmação não encontrada.' });
+    if (!!alvo.vetado === vetado) return okJson(req, res, perfilParaApi(atual));
+
+    const agora = new Date().toISOString();
+    const novas = afirmacoes.map(a => (a.id === alvo.id ? { ...a, vetado, vetado_em: vetado ? agora : null } : a));
+    const salvo = await salvarVersaoPerfil({
+      user_id: req.user_id,
+      atual,
+      afirmacoes: novas,
+      origem: vetado ? 'veto' : 'veto_desfeito',
+      adicionadas: vetado ? [] : [alvo],
+      removidas: vetado ? [alvo] : [],
+    });
+    okJson(req, res, perfilParaApi(salvo));
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao atualizar veto.');
+  }
+}
+
+app.post('/perfil/afirmacoes/:afirmacao_id/veto', requireAuth, (req, res) => alterarVetoAfirmacao(req, res, true));
+app.delete('/perfil/afirmacoes/:afirmacao_id/veto', requireAuth, (req, res) => alterarVetoAfirmacao(req, res, false));
+
+/* ========= Exportação de dados (LGPD) ========= */
+async function gerarExportacao(user_id, formato) {
+  const { data: dados, error } = await repos.exportacoes.coletarDados(user_id);
+  if (error) throw new Error(`coletarDados(${error.tabela || '?'}): ${error.message}`);
+  const arquivo = montarArquivoExportacao(user_id, dados);
+  return { arquivo, ...renderizarExportacao(arquivo, formato) };
+}
+
+function enviarArquivoExportacao(req, res, { conteudo, contentType, extensao }) {
+  const nome = `mentor360-export-${new Date().toISOString().slice(0, 10)}.${extensao}`;
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${nome}"`);
+  res.status(200).send(conteudo);
+  finalizeLog(req, res);
+}
+
+// job 'exportacao': roda fora do ciclo da request (e sobrevive a restart); status/erro ficam no
+// próprio registro da exportação. Falha volta para pendente enquanto a fila ainda vai tentar de novo.
+async function jobExportacao({ exportacao_id, user_id, formato }, { job }) {
+  const { data: atual, error: errBusca } = await repos.exportacoes.buscarPorId(exportacao_id, 'id, status');
+  if (errBusca) throw new Error(errBusca.message);
+  if (!atual || atual.status === 'concluida') return { ignorado: true };
+  try {
+    const { error: errStatus } = await repos.exportacoes.atualizar(exportacao_id, { status: 'processando' });
+    if (errStatus) throw new Error(errStatus.message);
+    const { arquivo, conteudo, contentType } = await gerarExportacao(user_id, formato);
+    const agora = Date.now();
+    const { error } = await repos.exportacoes.atualizar(exportacao_id, {
+      status: 'concluida',
+      arquivo: conteudo,
+      content_type: contentType,
+      tamanho_bytes: Buffer.byteLength(conteudo),
+      concluida_em: new Date(agora).toISOString(),
+      expira_em: new Date(agora + EXPORTACAO.TTL_HORAS * 3600_000).toISOString(),
+    });
+    if (error) throw new Error(error.message);
+
+    const usuario = arquivo.tabelas.usuarios?.[0];
+    if (usuario?.email) {
+      await mailer.enviar({
+        para: usuario.email,
+        assunto: 'Sua exportação de dados está pronta',
+        texto: `Sua cópia dos dados do Mentor 360 está pronta e fica disponível por ${EXPORTACAO.TTL_HORAS}h.\n`
+          + `Baixe pelo app ou em ${AUTH.APP_URL}/exportacao/${exportacao_id}.`,
+      }).catch(e => console.error('[MAIL] aviso de exportação falhou:', e.message));
+    }
+  } catch (e) {
+    console.error('[exportacao] falha:', exportacao_id, e.message);
+    const ultima = job.tentativas >= job.max_tentativas;
+    const { error } = await repos.exportacoes.atualizar(exportacao_id, {
+      status: ultima ? 'erro' : 'pendente',
+      erro: String(e.message).slice(0, 500),
+    }).catch(err => ({ error: err }));
+    if (error) console.error('[exportacao] falha ao gravar status:', exportacao_id, error.message);
+    throw e;
+  }
+}
+
+registrarJob('exportacao', jobExportacao);
+
+const CAMPOS_STATUS_EXPORTACAO = 'id, user_id, status, formato, created_at, concluida_em, expira_em, tamanho_bytes, erro';
+
+app.post('/exportacao', requireAuth, async (req, res) => {
+  try {
+    const user_id = req.user_id;
+    const formato = String(req.body?.formato || req.query.formato || 'json').toLowerCase();
+    if (!FORMATOS_EXPORTACAO.includes(formato)) {
+      return res.status(400).json({ erro: `formato deve ser um de: ${FORMATOS_EXPORTACAO.join(', ')}` });
+    }
+
+    const { count, error: errCount } = await repos.exportacoes.contarMensagens(user_id);
+    if (errCount) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    const emSegundoPlano = req.body?.assincrono === true || (count || 0) > EXPORTACAO.LIMITE_SINCRONO_MENSAGENS;
+
+    if (!emSegundoPlano) {
+      const { conteudo, contentType, extensao } = await gerarExportacao(user_id, formato);
+      return enviarArquivoExportacao(req, res, { conteudo, contentType, extensao });
+    }
+
+    const { data: exportacao, error } = await repos.exportacoes.criar({ user_id, formato, status: 'pendente' });
+    if (error) return res.status(500).json({ erro: 'Erro ao registrar exportação.' });
+    try {
+      await fila.enfileirar('exportacao', { exportacao_id: exportacao.id, user_id, formato }, { chave: `exportacao:${exportacao.id}` });
+    } catch (e) {
+      await repos.exportacoes.atualizar(exportacao.id, { status: 'erro', erro: String(e.message).slice(0, 500) }).catch(() => {});
+      throw e;
+    }
+
+    okJson(req, res, {
+      exportacao_id: exportacao.id,
+      status: exportacao.status,
+      formato,
+      status_url: `/exportacao/${exportacao.id}`,
+      download_url: `/exportacao/${exportacao.id}/download`,
+    }, 202);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao exportar dados.');
+  }
+});
+
+app.get('/exportacao/:exportacao_id', requireAuth, async (req, res) => {
+  try {
+    const { data: exportacao, error } = await repos.exportacoes.buscarPorId(req.params.exportacao_id, CAMPOS_STATUS_EXPORTACAO);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    // exportação de outro usuário responde igual a inexistente
+    if (!exportacao || String(exportacao.user_id) !== req.user_id) {
+      return res.status(404).json({ erro: 'Exportação não encontrada.' });
+    }
+    const { user_id: _omit, ...status } = exportacao;
+    okJson(req, res, status);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao consultar exportação.');
+  }
+});
+
+app.get('/exportacao/:exportacao_id/download', requireAuth, async (req, res) => {
+  try {
+    const { data: exportacao, error } = await repos.exportacoes.buscarPorId(req.params.exportacao_id);
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!exportacao || String(exportacao.user_id) !== req.user_id) {
+      return res.status(404).json({ erro: 'Exportação não encontrada.' });
+    }
+    if (exportacao.status !== 'concluida') {
+      return res.status(409).json({ erro: 'Exportação ainda não está pronta.', status: exportacao.status });
+    }
+    if (exportacao.expira_em && new Date(exportacao.expira_em).getTime() < Date.now()) {
+      return res.status(410).json({ erro: 'Exportação expirada. Solicite uma nova.' });
+    }
+
+    const extensao = { markdown: 'md', html: 'html' }[exportacao.formato] || 'json';
+    enviarArquivoExportacao(req, res, { conteudo: exportacao.arquivo, contentType: exportacao.content_type, extensao });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao baixar exportação.');
+  }
+});
+
+/* ========= Exclusão de conta ========= */
+app.post('/conta/exclusao', requireAuth, async (req, res) => {
   try {
-    if (!ADMIN_READ_TOKEN) return res.status(500).json({ error: 'ADMIN_READ_TOKEN não configurado' });
-    const token = req.get('x-admin-token');
-    if (token !== ADMIN_READ_TOKEN) return res.status(401).json({ error: 'unauthorized' });
+    const { senha } = req.body || {};
+    if (!senha) return res.status(400).json({ erro: 'Informe a senha para confirmar.' });
+
+    const { data: usuario, error } = await repos.usuarios.buscarPorId(req.user_id, 'id, nome, email, senha_hash');
+    if (error) return res.status(500).json({ erro: 'Erro no banco de dados.' });
+    if (!usuario) return res.status(404).json({ erro: 'Usuário não encontrado.' });
+    if (!(await bcrypt.compare(String(senha), usuario.senha_hash))) return res.status(401).json({ erro: 'Senha incorreta.' });
+
+    const { token } = emitirTokenConta(AUTH.JWT_SECRET, {
+      user_id: usuario.id,
+      tipo: 'delete_account',
+      ttlSec: EXCLUSAO.CONFIRM_TTL_SEC,
+    });
+    const link = `${AUTH.APP_URL}/excluir-conta?token=${encodeURIComponent(token)}`;
+    await mailer.enviar({
+      para: usuario.email,
+      assunto: 'Confirme a exclusão da sua conta no Mentor 360',
+      texto: `Recebemos um pedido para excluir sua conta. Para confirmar, acesse:\n${link}\n\n`
+        + `Depois da confirmação, seus dados serão apagados em ${EXCLUSAO.CARENCIA_DIAS} dias; até lá você pode cancelar entrando no app.`,
+    });
 
+    okJson(req, res, { mensagem: 'Enviamos um link de confirmação para o seu e-mail.' });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao solicitar exclusão.');
+  }
+});
+
+app.post('/conta/exclusao/confirmar', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ erro: 'Informe o token.' });
+
+  try {
+    const r = await consumirTokenConta(token, 'delete_account');
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+
+    const agora = Date.now();
+    const exclusao_agendada_para = new Date(agora + EXCLUSAO.CARENCIA_DIAS * 86400_000).toISOString();
+    const { error } = await repos.usuarios.atualizar(r.payload.sub, {
+      exclusao_solicitada_em: new Date(agora).toISOString(),
+      exclusao_agendada_para,
+    });
+    if (error) return res.status(500).json({ erro: 'Erro ao agendar exclusão.' });
+
+    okJson(req, res, { mensagem: 'Exclusão agendada.', exclusao_agendada_para });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao confirmar exclusão.');
+  }
+});
+
+app.delete('/conta/exclusao', requireAuth, async (req, res) => {
+  try {
+    const { error } = await repos.usuarios.atualizar(req.user_id, { exclusao_solicitada_em: null, exclusao_agendada_para: null });
+    if (error) return res.status(500).json({ erro: 'Erro ao cancelar exclusão.' });
+    okJson(req, res, { mensagem: 'Exclusão cancelada.' });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao cancelar exclusão.');
+  }
+});
+
+// apaga/anonimiza e grava o recibo; o recibo nunca tem o user_id em claro
+async function excluirContaDefinitivamente(usuario) {
+  const { data: contagens, error } = await repos.exclusoes.apagarDadosUsuario(usuario.id);
+  if (error) throw new Error(`apagarDadosUsuario(${error.tabela || '?'}): ${error.message}`);
+
+  // outro processo pode ter gravado entre a leitura e o insert: relê o último e tenta de novo
+  for (let tentativa = 0; tentativa < 3; tentativa++) {
+    const { data: anterior, error: errUlt } = await repos.exclusoes.ultimoRecibo();
+    if (errUlt) throw new Error(errUlt.message);
+    const recibo = montarRecibo(anterior, {
+      titular_hash: hashTitular(usuario.id, EXCLUSAO.HMAC_SECRET),
+      solicitado_em: usuario.exclusao_solicitada_em,
+      agendado_para: usuario.exclusao_agendada_para,
+      executado_em: new Date().toISOString(),
+      contagens,
+    });
+    const { data, error: errRec } = await repos.exclusoes.registrarRecibo(recibo);
+    if (!errRec) return data;
+    if (errRec.code !== '23505') throw new Error(errRec.message);
+  }
+  throw new Error('não foi possível encadear o recibo de exclusão');
+}
+
+async function processarExclusoesVencidas() {
+  return varrerExclusoesVencidas({
+    usuarios: repos.usuarios,
+    reservaMs: EXCLUSAO.RESERVA_MIN * 60_000,
+    excluir: async (usuario) => {
+      const recibo = await excluirContaDefinitivamente(usuario);
+      console.log('[exclusao] conta apagada; recibo seq=', recibo.seq);
+      // último contato com o titular; o endereço já não existe mais no banco
+      await mailer.enviar({
+        para: usuario.email,
+        assunto: 'Sua conta no Mentor 360 foi excluída',
+        texto: `Seus dados foram apagados. Comprovante: ${recibo.hash}`,
+      }).catch(e => console.error('[MAIL] aviso de exclusão falhou:', e.message));
+      return { seq: recibo.seq, hash: recibo.hash };
+    },
+  });
+}
+
+if (EXCLUSAO.INTERVALO_MIN > 0) {
+  setInterval(processarExclusoesVencidas, EXCLUSAO.INTERVALO_MIN * 60_000).unref();
+}
+
+/* ========= Admin ========= */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_READ_TOKEN) return res.status(500).json({ error: 'ADMIN_READ_TOKEN não configurado' });
+  const token = req.get('x-admin-token');
+  if (token !== ADMIN_READ_TOKEN) return res.status(401).json({ error: 'unauthorized' });
+  next();
+}
+
+/* ========= Admin: prompt logs (lista) ========= */
+app.get('/admin/prompt-logs', requireAdmin, async (req, res) => {
+  try {
     const limit = Math.min(parseInt(req.query.limit || '200', 10), 500);
     const user_id = req.query.user_id || null;
     const sessao_id = req.query.sessao_id || null;
 
-    let q = supabase.from('prompt_logs')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(limit);
+    const { data, error } = await repos.logs.listarPrompts({ user_id, sessao_id, limite: limit });
+    if (error) return res.status(500).json({ error: error.message });
+
+    okJson(req, res, data);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao listar logs.');
+  }
+});
+
+/* ========= Admin: eventos de risco (revisão) ========= */
+const STATUS_EVENTO_RISCO = ['pendente', 'em_revisao', 'revisado', 'descartado'];
 
-    if (user_id) q = q.eq('user_id', user_id);
-    if (sessao_id) q = q.eq('session_id', sessao_id);
+app.get('/admin/eventos-risco', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+    const status = req.query.status || null;
+    const user_id = req.query.user_id || null;
+    if (status && !STATUS_EVENTO_RISCO.includes(status)) {
+      return res.status(400).json({ error: `status deve ser um de: ${STATUS_EVENTO_RISCO.join(', ')}` });
+    }
 
-    const { data, error } = await q;
+    const { data, error } = await repos.riscos.listar({ status, user_id, limite: limit });
     if (error) return res.status(500).json({ error: error.message });
 
     okJson(req, res, data);
   } catch (e) {
-    errorJson(req, res, e, 'Falha ao listar logs.');
+    errorJson(req, res, e, 'Falha ao listar eventos de risco.');
+  }
+});
+
+app.patch('/admin/eventos-risco/:id', requireAdmin, async (req, res) => {
+  try {
+    const { status, nota_revisao, revisado_por } = req.body || {};
+    if (!STATUS_EVENTO_RISCO.includes(status)) {
+      return res.status(400).json({ error: `status deve ser um de: ${STATUS_EVENTO_RISCO.join(', ')}` });
+    }
+
+    const { data, error } = await repos.riscos.atualizar(req.params.id, {
+      status,
+      nota_revisao: nota_revisao ? String(nota_revisao).slice(0, 2000) : null,
+      revisado_por: revisado_por || null,
+      revisado_em: new Date().toISOString(),
+    });
+    if (error) return res.status(500).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Evento não encontrado.' });
+
+    okJson(req, res, data);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao atualizar evento de risco.');
+  }
+});
+
+/* ========= Admin: exclusões de conta ========= */
+app.post('/admin/exclusoes/processar', requireAdmin, async (req, res) => {
+  try {
+    const processadas = await processarExclusoesVencidas();
+    okJson(req, res, { processadas });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao processar exclusões.');
+  }
+});
+
+// ?user_id= confere se aquele titular tem recibo; sem filtro, verifica a cadeia inteira
+app.get('/admin/recibos-exclusao', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '500', 10), 5000);
+    const titular_hash = req.query.user_id ? hashTitular(req.query.user_id, EXCLUSAO.HMAC_SECRET) : null;
+
+    const { data, error } = await repos.exclusoes.listarRecibos({ titular_hash, limite: limit });
+    if (error) return res.status(500).json({ error: error.message });
+
+    okJson(req, res, {
+      recibos: data,
+      verificacao: titular_hash ? null : verificarCadeia(data || []),
+    });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao listar recibos de exclusão.');
+  }
+});
+
+/* ========= Admin: fila de jobs ========= */
+app.get('/admin/jobs', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+    const status = req.query.status || null;
+    const tipo = req.query.tipo || null;
+    if (status && !STATUS_JOB.includes(status)) {
+      return res.status(400).json({ error: `status deve ser um de: ${STATUS_JOB.join(', ')}` });
+    }
+
+    const [{ data: jobs, error }, { data: contagens, error: errCont }] = await Promise.all([
+      repoJobs.listar({ status, tipo, limite: limit }),
+      repoJobs.contarPorStatus({ tipo }),
+    ]);
+    if (error || errCont) return res.status(500).json({ error: (error || errCont).message });
+
+    okJson(req, res, { contagens, tipos: fila.tipos(), jobs });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao listar jobs.');
+  }
+});
+
+// { tipo? }: devolve todo o dead-letter (daquele tipo) para a fila
+app.post('/admin/jobs/reprocessar', requireAdmin, async (req, res) => {
+  try {
+    const tipo = req.body?.tipo || null;
+    const { data: reabertos, error } = await repoJobs.reprocessarMortos({ tipo });
+    if (error) return res.status(500).json({ error: error.message });
+
+    fila.despertar();
+    okJson(req, res, { reabertos });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao reprocessar jobs.');
+  }
+});
+
+app.get('/admin/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await repoJobs.buscarPorId(req.params.id);
+    if (error) return res.status(500).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Job não encontrado.' });
+
+    okJson(req, res, data);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao buscar job.');
+  }
+});
+
+// morto ou aguardando backoff -> pendente agora, com as tentativas zeradas
+app.post('/admin/jobs/:id/reprocessar', requireAdmin, async (req, res) => {
+  try {
+    const { data: atual, error: errBusca } = await repoJobs.buscarPorId(req.params.id);
+    if (errBusca) return res.status(500).json({ error: errBusca.message });
+    if (!atual) return res.status(404).json({ error: 'Job não encontrado.' });
+
+    const { data, error } = await repoJobs.reprocessar(atual.id);
+    if (error) return res.status(500).json({ error: error.message });
+    if (!data) return res.status(409).json({ error: `Job em status ${atual.status} não pode ser reprocessado.` });
+
+    fila.despertar();
+    okJson(req, res, data);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao reprocessar job.');
+  }
+});
+
+/* ========= Admin: custos de LLM ========= */
+// ?agrupar=usuario|purpose|dia|modelo&desde=&ate=&user_id= (padrão: últimos 30 dias, por purpose)
+app.get('/admin/custos', requireAdmin, async (req, res) => {
+  try {
+    const agrupar = req.query.agrupar || 'purpose';
+    if (!AGRUPAMENTOS_GASTO.includes(agrupar)) {
+      return res.status(400).json({ error: `agrupar deve ser um de: ${AGRUPAMENTOS_GASTO.join(', ')}` });
+    }
+    const desde = new Date(req.query.desde || Date.now() - 30 * 86400_000);
+    const ate = req.query.ate ? new Date(req.query.ate) : null;
+    if (Number.isNaN(desde.getTime()) || (ate && Number.isNaN(ate.getTime()))) {
+      return res.status(400).json({ error: 'desde/ate inválidos' });
+    }
+
+    const { data: linhas, error } = await repos.logs.listarUso({
+      desde: desde.toISOString(),
+      ate: ate ? ate.toISOString() : null,
+      user_id: req.query.user_id || null,
+    });
+    if (error) return res.status(500).json({ error: error.message });
+
+    okJson(req, res, {
+      desde: desde.toISOString(),
+      ate: ate ? ate.toISOString() : null,
+      agrupar,
+      ...resumirGastos(linhas || [], { agrupar, precos }),
+    });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao calcular custos.');
+  }
+});
+
+app.get('/admin/custos/precos', requireAdmin, (req, res) => {
+  okJson(req, res, { unidade: 'USD por 1M tokens', modelos: precos.listar(), modelos_em_uso: llm.modelos });
+});
+
+/* ========= Consumo do plano ========= */
+// plano, limites, uso e restante no dia/mês (null = sem limite); mesma conta que o exigirCota faz
+app.get('/uso', requireAuth, async (req, res) => {
+  try {
+    const c = await cotas.consultar(req.user_id);
+    okJson(req, res, {
+      cotas_ativas: COTAS.ENABLED,
+      plano: c.plano,
+      limites: c.limites,
+      uso: c.uso,
+      restante: c.restante,
+      excedido: COTAS.ENABLED ? c.excedido : null,
+      reinicia_em: c.reinicia_em,
+    });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao consultar consumo.');
+  }
+});
+
+/* ========= Admin: planos e cotas ========= */
+app.get('/admin/planos', requireAdmin, (req, res) => {
+  okJson(req, res, { cotas_ativas: COTAS.ENABLED, plano_padrao: COTAS.PLANO_PADRAO, planos: COTAS.PLANOS });
+});
+
+app.get('/admin/usuarios/:user_id/uso', requireAdmin, async (req, res) => {
+  try {
+    okJson(req, res, await cotas.consultar(req.params.user_id));
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao consultar consumo.');
+  }
+});
+
+// body { plano } (null volta para o plano padrão)
+app.patch('/admin/usuarios/:user_id/plano', requireAdmin, async (req, res) => {
+  try {
+    const plano = req.body?.plano ?? null;
+    if (plano !== null && !COTAS.PLANOS[plano]) {
+      return res.status(400).json({ error: `plano deve ser um de: ${Object.keys(COTAS.PLANOS).join(', ')}` });
+    }
+    const { data: usuario, error: errBusca } = await repos.usuarios.buscarPorId(req.params.user_id, 'id');
+    if (errBusca) return res.status(500).json({ error: errBusca.message });
+    if (!usuario) return res.status(404).json({ error: 'Usuário não encontrado' });
+
+    const { error } = await repos.usuarios.atualizar(usuario.id, { plano });
+    if (error) return res.status(500).json({ error: error.message });
+    cotas.invalidar(usuario.id);
+    okJson(req, res, await cotas.consultar(usuario.id));
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao alterar plano.');
+  }
+});
+
+/* ========= Admin: prompts versionados (A/B) ========= */
+const resumoVersao = (v) => ({ id: v.id, versao: v.versao, peso: v.peso, fonte: v.fonte, variaveis: v.variaveis });
+
+app.get('/admin/prompts', requireAdmin, async (req, res) => {
+  try {
+    const lista = await prompts.listar();
+    const incluirConteudo = String(req.query.conteudo || '') === '1';
+    okJson(req, res, {
+      prompts: lista.map(({ nome, versoes }) => ({
+        nome,
+        versoes: versoes.map(v => (incluirConteudo ? { ...resumoVersao(v), conteudo: v.conteudo } : resumoVersao(v))),
+      })),
+    });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao listar prompts.');
+  }
+});
+
+// nova versão de um template existente; entra com peso 0 (sem tráfego) salvo se vier peso
+app.post('/admin/prompts', requireAdmin, async (req, res) => {
+  try {
+    const { nome, conteudo, peso = 0 } = req.body || {};
+    if (!NOME_VALIDO.test(String(nome || ''))) return res.status(400).json({ error: 'nome inválido' });
+    if (typeof conteudo !== 'string' || !conteudo.trim()) return res.status(400).json({ error: 'conteudo obrigatório' });
+    if (!Number.isFinite(Number(peso)) || Number(peso) < 0) return res.status(400).json({ error: 'peso deve ser número >= 0' });
+
+    const versoes = await prompts.versoes(nome);
+    if (!versoes.length) return res.status(404).json({ error: 'Prompt desconhecido' });
+
+    // o código só fornece as variáveis que já existem; uma nova quebraria a renderização
+    const conhecidas = new Set(versoes.flatMap(v => v.variaveis));
+    const novas = variaveisTemplate(conteudo).filter(v => !conhecidas.has(v));
+    if (novas.length) return res.status(400).json({ error: 'Variáveis desconhecidas', variaveis: novas, permitidas: [...conhecidas] });
+
+    const versao = Math.max(...versoes.map(v => v.versao)) + 1;
+    const { error } = await repos.prompts.criar({ nome, versao, conteudo: conteudo.trim(), peso: Number(peso) });
+    if (error?.code === '23505') return res.status(409).json({ error: 'Versão criada em paralelo; tente de novo' });
+    if (error) return res.status(500).json({ error: error.message });
+
+    prompts.invalidar();
+    const criada = (await prompts.versoes(nome)).find(v => v.versao === versao);
+    okJson(req, res, { prompt: criada ? resumoVersao(criada) : { id: `${nome}@v${versao}`, versao } }, 201);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao criar versão de prompt.');
+  }
+});
+
+// ajusta o peso de uma versão; pesos são relativos entre as versões do mesmo nome
+app.patch('/admin/prompts/:nome/:versao', requireAdmin, async (req, res) => {
+  try {
+    const { nome } = req.params;
+    const versao = Number(req.params.versao);
+    const peso = Number(req.body?.peso);
+    if (!Number.isFinite(peso) || peso < 0) return res.status(400).json({ error: 'peso deve ser número >= 0' });
+
+    const atual = (await prompts.versoes(nome)).find(v => v.versao === versao);
+    if (!atual) return res.status(404).json({ error: 'Versão não encontrada' });
+
+    const { error } = await repos.prompts.salvar({ nome, versao, conteudo: atual.conteudo, peso });
+    if (error) return res.status(500).json({ error: error.message });
+
+    prompts.invalidar();
+    okJson(req, res, { versoes: (await prompts.versoes(nome)).map(resumoVersao) });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao atualizar peso do prompt.');
+  }
+});
+
+// NPS de sessao_feedback agrupado pela versão de prompt usada nas respostas da sessão
+app.get('/admin/prompts/nps', requireAdmin, async (req, res) => {
+  try {
+    const desde = req.query.desde ? new Date(req.query.desde) : null;
+    if (desde && Number.isNaN(desde.getTime())) return res.status(400).json({ error: 'desde inválido' });
+
+    const { data: feedbacks, error } = await repos.feedback.listar({ desde: desde ? desde.toISOString() : null });
+    if (error) return res.status(500).json({ error: error.message });
+
+    const comNps = (feedbacks || []).filter(f => Number.isInteger(f.nps));
+    const ids = [...new Set(comNps.map(f => String(f.sessao_id)))];
+    const versoesPorSessao = new Map();
+    for (let i = 0; i < ids.length; i += 200) {
+      const { data: linhas, error: errLogs } = await repos.logs.listarTemplatesPorSessao(ids.slice(i, i + 200));
+      if (errLogs) return res.status(500).json({ error: errLogs.message });
+      for (const l of linhas || []) {
+        const k = String(l.session_id);
+        if (!versoesPorSessao.has(k)) versoesPorSessao.set(k, new Set());
+        versoesPorSessao.get(k).add(`${l.prompt_template}@v${l.prompt_versao}`);
+      }
+    }
+
+    // sessão que passou por duas versões (peso mudou no meio) conta nas duas
+    const grupos = new Map();
+    for (const f of comNps) {
+      for (const id of versoesPorSessao.get(String(f.sessao_id)) || ['sem_registro']) {
+        if (!grupos.has(id)) grupos.set(id, []);
+        grupos.get(id).push(f.nps);
+      }
+    }
+
+    const resultado = [...grupos.entries()].map(([template, notas]) => {
+      const promotores = notas.filter(n => n >= 9).length;
+      const detratores = notas.filter(n => n <= 6).length;
+      return {
+        template,
+        respostas: notas.length,
+        nps_medio: Math.round((notas.reduce((s, n) => s + n, 0) / notas.length) * 100) / 100,
+        nps: Math.round(((promotores - detratores) / notas.length) * 1000) / 10,
+        promotores,
+        detratores,
+      };
+    }).sort((a, b) => a.template.localeCompare(b.template));
+
+    okJson(req, res, { desde: desde ? desde.toISOString() : null, templates: resultado });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao calcular NPS por prompt.');
+  }
+});
+
+/* ========= Admin: conteúdo-base ========= */
+const CAMPOS_REVISAO_CONTEUDO = [...CAMPOS_CONTEUDO, 'ativo'];
+const MAX_ITENS_IMPORTACAO = 1000;
+
+// o token de admin é compartilhado; quem editou vem no header para a revisão
+function autorAdmin(req) {
+  return String(req.get('x-admin-autor') || '').trim().slice(0, 120) || null;
+}
+
+const fotoConteudo = (row) =>
+  Object.fromEntries(CAMPOS_REVISAO_CONTEUDO.map(c => [c, c === 'ativo' ? row?.ativo !== false : row?.[c] ?? null]));
+
+// embedding do item para a busca do /ia; best-effort (sem embedding o item ainda aparece por tag)
+async function indexarConteudo(item) {
+  if (!FLAGS.CONTENT_SEMANTIC_ENABLED) return false;
+  try {
+    const resp = await embedComUso({ input: textoParaEmbedding(item), purpose: 'embedding_conteudo' });
+    const { error } = await repos.conteudo.salvarEmbedding(item.id, resp.data[0].embedding, resp.model || llm.modelos.embedding);
+    if (error) throw error;
+    return true;
+  } catch (e) {
+    console.error('[conteudo] falha ao indexar', item.id, e.message);
+    return false;
+  }
+}
+
+// cria ou aplica o patch e grava a revisão; { conteudo, acao } (acao null = nada mudou)
+async function salvarConteudoComRevisao({ atual = null, patch, autor, origem = 'api' }) {
+  if (!atual) {
+    const { data: criado, error } = await repos.conteudo.criar({ ativo: true, ...patch, atualizado_por: autor });
+    if (error) throw error;
+    await repos.conteudo.registrarRevisao({
+      conteudo_id: criado.id, acao: 'criar', autor, origem, antes: null, depois: fotoConteudo(criado),
+    });
+    await indexarConteudo(criado);
+    return { conteudo: criado, acao: 'criar' };
+  }
+
+  const mudou = Object.keys(patch).filter(c => (patch[c] ?? null) !== (c === 'ativo' ? atual.ativo !== false : atual[c] ?? null));
+  if (!mudou.length) return { conteudo: atual, acao: null };
+
+  const { data: atualizado, error } = await repos.conteudo.atualizar(atual.id, { ...patch, atualizado_por: autor });
+  if (error) throw error;
+  const acao = mudou.length === 1 && mudou[0] === 'ativo' ? (patch.ativo ? 'reativar' : 'desativar') : 'atualizar';
+  await repos.conteudo.registrarRevisao({
+    conteudo_id: atual.id, acao, autor, origem, campos: mudou, antes: fotoConteudo(atual), depois: fotoConteudo(atualizado),
+  });
+  if (mudou.some(c => CAMPOS_CONTEUDO.includes(c))) await indexarConteudo(atualizado);
+  return { conteudo: atualizado, acao };
+}
+
+app.get('/admin/conteudo', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await repos.conteudo.listar({
+      tema: req.query.tema || null,
+      incluirInativos: String(req.query.incluir_inativos || '') === '1',
+    });
+    if (error) return res.status(500).json({ error: error.message });
+    okJson(req, res, { conteudos: data || [], temas_validos: TEMAS.map(({ id, rotulo }) => ({ id, rotulo })) });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao listar conteúdo-base.');
+  }
+});
+
+// antes de /:id para não cair na rota de item
+app.get('/admin/conteudo/exportar', requireAdmin, async (req, res) => {
+  try {
+    const formato = String(req.query.formato || 'csv').toLowerCase();
+    if (!FORMATOS_CONTEUDO.includes(formato)) {
+      return res.status(400).json({ error: `formato deve ser um de: ${FORMATOS_CONTEUDO.join(', ')}` });
+    }
+    const { data, error } = await repos.conteudo.listar({ incluirInativos: String(req.query.incluir_inativos || '') === '1' });
+    if (error) return res.status(500).json({ error: error.message });
+
+    const { conteudo, contentType, extensao } = renderizarConteudo(data || [], formato);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="conteudo-base-${new Date().toISOString().slice(0, 10)}.${extensao}"`);
+    res.status(200).send(conteudo);
+    finalizeLog(req, res);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao exportar conteúdo-base.');
+  }
+});
+
+// (re)gera embeddings: sem embedding ou de outro modelo; { todos: true } refaz tudo
+app.post('/admin/conteudo/indexar', requireAdmin, async (req, res) => {
+  try {
+    if (!FLAGS.CONTENT_SEMANTIC_ENABLED) return res.status(409).json({ error: 'CONTENT_SEMANTIC_ENABLED desligado' });
+    const { data, error } = await repos.conteudo.listar({ incluirInativos: true });
+    if (error) return res.status(500).json({ error: error.message });
+
+    const todos = req.body?.todos === true;
+    const pendentes = (data || []).filter(c => todos || c.embedding_modelo !== llm.modelos.embedding);
+    let indexados = 0;
+    for (const item of pendentes) {
+      if (await indexarConteudo(item)) indexados += 1;
+    }
+    okJson(req, res, { total: (data || []).length, pendentes: pendentes.length, indexados, falhas: pendentes.length - indexados });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao indexar conteúdo-base.');
+  }
+});
+
+// quantas respostas do /ia usaram cada item (prompt_logs.conteudo_ids)
+app.get('/admin/conteudo/uso', requireAdmin, async (req, res) => {
+  try {
+    const desde = req.query.desde ? new Date(req.query.desde) : null;
+    if (desde && Number.isNaN(desde.getTime())) return res.status(400).json({ error: 'desde inválido' });
+
+    const { data: logs, error } = await repos.logs.listarConteudoUsado({ desde: desde ? desde.toISOString() : null });
+    if (error) return res.status(500).json({ error: error.message });
+    const { data: conteudos, error: errCont } = await repos.conteudo.listar({ incluirInativos: true });
+    if (errCont) return res.status(500).json({ error: errCont.message });
+
+    const usos = new Map();
+    for (const l of logs || []) {
+      for (const id of l.conteudo_ids || []) usos.set(String(id), (usos.get(String(id)) || 0) + 1);
+    }
+    okJson(req, res, {
+      desde: desde ? desde.toISOString() : null,
+      respostas: (logs || []).length,
+      conteudos: (conteudos || [])
+        .map(c => ({ id: c.id, tema: c.tema, ativo: c.ativo !== false, usos: usos.get(String(c.id)) || 0 }))
+        .sort((a, b) => b.usos - a.usos),
+    });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao calcular uso do conteúdo-base.');
+  }
+});
+
+// { formato, conteudo, simular? }: valida tudo antes de gravar; qualquer erro aborta o lote inteiro
+app.post('/admin/conteudo/importar', requireAdmin, async (req, res) => {
+  try {
+    const autor = autorAdmin(req);
+    if (!autor) return res.status(400).json({ error: 'Informe o autor no header x-admin-autor' });
+    const { formato = 'csv', conteudo, simular = false } = req.body || {};
+    if (!FORMATOS_CONTEUDO.includes(formato)) {
+      return res.status(400).json({ error: `formato deve ser um de: ${FORMATOS_CONTEUDO.join(', ')}` });
+    }
+    if (typeof conteudo !== 'string' || !conteudo.trim()) return res.status(400).json({ error: 'conteudo obrigatório' });
+
+    let itens;
+    try {
+      itens = lerConteudo(conteudo, formato);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!itens.length) return res.status(400).json({ error: 'Nenhum item encontrado' });
+    if (itens.length > MAX_ITENS_IMPORTACAO) {
+      return res.status(413).json({ error: `Máximo de ${MAX_ITENS_IMPORTACAO} itens por importação` });
+    }
+
+    const plano = [];
+    const erros = [];
+    const vistos = new Set();
+    for (const item of itens) {
+      let atual = null;
+      if (item.id) {
+        if (vistos.has(item.id)) { erros.push({ linha: item._linha, erros: ['id repetido no arquivo'] }); continue; }
+        vistos.add(item.id);
+        const { data, error } = await repos.conteudo.buscarPorId(item.id);
+        if (error) throw error;
+        if (!data) { erros.push({ linha: item._linha, erros: [`id ${item.id} não encontrado`] }); continue; }
+        atual = data;
+      }
+      const { patch, erros: errosItem } = validarConteudo(item, { parcial: !!atual });
+      if (errosItem.length) erros.push({ linha: item._linha, erros: errosItem });
+      else plano.push({ atual, patch });
+    }
+    if (erros.length) return res.status(400).json({ error: 'Importação com erros; nada foi gravado', erros });
+
+    const resumo = { criados: 0, atualizados: 0, inalterados: 0 };
+    if (simular) {
+      for (const p of plano) resumo[p.atual ? 'atualizados' : 'criados'] += 1;
+      return okJson(req, res, { simulacao: true, ...resumo });
+    }
+    for (const p of plano) {
+      const { acao } = await salvarConteudoComRevisao({ ...p, autor, origem: `importacao_${formato}` });
+      if (acao === 'criar') resumo.criados += 1;
+      else if (acao) resumo.atualizados += 1;
+      else resumo.inalterados += 1;
+    }
+    okJson(req, res, { simulacao: false, ...resumo });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao importar conteúdo-base.');
+  }
+});
+
+app.get('/admin/conteudo/:id', requireAdmin, async (req, res) => {
+  try {
+    const { data: conteudo, error } = await repos.conteudo.buscarPorId(req.params.id);
+    if (error) return res.status(500).json({ error: error.message });
+    if (!conteudo) return res.status(404).json({ error: 'Conteúdo não encontrado' });
+
+    const { data: revisoes, error: errRev } = await repos.conteudo.listarRevisoes(conteudo.id);
+    if (errRev) return res.status(500).json({ error: errRev.message });
+    okJson(req, res, { conteudo, revisoes: revisoes || [] });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao buscar conteúdo-base.');
+  }
+});
+
+app.post('/admin/conteudo', requireAdmin, async (req, res) => {
+  try {
+    const autor = autorAdmin(req);
+    if (!autor) return res.status(400).json({ error: 'Informe o autor no header x-admin-autor' });
+    const { patch, erros } = validarConteudo(req.body || {});
+    if (erros.length) return res.status(400).json({ error: 'Dados inválidos', erros });
+
+    const { conteudo } = await salvarConteudoComRevisao({ patch, autor });
+    okJson(req, res, { conteudo }, 201);
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao criar conteúdo-base.');
+  }
+});
+
+app.patch('/admin/conteudo/:id', requireAdmin, async (req, res) => {
+  try {
+    const autor = autorAdmin(req);
+    if (!autor) return res.status(400).json({ error: 'Informe o autor no header x-admin-autor' });
+    const { patch, erros } = validarConteudo(req.body || {}, { parcial: true });
+    if (erros.length) return res.status(400).json({ error: 'Dados inválidos', erros });
+    if (!Object.keys(patch).length) return res.status(400).json({ error: 'Nada para atualizar' });
+
+    const { data: atual, error } = await repos.conteudo.buscarPorId(req.params.id);
+    if (error) return res.status(500).json({ error: error.message });
+    if (!atual) return res.status(404).json({ error: 'Conteúdo não encontrado' });
+
+    const { conteudo, acao } = await salvarConteudoComRevisao({ atual, patch, autor });
+    okJson(req, res, { conteudo, alterado: !!acao });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao atualizar conteúdo-base.');
+  }
+});
+
+// desativa (some do /ia) sem apagar; PATCH { ativo: true } reativa
+app.delete('/admin/conteudo/:id', requireAdmin, async (req, res) => {
+  try {
+    const autor = autorAdmin(req);
+    if (!autor) return res.status(400).json({ error: 'Informe o autor no header x-admin-autor' });
+    const { data: atual, error } = await repos.conteudo.buscarPorId(req.params.id);
+    if (error) return res.status(500).json({ error: error.message });
+    if (!atual) return res.status(404).json({ error: 'Conteúdo não encontrado' });
+
+    const { conteudo } = await salvarConteudoComRevisao({ atual, patch: { ativo: false }, autor });
+    okJson(req, res, { conteudo });
+  } catch (e) {
+    errorJson(req, res, e, 'Falha ao desativar conteúdo-base.');
   }
 });
 
@@ -1663,11 +4131,7 @@ function finalizeLog(req, res) {
   try {
     const end = process.hrtime.bigint();
     const durMs = Number(end - (req._startAt || end)) / 1e6;
-    recordLatency(durMs);
     const status = res.statusCode || 0;
-    if (status >= 500) metrics.requests_total['5xx']++;
-    else if (status >= 400) metrics.requests_total['4xx']++;
-    else metrics.requests_total['2xx']++;
 
     const logObj = {
       ts: new Date().toISOString(),
@@ -1688,6 +4152,31 @@ function finalizeLog(req, res) {
 
 /* ========= Server ========= */
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log('Servidor rodando na porta ' + PORT);
+const servidor = app.listen(PORT, () => {
+  console.log('Servidor rodando na porta ' + servidor.address().port);
 });
+
+// desligamento: para o worker de jobs (esperando o lote atual), descarrega os spans pendentes
+// do exportador e fecha a conexão Redis antes de sair
+let encerrando = false;
+async function encerrarServidor(sinal) {
+  if (encerrando) return;
+  encerrando = true;
+  console.log(`[SHUTDOWN] ${sinal} recebido, encerrando...`);
+  servidor.close();
+  let limite;
+  const esgotou = new Promise(r => { limite = setTimeout(() => r('esgotou'), JOBS.ESPERA_DESLIGAR_MS); });
+  if (await Promise.race([fila.parar(), esgotou]) === 'esgotou') {
+    console.warn('[jobs] lote em execução não terminou a tempo; volta para a fila quando a trava vencer');
+  }
+  clearTimeout(limite);
+  try {
+    await tracer.exportador?.fechar();
+  } catch (e) {
+    console.error('[TRACING] falha ao descarregar spans no desligamento:', e?.message || e);
+  }
+  clienteRedis?.fechar();
+  process.exit(0);
+}
+process.once('SIGTERM', () => encerrarServidor('SIGTERM'));
+process.once('SIGINT', () => encerrarServidor('SIGINT'));
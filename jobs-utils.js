@@ -0,0 +1,128 @@
+// jobs-utils.js
+// Worker da fila de jobs (repositorios/jobs.js). Roda no mesmo processo da API: um intervalo
+// busca jobs vencidos e enfileirar() já acorda o worker, então o atraso típico é de milissegundos.
+// Falha -> nova tentativa com backoff exponencial (com jitter); esgotou max_tentativas ou o
+// handler lançou erro com `permanente: true` -> status 'morto' (dead-letter), reprocessável pelo admin.
+const os = require('os');
+
+function atrasoBackoff(tentativa, { baseMs, maxMs }) {
+  const bruto = Math.min(maxMs, baseMs * 2 ** Math.max(0, tentativa - 1));
+  return Math.round(bruto * (0.8 + Math.random() * 0.4));
+}
+
+const mensagemErro = (e) => String(e?.message || e || 'erro desconhecido').slice(0, 1000);
+
+function criarFilaJobs({
+  repo,
+  intervaloMs = 2000,
+  lote = 5,
+  travaSegundos = 120,
+  maxTentativas = 5,
+  backoffBaseMs = 5000,
+  backoffMaxMs = 60 * 60_000,
+  worker = `${os.hostname()}:${process.pid}`,
+} = {}) {
+  const handlers = new Map();
+  let timer = null;
+  let rodando = false;
+  let acordar = false;
+  let parando = false;
+  let execucao = null; // promise do processarPendentes em curso (parar() espera por ela)
+
+  function registrar(tipo, handler) {
+    handlers.set(tipo, handler);
+  }
+
+  // { id, tipo, status }; lança se o repositório falhar (quem chama decide se isso derruba a rota).
+  // `chave` deduplica: enfileirar de novo com a mesma chave (ex.: nova tentativa de quem enfileira)
+  // devolve o job que já existe em vez de criar outro
+  async function enfileirar(tipo, payload = {}, { user_id = null, atrasoMs = 0, maxTentativas: max = maxTentativas, chave = null } = {}) {
+    if (!handlers.has(tipo)) throw new Error(`tipo de job desconhecido: ${tipo}`);
+    const { data, error } = await repo.criar({
+      tipo,
+      payload,
+      user_id: user_id ?? payload.user_id ?? null,
+      max_tentativas: max,
+      executar_em: new Date(Date.now() + atrasoMs).toISOString(),
+      chave,
+    });
+    if (error) throw new Error(`falha ao enfileirar ${tipo}: ${error.message}`);
+    if (timer && !atrasoMs) setImmediate(rodarEmSegundoPlano);
+    return { id: data.id, tipo: data.tipo, status: data.status };
+  }
+
+  async function executar(job) {
+    const handler = handlers.get(job.tipo);
+    try {
+      if (!handler) throw Object.assign(new Error(`sem handler para ${job.tipo}`), { permanente: true });
+      const resultado = await handler(job.payload || {}, { job, enfileirar });
+      await repo.concluir(job.id, resultado ?? null);
+      return 'concluido';
+    } catch (e) {
+      const erro = mensagemErro(e);
+      if (e?.permanente || job.tentativas >= (job.max_tentativas || maxTentativas)) {
+        console.error(`[jobs] ${job.tipo} ${job.id} foi para o dead-letter após ${job.tentativas} tentativa(s):`, erro);
+        await repo.enterrar(job.id, { erro });
+        return 'morto';
+      }
+      const atraso = atrasoBackoff(job.tentativas, { baseMs: backoffBaseMs, maxMs: backoffMaxMs });
+      console.warn(`[jobs] ${job.tipo} ${job.id} falhou (tentativa ${job.tentativas}); nova tentativa em ${Math.round(atraso / 1000)}s:`, erro);
+      await repo.reagendar(job.id, { erro, executar_em: new Date(Date.now() + atraso).toISOString() });
+      return 'pendente';
+    }
+  }
+
+  // esvazia o que está vencido; chamadas concorrentes só marcam para rodar de novo ao fim.
+  // Depois de parar(), termina o lote atual e não reserva outro
+  async function processarPendentes() {
+    if (rodando) { acordar = true; return 0; }
+    rodando = true;
+    let total = 0;
+    execucao = (async () => {
+      do {
+        acordar = false;
+        while (!parando) {
+          const { data: jobs, error } = await repo.reservar({ worker, limite: lote, travaSegundos });
+          if (error) { console.error('[jobs] reservar falhou:', error.message); break; }
+          if (!jobs?.length) break;
+          for (const job of jobs) await executar(job);
+          total += jobs.length;
+        }
+      } while (acordar && !parando);
+    })();
+    try {
+      await execucao;
+    } finally {
+      rodando = false;
+      execucao = null;
+    }
+    return total;
+  }
+
+  const rodarEmSegundoPlano = () => processarPendentes().catch(e => console.error('[jobs] loop falhou:', e.message));
+
+  function iniciar() {
+    if (timer) return;
+    parando = false;
+    timer = setInterval(rodarEmSegundoPlano, intervaloMs);
+    timer.unref();
+    setImmediate(rodarEmSegundoPlano);
+  }
+
+  // jobs reabertos fora do enfileirar (reprocessamento pelo admin) não esperam o próximo intervalo
+  function despertar() {
+    if (timer) setImmediate(rodarEmSegundoPlano);
+  }
+
+  // desligamento: sem novos lotes; a promise resolve quando o lote em execução termina
+  async function parar() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    parando = true;
+    await execucao?.catch(() => {});
+  }
+
+  return { registrar, enfileirar, processarPendentes, iniciar, despertar, parar, tipos: () => [...handlers.keys()] };
+}
+
+module.exports = { criarFilaJobs, atrasoBackoff };
@@ -0,0 +1,177 @@
+// limitador-utils.js
+// Rate limit (janela deslizante: cada request aceito é um registro com timestamp; o limite conta
+// os registros da última janela) e cache do debounce do /ia e /mensagem, com três backends:
+//   memoria  — Maps no processo, varridos periodicamente (uma instância só)
+//   redis    — sorted set por chave + SET PX para o debounce; expira sozinho (ver redis-utils.js)
+//   postgres — RPC consumir_limite + tabelas limites_taxa/debounce_respostas via Supabase
+// Todos expõem { nome, consumir, buscarResposta, guardarResposta, limparExpirados, fechar } e lançam
+// em falha do backend; quem chama decide (o middleware libera o request).
+const crypto = require('crypto');
+
+// { permitido, restante, retryAfterMs }
+function resultado(contagem, limite, maisAntigo, janelaMs, agora) {
+  const permitido = contagem <= limite;
+  return {
+    permitido,
+    restante: Math.max(0, limite - contagem),
+    retryAfterMs: permitido ? 0 : Math.max(1, maisAntigo + janelaMs - agora),
+  };
+}
+
+function criarLimitadorMemoria({ intervaloLimpezaMs = 60_000 } = {}) {
+  const janelas = new Map();   // chave -> { janelaMs, ts: [timestamps] }
+  const respostas = new Map(); // chave -> { expira, resposta }
+
+  async function consumir(chave, { limite, janelaMs }) {
+    const agora = Date.now();
+    const j = janelas.get(chave) || { janelaMs, ts: [] };
+    j.janelaMs = janelaMs;
+    j.ts = j.ts.filter(t => agora - t < janelaMs);
+    const permitido = j.ts.length < limite;
+    if (permitido) j.ts.push(agora);
+    janelas.set(chave, j);
+    return resultado(permitido ? j.ts.length : j.ts.length + 1, limite, j.ts[0], janelaMs, agora);
+  }
+
+  async function buscarResposta(chave) {
+    const r = respostas.get(chave);
+    if (!r) return null;
+    if (r.expira <= Date.now()) { respostas.delete(chave); return null; }
+    return r.resposta;
+  }
+
+  async function guardarResposta(chave, resposta, ttlMs) {
+    respostas.set(chave, { expira: Date.now() + ttlMs, resposta });
+  }
+
+  // chaves sem nenhum registro na janela e respostas vencidas saem do Map
+  async function limparExpirados() {
+    const agora = Date.now();
+    let removidos = 0;
+    for (const [k, j] of janelas) {
+      if (!j.ts.length || agora - j.ts[j.ts.length - 1] >= j.janelaMs) { janelas.delete(k); removidos += 1; }
+    }
+    for (const [k, r] of respostas) {
+      if (r.expira <= agora) { respostas.delete(k); removidos += 1; }
+    }
+    return removidos;
+  }
+
+  const timer = intervaloLimpezaMs > 0 ? setInterval(limparExpirados, intervaloLimpezaMs) : null;
+  if (timer) timer.unref();
+
+  return {
+    nome: 'memoria',
+    consumir,
+    buscarResposta,
+    guardarResposta,
+    limparExpirados,
+    fechar: () => timer && clearInterval(timer),
+    tamanho: () => ({ janelas: janelas.size, respostas: respostas.size }),
+  };
+}
+
+// cliente = criarClienteRedis(...); tudo com TTL no próprio Redis, então não há varredura
+function criarLimitadorRedis({ cliente, prefixo = 'm360:' }) {
+  async function consumir(chave, { limite, janelaMs }) {
+    const k = `${prefixo}rl:${chave}`;
+    const agora = Date.now();
+    const membro = `${agora}-${crypto.randomBytes(4).toString('hex')}`;
+    const [, , contagem, , maisAntigo] = await cliente.multi([
+      ['ZREMRANGEBYSCORE', k, '-inf', agora - janelaMs],
+      ['ZADD', k, agora, membro],
+      ['ZCARD', k],
+      ['PEXPIRE', k, janelaMs],
+      ['ZRANGE', k, 0, 0, 'WITHSCORES'],
+    ]);
+    // recusado não ocupa vaga: tira o registro que acabou de entrar
+    if (contagem > limite) await cliente.comando('ZREM', k, membro);
+    return resultado(Number(contagem), limite, Number(maisAntigo?.[1] ?? agora), janelaMs, agora);
+  }
+
+  async function buscarResposta(chave) {
+    const v = await cliente.comando('GET', `${prefixo}db:${chave}`);
+    return v ? JSON.parse(v) : null;
+  }
+
+  async function guardarResposta(chave, resposta, ttlMs) {
+    await cliente.comando('SET', `${prefixo}db:${chave}`, JSON.stringify(resposta), 'PX', Math.max(1, Math.round(ttlMs)));
+  }
+
+  return {
+    nome: 'redis',
+    consumir,
+    buscarResposta,
+    guardarResposta,
+    limparExpirados: async () => 0,
+    fechar: () => cliente.fechar(),
+  };
+}
+
+// supabase = cliente supabase-js. consumir_limite(p_chave, p_limite, p_janela_ms) faz o
+// delete-conta-insere numa transação e devolve (permitido, contagem, mais_antigo_ms)
+function criarLimitadorPostgres({ supabase }) {
+  const falha = (error) => Object.assign(new Error(`postgres: ${error.message}`), { causa: error });
+
+  async function consumir(chave, { limite, janelaMs }) {
+    const agora = Date.now();
+    const { data, error } = await supabase.rpc('consumir_limite', { p_chave: chave, p_limite: limite, p_janela_ms: janelaMs });
+    if (error) throw falha(error);
+    const linha = Array.isArray(data) ? data[0] : data;
+    const contagem = linha?.permitido ? Number(linha.contagem) : Number(linha?.contagem ?? limite) + 1;
+    return resultado(contagem, limite, Number(linha?.mais_antigo_ms ?? agora), janelaMs, agora);
+  }
+
+  async function buscarResposta(chave) {
+    const { data, error } = await supabase.from('debounce_respostas')
+      .select('resposta').eq('chave', chave).gt('expira_em', new Date().toISOString()).maybeSingle();
+    if (error) throw falha(error);
+    return data?.resposta ?? null;
+  }
+
+  async function guardarResposta(chave, resposta, ttlMs) {
+    const { error } = await supabase.from('debounce_respostas')
+      .upsert({ chave, resposta, expira_em: new Date(Date.now() + ttlMs).toISOString() }, { onConflict: 'chave' });
+    if (error) throw falha(error);
+  }
+
+  async function limparExpirados() {
+    const agora = new Date().toISOString();
+    const [limites, debounce] = await Promise.all([
+      supabase.from('limites_taxa').delete().lt('expira_em', agora),
+      supabase.from('debounce_respostas').delete().lt('expira_em', agora),
+    ]);
+    const error = limites.error || debounce.error;
+    if (error) throw falha(error);
+    return 0;
+  }
+
+  return { nome: 'postgres', consumir, buscarResposta, guardarResposta, limparExpirados, fechar: () => {} };
+}
+
+/* --- limites por rota --- */
+// RATE_LIMITS_JSON: { "POST /ia": { "usuario": 20 }, "/senha/esqueci": { "ip": 3, "janela_seg": 600 } }
+// chave = "MÉTODO /caminho" ou só "/caminho" (qualquer método); caminho exato, sem parâmetros
+function validarLimitesRota(rotas) {
+  for (const [rota, cfg] of Object.entries(rotas)) {
+    if (!/^([A-Z]+ )?\//.test(rota)) throw new Error(`rota inválida em RATE_LIMITS_JSON: ${rota}`);
+    for (const [k, v] of Object.entries(cfg || {})) {
+      if (!['ip', 'usuario', 'janela_seg'].includes(k)) throw new Error(`campo desconhecido em ${rota}: ${k}`);
+      if (typeof v !== 'number' || v <= 0) throw new Error(`${rota}.${k} deve ser número > 0`);
+    }
+  }
+  return rotas;
+}
+
+function limiteDaRota(rotas, metodo, caminho) {
+  const cfg = rotas[`${metodo} ${caminho}`] || rotas[caminho];
+  return cfg ? { ...cfg, janelaMs: (cfg.janela_seg || 60) * 1000 } : null;
+}
+
+module.exports = {
+  criarLimitadorMemoria,
+  criarLimitadorRedis,
+  criarLimitadorPostgres,
+  validarLimitesRota,
+  limiteDaRota,
+};
@@ -0,0 +1,166 @@
+// llm-provider.js
+// Interface única para chat e embeddings. Todos os provedores devolvem o formato
+// da API da OpenAI (choices/usage/data[].embedding), então quem chama não muda.
+//
+//   chat(params, opts)        -> completion
+//   chatStream(params, opts)  -> async iterable de chunks
+//   embed({ input, model, purpose }) -> { data: [{ embedding }], model, usage }
+//
+// `params.purpose` identifica a chamada (tagger, extract_people, ia_chat...) e é
+// removido antes de ir para a rede; o provedor fake usa ele para escolher o roteiro.
+const crypto = require('crypto');
+const fs = require('fs');
+const OpenAI = require('openai');
+
+function modelosDoEnv(env = process.env) {
+  return {
+    chat: env.LLM_MODEL || 'gpt-4o',
+    extract: env.LLM_EXTRACT_MODEL || 'gpt-4o-mini',
+    tagger: env.LLM_TAGGER_MODEL || 'gpt-4o',
+    embedding: env.LLM_EMBEDDING_MODEL || 'text-embedding-3-small',
+  };
+}
+
+/* ========= OpenAI e compatíveis (vLLM, Ollama, LM Studio...) ========= */
+function criarProvedorOpenAI({ nome = 'openai', apiKey, baseURL, modelos }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    nome,
+    modelos,
+    async chat({ purpose, ...params }, opts = {}) {
+      return client.chat.completions.create({ ...params, model: params.model || modelos.chat }, opts);
+    },
+    async chatStream({ purpose, ...params }, opts = {}) {
+      return client.chat.completions.create(
+        { ...params, model: params.model || modelos.chat, stream: true, stream_options: { include_usage: true } },
+        opts
+      );
+    },
+    async embed({ input, model }, opts = {}) {
+      return client.embeddings.create({ model: model || modelos.embedding, input }, opts);
+    },
+  };
+}
+
+/* ========= Fake determinístico (offline/testes) ========= */
+const RESPOSTAS_FAKE_PADRAO = {
+  tagger: '{ "tags_tema": [] }',
+  extract_people: '[]',
+  risk_classifier: '{ "riscos": [] }',
+  extract_life_events: '{ "eventos": [] }',
+  perfil_compacto: 'Pessoa citada pelo usuário.',
+  perfil_update: '{ "adicionar": [], "remover": [] }',
+  finalizar_sessao: '{"resumo":"Sessão de teste.","tags_tema":[],"tags_risco":[]}',
+  ia_chat: 'Entendi. Quer me contar um pouco mais sobre isso?',
+};
+
+const contarTokens = (txt = '') => Math.ceil(String(txt).length / 4);
+
+// bag-of-words com hashing: mesmo texto => mesmo vetor; palavras em comum => cosseno alto
+function embeddingDeterministico(texto, dim) {
+  const v = new Array(dim).fill(0);
+  const palavras = String(texto || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .split(/[^a-z0-9]+/).filter(Boolean);
+  for (const p of palavras) {
+    const h = crypto.createHash('sha256').update(p).digest();
+    const idx = h.readUInt32BE(0) % dim;
+    v[idx] += (h[4] & 1) ? 1 : -1;
+  }
+  const norma = Math.sqrt(v.reduce((acc, x) => acc + x * x, 0)) || 1;
+  return v.map(x => x / norma);
+}
+
+// roteiro: { [purpose]: "texto" | ["t1", "t2", ...] } — arrays giram em round-robin
+// latenciaMs: espera antes de cada chat, para testes que precisam de uma request ainda em andamento
+function criarProvedorFake({ roteiro = {}, modelos = modelosDoEnv({}), dimEmbedding = 1536, latenciaMs = 0 } = {}) {
+  const script = { ...RESPOSTAS_FAKE_PADRAO, ...roteiro };
+  const cursores = new Map();
+  const esperar = () => (latenciaMs > 0 ? new Promise(r => setTimeout(r, latenciaMs)) : null);
+
+  const proximaResposta = (purpose) => {
+    const r = script[purpose] ?? script.ia_chat;
+    if (!Array.isArray(r)) return String(r);
+    const i = cursores.get(purpose) || 0;
+    cursores.set(purpose, i + 1);
+    return String(r[i % r.length]);
+  };
+
+  const montarCompletion = (params, content) => {
+    const prompt = (params.messages || []).map(m => String(m.content || '')).join('\n');
+    const prompt_tokens = contarTokens(prompt);
+    const completion_tokens = contarTokens(content);
+    return {
+      id: `fake-${crypto.randomUUID()}`,
+      object: 'chat.completion',
+      model: params.model || modelos.chat,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens },
+    };
+  };
+
+  return {
+    nome: 'fake',
+    modelos,
+    async chat({ purpose, ...params }) {
+      await esperar();
+      return montarCompletion(params, proximaResposta(purpose));
+    },
+    async chatStream({ purpose, ...params }, opts = {}) {
+      await esperar();
+      const completion = montarCompletion(params, proximaResposta(purpose));
+      const pedacos = completion.choices[0].message.content.match(/\S+\s*/g) || [];
+      const base = { id: completion.id, object: 'chat.completion.chunk', model: completion.model };
+      return (async function* () {
+        for (const delta of pedacos) {
+          if (opts.signal?.aborted) throw new Error('Request was aborted.');
+          yield { ...base, choices: [{ index: 0, delta: { content: delta }, finish_reason: null }] };
+        }
+        yield { ...base, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] };
+        yield { ...base, choices: [], usage: completion.usage };
+      })();
+    },
+    async embed({ input, model }) {
+      const entradas = Array.isArray(input) ? input : [input];
+      return {
+        object: 'list',
+        model: model || modelos.embedding,
+        data: entradas.map((txt, index) => ({ object: 'embedding', index, embedding: embeddingDeterministico(txt, dimEmbedding) })),
+        usage: { prompt_tokens: contarTokens(entradas.join(' ')), total_tokens: contarTokens(entradas.join(' ')) },
+      };
+    },
+  };
+}
+
+/* ========= Seleção por config ========= */
+// LLM_PROVIDER = openai (padrão) | compatible | fake
+function criarProvedorLLM(env = process.env) {
+  const tipo = String(env.LLM_PROVIDER || 'openai').toLowerCase();
+  const modelos = modelosDoEnv(env);
+
+  if (tipo === 'fake') {
+    const roteiro = env.LLM_FAKE_SCRIPT ? JSON.parse(fs.readFileSync(env.LLM_FAKE_SCRIPT, 'utf8')) : {};
+    return criarProvedorFake({
+      roteiro,
+      modelos,
+      dimEmbedding: Number(env.LLM_EMBEDDING_DIM || 1536),
+      latenciaMs: Number(env.LLM_FAKE_LATENCY_MS || 0),
+    });
+  }
+  if (tipo === 'compatible') {
+    if (!env.LLM_BASE_URL) throw new Error('LLM_BASE_URL não configurada para LLM_PROVIDER=compatible');
+    return criarProvedorOpenAI({
+      nome: 'compatible',
+      apiKey: env.LLM_API_KEY || 'sem-chave',
+      baseURL: env.LLM_BASE_URL,
+      modelos,
+    });
+  }
+  if (tipo === 'openai') {
+    return criarProvedorOpenAI({ apiKey: env.OPENAI_API_KEY, modelos });
+  }
+  throw new Error(`LLM_PROVIDER desconhecido: ${tipo}`);
+}
+
+module.exports = { criarProvedorLLM, criarProvedorOpenAI, criarProvedorFake, embeddingDeterministico };
@@ -0,0 +1,79 @@
+// mail-utils.js
+// Transporte de e-mail plugável: enviar({ para, assunto, texto, html }) -> { id }
+//
+// MAIL_TRANSPORT = console (padrão fora de produção) | arquivo | smtp
+// Em produção (NODE_ENV=production) o transporte tem de ser escolhido explicitamente: sem isso
+// nenhum e-mail sai e a API não sobe.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// tokens de link (verificação, redefinição, exclusão) não vão para o log: quem lê o log
+// tomaria a conta. Para abrir o link no dev, use MAIL_TRANSPORT=arquivo.
+const ocultarTokens = (texto) => String(texto || '').replace(/([?&]token=)[^\s&"'<>]+/g, '$1[REDACTED]');
+
+function criarTransporteConsole() {
+  return {
+    nome: 'console',
+    async enviar({ para, assunto, texto }) {
+      const id = crypto.randomUUID();
+      console.log(`[MAIL] (console) para=${para} assunto="${assunto}"\n${ocultarTokens(texto)}`);
+      return { id };
+    },
+  };
+}
+
+// um .json por e-mail; útil para testes e para abrir o link de verificação no dev
+function criarTransporteArquivo(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    nome: 'arquivo',
+    async enviar({ para, assunto, texto, html }) {
+      const id = crypto.randomUUID();
+      const arquivo = path.join(dir, `${Date.now()}-${id}.json`);
+      await fs.promises.writeFile(arquivo, JSON.stringify({ id, para, assunto, texto, html, ts: new Date().toISOString() }, null, 2));
+      return { id };
+    },
+  };
+}
+
+function criarTransporteSMTP({ host, port, secure, user, pass, from }) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {}),
+  });
+  return {
+    nome: 'smtp',
+    async enviar({ para, assunto, texto, html }) {
+      const info = await transporter.sendMail({ from, to: para, subject: assunto, text: texto, html });
+      return { id: info.messageId };
+    },
+  };
+}
+
+function criarTransporteEmail(env = process.env) {
+  if (!env.MAIL_TRANSPORT && env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT não configurado (obrigatório com NODE_ENV=production)');
+  }
+  const tipo = String(env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+  if (tipo === 'console') return criarTransporteConsole();
+  if (tipo === 'arquivo') return criarTransporteArquivo(env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox'));
+  if (tipo === 'smtp') {
+    if (!env.SMTP_HOST) throw new Error('SMTP_HOST não configurado para MAIL_TRANSPORT=smtp');
+    return criarTransporteSMTP({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT || 587),
+      secure: String(env.SMTP_SECURE || 'false') === 'true',
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      from: env.MAIL_FROM || 'Mentor 360 <no-reply@mentor360.app>',
+    });
+  }
+  throw new Error(`MAIL_TRANSPORT desconhecido: ${tipo}`);
+}
+
+module.exports = { criarTransporteEmail, criarTransporteConsole, criarTransporteArquivo, criarTransporteSMTP, ocultarTokens };
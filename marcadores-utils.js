@@ -0,0 +1,78 @@
+// marcadores-utils.js
+// Emoções e contextos por pessoa com decaimento: cada termo guarda { rotulo, peso, em }.
+// O peso cai pela metade a cada `meiaVidaDias` sem nova menção; termos repetidos
+// (mesma chave sem acento/caixa) somam em vez de duplicar.
+const { normalizar } = require('./texto-utils');
+
+const CONTEXTOS_VINCULO = [
+  'familia', 'trabalho', 'conflito', 'cuidado', 'saude', 'lazer',
+  'financeiro', 'relacionamento', 'estudos', 'luto', 'apoio', 'outro',
+];
+
+const PESO_MINIMO = 0.1;
+
+const chaveTermo = normalizar;
+
+const rotuloTermo = (s = '') => String(s).replace(/\s+/g, ' ').trim().toLowerCase().slice(0, 40);
+
+function pesoAtual(item, agoraMs, meiaVidaDias) {
+  const dias = Math.max(0, (agoraMs - new Date(item.em || 0).getTime()) / 86400_000);
+  return (item.peso || 0) * Math.pow(0.5, dias / meiaVidaDias);
+}
+
+// aplica o decaimento, soma 1 por termo novo (uma vez por mensagem) e corta o excesso
+function acumularTermos(pesos = {}, novos = [], { agora = new Date(), meiaVidaDias = 30, max = 12 } = {}) {
+  const agoraMs = agora.getTime();
+  const em = agora.toISOString();
+  const out = {};
+
+  for (const [k, item] of Object.entries(pesos || {})) {
+    const peso = pesoAtual(item, agoraMs, meiaVidaDias);
+    if (peso >= PESO_MINIMO) out[k] = { rotulo: item.rotulo, peso, em };
+  }
+  const vistos = new Set();
+  for (const termo of novos || []) {
+    const k = chaveTermo(termo);
+    if (!k || vistos.has(k)) continue;
+    vistos.add(k);
+    out[k] = { rotulo: out[k]?.rotulo || rotuloTermo(termo), peso: (out[k]?.peso || 0) + 1, em };
+  }
+
+  const mantidos = Object.entries(out).sort((a, b) => b[1].peso - a[1].peso).slice(0, max);
+  return Object.fromEntries(mantidos.map(([k, v]) => [k, { ...v, peso: Math.round(v.peso * 1000) / 1000 }]));
+}
+
+// une dois mapas (mesclar vínculos): pesos decaídos somados por chave
+function mesclarTermos(a = {}, b = {}, { agora = new Date(), meiaVidaDias = 30, max = 12 } = {}) {
+  const agoraMs = agora.getTime();
+  const em = agora.toISOString();
+  const out = {};
+  for (const mapa of [a || {}, b || {}]) {
+    for (const [k, item] of Object.entries(mapa)) {
+      const peso = pesoAtual(item, agoraMs, meiaVidaDias) + (out[k]?.peso || 0);
+      out[k] = { rotulo: out[k]?.rotulo || item.rotulo, peso, em };
+    }
+  }
+  return acumularTermos(out, [], { agora, meiaVidaDias, max });
+}
+
+// rótulos mais fortes, já com decaimento; é o que vai para marcador_emocional/contextos_relevantes
+function topTermos(pesos = {}, n = 5, { agora = new Date(), meiaVidaDias = 30 } = {}) {
+  const agoraMs = agora.getTime();
+  return Object.values(pesos || {})
+    .map(item => ({ rotulo: item.rotulo, peso: pesoAtual(item, agoraMs, meiaVidaDias) }))
+    .filter(item => item.peso >= PESO_MINIMO)
+    .sort((a, b) => b.peso - a.peso)
+    .slice(0, n)
+    .map(item => item.rotulo);
+}
+
+// contextos fora da lista viram "outro"; evita "trabalho"/"emprego"/"serviço" como três termos
+function normalizarContextos(lista = []) {
+  return (Array.isArray(lista) ? lista : [])
+    .map(c => chaveTermo(c))
+    .filter(Boolean)
+    .map(c => (CONTEXTOS_VINCULO.includes(c) ? c : 'outro'));
+}
+
+module.exports = { CONTEXTOS_VINCULO, acumularTermos, mesclarTermos, topTermos, normalizarContextos, chaveTermo };
@@ -0,0 +1,135 @@
+// memorias-utils.js
+// Memória de longo prazo do /ia. Duas fontes na mesma busca:
+//   - resumos de sessão (session_embeddings), gravados no /finalizar-sessao;
+//   - trechos das falas do usuário (mensagem_embeddings), para não perder o que foi dito
+//     e não entrou no resumo.
+// O score é a similaridade ponderada pela idade (meia-vida), com deduplicação por texto
+// parecido e no máximo MAX_POR_SESSAO itens da mesma sessão.
+const { similaridadeTexto } = require('./texto-utils');
+
+const TAM_MINIMO_TRECHO = 20; // "sim", "ok, obrigado" não valem um embedding
+const LOTE_EMBEDDINGS = 64;
+const MAX_POR_SESSAO = 2;
+
+// quebra por frase até maxChars; frase maior que o limite é cortada em pedaços
+function dividirEmTrechos(texto, maxChars = 500) {
+  const frases = String(texto || '').replace(/\s+/g, ' ').trim().split(/(?<=[.!?…])\s+/);
+  const trechos = [];
+  let atual = '';
+  for (const frase of frases) {
+    if ((atual + ' ' + frase).trim().length <= maxChars) {
+      atual = (atual + ' ' + frase).trim();
+      continue;
+    }
+    if (atual) trechos.push(atual);
+    atual = '';
+    for (let i = 0; i < frase.length; i += maxChars) {
+      const pedaco = frase.slice(i, i + maxChars);
+      if (pedaco.length === maxChars) trechos.push(pedaco);
+      else atual = pedaco;
+    }
+  }
+  if (atual) trechos.push(atual);
+  return trechos.filter(t => t.length >= TAM_MINIMO_TRECHO);
+}
+
+// embeda as falas do usuário de uma sessão; devolve quantos trechos foram gravados
+// (`llm` é qualquer objeto com embed({ input }) — o index passa um que registra o uso).
+// jaIndexadas = ids de mensagens que já têm trechos; um lote nunca divide os trechos de uma
+// mensagem, então depois de uma falha no meio basta chamar de novo com os ids gravados
+async function indexarMensagensSessao(embeddingsRepo, llm, { user_id, sessao_id, mensagens = [], maxChars = 500, jaIndexadas = new Set() }) {
+  const lotes = [];
+  let lote = [];
+  for (const m of mensagens) {
+    if (m.origem !== 'usuario' || (m.id != null && jaIndexadas.has(String(m.id)))) continue;
+    const linhas = dividirEmTrechos(m.texto_mensagem, maxChars)
+      .map(trecho => ({ user_id, sessao_id, mensagem_id: m.id ?? null, trecho, data_mensagem: m.data_mensagem || null }));
+    if (lote.length && lote.length + linhas.length > LOTE_EMBEDDINGS) { lotes.push(lote); lote = []; }
+    lote.push(...linhas);
+  }
+  if (lote.length) lotes.push(lote);
+
+  let gravados = 0;
+  for (const lote of lotes) {
+    const resp = await llm.embed({ input: lote.map(l => l.trecho) });
+    const comEmbedding = lote.map((l, j) => ({ ...l, embedding: resp.data[j].embedding }));
+    const { error } = await embeddingsRepo.salvarTrechos(comEmbedding);
+    if (error) throw error;
+    gravados += lote.length;
+  }
+  return gravados;
+}
+
+const fatorRecencia = (dataISO, agora, meiaVidaDias, pesoRecencia) => {
+  if (!dataISO) return 1 - pesoRecencia;
+  const dias = Math.max(0, (agora.getTime() - new Date(dataISO).getTime()) / 86400_000);
+  return (1 - pesoRecencia) + pesoRecencia * Math.pow(0.5, dias / meiaVidaDias);
+};
+
+// [{ tipo: 'resumo' | 'trecho', texto, sessao_id, data, similaridade, score }]
+async function buscarMemorias(embeddingsRepo, sessoesRepo, {
+  user_id,
+  embedding,
+  n = 3,
+  meiaVidaDias = 90,
+  pesoRecencia = 0.3,
+  similaridadeMinima = 0.2,
+  incluirTrechos = true,
+  agora = new Date(),
+}) {
+  if (!embedding) return [];
+  const k = n * 4;
+
+  const [resumos, trechos] = await Promise.all([
+    embeddingsRepo.buscarResumosSemelhantes(user_id, embedding, k),
+    incluirTrechos ? embeddingsRepo.buscarTrechosSemelhantes(user_id, embedding, k) : { data: [], error: null },
+  ]);
+  if (resumos.error) console.error('Erro na busca vetorial (resumos):', resumos.error);
+  if (trechos.error) console.error('Erro na busca vetorial (trechos):', trechos.error);
+
+  const candidatos = [
+    ...(resumos.data || []).map(r => ({ tipo: 'resumo', texto: r.resumo, sessao_id: r.sessao_id, data: null, similaridade: r.similaridade })),
+    ...(trechos.data || []).map(t => ({ tipo: 'trecho', texto: t.trecho, sessao_id: t.sessao_id, data: t.data_mensagem || null, similaridade: t.similaridade })),
+  ].filter(c => c.texto && (c.similaridade || 0) >= similaridadeMinima);
+
+  // resumo não guarda data: usa a da sessão
+  const semData = [...new Set(candidatos.filter(c => !c.data).map(c => String(c.sessao_id)))];
+  const datas = new Map();
+  if (semData.length) {
+    const { data: sessoes, error } = await sessoesRepo.listarPorIds(semData, 'id, data_sessao');
+    if (error) console.error('Erro ao buscar datas das sessões das memórias:', error);
+    for (const s of sessoes || []) datas.set(String(s.id), s.data_sessao);
+  }
+
+  const ordenados = candidatos
+    .map(c => {
+      const data = c.data || datas.get(String(c.sessao_id)) || null;
+      return { ...c, data, score: c.similaridade * fatorRecencia(data, agora, meiaVidaDias, pesoRecencia) };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const escolhidos = [];
+  const porSessao = new Map();
+  for (const c of ordenados) {
+    if (escolhidos.length >= n) break;
+    const k = String(c.sessao_id);
+    if ((porSessao.get(k) || 0) >= MAX_POR_SESSAO) continue;
+    if (escolhidos.some(e => similaridadeTexto(e.texto, c.texto) >= 0.8)) continue;
+    escolhidos.push(c);
+    porSessao.set(k, (porSessao.get(k) || 0) + 1);
+  }
+  return escolhidos.map(c => ({ ...c, score: Math.round(c.score * 1000) / 1000 }));
+}
+
+const dataCurta = (iso) => (iso ? new Date(iso).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' }) : 's/ data');
+
+function montarBlocoMemorias(memorias = [], maxPorLinha = 220) {
+  if (!memorias.length) return 'Memórias relevantes:\n—\n';
+  const linhas = memorias.map(m => {
+    const prefixo = m.tipo === 'trecho' ? 'usuário disse' : 'resumo';
+    return `• [${dataCurta(m.data)}, ${prefixo}] ${String(m.texto).replace(/\s+/g, ' ').slice(0, maxPorLinha)}`;
+  });
+  return 'Memórias relevantes:\n' + linhas.join('\n') + '\n';
+}
+
+module.exports = { dividirEmTrechos, indexarMensagensSessao, buscarMemorias, montarBlocoMemorias };
@@ -0,0 +1,172 @@
+// metricas-utils.js
+// Registro de métricas no formato de exposição do Prometheus (text/plain 0.0.4): contadores,
+// histogramas e gauges com rótulos. Sem dependência externa; tudo fica em memória do processo
+// e o /metrics só serializa. Cada série é identificada pelos valores dos rótulos na ordem declarada.
+
+const CONTENT_TYPE_PROMETHEUS = 'text/plain; version=0.0.4; charset=utf-8';
+
+const BUCKETS_HTTP = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25];
+const BUCKETS_LLM = [0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60];
+
+const escaparRotulo = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const formatarNumero = (n) => (n === Infinity ? '+Inf' : n === -Infinity ? '-Inf' : Number.isNaN(n) ? 'NaN' : String(n));
+
+function serieRotulos(nomes, valores, extra = '') {
+  const pares = nomes.map((n, i) => `${n}="${escaparRotulo(valores[i])}"`);
+  if (extra) pares.push(extra);
+  return pares.length ? `{${pares.join(',')}}` : '';
+}
+
+function criarRegistroMetricas({ prefixo = '' } = {}) {
+  const metricas = [];
+
+  function registrar(tipo, nome, ajuda, rotulos, extra = {}) {
+    const m = { tipo, nome: prefixo + nome, ajuda, rotulos, series: new Map(), ...extra };
+    metricas.push(m);
+    return m;
+  }
+
+  // valores na ordem de `rotulos`; rótulo ausente vira string vazia
+  const chaveSerie = (m, valores = {}) => m.rotulos.map(r => String(valores[r] ?? ''));
+
+  function contador(nome, ajuda, rotulos = []) {
+    const m = registrar('counter', nome, ajuda, rotulos);
+    return {
+      inc(valores = {}, n = 1) {
+        if (!(n >= 0)) return;
+        const vals = chaveSerie(m, valores);
+        const k = vals.join('\u0000');
+        const s = m.series.get(k) || { vals, valor: 0 };
+        s.valor += n;
+        m.series.set(k, s);
+      },
+    };
+  }
+
+  // coletar(gauge), se informado, roda a cada exposição (valores lidos na hora: heap, filas...)
+  function gauge(nome, ajuda, rotulos = [], coletar = null) {
+    const m = registrar('gauge', nome, ajuda, rotulos);
+    const api = {
+      set(valores = {}, n) {
+        const vals = chaveSerie(m, valores);
+        m.series.set(vals.join('\u0000'), { vals, valor: n });
+      },
+    };
+    if (coletar) m.coletar = () => coletar(api);
+    return api;
+  }
+
+  function histograma(nome, ajuda, rotulos = [], buckets = BUCKETS_HTTP) {
+    const limites = [...buckets].sort((a, b) => a - b);
+    const m = registrar('histogram', nome, ajuda, rotulos, { limites });
+    return {
+      observar(valores = {}, v) {
+        if (typeof v !== 'number' || Number.isNaN(v)) return;
+        const vals = chaveSerie(m, valores);
+        const k = vals.join('\u0000');
+        const s = m.series.get(k) || { vals, contagens: limites.map(() => 0), soma: 0, total: 0 };
+        limites.forEach((l, i) => { if (v <= l) s.contagens[i] += 1; });
+        s.soma += v;
+        s.total += 1;
+        m.series.set(k, s);
+      },
+    };
+  }
+
+  function expor() {
+    const linhas = [];
+    for (const m of metricas) {
+      if (m.coletar) m.coletar();
+      linhas.push(`# HELP ${m.nome} ${m.ajuda.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      linhas.push(`# TYPE ${m.nome} ${m.tipo}`);
+      for (const s of m.series.values()) {
+        if (m.tipo !== 'histogram') {
+          linhas.push(`${m.nome}${serieRotulos(m.rotulos, s.vals)} ${formatarNumero(s.valor)}`);
+          continue;
+        }
+        m.limites.forEach((l, i) => {
+          linhas.push(`${m.nome}_bucket${serieRotulos(m.rotulos, s.vals, `le="${formatarNumero(l)}"`)} ${s.contagens[i]}`);
+        });
+        linhas.push(`${m.nome}_bucket${serieRotulos(m.rotulos, s.vals, 'le="+Inf"')} ${s.total}`);
+        linhas.push(`${m.nome}_sum${serieRotulos(m.rotulos, s.vals)} ${formatarNumero(s.soma)}`);
+        linhas.push(`${m.nome}_count${serieRotulos(m.rotulos, s.vals)} ${s.total}`);
+      }
+    }
+    return linhas.join('\n') + '\n';
+  }
+
+  return { contador, gauge, histograma, expor };
+}
+
+/* ========= LLM instrumentado ========= */
+// mesmo contrato de llm-provider.js; `observar` recebe uma chamada por request ao provedor:
+// { operacao: 'chat'|'stream'|'embed', model, purpose, segundos, erro, usage }
+function instrumentarLLM(llm, observar) {
+  const segundosDesde = (t0) => Number(process.hrtime.bigint() - t0) / 1e9;
+  const avisar = (dados) => { try { observar(dados); } catch (e) { console.error('[metricas] observar LLM falhou:', e.message); } };
+
+  return {
+    ...llm,
+    async chat(params, opts) {
+      const t0 = process.hrtime.bigint();
+      const base = { operacao: 'chat', model: params.model || llm.modelos.chat, purpose: params.purpose };
+      try {
+        const r = await llm.chat(params, opts);
+        avisar({ ...base, model: r?.model || base.model, segundos: segundosDesde(t0), erro: null, usage: r?.usage });
+        return r;
+      } catch (e) {
+        avisar({ ...base, segundos: segundosDesde(t0), erro: e, usage: null });
+        throw e;
+      }
+    },
+    // latência vai até o fim do stream; usage chega no último chunk (include_usage)
+    async chatStream(params, opts) {
+      const t0 = process.hrtime.bigint();
+      const base = { operacao: 'stream', model: params.model || llm.modelos.chat, purpose: params.purpose };
+      let stream;
+      try {
+        stream = await llm.chatStream(params, opts);
+      } catch (e) {
+        avisar({ ...base, segundos: segundosDesde(t0), erro: e, usage: null });
+        throw e;
+      }
+      return (async function* () {
+        let usage = null;
+        let model = base.model;
+        let erro = null;
+        try {
+          for await (const chunk of stream) {
+            if (chunk?.usage) usage = chunk.usage;
+            if (chunk?.model) model = chunk.model;
+            yield chunk;
+          }
+        } catch (e) {
+          erro = e;
+          throw e;
+        } finally {
+          avisar({ ...base, model, segundos: segundosDesde(t0), erro, usage });
+        }
+      })();
+    },
+    async embed(params, opts) {
+      const t0 = process.hrtime.bigint();
+      const base = { operacao: 'embed', model: params.model || llm.modelos.embedding, purpose: params.purpose };
+      try {
+        const r = await llm.embed(params, opts);
+        avisar({ ...base, model: r?.model || base.model, segundos: segundosDesde(t0), erro: null, usage: r?.usage });
+        return r;
+      } catch (e) {
+        avisar({ ...base, segundos: segundosDesde(t0), erro: e, usage: null });
+        throw e;
+      }
+    },
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE_PROMETHEUS,
+  BUCKETS_HTTP,
+  BUCKETS_LLM,
+  criarRegistroMetricas,
+  instrumentarLLM,
+};
@@ -0,0 +1,118 @@
+// perfil-utils.js
+// Perfil psicológico incremental: o perfil é uma lista de afirmações curtas por campo.
+// Os campos de texto (tracos_personalidade, valores_declarados, notas_mentor) são
+// derivados das afirmações ativas, então quem só lê o texto continua funcionando.
+const crypto = require('crypto');
+const { similaridadeTexto, semCercaJson } = require('./texto-utils');
+
+const CAMPOS_PERFIL = ['tracos_personalidade', 'valores_declarados', 'notas_mentor'];
+const MAX_AFIRMACOES_POR_CAMPO = 8;
+
+const parecida = (texto, lista) => lista.some(a => similaridadeTexto(a.texto, texto) >= 0.7);
+
+// id estável para afirmações vindas do texto legado: o GET e o veto precisam enxergar o mesmo id
+const idLegado = (campo, texto) =>
+  crypto.createHash('sha256').update(`${campo}|${texto}`).digest('hex').slice(0, 32);
+
+// perfis antigos só têm os textos: cada trecho separado por ; ou quebra de linha vira afirmação.
+// criado_em vem do próprio perfil (não da hora da leitura); quem lê grava o resultado uma vez
+function afirmacoesIniciais(perfil, agora = new Date()) {
+  if (Array.isArray(perfil?.afirmacoes)) return perfil.afirmacoes;
+  const criado_em = perfil?.created_at || agora.toISOString();
+  const out = [];
+  for (const campo of CAMPOS_PERFIL) {
+    const valor = perfil?.[campo];
+    const partes = Array.isArray(valor) ? valor : String(valor || '').split(/[;\n]+/);
+    for (const texto of partes.map(p => String(p).trim()).filter(Boolean)) {
+      out.push({ id: idLegado(campo, texto), campo, texto, sessao_id: null, criado_em, vetado: false });
+    }
+  }
+  return out;
+}
+
+function derivarCamposPerfil(afirmacoes = []) {
+  const out = {};
+  for (const campo of CAMPOS_PERFIL) {
+    const textos = afirmacoes.filter(a => a.campo === campo && !a.vetado).map(a => a.texto);
+    out[campo] = textos.length ? textos.join('; ') : null;
+  }
+  return out;
+}
+
+async function proporAtualizacaoPerfil(llm, { afirmacoes = [], resumo = '', falas = '' }, { timeout } = {}) {
+  const ativas = afirmacoes.filter(a => !a.vetado);
+  const vetadas = afirmacoes.filter(a => a.vetado);
+  const prompt = `
+Você mantém o perfil psicológico de um usuário de mentoria. Atualize-o com base na sessão abaixo.
+Regras: só registre o que a sessão sustenta; frases curtas (até 20 palavras) em 3ª pessoa; sem diagnósticos clínicos.
+Não repita afirmações já existentes. NUNCA proponha algo parecido com as afirmações vetadas pelo usuário.
+Remova afirmações existentes apenas se a sessão as contradisser claramente.
+
+Perfil atual (id | campo | texto):
+${ativas.map(a => `${a.id} | ${a.campo} | ${a.texto}`).join('\n') || '(vazio)'}
+
+Vetadas pelo usuário (não proponha):
+${vetadas.map(a => `- ${a.texto}`).join('\n') || '(nenhuma)'}
+
+Resumo da sessão: """${resumo}"""
+Falas do usuário: """${falas}"""
+
+Campos: ${CAMPOS_PERFIL.join(', ')}
+Responda apenas em JSON: { "adicionar": [{ "campo": "...", "texto": "..." }], "remover": ["id", ...] }
+  `;
+
+  const completion = await llm.chat(
+    {
+      purpose: 'perfil_update',
+      model: llm.modelos.extract,
+      temperature: 0.2,
+      max_tokens: 400,
+      messages: [{ role: 'user', content: prompt }],
+    },
+    { timeout }
+  );
+
+  let adicionar = [], remover = [];
+  try {
+    const content = semCercaJson(completion.choices?.[0]?.message?.content || '');
+    const parsed = JSON.parse(content);
+    adicionar = (Array.isArray(parsed?.adicionar) ? parsed.adicionar : [])
+      .filter(a => CAMPOS_PERFIL.includes(a?.campo) && typeof a.texto === 'string' && a.texto.trim())
+      .map(a => ({ campo: a.campo, texto: a.texto.trim().slice(0, 240) }));
+    remover = (Array.isArray(parsed?.remover) ? parsed.remover : []).map(String);
+  } catch (err) {
+    console.log('[perfil] resposta da atualização não é JSON:', err.message);
+  }
+  return { adicionar, remover, completion };
+}
+
+// aplica a proposta respeitando vetos e duplicatas; devolve o que de fato mudou.
+// Campo cheio: a observação nova entra no lugar da afirmação ativa mais antiga do campo
+function aplicarAtualizacaoPerfil(afirmacoes = [], { adicionar = [], remover = [] }, { sessao_id = null, agora = new Date() } = {}) {
+  const alvoRemocao = new Set(remover);
+  const removidas = afirmacoes.filter(a => !a.vetado && alvoRemocao.has(a.id));
+  let lista = afirmacoes.filter(a => !removidas.includes(a));
+
+  const adicionadas = [];
+  for (const nova of adicionar) {
+    if (parecida(nova.texto, lista)) continue; // já existe ou foi vetada
+    const doCampo = lista.filter(a => a.campo === nova.campo && !a.vetado);
+    if (doCampo.length >= MAX_AFIRMACOES_POR_CAMPO) {
+      const maisAntiga = doCampo.reduce((a, b) => (String(b.criado_em || '') < String(a.criado_em || '') ? b : a));
+      lista = lista.filter(a => a !== maisAntiga);
+      removidas.push(maisAntiga);
+    }
+    const item = { id: crypto.randomUUID(), campo: nova.campo, texto: nova.texto, sessao_id, criado_em: agora.toISOString(), vetado: false };
+    lista = [...lista, item];
+    adicionadas.push(item);
+  }
+  return { afirmacoes: lista, adicionadas, removidas };
+}
+
+module.exports = {
+  CAMPOS_PERFIL,
+  afirmacoesIniciais,
+  derivarCamposPerfil,
+  proporAtualizacaoPerfil,
+  aplicarAtualizacaoPerfil,
+};
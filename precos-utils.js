@@ -0,0 +1,116 @@
+// precos-utils.js
+// Tabela de preços por modelo (USD por 1M de tokens) e cálculo do custo de cada chamada.
+// Os valores padrão são os públicos da OpenAI; LLM_PRICING_JSON / LLM_PRICING_FILE sobrepõem
+// por modelo, no mesmo formato: { "gpt-4o": { "entrada": 2.5, "entrada_cache": 1.25, "saida": 10 } }.
+// Embedding só tem "entrada". Sem "entrada_cache", tokens em cache custam como entrada normal.
+const fs = require('fs');
+
+const PRECOS_PADRAO = {
+  'gpt-4o': { entrada: 2.5, entrada_cache: 1.25, saida: 10 },
+  'gpt-4o-mini': { entrada: 0.15, entrada_cache: 0.075, saida: 0.6 },
+  'gpt-4.1': { entrada: 2, entrada_cache: 0.5, saida: 8 },
+  'gpt-4.1-mini': { entrada: 0.4, entrada_cache: 0.1, saida: 1.6 },
+  'gpt-4.1-nano': { entrada: 0.1, entrada_cache: 0.025, saida: 0.4 },
+  'text-embedding-3-small': { entrada: 0.02 },
+  'text-embedding-3-large': { entrada: 0.13 },
+  'text-embedding-ada-002': { entrada: 0.1 },
+};
+
+function validarPreco(modelo, p) {
+  const campos = ['entrada', 'entrada_cache', 'saida'];
+  if (!p || typeof p !== 'object') throw new Error(`preço inválido para ${modelo}`);
+  for (const c of Object.keys(p)) {
+    if (!campos.includes(c)) throw new Error(`campo desconhecido em ${modelo}: ${c}`);
+    if (typeof p[c] !== 'number' || p[c] < 0) throw new Error(`${modelo}.${c} deve ser número >= 0`);
+  }
+  if (p.entrada === undefined) throw new Error(`${modelo} sem preço de entrada`);
+  return p;
+}
+
+// { precoDe(modelo), calcular(modelo, usage), listar() }; lança na subida se o override for inválido
+function criarTabelaPrecos({ json = null, arquivo = null } = {}) {
+  const extras = {
+    ...(arquivo ? JSON.parse(fs.readFileSync(arquivo, 'utf8')) : {}),
+    ...(json ? JSON.parse(json) : {}),
+  };
+  const tabela = { ...PRECOS_PADRAO };
+  for (const [modelo, p] of Object.entries(extras)) tabela[modelo] = validarPreco(modelo, p);
+
+  const semPreco = new Set();
+
+  // nome exato ou o prefixo mais longo: "gpt-4o-mini-2024-07-18" usa "gpt-4o-mini"
+  function precoDe(modelo) {
+    if (!modelo) return null;
+    if (tabela[modelo]) return tabela[modelo];
+    const prefixo = Object.keys(tabela)
+      .filter(k => modelo.startsWith(k + '-'))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefixo ? tabela[prefixo] : null;
+  }
+
+  // null quando o modelo não tem preço (avisa uma vez por modelo)
+  function calcular(modelo, usage = {}) {
+    const p = precoDe(modelo);
+    if (!p) {
+      if (modelo && !semPreco.has(modelo)) {
+        semPreco.add(modelo);
+        console.warn('[precos] modelo sem preço na tabela, custo fica null:', modelo);
+      }
+      return null;
+    }
+    const entrada = Number(usage?.prompt_tokens || 0);
+    const cache = Math.min(entrada, Number(usage?.prompt_tokens_details?.cached_tokens || 0));
+    const saida = Number(usage?.completion_tokens || 0);
+    const usd = ((entrada - cache) * p.entrada + cache * (p.entrada_cache ?? p.entrada) + saida * (p.saida ?? 0)) / 1e6;
+    return Math.round(usd * 1e8) / 1e8;
+  }
+
+  const listar = () => Object.entries(tabela).map(([modelo, p]) => ({ modelo, ...p }));
+
+  return { precoDe, calcular, listar };
+}
+
+/* ========= Relatório de gastos (messages_usage) ========= */
+const AGRUPAMENTOS_GASTO = ['usuario', 'purpose', 'dia', 'modelo'];
+
+const diaLocal = (iso, fuso) => new Date(iso).toLocaleDateString('sv-SE', { timeZone: fuso }); // AAAA-MM-DD
+
+const chaveGasto = {
+  usuario: (l) => l.user_id ?? null,
+  purpose: (l) => l.metadata?.purpose || 'desconhecido',
+  dia: (l, fuso) => diaLocal(l.created_at, fuso),
+  modelo: (l) => l.model || 'desconhecido',
+};
+
+// linhas sem cost_usd (antes da tabela de preços) são estimadas com os preços atuais
+function resumirGastos(linhas = [], { agrupar = 'purpose', precos, fuso = 'America/Sao_Paulo' } = {}) {
+  const novoAcumulador = () => ({ chamadas: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0, estimadas: 0, sem_preco: 0 });
+  const somar = (acc, l) => {
+    let custo = l.cost_usd === null || l.cost_usd === undefined ? null : Number(l.cost_usd);
+    if (custo === null) {
+      custo = precos.calcular(l.model, { ...l, prompt_tokens_details: { cached_tokens: l.metadata?.cached_tokens || 0 } });
+      if (custo === null) acc.sem_preco += 1;
+      else acc.estimadas += 1;
+    }
+    acc.chamadas += 1;
+    acc.prompt_tokens += Number(l.prompt_tokens || 0);
+    acc.completion_tokens += Number(l.completion_tokens || 0);
+    acc.cost_usd += custo || 0;
+  };
+
+  const total = novoAcumulador();
+  const grupos = new Map();
+  for (const l of linhas) {
+    const chave = chaveGasto[agrupar](l, fuso);
+    if (!grupos.has(chave)) grupos.set(chave, novoAcumulador());
+    somar(grupos.get(chave), l);
+    somar(total, l);
+  }
+
+  const arredondar = (acc) => ({ ...acc, cost_usd: Math.round(acc.cost_usd * 1e8) / 1e8 });
+  const lista = [...grupos.entries()].map(([chave, acc]) => ({ chave, ...arredondar(acc) }));
+  lista.sort(agrupar === 'dia' ? (a, b) => (a.chave < b.chave ? -1 : 1) : (a, b) => b.cost_usd - a.cost_usd);
+  return { total: arredondar(total), grupos: lista };
+}
+
+module.exports = { PRECOS_PADRAO, criarTabelaPrecos, AGRUPAMENTOS_GASTO, resumirGastos };
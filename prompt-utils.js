@@ -0,0 +1,149 @@
+// prompt-utils.js
+// Registro de prompts versionados. Cada template tem nome, versão e variáveis {{assim}}.
+// As versões de base vêm de arquivos (prompts/<nome>.v<N>.txt); a tabela prompt_templates
+// acrescenta versões e pesos sem deploy. A variante de cada usuário é sorteada de forma
+// determinística por hash(nome:user_id), então o mesmo usuário vê sempre a mesma versão
+// enquanto os pesos não mudarem.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const NOME_VALIDO = /^[a-z][a-z0-9_]{1,60}$/;
+const RE_VARIAVEL = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const variaveisTemplate = (conteudo = '') =>
+  [...new Set([...String(conteudo).matchAll(RE_VARIAVEL)].map(m => m[1]))];
+
+function renderizarTemplate(conteudo, vars = {}) {
+  const faltando = variaveisTemplate(conteudo).filter(v => vars[v] === undefined || vars[v] === null);
+  if (faltando.length) {
+    const err = new Error(`Variáveis ausentes no prompt: ${faltando.join(', ')}`);
+    err.code = 'PROMPT_VARIAVEL_AUSENTE';
+    throw err;
+  }
+  return String(conteudo).replace(RE_VARIAVEL, (_, v) => String(vars[v]));
+}
+
+// prompts/alan_sistema.v1.txt -> { nome: 'alan_sistema', versao: 1 }
+function carregarArquivos(dir) {
+  const out = [];
+  let arquivos = [];
+  try {
+    arquivos = fs.readdirSync(dir);
+  } catch (e) {
+    console.warn(`[prompts] diretório ${dir} ilegível:`, e.message);
+    return out;
+  }
+  for (const arq of arquivos) {
+    const m = arq.match(/^([a-z][a-z0-9_]*)\.v(\d+)\.txt$/);
+    if (!m) continue;
+    const conteudo = fs.readFileSync(path.join(dir, arq), 'utf8').replace(/^\uFEFF/, '').trim();
+    out.push({ nome: m[1], versao: Number(m[2]), conteudo, peso: null, fonte: 'arquivo' });
+  }
+  return out;
+}
+
+// arquivos + tabela; linha da tabela com mesmo (nome, versao) substitui o arquivo.
+// Sem peso explícito, a versão mais nova de arquivo leva 100% e as demais ficam em 0.
+function montarCatalogo(arquivos = [], linhas = []) {
+  const porNome = new Map();
+  const chave = (t) => `${t.nome}@${t.versao}`;
+  const todos = new Map();
+  for (const t of arquivos) todos.set(chave(t), { ...t });
+  for (const t of linhas) {
+    const base = todos.get(chave(t));
+    todos.set(chave(t), {
+      nome: t.nome,
+      versao: Number(t.versao),
+      conteudo: t.conteudo || base?.conteudo || '',
+      peso: t.peso ?? null,
+      fonte: base ? 'arquivo+tabela' : 'tabela',
+      atualizado_em: t.updated_at || t.created_at || null,
+    });
+  }
+  for (const t of todos.values()) {
+    if (!porNome.has(t.nome)) porNome.set(t.nome, []);
+    porNome.get(t.nome).push(t);
+  }
+  for (const [nome, versoes] of porNome) {
+    versoes.sort((a, b) => a.versao - b.versao);
+    const ultimaArquivo = [...versoes].reverse().find(v => v.fonte !== 'tabela');
+    for (const v of versoes) {
+      if (v.peso === null) v.peso = v === ultimaArquivo ? 100 : 0;
+      v.id = `${nome}@v${v.versao}`;
+      v.variaveis = variaveisTemplate(v.conteudo);
+    }
+  }
+  return porNome;
+}
+
+// posição estável do usuário em [0, 1) para aquele template
+function balde(nome, user_id) {
+  const h = crypto.createHash('sha256').update(`${nome}:${user_id ?? 'anonimo'}`).digest();
+  return h.readUInt32BE(0) / 0x100000000;
+}
+
+function escolherVersao(versoes = [], nome, user_id) {
+  const ativas = versoes.filter(v => v.peso > 0);
+  // tudo zerado: volta para a última versão de arquivo (rascunhos da tabela não entram sozinhos)
+  if (!ativas.length) return versoes.filter(v => v.fonte !== 'tabela').pop() || versoes[versoes.length - 1] || null;
+  const total = ativas.reduce((s, v) => s + v.peso, 0);
+  let alvo = balde(nome, user_id) * total;
+  for (const v of ativas) {
+    if (alvo < v.peso) return v;
+    alvo -= v.peso;
+  }
+  return ativas[ativas.length - 1];
+}
+
+function criarRegistroPrompts({ dir, repo = null, cacheTtlMs = 60_000 } = {}) {
+  const arquivos = carregarArquivos(dir);
+  let catalogo = montarCatalogo(arquivos);
+  let carregadoEm = 0;
+
+  async function atualizarCatalogo() {
+    if (!repo) return catalogo;
+    if (Date.now() - carregadoEm < cacheTtlMs) return catalogo;
+    const { data, error } = await repo.listar();
+    if (error) {
+      // sem tabela (ou fora do ar): segue com o último catálogo conhecido
+      console.warn('[prompts] falha ao ler prompt_templates:', error.message);
+    } else {
+      catalogo = montarCatalogo(arquivos, data || []);
+    }
+    carregadoEm = Date.now();
+    return catalogo;
+  }
+
+  return {
+    invalidar() {
+      carregadoEm = 0;
+    },
+    async listar() {
+      const cat = await atualizarCatalogo();
+      return [...cat.entries()].map(([nome, versoes]) => ({ nome, versoes }));
+    },
+    async versoes(nome) {
+      const cat = await atualizarCatalogo();
+      return cat.get(nome) || [];
+    },
+    // { texto, template: { id, nome, versao } }
+    async renderizar(nome, vars = {}, { user_id = null } = {}) {
+      const cat = await atualizarCatalogo();
+      const escolhida = escolherVersao(cat.get(nome), nome, user_id);
+      if (!escolhida) throw new Error(`Prompt desconhecido: ${nome}`);
+      return {
+        texto: renderizarTemplate(escolhida.conteudo, vars),
+        template: { id: escolhida.id, nome, versao: escolhida.versao },
+      };
+    },
+  };
+}
+
+module.exports = {
+  NOME_VALIDO,
+  variaveisTemplate,
+  renderizarTemplate,
+  escolherVersao,
+  criarRegistroPrompts,
+};
@@ -0,0 +1,134 @@
+// redis-utils.js
+// Cliente mínimo do protocolo Redis (RESP2): só o que o limitador usa — comandos avulsos e
+// MULTI/EXEC num único write. Conexão preguiçosa; caiu a conexão, os pendentes falham e o
+// próximo comando reconecta. Aceita redis://[:senha@]host:porta[/db] e rediss:// (TLS).
+const net = require('net');
+const tls = require('tls');
+
+class ErroRedis extends Error {}
+
+function codificar(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// lê uma resposta a partir de `pos`; null se o buffer ainda não tem a resposta inteira
+function lerResposta(buf, pos) {
+  const fim = buf.indexOf('\r\n', pos);
+  if (fim < 0) return null;
+  const tipo = String.fromCharCode(buf[pos]);
+  const linha = buf.toString('utf8', pos + 1, fim);
+  const prox = fim + 2;
+  if (tipo === '+') return { valor: linha, pos: prox };
+  if (tipo === '-') return { valor: new ErroRedis(linha), pos: prox };
+  if (tipo === ':') return { valor: Number(linha), pos: prox };
+  if (tipo === '$') {
+    const n = Number(linha);
+    if (n < 0) return { valor: null, pos: prox };
+    if (buf.length < prox + n + 2) return null;
+    return { valor: buf.toString('utf8', prox, prox + n), pos: prox + n + 2 };
+  }
+  if (tipo === '*') {
+    const n = Number(linha);
+    if (n < 0) return { valor: null, pos: prox };
+    const itens = [];
+    let p = prox;
+    for (let i = 0; i < n; i++) {
+      const r = lerResposta(buf, p);
+      if (!r) return null;
+      itens.push(r.valor);
+      p = r.pos;
+    }
+    return { valor: itens, pos: p };
+  }
+  throw new ErroRedis(`resposta RESP inválida: ${tipo}`);
+}
+
+function criarClienteRedis(url = 'redis://127.0.0.1:6379', { timeoutMs = 2000 } = {}) {
+  const u = new URL(url);
+  const porta = Number(u.port || 6379);
+  const senha = u.password ? decodeURIComponent(u.password) : null;
+  const usuario = u.username ? decodeURIComponent(u.username) : null;
+  const db = Number(u.pathname.slice(1) || 0);
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pendentes = []; // { resolve, reject, timer }
+
+  function derrubar(erro) {
+    const lista = pendentes;
+    pendentes = [];
+    buffer = Buffer.alloc(0);
+    if (socket) socket.destroy();
+    socket = null;
+    for (const p of lista) { clearTimeout(p.timer); p.reject(erro); }
+  }
+
+  function aoReceber(dados) {
+    buffer = Buffer.concat([buffer, dados]);
+    let pos = 0;
+    for (;;) {
+      let r;
+      try { r = lerResposta(buffer, pos); } catch (e) { return derrubar(e); }
+      if (!r) break;
+      pos = r.pos;
+      const p = pendentes.shift();
+      if (!p) continue;
+      clearTimeout(p.timer);
+      if (r.valor instanceof ErroRedis) p.reject(r.valor);
+      else p.resolve(r.valor);
+    }
+    buffer = buffer.subarray(pos);
+  }
+
+  function enviar(comandos) {
+    const promessas = comandos.map(() => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => derrubar(new ErroRedis(`timeout de ${timeoutMs}ms no redis`)), timeoutMs);
+      pendentes.push({ resolve, reject, timer });
+    }));
+    socket.write(comandos.map(codificar).join(''));
+    return promessas;
+  }
+
+  function conectar() {
+    if (socket) return;
+    const opcoes = { host: u.hostname, port: porta };
+    const s = u.protocol === 'rediss:' ? tls.connect({ ...opcoes, servername: u.hostname }) : net.connect(opcoes);
+    socket = s;
+    s.setNoDelay(true);
+    // eventos de um socket já descartado não podem derrubar a conexão nova
+    s.on('data', (dados) => { if (socket === s) aoReceber(dados); });
+    s.on('error', (e) => { if (socket === s) derrubar(new ErroRedis(`redis: ${e.message}`)); });
+    s.on('close', () => { if (socket === s) derrubar(new ErroRedis('conexão com o redis fechada')); });
+    // comandos escritos antes do connect ficam no buffer do socket; AUTH/SELECT vão na frente
+    const iniciais = [];
+    if (senha) iniciais.push(usuario ? ['AUTH', usuario, senha] : ['AUTH', senha]);
+    if (db) iniciais.push(['SELECT', db]);
+    if (iniciais.length) for (const p of enviar(iniciais)) p.catch(() => {});
+  }
+
+  async function comando(...args) {
+    conectar();
+    return enviar([args])[0];
+  }
+
+  // resultado do EXEC (array com a resposta de cada comando)
+  async function multi(comandos) {
+    conectar();
+    const respostas = await Promise.all(enviar([['MULTI'], ...comandos, ['EXEC']]));
+    return respostas[respostas.length - 1];
+  }
+
+  function fechar() {
+    if (socket) socket.end();
+    socket = null;
+  }
+
+  return { comando, multi, fechar };
+}
+
+module.exports = { criarClienteRedis, ErroRedis };
@@ -0,0 +1,106 @@
+// repositorios/conteudo.js
+// conteudo_base (material do Alan por tema) + conteudo_base_revisoes (histórico de edições do admin)
+// O embedding fica na própria linha; as leituras do admin não o trazem (é grande e não é editável).
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo } = require('./memoria');
+const { cosseno } = require('./embeddings');
+
+const CAMPOS_ADMIN = 'id, tema, conceito, ferramentas_exercicios, frases_citacoes, ativo, atualizado_por, embedding_modelo, created_at, updated_at';
+const CAMPOS_BUSCA = 'id, tema, conceito, ferramentas_exercicios, frases_citacoes';
+
+function supabaseConteudo(supabase) {
+  return {
+    // desativados (ativo = false) saem do /ia; linhas antigas sem a coluna preenchida continuam valendo
+    buscarPorTemas(temas, campos = '*') {
+      return supabase.from('conteudo_base').select(campos).in('tema', temas).not('ativo', 'is', false);
+    },
+    // RPC buscar_conteudo_semelhante: só ativos com embedding, ordenado por cosseno
+    buscarSemelhantes(embedding, n = 12) {
+      return supabase.rpc('buscar_conteudo_semelhante', { query_embedding: embedding, n });
+    },
+    listar({ tema = null, incluirInativos = false } = {}) {
+      let q = supabase.from('conteudo_base').select(CAMPOS_ADMIN).order('tema', { ascending: true }).order('created_at', { ascending: true });
+      if (tema) q = q.eq('tema', tema);
+      if (!incluirInativos) q = q.not('ativo', 'is', false);
+      return q;
+    },
+    buscarPorId(id) {
+      return supabase.from('conteudo_base').select(CAMPOS_ADMIN).eq('id', id).maybeSingle();
+    },
+    criar(payload) {
+      return supabase.from('conteudo_base').insert([payload]).select(CAMPOS_ADMIN).single();
+    },
+    atualizar(id, patch) {
+      return supabase.from('conteudo_base').update({ ...patch, updated_at: agoraISO() }).eq('id', id).select(CAMPOS_ADMIN).single();
+    },
+    // não mexe em updated_at: reindexar não é edição de conteúdo
+    salvarEmbedding(id, embedding, modelo) {
+      return supabase.from('conteudo_base').update({ embedding, embedding_modelo: modelo }).eq('id', id);
+    },
+    registrarRevisao(payload) {
+      return supabase.from('conteudo_base_revisoes').insert([payload]);
+    },
+    listarRevisoes(conteudo_id, { limite = 100 } = {}) {
+      return supabase.from('conteudo_base_revisoes')
+        .select('*')
+        .eq('conteudo_id', conteudo_id)
+        .order('created_at', { ascending: false })
+        .limit(limite);
+    },
+  };
+}
+
+function memoriaConteudo(store) {
+  const tab = () => store.tabela('conteudo_base');
+  const revisoes = () => store.tabela('conteudo_base_revisoes');
+
+  return {
+    async buscarPorTemas(temas, campos = '*') {
+      const linhas = tab().filter(c => temas.includes(c.tema) && c.ativo !== false);
+      return ok(linhas.map(c => projetar(c, campos)));
+    },
+    async buscarSemelhantes(embedding, n = 12) {
+      const ranking = tab()
+        .filter(c => c.ativo !== false && Array.isArray(c.embedding))
+        .map(c => ({ ...projetar(c, CAMPOS_BUSCA), similaridade: cosseno(c.embedding, embedding) }))
+        .sort((a, b) => b.similaridade - a.similaridade);
+      return ok(ranking.slice(0, n));
+    },
+    async listar({ tema = null, incluirInativos = false } = {}) {
+      const linhas = tab()
+        .filter(c => (!tema || c.tema === tema) && (incluirInativos || c.ativo !== false))
+        .sort((a, b) => porCampo('tema')(a, b) || porCampo('created_at')(a, b));
+      return ok(linhas.map(c => projetar(c, CAMPOS_ADMIN)));
+    },
+    async buscarPorId(id) {
+      return ok(projetar(tab().find(c => mesmoId(c.id, id)), CAMPOS_ADMIN));
+    },
+    async criar(payload) {
+      const row = { id: novoId(), created_at: agoraISO(), updated_at: null, ativo: true, embedding: null, embedding_modelo: null, ...clonar(payload) };
+      tab().push(row);
+      return ok(projetar(row, CAMPOS_ADMIN));
+    },
+    async atualizar(id, patch) {
+      const row = tab().find(c => mesmoId(c.id, id));
+      if (!row) return { data: null, error: { code: 'PGRST116', message: 'no rows returned' } };
+      Object.assign(row, clonar(patch), { updated_at: agoraISO() });
+      return ok(projetar(row, CAMPOS_ADMIN));
+    },
+    async salvarEmbedding(id, embedding, modelo) {
+      const row = tab().find(c => mesmoId(c.id, id));
+      if (row) Object.assign(row, { embedding: clonar(embedding), embedding_modelo: modelo });
+      return ok(null);
+    },
+    async registrarRevisao(payload) {
+      revisoes().push({ id: novoId(), created_at: agoraISO(), ...clonar(payload) });
+      return ok(null);
+    },
+    async listarRevisoes(conteudo_id, { limite = 100 } = {}) {
+      const linhas = revisoes()
+        .filter(r => mesmoId(r.conteudo_id, conteudo_id))
+        .sort(porCampo('created_at', { ascending: false }));
+      return ok(clonar(linhas.slice(0, limite)));
+    },
+  };
+}
+
+module.exports = { supabaseConteudo, memoriaConteudo };
@@ -0,0 +1,85 @@
+// repositorios/embeddings.js
+// session_embeddings (resumo por sessão) + mensagem_embeddings (trechos das falas do usuário)
+// Busca vetorial pelas RPCs buscar_resumos_semelhantes / buscar_trechos_semelhantes no Postgres.
+const { novoId, agoraISO, clonar, ok, mesmoId } = require('./memoria');
+
+function supabaseEmbeddings(supabase) {
+  return {
+    salvarResumoSessao(payload) {
+      return supabase.from('session_embeddings').insert([payload]);
+    },
+    buscarResumosSemelhantes(user_id, embedding, n = 3) {
+      return supabase.rpc('buscar_resumos_semelhantes', { uid: user_id, query_embedding: embedding, n });
+    },
+    salvarTrechos(linhas) {
+      return supabase.from('mensagem_embeddings').insert(linhas);
+    },
+    // { sessao_id, mensagem_id, trecho, data_mensagem, similaridade }
+    buscarTrechosSemelhantes(user_id, embedding, n = 12) {
+      return supabase.rpc('buscar_trechos_semelhantes', { uid: user_id, query_embedding: embedding, n });
+    },
+    async contarTrechosSessao(sessao_id) {
+      const { count, error } = await supabase.from('mensagem_embeddings')
+        .select('id', { count: 'exact', head: true }).eq('sessao_id', sessao_id);
+      return { data: count ?? 0, error };
+    },
+    // ids (sem repetição) das mensagens da sessão que já têm trechos
+    async listarMensagensIndexadas(sessao_id) {
+      const { data, error } = await supabase.from('mensagem_embeddings').select('mensagem_id').eq('sessao_id', sessao_id);
+      return { data: [...new Set((data || []).map(l => l.mensagem_id).filter(Boolean))], error };
+    },
+  };
+}
+
+function cosseno(a = [], b = []) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i];
+  }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+function memoriaEmbeddings(store) {
+  const tab = () => store.tabela('session_embeddings');
+  const trechos = () => store.tabela('mensagem_embeddings');
+
+  return {
+    async salvarResumoSessao(payload) {
+      tab().push({ id: novoId(), created_at: agoraISO(), ...clonar(payload) });
+      return ok(null);
+    },
+    async buscarResumosSemelhantes(user_id, embedding, n = 3) {
+      const ranking = tab()
+        .filter(e => mesmoId(e.user_id, user_id))
+        .map(e => ({ sessao_id: e.sessao_id, resumo: e.resumo, similaridade: cosseno(e.embedding, embedding) }))
+        .sort((a, b) => b.similaridade - a.similaridade);
+      return ok(ranking.slice(0, n));
+    },
+    async salvarTrechos(linhas) {
+      for (const l of linhas) trechos().push({ id: novoId(), created_at: agoraISO(), ...clonar(l) });
+      return ok(null);
+    },
+    async buscarTrechosSemelhantes(user_id, embedding, n = 12) {
+      const ranking = trechos()
+        .filter(e => mesmoId(e.user_id, user_id))
+        .map(e => ({
+          sessao_id: e.sessao_id,
+          mensagem_id: e.mensagem_id,
+          trecho: e.trecho,
+          data_mensagem: e.data_mensagem,
+          similaridade: cosseno(e.embedding, embedding),
+        }))
+        .sort((a, b) => b.similaridade - a.similaridade);
+      return ok(ranking.slice(0, n));
+    },
+    async contarTrechosSessao(sessao_id) {
+      return ok(trechos().filter(e => mesmoId(e.sessao_id, sessao_id)).length);
+    },
+    async listarMensagensIndexadas(sessao_id) {
+      const ids = trechos().filter(e => mesmoId(e.sessao_id, sessao_id) && e.mensagem_id).map(e => e.mensagem_id);
+      return ok([...new Set(ids)]);
+    },
+  };
+}
+
+module.exports = { supabaseEmbeddings, memoriaEmbeddings, cosseno };
@@ -0,0 +1,137 @@
+// repositorios/exclusoes.js
+// Exclusão definitiva de conta: apaga ou anonimiza tudo que aponta para o usuário
+// e guarda o recibo encadeado (recibos_exclusao) para auditoria.
+const { novoId, agoraISO, clonar, ok, mesmoId, porCampo } = require('./memoria');
+
+// ordem importa no Postgres: filhos antes de sessoes/usuarios
+const APAGAR = [
+  ['mensagens_sessao', 'user_id'],
+  ['session_embeddings', 'user_id'],
+  ['mensagem_embeddings', 'user_id'],
+  ['sessao_feedback', 'user_id'],
+  ['pessoas_importantes', 'user_id'],
+  ['vinculos_usuario', 'user_id'],
+  ['eventos_vida', 'user_id'],
+  ['perfil_psicologico_versoes', 'user_id'],
+  ['perfil_psicologico', 'user_id'],
+  ['eventos_risco', 'user_id'],
+  ['exportacoes_usuario', 'user_id'],
+  ['tokens_conta', 'user_id'],
+  ['api_raw_events', 'user_id'],
+  ['jobs', 'user_id'],
+  ['idempotencia', 'user_id'],
+  ['sessoes', 'user_id'],
+];
+
+// linhas que podem ter chegado sem user_id (ex.: eventos brutos de requests sem token) mas
+// apontam para uma sessão do titular; apagadas antes de `sessoes`, enquanto os ids ainda existem
+const APAGAR_POR_SESSAO = [
+  ['api_raw_events', 'session_id'],
+];
+
+// logs de custo/latência continuam úteis sem o titular; só o texto e os ids saem
+const ANONIMIZAR = [
+  ['messages_usage', { user_id: null, sessao_id: null, metadata: null }],
+  ['prompt_logs', {
+    user_id: null,
+    session_id: null,
+    prompt_preview: null,
+    request_body: null,
+    response_body: null,
+    error_message: null,
+    user_message_text: null,
+    assistant_text: null,
+  }],
+];
+
+function supabaseExclusoes(supabase) {
+  return {
+    // devolve { tabela: linhas afetadas }; para no primeiro erro (o job tenta de novo depois)
+    async apagarDadosUsuario(user_id) {
+      const contagens = {};
+      for (const [tabela, patch] of ANONIMIZAR) {
+        const { count, error } = await supabase.from(tabela).update(patch, { count: 'exact' }).eq('user_id', user_id);
+        if (error) return { data: null, error: { ...error, tabela } };
+        contagens[tabela] = count || 0;
+      }
+      const { data: sessoes, error: errSessoes } = await supabase.from('sessoes').select('id').eq('user_id', user_id);
+      if (errSessoes) return { data: null, error: { ...errSessoes, tabela: 'sessoes' } };
+      const sessaoIds = (sessoes || []).map(s => s.id);
+      for (const [tabela, coluna] of APAGAR_POR_SESSAO) {
+        if (!sessaoIds.length) break;
+        const { count, error } = await supabase.from(tabela).delete({ count: 'exact' }).in(coluna, sessaoIds);
+        if (error) return { data: null, error: { ...error, tabela } };
+        contagens[`${tabela}_por_sessao`] = count || 0;
+      }
+      for (const [tabela, coluna] of [...APAGAR, ['usuarios', 'id']]) {
+        const { count, error } = await supabase.from(tabela).delete({ count: 'exact' }).eq(coluna, user_id);
+        if (error) return { data: null, error: { ...error, tabela } };
+        contagens[tabela] = count || 0;
+      }
+      return ok(contagens);
+    },
+    ultimoRecibo() {
+      return supabase.from('recibos_exclusao').select('*').order('seq', { ascending: false }).limit(1).maybeSingle();
+    },
+    // unique(seq): dois workers não conseguem bifurcar a cadeia
+    registrarRecibo(recibo) {
+      return supabase.from('recibos_exclusao').insert([recibo]).select('*').single();
+    },
+    listarRecibos({ titular_hash = null, limite = 500 } = {}) {
+      let q = supabase.from('recibos_exclusao').select('*').order('seq', { ascending: true }).limit(limite);
+      if (titular_hash) q = q.eq('titular_hash', titular_hash);
+      return q;
+    },
+  };
+}
+
+function memoriaExclusoes(store) {
+  const recibos = () => store.tabela('recibos_exclusao');
+
+  return {
+    async apagarDadosUsuario(user_id) {
+      const contagens = {};
+      for (const [tabela, patch] of ANONIMIZAR) {
+        const linhas = store.tabela(tabela).filter(r => mesmoId(r.user_id, user_id));
+        for (const row of linhas) Object.assign(row, clonar(patch));
+        contagens[tabela] = linhas.length;
+      }
+      const sessaoIds = new Set(store.tabela('sessoes').filter(s => mesmoId(s.user_id, user_id)).map(s => String(s.id)));
+      for (const [tabela, coluna] of APAGAR_POR_SESSAO) {
+        const linhas = store.tabela(tabela);
+        const antes = linhas.length;
+        const restantes = linhas.filter(r => r[coluna] == null || !sessaoIds.has(String(r[coluna])));
+        linhas.splice(0, linhas.length, ...restantes);
+        contagens[`${tabela}_por_sessao`] = antes - restantes.length;
+      }
+      for (const [tabela, coluna] of [...APAGAR, ['usuarios', 'id']]) {
+        const linhas = store.tabela(tabela);
+        const antes = linhas.length;
+        const restantes = linhas.filter(r => !mesmoId(r[coluna], user_id));
+        linhas.splice(0, linhas.length, ...restantes);
+        contagens[tabela] = antes - restantes.length;
+      }
+      return ok(contagens);
+    },
+    async ultimoRecibo() {
+      const ordenados = [...recibos()].sort(porCampo('seq', { ascending: false }));
+      return ok(clonar(ordenados[0] || null));
+    },
+    async registrarRecibo(recibo) {
+      if (recibos().some(r => r.seq === recibo.seq)) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+      }
+      const row = { id: novoId(), created_at: agoraISO(), ...clonar(recibo) };
+      recibos().push(row);
+      return ok(clonar(row));
+    },
+    async listarRecibos({ titular_hash = null, limite = 500 } = {}) {
+      const linhas = recibos()
+        .filter(r => !titular_hash || r.titular_hash === titular_hash)
+        .sort(porCampo('seq'));
+      return ok(clonar(linhas.slice(0, limite)));
+    },
+  };
+}
+
+module.exports = { supabaseExclusoes, memoriaExclusoes };
@@ -0,0 +1,96 @@
+// repositorios/exportacoes.js
+// Exportação LGPD: leitura de tudo que é do usuário + pedidos de exportação
+// em segundo plano (exportacoes_usuario guarda status e o arquivo gerado).
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo, atualizarOnde } = require('./memoria');
+
+// tabela -> [coluna do dono, coluna de ordenação]; `id` onde não há data confiável
+const TABELAS_USUARIO = {
+  usuarios: ['id', 'created_at'],
+  sessoes: ['user_id', 'data_sessao'],
+  mensagens_sessao: ['user_id', 'data_mensagem'],
+  vinculos_usuario: ['user_id', 'id'],
+  pessoas_importantes: ['user_id', 'id'],
+  perfil_psicologico: ['user_id', 'id'],
+  perfil_psicologico_versoes: ['user_id', 'versao'],
+  eventos_vida: ['user_id', 'data_evento'],
+  session_embeddings: ['user_id', 'created_at'],
+  mensagem_embeddings: ['user_id', 'created_at'],
+  sessao_feedback: ['user_id', 'created_at'],
+};
+
+// PostgREST corta em 1000 linhas por request
+const PAGINA = 1000;
+
+function supabaseExportacoes(supabase) {
+  async function selecionarTudo(tabela, user_id) {
+    const [dono, ordem] = TABELAS_USUARIO[tabela];
+    const linhas = [];
+    for (let de = 0; ; de += PAGINA) {
+      const { data, error } = await supabase.from(tabela).select('*')
+        .eq(dono, user_id).order(ordem, { ascending: true }).range(de, de + PAGINA - 1);
+      if (error) return { data: null, error };
+      linhas.push(...(data || []));
+      if (!data || data.length < PAGINA) return ok(linhas);
+    }
+  }
+
+  return {
+    async coletarDados(user_id) {
+      const dados = {};
+      for (const tabela of Object.keys(TABELAS_USUARIO)) {
+        const { data, error } = await selecionarTudo(tabela, user_id);
+        if (error) return { data: null, error: { ...error, tabela } };
+        dados[tabela] = data;
+      }
+      return ok(dados);
+    },
+    contarMensagens(user_id) {
+      return supabase.from('mensagens_sessao')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', user_id);
+    },
+    criar(payload) {
+      return supabase.from('exportacoes_usuario').insert([payload]).select('id, status, formato, created_at').single();
+    },
+    buscarPorId(id, campos = '*') {
+      return supabase.from('exportacoes_usuario').select(campos).eq('id', id).maybeSingle();
+    },
+    atualizar(id, patch) {
+      return supabase.from('exportacoes_usuario').update(patch).eq('id', id);
+    },
+  };
+}
+
+function memoriaExportacoes(store) {
+  const tab = () => store.tabela('exportacoes_usuario');
+
+  return {
+    async coletarDados(user_id) {
+      const dados = {};
+      for (const [tabela, [dono, ordem]] of Object.entries(TABELAS_USUARIO)) {
+        dados[tabela] = clonar(store.tabela(tabela)
+          .filter(r => mesmoId(r[dono], user_id))
+          .sort(porCampo(ordem)));
+      }
+      return ok(dados);
+    },
+    async contarMensagens(user_id) {
+      const count = store.tabela('mensagens_sessao').filter(m => mesmoId(m.user_id, user_id)).length;
+      return { data: null, count, error: null };
+    },
+    async criar(payload) {
+      const row = { id: novoId(), created_at: agoraISO(), ...clonar(payload) };
+      tab().push(row);
+      return ok(projetar(row, 'id, status, formato, created_at'));
+    },
+    async buscarPorId(id, campos = '*') {
+      return ok(projetar(tab().find(e => mesmoId(e.id, id)), campos));
+    },
+    async atualizar(id, patch) {
+      atualizarOnde(tab(), e => mesmoId(e.id, id), patch);
+      return ok(null);
+    },
+  };
+}
+
+module.exports = { supabaseExportacoes, memoriaExportacoes, TABELAS_USUARIO };
@@ -0,0 +1,45 @@
+// repositorios/feedback.js
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo } = require('./memoria');
+
+const CAMPOS_RETORNO = 'id, user_id, sessao_id, nps, nota_tom_rapport, nota_memoria, created_at';
+
+function supabaseFeedback(supabase) {
+  return {
+    // um feedback por (user_id, sessao_id); reenvio sobrescreve
+    salvar(payload) {
+      return supabase.from('sessao_feedback')
+        .upsert(payload, { onConflict: 'user_id,sessao_id' })
+        .select(CAMPOS_RETORNO)
+        .single();
+    },
+    listar({ desde = null, limite = 5000 } = {}) {
+      let q = supabase.from('sessao_feedback')
+        .select(CAMPOS_RETORNO)
+        .order('created_at', { ascending: false })
+        .limit(limite);
+      if (desde) q = q.gte('created_at', desde);
+      return q;
+    },
+  };
+}
+
+function memoriaFeedback(store) {
+  const tab = () => store.tabela('sessao_feedback');
+
+  return {
+    async salvar(payload) {
+      let row = tab().find(f => mesmoId(f.user_id, payload.user_id) && mesmoId(f.sessao_id, payload.sessao_id));
+      if (row) Object.assign(row, clonar(payload));
+      else tab().push(row = { id: novoId(), created_at: agoraISO(), ...clonar(payload) });
+      return ok(projetar(row, CAMPOS_RETORNO));
+    },
+    async listar({ desde = null, limite = 5000 } = {}) {
+      const linhas = tab()
+        .filter(f => !desde || f.created_at >= desde)
+        .sort(porCampo('created_at', { ascending: false }));
+      return ok(linhas.slice(0, limite).map(f => projetar(f, CAMPOS_RETORNO)));
+    },
+  };
+}
+
+module.exports = { supabaseFeedback, memoriaFeedback };
@@ -0,0 +1,72 @@
+// repositorios/index.js
+// Acesso a dados por agregado. Todos os métodos devolvem { data, error } (mesmo
+// contrato do supabase-js), então os handlers tratam erro igual nos dois backends.
+//
+// DATA_BACKEND=supabase (padrão) | memoria
+const { criarStoreMemoria } = require('./memoria');
+const { supabaseUsuarios, memoriaUsuarios } = require('./usuarios');
+const { supabaseSessoes, memoriaSessoes } = require('./sessoes');
+const { supabaseMensagens, memoriaMensagens } = require('./mensagens');
+const { supabaseVinculos, memoriaVinculos } = require('./vinculos');
+const { supabasePerfil, memoriaPerfil } = require('./perfil');
+const { supabaseConteudo, memoriaConteudo } = require('./conteudo');
+const { supabaseEmbeddings, memoriaEmbeddings } = require('./embeddings');
+const { supabaseLogs, memoriaLogs } = require('./logs');
+const { supabaseFeedback, memoriaFeedback } = require('./feedback');
+const { supabaseRiscos, memoriaRiscos } = require('./riscos');
+const { supabaseTokens, memoriaTokens } = require('./tokens');
+const { supabaseExportacoes, memoriaExportacoes } = require('./exportacoes');
+const { supabaseExclusoes, memoriaExclusoes } = require('./exclusoes');
+const { supabasePrompts, memoriaPrompts } = require('./prompts');
+const { supabaseJobs, memoriaJobs } = require('./jobs');
+
+function criarRepositorios(backend, { supabase } = {}) {
+  if (backend === 'memoria') {
+    const store = criarStoreMemoria();
+    return {
+      backend,
+      store,
+      usuarios: memoriaUsuarios(store),
+      sessoes: memoriaSessoes(store),
+      mensagens: memoriaMensagens(store),
+      vinculos: memoriaVinculos(store),
+      perfil: memoriaPerfil(store),
+      conteudo: memoriaConteudo(store),
+      embeddings: memoriaEmbeddings(store),
+      logs: memoriaLogs(store),
+      feedback: memoriaFeedback(store),
+      riscos: memoriaRiscos(store),
+      tokens: memoriaTokens(store),
+      exportacoes: memoriaExportacoes(store),
+      exclusoes: memoriaExclusoes(store),
+      prompts: memoriaPrompts(store),
+      jobs: memoriaJobs(store),
+    };
+  }
+
+  if (backend === 'supabase') {
+    if (!supabase) throw new Error('Cliente Supabase ausente para DATA_BACKEND=supabase');
+    return {
+      backend,
+      usuarios: supabaseUsuarios(supabase),
+      sessoes: supabaseSessoes(supabase),
+      mensagens: supabaseMensagens(supabase),
+      vinculos: supabaseVinculos(supabase),
+      perfil: supabasePerfil(supabase),
+      conteudo: supabaseConteudo(supabase),
+      embeddings: supabaseEmbeddings(supabase),
+      logs: supabaseLogs(supabase),
+      feedback: supabaseFeedback(supabase),
+      riscos: supabaseRiscos(supabase),
+      tokens: supabaseTokens(supabase),
+      exportacoes: supabaseExportacoes(supabase),
+      exclusoes: supabaseExclusoes(supabase),
+      prompts: supabasePrompts(supabase),
+      jobs: supabaseJobs(supabase),
+    };
+  }
+
+  throw new Error(`DATA_BACKEND desconhecido: ${backend}`);
+}
+
+module.exports = { criarRepositorios };
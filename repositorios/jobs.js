@@ -0,0 +1,169 @@
+// repositorios/jobs.js
+// jobs: fila persistente do trabalho que roda depois da resposta (vínculos, perfil, embeddings, resumo).
+// status: pendente -> executando -> concluido | pendente (nova tentativa) | morto (dead-letter)
+// No Postgres a reserva é a RPC reservar_jobs (FOR UPDATE SKIP LOCKED), então vários workers não pegam o mesmo job.
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo, atualizarOnde } = require('./memoria');
+
+const STATUS_JOB = ['pendente', 'executando', 'concluido', 'morto'];
+
+function supabaseJobs(supabase) {
+  return {
+    // chave única (parcial, só quando informada): repetida devolve o job existente
+    async criar(payload) {
+      const r = await supabase.from('jobs').insert([payload]).select('*').single();
+      if (r.error?.code !== '23505' || !payload.chave) return r;
+      return supabase.from('jobs').select('*').eq('chave', payload.chave).single();
+    },
+    // marca até `limite` jobs vencidos como executando (tentativas + 1); inclui os de workers que morreram com a trava
+    reservar({ worker, limite = 5, travaSegundos = 120 } = {}) {
+      return supabase.rpc('reservar_jobs', { p_worker: worker, p_limite: limite, p_trava_segundos: travaSegundos });
+    },
+    concluir(id, resultado = null) {
+      const agora = agoraISO();
+      return supabase.from('jobs')
+        .update({ status: 'concluido', resultado, travado_ate: null, concluido_em: agora, updated_at: agora })
+        .eq('id', id);
+    },
+    reagendar(id, { erro, executar_em }) {
+      return supabase.from('jobs')
+        .update({ status: 'pendente', ultimo_erro: erro, executar_em, travado_ate: null, updated_at: agoraISO() })
+        .eq('id', id);
+    },
+    enterrar(id, { erro }) {
+      return supabase.from('jobs')
+        .update({ status: 'morto', ultimo_erro: erro, travado_ate: null, updated_at: agoraISO() })
+        .eq('id', id);
+    },
+    buscarPorId(id) {
+      return supabase.from('jobs').select('*').eq('id', id).maybeSingle();
+    },
+    listar({ status = null, tipo = null, limite = 100 } = {}) {
+      let q = supabase.from('jobs').select('*').order('created_at', { ascending: false }).limit(limite);
+      if (status) q = q.eq('status', status);
+      if (tipo) q = q.eq('tipo', tipo);
+      return q;
+    },
+    async contarPorStatus({ tipo = null } = {}) {
+      const contagens = {};
+      for (const status of STATUS_JOB) {
+        let q = supabase.from('jobs').select('id', { count: 'exact', head: true }).eq('status', status);
+        if (tipo) q = q.eq('tipo', tipo);
+        const { count, error } = await q;
+        if (error) return { data: null, error };
+        contagens[status] = count ?? 0;
+      }
+      return { data: contagens, error: null };
+    },
+    // só sai do dead-letter (ou de uma espera de backoff) para pendente; concluido/executando ficam como estão
+    reprocessar(id) {
+      return supabase.from('jobs')
+        .update({ status: 'pendente', tentativas: 0, executar_em: agoraISO(), travado_ate: null, updated_at: agoraISO() })
+        .eq('id', id).in('status', ['morto', 'pendente'])
+        .select('*').maybeSingle();
+    },
+    async reprocessarMortos({ tipo = null } = {}) {
+      let q = supabase.from('jobs')
+        .update({ status: 'pendente', tentativas: 0, executar_em: agoraISO(), travado_ate: null, updated_at: agoraISO() })
+        .eq('status', 'morto');
+      if (tipo) q = q.eq('tipo', tipo);
+      const { data, error } = await q.select('id');
+      return { data: (data || []).length, error };
+    },
+    async apagarConcluidos(antesDe) {
+      const { data, error } = await supabase.from('jobs').delete().eq('status', 'concluido').lt('concluido_em', antesDe).select('id');
+      return { data: (data || []).length, error };
+    },
+  };
+}
+
+function memoriaJobs(store) {
+  const tab = () => store.tabela('jobs');
+  const reabrir = () => ({ status: 'pendente', tentativas: 0, executar_em: agoraISO(), travado_ate: null, updated_at: agoraISO() });
+
+  return {
+    async criar(payload) {
+      const existente = payload.chave && tab().find(j => j.chave === payload.chave);
+      if (existente) return ok(clonar(existente));
+      const agora = agoraISO();
+      const row = {
+        id: novoId(),
+        status: 'pendente',
+        tentativas: 0,
+        max_tentativas: 5,
+        executar_em: agora,
+        travado_ate: null,
+        worker: null,
+        ultimo_erro: null,
+        resultado: null,
+        created_at: agora,
+        updated_at: agora,
+        concluido_em: null,
+        chave: null,
+        ...clonar(payload),
+      };
+      tab().push(row);
+      return ok(clonar(row));
+    },
+    async reservar({ worker, limite = 5, travaSegundos = 120 } = {}) {
+      const agora = agoraISO();
+      const vencidos = tab()
+        .filter(j => (j.status === 'pendente' && j.executar_em <= agora)
+          || (j.status === 'executando' && j.travado_ate && j.travado_ate < agora))
+        .sort(porCampo('executar_em'))
+        .slice(0, limite);
+      const travado_ate = new Date(Date.now() + travaSegundos * 1000).toISOString();
+      for (const j of vencidos) {
+        Object.assign(j, { status: 'executando', tentativas: (j.tentativas || 0) + 1, worker, travado_ate, updated_at: agora });
+      }
+      return ok(clonar(vencidos));
+    },
+    async concluir(id, resultado = null) {
+      const agora = agoraISO();
+      atualizarOnde(tab(), j => mesmoId(j.id, id), { status: 'concluido', resultado, travado_ate: null, concluido_em: agora, updated_at: agora });
+      return ok(null);
+    },
+    async reagendar(id, { erro, executar_em }) {
+      atualizarOnde(tab(), j => mesmoId(j.id, id), { status: 'pendente', ultimo_erro: erro, executar_em, travado_ate: null, updated_at: agoraISO() });
+      return ok(null);
+    },
+    async enterrar(id, { erro }) {
+      atualizarOnde(tab(), j => mesmoId(j.id, id), { status: 'morto', ultimo_erro: erro, travado_ate: null, updated_at: agoraISO() });
+      return ok(null);
+    },
+    async buscarPorId(id) {
+      return ok(projetar(tab().find(j => mesmoId(j.id, id))));
+    },
+    async listar({ status = null, tipo = null, limite = 100 } = {}) {
+      const linhas = tab()
+        .filter(j => (!status || j.status === status) && (!tipo || j.tipo === tipo))
+        .sort(porCampo('created_at', { ascending: false }));
+      return ok(clonar(linhas.slice(0, limite)));
+    },
+    async contarPorStatus({ tipo = null } = {}) {
+      const contagens = Object.fromEntries(STATUS_JOB.map(s => [s, 0]));
+      for (const j of tab()) if (!tipo || j.tipo === tipo) contagens[j.status] = (contagens[j.status] || 0) + 1;
+      return ok(contagens);
+    },
+    async reprocessar(id) {
+      const row = tab().find(j => mesmoId(j.id, id) && ['morto', 'pendente'].includes(j.status));
+      if (!row) return ok(null);
+      Object.assign(row, reabrir());
+      return ok(clonar(row));
+    },
+    async reprocessarMortos({ tipo = null } = {}) {
+      const mortos = tab().filter(j => j.status === 'morto' && (!tipo || j.tipo === tipo));
+      for (const j of mortos) Object.assign(j, reabrir());
+      return ok(mortos.length);
+    },
+    async apagarConcluidos(antesDe) {
+      const linhas = tab();
+      const antes = linhas.length;
+      for (let i = linhas.length - 1; i >= 0; i--) {
+        if (linhas[i].status === 'concluido' && linhas[i].concluido_em < antesDe) linhas.splice(i, 1);
+      }
+      return ok(antes - linhas.length);
+    },
+  };
+}
+
+module.exports = { STATUS_JOB, supabaseJobs, memoriaJobs };
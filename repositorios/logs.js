@@ -0,0 +1,126 @@
+// repositorios/logs.js
+// messages_usage, prompt_logs e api_raw_events (todos best-effort no chamador)
+const { novoId, agoraISO, clonar, ok, mesmoId, porCampo } = require('./memoria');
+
+// PostgREST corta em 1000 linhas por request
+const PAGINA = 1000;
+
+function supabaseLogs(supabase) {
+  return {
+    registrarUso(payload) {
+      return supabase.from('messages_usage').insert(payload);
+    },
+    registrarPrompt(payload) {
+      return supabase.from('prompt_logs').insert(payload);
+    },
+    listarPrompts({ user_id = null, sessao_id = null, limite = 200 } = {}) {
+      let q = supabase.from('prompt_logs')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limite);
+      if (user_id) q = q.eq('user_id', user_id);
+      if (sessao_id) q = q.eq('session_id', sessao_id);
+      return q;
+    },
+    // versões de prompt usadas nas respostas de cada sessão (base da comparação de NPS)
+    listarTemplatesPorSessao(sessao_ids = []) {
+      return supabase.from('prompt_logs')
+        .select('session_id, prompt_template, prompt_versao')
+        .in('session_id', sessao_ids)
+        .eq('purpose', 'chat_reply')
+        .not('prompt_template', 'is', null);
+    },
+    // respostas do /ia que usaram conteúdo-base (relatório de uso para o time de conteúdo)
+    listarConteudoUsado({ desde = null, limite = 10000 } = {}) {
+      let q = supabase.from('prompt_logs')
+        .select('conteudo_ids')
+        .eq('purpose', 'chat_reply')
+        .not('conteudo_ids', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(limite);
+      if (desde) q = q.gte('created_at', desde);
+      return q;
+    },
+    // relatório de custos: pagina até acabar ou até `limite`; select('*') porque cost_usd pode não existir
+    async listarUso({ desde = null, ate = null, user_id = null, limite = 200000 } = {}) {
+      const linhas = [];
+      for (let de = 0; de < limite; de += PAGINA) {
+        let q = supabase.from('messages_usage').select('*')
+          .order('created_at', { ascending: true }).range(de, Math.min(de + PAGINA, limite) - 1);
+        if (desde) q = q.gte('created_at', desde);
+        if (ate) q = q.lt('created_at', ate);
+        if (user_id) q = q.eq('user_id', user_id);
+        const { data, error } = await q;
+        if (error) return { data: null, error };
+        linhas.push(...(data || []));
+        if ((data || []).length < PAGINA) break;
+      }
+      return ok(linhas);
+    },
+    // cotas: soma de tokens e custo do usuário desde `desde` (RPC agrega no banco; uma linha só)
+    async somarUso({ user_id, desde }) {
+      const { data, error } = await supabase.rpc('somar_uso_usuario', { p_user_id: user_id, p_desde: desde });
+      if (error) return { data: null, error };
+      const linha = Array.isArray(data) ? data[0] : data;
+      return ok({ tokens: Number(linha?.tokens || 0), cost_usd: Number(linha?.cost_usd || 0) });
+    },
+    registrarEventoBruto(payload) {
+      return supabase.from('api_raw_events').insert(payload);
+    },
+  };
+}
+
+function memoriaLogs(store) {
+  const inserir = (tabela, payload) => {
+    store.tabela(tabela).push({ id: novoId(), created_at: agoraISO(), ...clonar(payload) });
+    return ok(null);
+  };
+
+  return {
+    async registrarUso(payload) {
+      return inserir('messages_usage', payload);
+    },
+    async registrarPrompt(payload) {
+      return inserir('prompt_logs', payload);
+    },
+    async listarPrompts({ user_id = null, sessao_id = null, limite = 200 } = {}) {
+      const linhas = store.tabela('prompt_logs')
+        .filter(l => (!user_id || mesmoId(l.user_id, user_id)) && (!sessao_id || mesmoId(l.session_id, sessao_id)))
+        .sort(porCampo('created_at', { ascending: false }));
+      return ok(clonar(linhas.slice(0, limite)));
+    },
+    async listarTemplatesPorSessao(sessao_ids = []) {
+      const ids = new Set(sessao_ids.map(String));
+      const linhas = store.tabela('prompt_logs')
+        .filter(l => ids.has(String(l.session_id)) && l.purpose === 'chat_reply' && l.prompt_template)
+        .map(l => ({ session_id: l.session_id, prompt_template: l.prompt_template, prompt_versao: l.prompt_versao }));
+      return ok(linhas);
+    },
+    async listarConteudoUsado({ desde = null, limite = 10000 } = {}) {
+      const linhas = store.tabela('prompt_logs')
+        .filter(l => l.purpose === 'chat_reply' && l.conteudo_ids && (!desde || l.created_at >= desde))
+        .sort(porCampo('created_at', { ascending: false }));
+      return ok(linhas.slice(0, limite).map(l => ({ conteudo_ids: clonar(l.conteudo_ids) })));
+    },
+    async listarUso({ desde = null, ate = null, user_id = null, limite = 200000 } = {}) {
+      const linhas = store.tabela('messages_usage')
+        .filter(l => (!desde || l.created_at >= desde) && (!ate || l.created_at < ate) && (!user_id || mesmoId(l.user_id, user_id)))
+        .sort(porCampo('created_at'));
+      return ok(clonar(linhas.slice(0, limite)));
+    },
+    async somarUso({ user_id, desde }) {
+      const total = { tokens: 0, cost_usd: 0 };
+      for (const l of store.tabela('messages_usage')) {
+        if (!mesmoId(l.user_id, user_id) || l.created_at < desde) continue;
+        total.tokens += Number(l.total_tokens || 0);
+        total.cost_usd += Number(l.cost_usd || 0);
+      }
+      return ok(total);
+    },
+    async registrarEventoBruto(payload) {
+      return inserir('api_raw_events', payload);
+    },
+  };
+}
+
+module.exports = { supabaseLogs, memoriaLogs };
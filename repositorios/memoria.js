@@ -0,0 +1,47 @@
+// repositorios/memoria.js
+// Store em memória usado pelos repositórios quando DATA_BACKEND=memoria.
+// Cada tabela é um array de linhas; leituras devolvem cópias para que o
+// handler possa mutar o objeto sem alterar o "banco".
+const crypto = require('crypto');
+
+function criarStoreMemoria() {
+  const tabelas = new Map();
+  return {
+    tabela(nome) {
+      if (!tabelas.has(nome)) tabelas.set(nome, []);
+      return tabelas.get(nome);
+    },
+  };
+}
+
+const novoId = () => crypto.randomUUID();
+const agoraISO = () => new Date().toISOString();
+const clonar = (v) => (v == null ? v : structuredClone(v));
+const ok = (data) => ({ data, error: null });
+const mesmoId = (a, b) => String(a) === String(b);
+
+// emula o select('a, b, c') do PostgREST (sem joins)
+function projetar(row, campos = '*') {
+  if (!row) return row ?? null;
+  if (!campos || campos.trim() === '*') return clonar(row);
+  const out = {};
+  for (const c of campos.split(',').map(s => s.trim()).filter(Boolean)) {
+    out[c] = clonar(row[c] ?? null);
+  }
+  return out;
+}
+
+// comparador por coluna de data/texto; ordenação estável mantém a ordem de inserção nos empates
+function porCampo(campo, { ascending = true } = {}) {
+  return (a, b) => {
+    const va = a[campo] ?? '', vb = b[campo] ?? '';
+    if (va === vb) return 0;
+    return (va < vb ? -1 : 1) * (ascending ? 1 : -1);
+  };
+}
+
+function atualizarOnde(linhas, pred, patch) {
+  for (const row of linhas) if (pred(row)) Object.assign(row, clonar(patch));
+}
+
+module.exports = { criarStoreMemoria, novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo, atualizarOnde };
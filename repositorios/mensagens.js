@@ -0,0 +1,42 @@
+// repositorios/mensagens.js
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo } = require('./memoria');
+
+function supabaseMensagens(supabase) {
+  return {
+    listarPorSessao(sessao_id, campos = '*') {
+      return supabase.from('mensagens_sessao').select(campos)
+        .eq('sessao_id', sessao_id).order('data_mensagem', { ascending: true });
+    },
+    contarPorSessao(sessao_id) {
+      return supabase.from('mensagens_sessao')
+        .select('id', { count: 'exact', head: true })
+        .eq('sessao_id', sessao_id);
+    },
+    // devolve a linha (id e data_mensagem identificam a fala nos jobs)
+    criar(payload) {
+      return supabase.from('mensagens_sessao').insert([payload]).select().single();
+    },
+  };
+}
+
+function memoriaMensagens(store) {
+  const tab = () => store.tabela('mensagens_sessao');
+  const daSessao = (sessao_id) =>
+    tab().filter(m => mesmoId(m.sessao_id, sessao_id)).sort(porCampo('data_mensagem'));
+
+  return {
+    async listarPorSessao(sessao_id, campos = '*') {
+      return ok(daSessao(sessao_id).map(m => projetar(m, campos)));
+    },
+    async contarPorSessao(sessao_id) {
+      return { data: null, count: daSessao(sessao_id).length, error: null };
+    },
+    async criar(payload) {
+      const row = { id: novoId(), data_mensagem: agoraISO(), ...clonar(payload) };
+      tab().push(row);
+      return ok(clonar(row));
+    },
+  };
+}
+
+module.exports = { supabaseMensagens, memoriaMensagens };
@@ -0,0 +1,102 @@
+// repositorios/perfil.js
+// perfil_psicologico (+ histórico em perfil_psicologico_versoes) + eventos_vida (moldura do usuário no prompt)
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo, atualizarOnde } = require('./memoria');
+
+function supabasePerfil(supabase) {
+  return {
+    buscarPerfil(user_id, campos = '*') {
+      return supabase.from('perfil_psicologico').select(campos).eq('user_id', user_id).maybeSingle();
+    },
+    // um perfil por usuário
+    salvarPerfil(user_id, payload) {
+      return supabase.from('perfil_psicologico')
+        .upsert({ ...payload, user_id }, { onConflict: 'user_id' })
+        .select('*')
+        .single();
+    },
+    registrarVersao(payload) {
+      return supabase.from('perfil_psicologico_versoes').insert([payload]);
+    },
+    listarVersoes(user_id, { limite = 50 } = {}) {
+      return supabase.from('perfil_psicologico_versoes').select('*').eq('user_id', user_id)
+        .order('versao', { ascending: false }).limit(limite);
+    },
+    listarEventosRecentes(user_id, { campos = '*', limite = 3 } = {}) {
+      return supabase.from('eventos_vida').select(campos).eq('user_id', user_id)
+        .order('data_evento', { ascending: false }).limit(limite);
+    },
+    listarEventos(user_id, campos = '*') {
+      return supabase.from('eventos_vida').select(campos).eq('user_id', user_id)
+        .order('data_evento', { ascending: false });
+    },
+    buscarEvento(id, campos = '*') {
+      return supabase.from('eventos_vida').select(campos).eq('id', id).maybeSingle();
+    },
+    criarEvento(payload) {
+      return supabase.from('eventos_vida').insert([payload]).select('*').single();
+    },
+    atualizarEvento(id, patch) {
+      return supabase.from('eventos_vida').update(patch).eq('id', id).select('*').maybeSingle();
+    },
+    excluirEvento(id) {
+      return supabase.from('eventos_vida').delete().eq('id', id);
+    },
+  };
+}
+
+function memoriaPerfil(store) {
+  return {
+    async buscarPerfil(user_id, campos = '*') {
+      return ok(projetar(store.tabela('perfil_psicologico').find(p => mesmoId(p.user_id, user_id)), campos));
+    },
+    async salvarPerfil(user_id, payload) {
+      const tab = store.tabela('perfil_psicologico');
+      let row = tab.find(p => mesmoId(p.user_id, user_id));
+      if (row) Object.assign(row, clonar(payload));
+      else tab.push(row = { id: novoId(), created_at: agoraISO(), ...clonar(payload), user_id });
+      return ok(clonar(row));
+    },
+    async registrarVersao(payload) {
+      store.tabela('perfil_psicologico_versoes').push({ id: novoId(), created_at: agoraISO(), ...clonar(payload) });
+      return ok(null);
+    },
+    async listarVersoes(user_id, { limite = 50 } = {}) {
+      const linhas = store.tabela('perfil_psicologico_versoes')
+        .filter(v => mesmoId(v.user_id, user_id))
+        .sort(porCampo('versao', { ascending: false }));
+      return ok(clonar(linhas.slice(0, limite)));
+    },
+    async listarEventosRecentes(user_id, { campos = '*', limite = 3 } = {}) {
+      const linhas = store.tabela('eventos_vida')
+        .filter(e => mesmoId(e.user_id, user_id))
+        .sort(porCampo('data_evento', { ascending: false }));
+      return ok(linhas.slice(0, limite).map(e => projetar(e, campos)));
+    },
+    async listarEventos(user_id, campos = '*') {
+      const linhas = store.tabela('eventos_vida')
+        .filter(e => mesmoId(e.user_id, user_id))
+        .sort(porCampo('data_evento', { ascending: false }));
+      return ok(linhas.map(e => projetar(e, campos)));
+    },
+    async buscarEvento(id, campos = '*') {
+      return ok(projetar(store.tabela('eventos_vida').find(e => mesmoId(e.id, id)), campos));
+    },
+    async criarEvento(payload) {
+      const row = { id: novoId(), created_at: agoraISO(), ...clonar(payload) };
+      store.tabela('eventos_vida').push(row);
+      return ok(clonar(row));
+    },
+    async atualizarEvento(id, patch) {
+      atualizarOnde(store.tabela('eventos_vida'), e => mesmoId(e.id, id), patch);
+      return ok(projetar(store.tabela('eventos_vida').find(e => mesmoId(e.id, id))));
+    },
+    async excluirEvento(id) {
+      const tab = store.tabela('eventos_vida');
+      const i = tab.findIndex(e => mesmoId(e.id, id));
+      if (i >= 0) tab.splice(i, 1);
+      return ok(null);
+    },
+  };
+}
+
+module.exports = { supabasePerfil, memoriaPerfil };
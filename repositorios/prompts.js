@@ -0,0 +1,52 @@
+// repositorios/prompts.js
+// prompt_templates: versões de prompt criadas/ajustadas pelo admin (as de arquivo ficam em prompts/)
+const { novoId, agoraISO, clonar, ok } = require('./memoria');
+
+function supabasePrompts(supabase) {
+  return {
+    listar() {
+      return supabase.from('prompt_templates')
+        .select('nome, versao, conteudo, peso, created_at, updated_at')
+        .order('nome', { ascending: true })
+        .order('versao', { ascending: true });
+    },
+    // unique(nome, versao): duas criações simultâneas não geram a mesma versão
+    criar(row) {
+      return supabase.from('prompt_templates').insert([row]).select('*').single();
+    },
+    salvar(row) {
+      return supabase.from('prompt_templates')
+        .upsert({ ...row, updated_at: agoraISO() }, { onConflict: 'nome,versao' })
+        .select('*')
+        .single();
+    },
+  };
+}
+
+function memoriaPrompts(store) {
+  const tab = () => store.tabela('prompt_templates');
+  const buscar = (nome, versao) => tab().find(t => t.nome === nome && Number(t.versao) === Number(versao));
+
+  return {
+    async listar() {
+      const linhas = [...tab()].sort((a, b) => a.nome.localeCompare(b.nome) || a.versao - b.versao);
+      return ok(clonar(linhas));
+    },
+    async criar(row) {
+      if (buscar(row.nome, row.versao)) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+      }
+      const nova = { id: novoId(), created_at: agoraISO(), updated_at: null, ...clonar(row) };
+      tab().push(nova);
+      return ok(clonar(nova));
+    },
+    async salvar(row) {
+      let atual = buscar(row.nome, row.versao);
+      if (atual) Object.assign(atual, clonar(row), { updated_at: agoraISO() });
+      else tab().push(atual = { id: novoId(), created_at: agoraISO(), updated_at: null, ...clonar(row) });
+      return ok(clonar(atual));
+    },
+  };
+}
+
+module.exports = { supabasePrompts, memoriaPrompts };
@@ -0,0 +1,45 @@
+// repositorios/riscos.js
+// eventos_risco: cada detecção em tempo real, para revisão humana no admin
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo, atualizarOnde } = require('./memoria');
+
+function supabaseRiscos(supabase) {
+  return {
+    registrar(payload) {
+      return supabase.from('eventos_risco').insert([payload]).select('id').single();
+    },
+    listar({ status = null, user_id = null, limite = 100 } = {}) {
+      let q = supabase.from('eventos_risco').select('*')
+        .order('created_at', { ascending: false }).limit(limite);
+      if (status) q = q.eq('status', status);
+      if (user_id) q = q.eq('user_id', user_id);
+      return q;
+    },
+    atualizar(id, patch) {
+      return supabase.from('eventos_risco').update(patch).eq('id', id).select('*').maybeSingle();
+    },
+  };
+}
+
+function memoriaRiscos(store) {
+  const tab = () => store.tabela('eventos_risco');
+
+  return {
+    async registrar(payload) {
+      const row = { id: novoId(), created_at: agoraISO(), status: 'pendente', ...clonar(payload) };
+      tab().push(row);
+      return ok({ id: row.id });
+    },
+    async listar({ status = null, user_id = null, limite = 100 } = {}) {
+      const linhas = tab()
+        .filter(e => (!status || e.status === status) && (!user_id || mesmoId(e.user_id, user_id)))
+        .sort(porCampo('created_at', { ascending: false }));
+      return ok(clonar(linhas.slice(0, limite)));
+    },
+    async atualizar(id, patch) {
+      atualizarOnde(tab(), e => mesmoId(e.id, id), patch);
+      return ok(projetar(tab().find(e => mesmoId(e.id, id))));
+    },
+  };
+}
+
+module.exports = { supabaseRiscos, memoriaRiscos };
@@ -0,0 +1,96 @@
+// repositorios/sessoes.js
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo, atualizarOnde } = require('./memoria');
+
+function supabaseSessoes(supabase) {
+  return {
+    buscarPorId(id, campos = '*') {
+      return supabase.from('sessoes').select(campos).eq('id', id).maybeSingle();
+    },
+    listarPorIds(ids, campos = '*') {
+      return supabase.from('sessoes').select(campos).in('id', ids);
+    },
+    buscarAberta(user_id, campos = '*') {
+      return supabase.from('sessoes').select(campos)
+        .eq('user_id', user_id).eq('status', 'aberta')
+        .order('data_sessao', { ascending: false }).limit(1).maybeSingle();
+    },
+    buscarUltima(user_id, campos = '*') {
+      return supabase.from('sessoes').select(campos)
+        .eq('user_id', user_id)
+        .order('data_sessao', { ascending: false }).limit(1).maybeSingle();
+    },
+    listarPorUsuario(user_id, { campos = '*', limite = null } = {}) {
+      let q = supabase.from('sessoes').select(campos)
+        .eq('user_id', user_id).order('data_sessao', { ascending: false });
+      if (limite) q = q.limit(limite);
+      return q;
+    },
+    criar(payload) {
+      return supabase.from('sessoes').insert([payload]).select().single();
+    },
+    atualizar(id, patch) {
+      return supabase.from('sessoes').update(patch).eq('id', id);
+    },
+    // varredura de todas as sessões por id (paginação por chave, para scripts de migração)
+    listarPagina({ aposId = null, limite = 500, campos = 'id, tags_tema' } = {}) {
+      let q = supabase.from('sessoes').select(campos).order('id', { ascending: true }).limit(limite);
+      if (aposId) q = q.gt('id', aposId);
+      return q;
+    },
+  };
+}
+
+function memoriaSessoes(store) {
+  const tab = () => store.tabela('sessoes');
+  const doUsuario = (user_id) =>
+    tab().filter(s => mesmoId(s.user_id, user_id)).sort(porCampo('data_sessao', { ascending: false }));
+
+  return {
+    async buscarPorId(id, campos = '*') {
+      return ok(projetar(tab().find(s => mesmoId(s.id, id)), campos));
+    },
+    async listarPorIds(ids, campos = '*') {
+      return ok(tab().filter(s => ids.some(id => mesmoId(s.id, id))).map(s => projetar(s, campos)));
+    },
+    async buscarAberta(user_id, campos = '*') {
+      return ok(projetar(doUsuario(user_id).find(s => s.status === 'aberta'), campos));
+    },
+    async buscarUltima(user_id, campos = '*') {
+      return ok(projetar(doUsuario(user_id)[0], campos));
+    },
+    async listarPorUsuario(user_id, { campos = '*', limite = null } = {}) {
+      const linhas = doUsuario(user_id);
+      return ok((limite ? linhas.slice(0, limite) : linhas).map(s => projetar(s, campos)));
+    },
+    async criar(payload) {
+      // mesma regra do índice único do banco: uma sessão aberta por usuário
+      if (payload.status === 'aberta' && tab().some(s => mesmoId(s.user_id, payload.user_id) && s.status === 'aberta')) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+      }
+      const row = {
+        id: novoId(),
+        data_sessao: agoraISO(),
+        resumo: null,
+        tags_tema: [],
+        tags_risco: [],
+        sentimentos_reportados: [],
+        encerrada_em: null,
+        ...clonar(payload),
+      };
+      tab().push(row);
+      return ok(clonar(row));
+    },
+    async atualizar(id, patch) {
+      atualizarOnde(tab(), s => mesmoId(s.id, id), patch);
+      return ok(null);
+    },
+    async listarPagina({ aposId = null, limite = 500, campos = 'id, tags_tema' } = {}) {
+      const linhas = [...tab()]
+        .sort(porCampo('id'))
+        .filter(s => !aposId || String(s.id) > String(aposId));
+      return ok(linhas.slice(0, limite).map(s => projetar(s, campos)));
+    },
+  };
+}
+
+module.exports = { supabaseSessoes, memoriaSessoes };
@@ -0,0 +1,60 @@
+// repositorios/supabase.js
+// Cliente Supabase a partir do env (servidor e scripts de manutenção usam o mesmo)
+const { createClient } = require('@supabase/supabase-js');
+
+// "/rest/v1/sessoes?select=..." -> "sessoes"; "/rest/v1/rpc/reservar_jobs" -> "rpc/reservar_jobs"
+function recursoDaUrl(url) {
+  const caminho = new URL(url).pathname;
+  const rest = caminho.match(/^\/rest\/v1\/(rpc\/[^/]+|[^/]+)/);
+  return rest ? rest[1] : caminho.split('/').slice(1, 3).join('/');
+}
+
+// fetch que mede cada request ao Supabase; observar({ recurso, metodo, status, segundos, erro })
+function fetchObservado(observar) {
+  return async (url, init = {}) => {
+    const t0 = process.hrtime.bigint();
+    const base = { recurso: recursoDaUrl(String(url?.url || url)), metodo: String(init.method || 'GET').toUpperCase() };
+    const fim = (dados) => {
+      try { observar({ ...base, segundos: Number(process.hrtime.bigint() - t0) / 1e9, ...dados }); } catch { /* métrica não derruba query */ }
+    };
+    try {
+      const resp = await fetch(url, init);
+      fim({ status: resp.status, erro: resp.status >= 400 ? `http_${resp.status}` : null });
+      return resp;
+    } catch (e) {
+      fim({ status: 0, erro: e?.name || 'erro_rede' });
+      throw e;
+    }
+  };
+}
+
+function criarClienteSupabase({ observar = null } = {}) {
+  const useKey =
+    process.env.SUPABASE_SECRET_KEY
+    || process.env.SUPABASE_SERVICE_ROLE_KEY
+    || process.env.SUPABASE_SERVICE_ROLE
+    || process.env.SUPABASE_KEY
+    || process.env.SUPABASE_ANON_KEY;
+
+  if (!process.env.SUPABASE_URL) {
+    throw new Error('SUPABASE_URL não configurada');
+  }
+
+  const client = createClient(process.env.SUPABASE_URL, useKey, observar ? { global: { fetch: fetchObservado(observar) } } : undefined);
+
+  // Log só para verificar se está usando uma chave que fura RLS
+  const usedVarName =
+    process.env.SUPABASE_SECRET_KEY ? 'SUPABASE_SECRET_KEY' :
+    process.env.SUPABASE_SERVICE_ROLE_KEY ? 'SUPABASE_SERVICE_ROLE_KEY' :
+    process.env.SUPABASE_SERVICE_ROLE ? 'SUPABASE_SERVICE_ROLE' :
+    process.env.SUPABASE_KEY ? 'SUPABASE_KEY' :
+    process.env.SUPABASE_ANON_KEY ? 'SUPABASE_ANON_KEY' :
+    'nenhuma';
+
+  console.log('[SUPABASE] var usada:', usedVarName, '| RLS bypass?',
+    /SECRET_KEY|SERVICE_ROLE/.test(usedVarName) ? 'SIM' : 'NÃO');
+
+  return client;
+}
+
+module.exports = { criarClienteSupabase };
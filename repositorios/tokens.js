@@ -0,0 +1,28 @@
+// repositorios/tokens.js
+// tokens_conta: jti de tokens de uso único (verificar e-mail, redefinir senha, refresh) já consumidos
+const { agoraISO, clonar, ok } = require('./memoria');
+
+function supabaseTokens(supabase) {
+  return {
+    // unique(jti) no banco: segundo consumo volta com erro 23505
+    consumir({ jti, user_id, tipo, expira_em }) {
+      return supabase.from('tokens_conta').insert([{ jti, user_id, tipo, expira_em, usado_em: agoraISO() }]);
+    },
+  };
+}
+
+function memoriaTokens(store) {
+  const tab = () => store.tabela('tokens_conta');
+
+  return {
+    async consumir(payload) {
+      if (tab().some(t => t.jti === payload.jti)) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+      }
+      tab().push({ ...clonar(payload), usado_em: agoraISO() });
+      return ok(null);
+    },
+  };
+}
+
+module.exports = { supabaseTokens, memoriaTokens };
@@ -0,0 +1,80 @@
+// repositorios/usuarios.js
+const { novoId, agoraISO, clonar, ok, mesmoId, projetar, porCampo, atualizarOnde } = require('./memoria');
+
+function supabaseUsuarios(supabase) {
+  return {
+    buscarPorEmail(email) {
+      return supabase.from('usuarios').select('*').eq('email', email).limit(1).maybeSingle();
+    },
+    buscarPorId(id, campos = '*') {
+      return supabase.from('usuarios').select(campos).eq('id', id).maybeSingle();
+    },
+    criar(payload) {
+      return supabase.from('usuarios').insert([payload]).select('id, nome, email').single();
+    },
+    atualizar(id, patch) {
+      return supabase.from('usuarios').update(patch).eq('id', id);
+    },
+    listarExclusoesVencidas(ate, limite = 50) {
+      return supabase.from('usuarios').select('id, email, exclusao_solicitada_em, exclusao_agendada_para')
+        .not('exclusao_agendada_para', 'is', null).lte('exclusao_agendada_para', ate)
+        .order('exclusao_agendada_para', { ascending: true }).limit(limite);
+    },
+    // update condicional (um só statement): só uma instância leva a conta; reserva mais velha que
+    // `reservaVencida` é de um processo que morreu no meio e pode ser retomada. data = { id } ou null
+    reservarExclusao(id, { agora, reservaVencida }) {
+      return supabase.from('usuarios').update({ exclusao_processando_em: agora })
+        .eq('id', id).not('exclusao_agendada_para', 'is', null).lte('exclusao_agendada_para', agora)
+        .or(`exclusao_processando_em.is.null,exclusao_processando_em.lt.${reservaVencida}`)
+        .select('id').maybeSingle();
+    },
+    liberarExclusao(id) {
+      return supabase.from('usuarios').update({ exclusao_processando_em: null }).eq('id', id);
+    },
+  };
+}
+
+function memoriaUsuarios(store) {
+  const tab = () => store.tabela('usuarios');
+
+  return {
+    async buscarPorEmail(email) {
+      return ok(projetar(tab().find(u => u.email === email)));
+    },
+    async buscarPorId(id, campos = '*') {
+      return ok(projetar(tab().find(u => mesmoId(u.id, id)), campos));
+    },
+    async criar(payload) {
+      if (tab().some(u => u.email === payload.email)) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+      }
+      const row = { id: novoId(), created_at: agoraISO(), accepted_terms_at: null, email_verificado_em: null, exclusao_agendada_para: null, ...clonar(payload) };
+      tab().push(row);
+      return ok(projetar(row, 'id, nome, email'));
+    },
+    async atualizar(id, patch) {
+      atualizarOnde(tab(), u => mesmoId(u.id, id), patch);
+      return ok(null);
+    },
+    async listarExclusoesVencidas(ate, limite = 50) {
+      const linhas = tab()
+        .filter(u => u.exclusao_agendada_para && u.exclusao_agendada_para <= ate)
+        .sort(porCampo('exclusao_agendada_para'));
+      return ok(linhas.slice(0, limite).map(u => projetar(u, 'id, email, exclusao_solicitada_em, exclusao_agendada_para')));
+    },
+    async reservarExclusao(id, { agora, reservaVencida }) {
+      const u = tab().find(x => mesmoId(x.id, id));
+      const livre = u && u.exclusao_agendada_para && u.exclusao_agendada_para <= agora
+        && (!u.exclusao_processando_em || u.exclusao_processando_em < reservaVencida);
+      if (!livre) return ok(null);
+      u.exclusao_processando_em = agora;
+      return ok({ id: u.id });
+    },
+    async liberarExclusao(id) {
+      atualizarOnde(tab(), u => mesmoId(u.id, id), { exclusao_processando_em: null });
+      return ok(null);
+    },
+  };
+}
+
+module.exports = { supabaseUsuarios, memoriaUsuarios };
@@ -0,0 +1,59 @@
+// repositorios/vinculos.js
+// vinculos_usuario (pessoas extraídas das conversas) + pessoas_importantes (cadastro manual)
+const { novoId, clonar, ok, mesmoId, projetar, atualizarOnde } = require('./memoria');
+
+function supabaseVinculos(supabase) {
+  return {
+    listarPorUsuario(user_id, campos = '*') {
+      return supabase.from('vinculos_usuario').select(campos).eq('user_id', user_id);
+    },
+    buscarPorId(id, campos = '*') {
+      return supabase.from('vinculos_usuario').select(campos).eq('id', id).maybeSingle();
+    },
+    criar(payload) {
+      return supabase.from('vinculos_usuario').insert([payload]).select('id').single();
+    },
+    atualizar(id, patch) {
+      return supabase.from('vinculos_usuario').update(patch).eq('id', id);
+    },
+    excluir(id) {
+      return supabase.from('vinculos_usuario').delete().eq('id', id);
+    },
+    criarPessoasImportantes(linhas) {
+      return supabase.from('pessoas_importantes').insert(linhas);
+    },
+  };
+}
+
+function memoriaVinculos(store) {
+  const tab = () => store.tabela('vinculos_usuario');
+
+  return {
+    async listarPorUsuario(user_id, campos = '*') {
+      return ok(tab().filter(v => mesmoId(v.user_id, user_id)).map(v => projetar(v, campos)));
+    },
+    async buscarPorId(id, campos = '*') {
+      return ok(projetar(tab().find(v => mesmoId(v.id, id)), campos));
+    },
+    async criar(payload) {
+      const row = { id: novoId(), ...clonar(payload) };
+      tab().push(row);
+      return ok({ id: row.id });
+    },
+    async atualizar(id, patch) {
+      atualizarOnde(tab(), v => mesmoId(v.id, id), patch);
+      return ok(null);
+    },
+    async excluir(id) {
+      const i = tab().findIndex(v => mesmoId(v.id, id));
+      if (i >= 0) tab().splice(i, 1);
+      return ok(null);
+    },
+    async criarPessoasImportantes(linhas) {
+      store.tabela('pessoas_importantes').push(...linhas.map(p => ({ id: novoId(), ...clonar(p) })));
+      return ok(null);
+    },
+  };
+}
+
+module.exports = { supabaseVinculos, memoriaVinculos };
@@ -0,0 +1,84 @@
+// risco-utils.js
+// Classificação de risco por mensagem (heurística + LLM) e resposta do protocolo de crise.
+const { normalizar, semCercaJson } = require('./texto-utils');
+
+const TAGS_RISCO = [
+  'ideacao_suicida','autolesao','violencia_domestica_(sofrida_ou_praticada)','violencia_sexual','abuso_fisico_ou_psicologico',
+  'isolamento_extremo','desamparo_total_(sentimento_de_abandono,desesperanca_intensa)','ataques_de_panico_recorrentes',
+  'crise_psicotica/agitacao_grave','dependencia_quimica_ativa(com_risco_de_vida)','recusa_total_de_ajuda_diante_de_sofrimento_grave'
+];
+
+// frases explícitas não dependem do modelo: disparam mesmo se o LLM falhar
+const HEURISTICAS = [
+  { tag: 'ideacao_suicida', score: 0.95, re: /\b(me matar|suicid\w*|tirar (a )?minha (propria )?vida|acabar com (a )?minha vida|nao quero mais viver|quero morrer|queria estar mort[oa])\b/ },
+  { tag: 'autolesao', score: 0.9, re: /\b(me cortar|me corto|me cortei|me machucar de proposito|autolesao|me ferir)\b/ },
+  { tag: 'violencia_domestica_(sofrida_ou_praticada)', score: 0.8, re: /\b(me bate|me bateu|me agride|me agrediu|apanho d[oe])\b/ },
+];
+
+function classificarPorHeuristica(mensagem) {
+  const t = normalizar(mensagem);
+  return HEURISTICAS.filter(h => h.re.test(t)).map(h => ({ tag: h.tag, score: h.score }));
+}
+
+async function classificarPorLLM(llm, mensagem, { timeout } = {}) {
+  const prompt = `
+Classifique o risco psicológico da mensagem abaixo. Considere apenas sinais presentes na fala do usuário.
+Mensagem: """${mensagem}"""
+Riscos possíveis: ${TAGS_RISCO.join(', ')}
+
+Responda apenas em JSON: { "riscos": [{ "tag": "...", "score": 0.0 }] } (score de 0 a 1; lista vazia se não houver risco)
+  `;
+
+  const completion = await llm.chat(
+    {
+      purpose: 'risk_classifier',
+      model: llm.modelos.extract,
+      temperature: 0,
+      max_tokens: 150,
+      messages: [{ role: 'user', content: prompt }],
+    },
+    { timeout }
+  );
+
+  let riscos = [];
+  try {
+    const content = semCercaJson(completion.choices?.[0]?.message?.content || '');
+    const parsed = JSON.parse(content);
+    riscos = (Array.isArray(parsed?.riscos) ? parsed.riscos : [])
+      .filter(r => TAGS_RISCO.includes(r?.tag))
+      .map(r => ({ tag: r.tag, score: Math.max(0, Math.min(1, Number(r.score) || 0)) }));
+  } catch (err) {
+    console.log('[risco] resposta do classificador não é JSON:', err.message);
+  }
+  return { riscos, completion };
+}
+
+// { detectado, tags, scores, fonte, completion } — tags são as que passaram do limiar
+async function classificarRisco(llm, mensagem, { limiar = 0.6, usarLLM = true, timeout } = {}) {
+  const scores = {};
+  const somar = (lista) => lista.forEach(r => { scores[r.tag] = Math.max(scores[r.tag] || 0, r.score); });
+
+  somar(classificarPorHeuristica(mensagem));
+  let fonte = 'heuristica';
+  let completion = null;
+
+  if (usarLLM) {
+    try {
+      const r = await classificarPorLLM(llm, mensagem, { timeout });
+      somar(r.riscos);
+      completion = r.completion;
+      fonte = 'heuristica+llm';
+    } catch (err) {
+      console.error('[risco] classificador LLM falhou, usando só heurística:', err.message);
+    }
+  }
+
+  const tags = Object.keys(scores).filter(t => scores[t] >= limiar);
+  return { detectado: tags.length > 0, tags, scores, fonte, completion };
+}
+
+function montarRespostaSeguranca(template, recursos) {
+  return String(template).replace(/\{\{\s*recursos\s*\}\}/g, recursos).trim();
+}
+
+module.exports = { TAGS_RISCO, classificarRisco, classificarPorHeuristica, montarRespostaSeguranca };
@@ -0,0 +1,104 @@
+// scripts/indexar-memorias.js
+// Gera mensagem_embeddings para sessões encerradas antes da memória por trecho existir.
+// Sessões que já têm trechos são puladas, então dá para rodar de novo depois de uma falha.
+//
+//   node scripts/indexar-memorias.js             # simulação: só conta o que seria indexado
+//   node scripts/indexar-memorias.js --aplicar   # gera os embeddings e grava
+require('dotenv').config();
+
+const { criarRepositorios } = require('../repositorios');
+const { criarClienteSupabase } = require('../repositorios/supabase');
+const { criarProvedorLLM } = require('../llm-provider');
+const { indexarMensagensSessao, dividirEmTrechos } = require('../memorias-utils');
+const { criarTabelaPrecos } = require('../precos-utils');
+
+// mesmo registro que a API faz em messages_usage (custo incluso); falha no log não para o backfill
+function embedComUso(repos, llm, precos, { user_id, sessao_id }) {
+  return {
+    async embed({ input }) {
+      const t0 = Date.now();
+      const resp = await llm.embed({ input });
+      const model = resp.model || llm.modelos.embedding;
+      const usage = { prompt_tokens: resp.usage?.prompt_tokens || 0, completion_tokens: 0, total_tokens: resp.usage?.total_tokens || 0 };
+      const { error } = await repos.logs.registrarUso({
+        user_id,
+        sessao_id,
+        model,
+        ...usage,
+        response_id: null,
+        latency_ms: Date.now() - t0,
+        metadata: { purpose: 'embedding_trechos', origem: 'script', itens: input.length },
+        cost_usd: precos.calcular(model, usage),
+      });
+      if (error) console.error('[indexar-memorias] messages_usage insert error:', error.message);
+      return resp;
+    },
+  };
+}
+
+async function indexarMemorias(repos, llm, { aplicar = false, maxChars = 500, tamanhoPagina = 200, precos = criarTabelaPrecos(), log = console.log } = {}) {
+  const relatorio = { sessoes_lidas: 0, sessoes_indexadas: 0, sessoes_ja_indexadas: 0, trechos: 0 };
+
+  let aposId = null;
+  for (;;) {
+    const { data: pagina, error } = await repos.sessoes.listarPagina({ aposId, limite: tamanhoPagina, campos: 'id, user_id, status' });
+    if (error) throw error;
+    if (!pagina?.length) break;
+
+    for (const sessao of pagina) {
+      relatorio.sessoes_lidas += 1;
+      if (String(sessao.status).toLowerCase() !== 'encerrada') continue;
+
+      const { data: existentes, error: errCont } = await repos.embeddings.contarTrechosSessao(sessao.id);
+      if (errCont) throw errCont;
+      if (existentes > 0) { relatorio.sessoes_ja_indexadas += 1; continue; }
+
+      const { data: mensagens, error: errMsg } = await repos.mensagens.listarPorSessao(sessao.id);
+      if (errMsg) throw errMsg;
+      if (!mensagens?.length) continue;
+
+      if (aplicar) {
+        const embed = embedComUso(repos, llm, precos, { user_id: sessao.user_id, sessao_id: sessao.id });
+        relatorio.trechos += await indexarMensagensSessao(repos.embeddings, embed, {
+          user_id: sessao.user_id,
+          sessao_id: sessao.id,
+          mensagens,
+          maxChars,
+        });
+      } else {
+        relatorio.trechos += mensagens
+          .filter(m => m.origem === 'usuario')
+          .reduce((n, m) => n + dividirEmTrechos(m.texto_mensagem, maxChars).length, 0);
+      }
+      relatorio.sessoes_indexadas += 1;
+    }
+    aposId = pagina[pagina.length - 1].id;
+    log(`[indexar-memorias] ${relatorio.sessoes_lidas} sessões lidas...`);
+  }
+
+  return relatorio;
+}
+
+async function main() {
+  const aplicar = process.argv.includes('--aplicar');
+  const backend = String(process.env.DATA_BACKEND || 'supabase').toLowerCase();
+  const repos = criarRepositorios(backend, { supabase: backend === 'supabase' ? criarClienteSupabase() : null });
+  const llm = criarProvedorLLM();
+
+  const relatorio = await indexarMemorias(repos, llm, {
+    aplicar,
+    maxChars: Number(process.env.MEMORY_CHUNK_MAX_CHARS || 500),
+    precos: criarTabelaPrecos({ json: process.env.LLM_PRICING_JSON || null, arquivo: process.env.LLM_PRICING_FILE || null }),
+  });
+  console.log(JSON.stringify({ modo: aplicar ? 'aplicado' : 'simulacao', ...relatorio }, null, 2));
+  if (!aplicar) console.log('Nada foi gravado. Rode de novo com --aplicar para gravar.');
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error('[indexar-memorias] falhou:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { indexarMemorias };
@@ -0,0 +1,104 @@
+// scripts/migrar-tags-tema.js
+// Reescreve sessoes.tags_tema e conteudo_base.tema para os ids da taxonomia (taxonomia-utils.js).
+//
+//   node scripts/migrar-tags-tema.js                 # simulação: só relata o que mudaria
+//   node scripts/migrar-tags-tema.js --aplicar       # grava
+//   ... --descartar-desconhecidas                    # remove de tags_tema o que não está na taxonomia
+//
+// Sem --descartar-desconhecidas, valores desconhecidos ficam como estão (e aparecem no relatório).
+require('dotenv').config();
+
+const { criarRepositorios } = require('../repositorios');
+const { criarClienteSupabase } = require('../repositorios/supabase');
+const { normalizarTema } = require('../taxonomia-utils');
+
+const mesmaLista = (a = [], b = []) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+function migrarLista(tags, { descartarDesconhecidas }) {
+  const out = [];
+  const desconhecidas = [];
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    const id = normalizarTema(tag);
+    if (!id) {
+      desconhecidas.push(tag);
+      if (!descartarDesconhecidas && !out.includes(tag)) out.push(tag);
+    } else if (!out.includes(id)) {
+      out.push(id);
+    }
+  }
+  return { tags: out, desconhecidas };
+}
+
+async function migrarTagsTema(repos, { aplicar = false, descartarDesconhecidas = false, tamanhoPagina = 500, log = console.log } = {}) {
+  const relatorio = { sessoes_lidas: 0, sessoes_alteradas: 0, conteudos_alterados: 0, desconhecidas: {} };
+  const contarDesconhecida = (v) => { relatorio.desconhecidas[v] = (relatorio.desconhecidas[v] || 0) + 1; };
+
+  let aposId = null;
+  for (;;) {
+    const { data: pagina, error } = await repos.sessoes.listarPagina({ aposId, limite: tamanhoPagina });
+    if (error) throw error;
+    if (!pagina?.length) break;
+
+    for (const sessao of pagina) {
+      relatorio.sessoes_lidas += 1;
+      const atuais = Array.isArray(sessao.tags_tema) ? sessao.tags_tema : [];
+      const { tags, desconhecidas } = migrarLista(atuais, { descartarDesconhecidas });
+      desconhecidas.forEach(contarDesconhecida);
+      if (mesmaLista(atuais, tags)) continue;
+
+      relatorio.sessoes_alteradas += 1;
+      if (aplicar) {
+        const { error: errUp } = await repos.sessoes.atualizar(sessao.id, { tags_tema: tags });
+        if (errUp) throw errUp;
+      }
+    }
+    aposId = pagina[pagina.length - 1].id;
+    log(`[migrar-tags-tema] ${relatorio.sessoes_lidas} sessões lidas...`);
+  }
+
+  // conteudo_base entra junto: o lookup do /ia compara tema com os ids do tagger
+  const { data: conteudos, error: errCont } = await repos.conteudo.listar({ incluirInativos: true });
+  if (errCont) throw errCont;
+  for (const item of conteudos || []) {
+    const id = normalizarTema(item.tema);
+    if (!id) { contarDesconhecida(item.tema); continue; }
+    if (id === item.tema) continue;
+
+    relatorio.conteudos_alterados += 1;
+    if (aplicar) {
+      const { data: atualizado, error: errUp } = await repos.conteudo.atualizar(item.id, { tema: id, atualizado_por: 'migracao_taxonomia' });
+      if (errUp) throw errUp;
+      await repos.conteudo.registrarRevisao({
+        conteudo_id: item.id,
+        acao: 'atualizar',
+        autor: 'migracao_taxonomia',
+        origem: 'script',
+        campos: ['tema'],
+        antes: { tema: item.tema },
+        depois: { tema: atualizado?.tema ?? id },
+      });
+    }
+  }
+
+  return relatorio;
+}
+
+async function main() {
+  const args = new Set(process.argv.slice(2));
+  const aplicar = args.has('--aplicar');
+  const backend = String(process.env.DATA_BACKEND || 'supabase').toLowerCase();
+  const repos = criarRepositorios(backend, { supabase: backend === 'supabase' ? criarClienteSupabase() : null });
+
+  const relatorio = await migrarTagsTema(repos, { aplicar, descartarDesconhecidas: args.has('--descartar-desconhecidas') });
+  console.log(JSON.stringify({ modo: aplicar ? 'aplicado' : 'simulacao', ...relatorio }, null, 2));
+  if (!aplicar) console.log('Nada foi gravado. Rode de novo com --aplicar para gravar.');
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error('[migrar-tags-tema] falhou:', e);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrarTagsTema };
@@ -0,0 +1,55 @@
+-- Fila de jobs pós-resposta (repositorios/jobs.js, jobs-utils.js).
+-- status: pendente -> executando -> concluido | pendente (nova tentativa) | morto (dead-letter)
+
+create table if not exists public.jobs (
+  id              uuid primary key default gen_random_uuid(),
+  tipo            text not null,
+  payload         jsonb not null default '{}'::jsonb,
+  user_id         uuid,
+  status          text not null default 'pendente'
+                  check (status in ('pendente', 'executando', 'concluido', 'morto')),
+  tentativas      integer not null default 0,
+  max_tentativas  integer not null default 5,
+  executar_em     timestamptz not null default now(),
+  travado_ate     timestamptz,
+  worker          text,
+  ultimo_erro     text,
+  resultado       jsonb,
+  -- deduplicação do enfileirar (ex.: resumo_sessao:<sessao_id>); null = sem dedupe
+  chave           text,
+  created_at      timestamptz not null default now(),
+  updated_at      timestamptz not null default now(),
+  concluido_em    timestamptz
+);
+
+create unique index if not exists jobs_chave_key on public.jobs (chave) where chave is not null;
+create index if not exists jobs_vencidos_idx on public.jobs (executar_em) where status in ('pendente', 'executando');
+create index if not exists jobs_user_id_idx on public.jobs (user_id);
+create index if not exists jobs_concluidos_idx on public.jobs (concluido_em) where status = 'concluido';
+
+-- reserva até p_limite jobs vencidos (pendentes ou com trava expirada de um worker que morreu);
+-- SKIP LOCKED: dois workers nunca pegam o mesmo job
+create or replace function public.reservar_jobs(p_worker text, p_limite integer, p_trava_segundos integer)
+returns setof public.jobs
+language sql
+as $$
+  update public.jobs j
+     set status = 'executando',
+         tentativas = j.tentativas + 1,
+         worker = p_worker,
+         travado_ate = now() + make_interval(secs => p_trava_segundos),
+         updated_at = now()
+   where j.id in (
+     select id from public.jobs
+      where (status = 'pendente' and executar_em <= now())
+         or (status = 'executando' and travado_ate < now())
+      order by executar_em
+      limit p_limite
+      for update skip locked
+   )
+  returning j.*;
+$$;
+
+-- resumo_sessao grava quando o resumo saiu do LLM; nova tentativa do job (ex.: falhou ao
+-- enfileirar um filho) reaproveita o resumo em vez de chamar o modelo de novo
+alter table public.sessoes add column if not exists resumo_gerado_em timestamptz;
@@ -0,0 +1,47 @@
+-- Memória de longo prazo do /ia (memorias-utils.js, repositorios/embeddings.js).
+-- Resumos por sessão ficam em session_embeddings (já em produção); trechos das falas do
+-- usuário ficam em mensagem_embeddings. Similaridade = 1 - distância de cosseno.
+
+create extension if not exists vector;
+
+create table if not exists public.mensagem_embeddings (
+  id             uuid primary key default gen_random_uuid(),
+  user_id        uuid not null,
+  sessao_id      uuid not null references public.sessoes (id) on delete cascade,
+  mensagem_id    uuid,
+  trecho         text not null,
+  data_mensagem  timestamptz,
+  embedding      vector(1536) not null,
+  created_at     timestamptz not null default now()
+);
+
+create index if not exists mensagem_embeddings_user_id_idx on public.mensagem_embeddings (user_id);
+create index if not exists mensagem_embeddings_sessao_id_idx on public.mensagem_embeddings (sessao_id);
+create index if not exists mensagem_embeddings_embedding_idx
+  on public.mensagem_embeddings using hnsw (embedding vector_cosine_ops);
+
+-- a versão em produção só devolvia o resumo; buscarMemorias precisa da sessão (data e
+-- limite por sessão) e da similaridade (corte e score). Mudou o tipo de retorno: drop antes.
+drop function if exists public.buscar_resumos_semelhantes(uuid, vector, integer);
+
+create function public.buscar_resumos_semelhantes(uid uuid, query_embedding vector, n integer)
+returns table (sessao_id uuid, resumo text, similaridade double precision)
+language sql stable
+as $$
+  select e.sessao_id, e.resumo, 1 - (e.embedding <=> query_embedding) as similaridade
+    from public.session_embeddings e
+   where e.user_id = uid
+   order by e.embedding <=> query_embedding
+   limit n;
+$$;
+
+create or replace function public.buscar_trechos_semelhantes(uid uuid, query_embedding vector, n integer)
+returns table (sessao_id uuid, mensagem_id uuid, trecho text, data_mensagem timestamptz, similaridade double precision)
+language sql stable
+as $$
+  select t.sessao_id, t.mensagem_id, t.trecho, t.data_mensagem, 1 - (t.embedding <=> query_embedding) as similaridade
+    from public.mensagem_embeddings t
+   where t.user_id = uid
+   order by t.embedding <=> query_embedding
+   limit n;
+$$;
@@ -0,0 +1,56 @@
+-- Backend postgres do limitador (limitador-utils.js, RATE_LIMIT_BACKEND=postgres).
+-- limites_taxa: um registro por request aceito (janela deslizante);
+-- debounce_respostas: resposta do /ia e /mensagem guardada pela janela do debounce.
+-- As duas são varridas por expira_em (limparExpirados).
+
+create table if not exists public.limites_taxa (
+  id         bigint generated always as identity primary key,
+  chave      text not null,
+  criado_em  timestamptz not null default now(),
+  expira_em  timestamptz not null
+);
+
+create index if not exists limites_taxa_chave_idx on public.limites_taxa (chave, criado_em);
+create index if not exists limites_taxa_expira_em_idx on public.limites_taxa (expira_em);
+
+create table if not exists public.debounce_respostas (
+  chave      text primary key,
+  resposta   jsonb not null,
+  expira_em  timestamptz not null
+);
+
+create index if not exists debounce_respostas_expira_em_idx on public.debounce_respostas (expira_em);
+
+-- apaga o que saiu da janela, conta e, se couber, registra o request — tudo sob um lock
+-- transacional por chave, então requests simultâneos da mesma chave não passam juntos do limite.
+-- Recusado não ocupa vaga: contagem = registros na janela (sem o recusado).
+create or replace function public.consumir_limite(p_chave text, p_limite integer, p_janela_ms integer)
+returns table (permitido boolean, contagem integer, mais_antigo_ms bigint)
+language plpgsql
+as $$
+declare
+  v_agora        timestamptz := clock_timestamp();
+  v_janela       interval := make_interval(secs => p_janela_ms / 1000.0);
+  v_contagem     integer;
+  v_mais_antigo  timestamptz;
+begin
+  perform pg_advisory_xact_lock(hashtextextended(p_chave, 0));
+
+  delete from public.limites_taxa t where t.chave = p_chave and t.criado_em <= v_agora - v_janela;
+
+  select count(*), min(t.criado_em) into v_contagem, v_mais_antigo
+    from public.limites_taxa t
+   where t.chave = p_chave;
+
+  permitido := v_contagem < p_limite;
+  if permitido then
+    insert into public.limites_taxa (chave, criado_em, expira_em) values (p_chave, v_agora, v_agora + v_janela);
+    v_contagem := v_contagem + 1;
+    v_mais_antigo := coalesce(v_mais_antigo, v_agora);
+  end if;
+
+  contagem := v_contagem;
+  mais_antigo_ms := floor(extract(epoch from v_mais_antigo) * 1000)::bigint;
+  return next;
+end;
+$$;
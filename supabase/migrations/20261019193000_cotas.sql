@@ -0,0 +1,21 @@
+-- Cotas por plano (cotas-utils.js, repositorios/logs.js somarUso).
+-- usuarios.plano null = PLAN_DEFAULT. O uso vem de messages_usage, somado no banco.
+
+alter table public.usuarios add column if not exists plano text;
+
+-- inserts antigos caíam para o payload sem cost_usd quando a coluna não existia
+alter table public.messages_usage add column if not exists cost_usd numeric(14, 8);
+
+create index if not exists messages_usage_user_created_idx on public.messages_usage (user_id, created_at);
+
+-- uma linha: tokens e custo do usuário desde p_desde (início do dia ou do mês no fuso do produto)
+create or replace function public.somar_uso_usuario(p_user_id uuid, p_desde timestamptz)
+returns table (tokens bigint, cost_usd numeric)
+language sql stable
+as $$
+  select coalesce(sum(u.total_tokens), 0)::bigint as tokens,
+         coalesce(sum(u.cost_usd), 0)::numeric as cost_usd
+    from public.messages_usage u
+   where u.user_id = p_user_id
+     and u.created_at >= p_desde;
+$$;
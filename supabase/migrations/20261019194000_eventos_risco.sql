@@ -0,0 +1,23 @@
+-- Detecção de risco em tempo real (risco-utils.js, repositorios/riscos.js).
+-- Um registro por detecção, revisado por humano em /admin/eventos-risco.
+
+create table if not exists public.eventos_risco (
+  id                  uuid primary key default gen_random_uuid(),
+  user_id             uuid,
+  sessao_id           uuid,
+  rota                text,
+  tags                text[] not null default '{}',
+  scores              jsonb not null default '{}'::jsonb,
+  fonte               text,           -- heuristica | heuristica+llm
+  protocolo_acionado  boolean not null default false,
+  trecho              text,           -- já redigido e truncado
+  status              text not null default 'pendente'
+                      check (status in ('pendente', 'em_revisao', 'revisado', 'descartado')),
+  nota_revisao        text,
+  revisado_por        text,
+  revisado_em         timestamptz,
+  created_at          timestamptz not null default now()
+);
+
+create index if not exists eventos_risco_status_created_idx on public.eventos_risco (status, created_at desc);
+create index if not exists eventos_risco_user_id_idx on public.eventos_risco (user_id);
@@ -0,0 +1,16 @@
+-- Verificação de e-mail e redefinição de senha (links com JWT de uso único).
+-- tokens_conta guarda o jti de cada link já usado; o unique faz o segundo uso falhar (23505).
+-- Linhas com expira_em no passado podem ser apagadas: o JWT já não vale mesmo.
+
+alter table public.usuarios add column if not exists email_verificado_em timestamptz;
+
+create table if not exists public.tokens_conta (
+  jti        text primary key,
+  user_id    uuid not null,
+  tipo       text not null,
+  expira_em  timestamptz not null,
+  usado_em   timestamptz not null default now()
+);
+
+create index if not exists tokens_conta_user_id_idx on public.tokens_conta (user_id);
+create index if not exists tokens_conta_expira_em_idx on public.tokens_conta (expira_em);
@@ -0,0 +1,19 @@
+-- Exportação LGPD em segundo plano (repositorios/exportacoes.js, job 'exportacao').
+-- O arquivo gerado fica na própria linha até expira_em; depois o download responde 410.
+
+create table if not exists public.exportacoes_usuario (
+  id             uuid primary key default gen_random_uuid(),
+  user_id        uuid not null,
+  formato        text not null check (formato in ('json', 'markdown', 'html')),
+  status         text not null default 'pendente'
+                 check (status in ('pendente', 'processando', 'concluida', 'erro')),
+  arquivo        text,
+  content_type   text,
+  tamanho_bytes  bigint,
+  erro           text,
+  created_at     timestamptz not null default now(),
+  concluida_em   timestamptz,
+  expira_em      timestamptz
+);
+
+create index if not exists exportacoes_usuario_user_id_idx on public.exportacoes_usuario (user_id, created_at desc);
@@ -0,0 +1,27 @@
+-- Exclusão de conta com carência (exclusao-utils.js, repositorios/exclusoes.js).
+-- usuarios guarda o pedido; o job apaga quando exclusao_agendada_para vence e grava o recibo.
+-- recibos_exclusao é uma cadeia: hash = sha256 do recibo canônico, que inclui hash_anterior.
+
+alter table public.usuarios add column if not exists exclusao_solicitada_em timestamptz;
+alter table public.usuarios add column if not exists exclusao_agendada_para timestamptz;
+-- reserva da instância que está apagando (update condicional); vencida = processo morreu no meio
+alter table public.usuarios add column if not exists exclusao_processando_em timestamptz;
+
+create index if not exists usuarios_exclusao_agendada_idx
+  on public.usuarios (exclusao_agendada_para) where exclusao_agendada_para is not null;
+
+create table if not exists public.recibos_exclusao (
+  id             uuid primary key default gen_random_uuid(),
+  -- unique: dois workers não conseguem bifurcar a cadeia
+  seq            integer not null unique,
+  titular_hash   text not null,
+  solicitado_em  timestamptz,
+  agendado_para  timestamptz,
+  executado_em   timestamptz not null,
+  contagens      jsonb not null default '{}'::jsonb,
+  hash_anterior  text,
+  hash           text not null,
+  created_at     timestamptz not null default now()
+);
+
+create index if not exists recibos_exclusao_titular_hash_idx on public.recibos_exclusao (titular_hash);
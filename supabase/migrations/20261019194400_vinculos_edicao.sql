@@ -0,0 +1,8 @@
+-- Edição de vínculos pelo usuário (GET/PATCH/DELETE /vinculos).
+-- campos_editados lista os campos que o usuário mudou; o upsert automático não os sobrescreve.
+
+alter table public.vinculos_usuario add column if not exists fixado boolean not null default false;
+alter table public.vinculos_usuario add column if not exists oculto boolean not null default false;
+alter table public.vinculos_usuario add column if not exists nao_e_pessoa boolean not null default false;
+alter table public.vinculos_usuario add column if not exists campos_editados text[] not null default '{}';
+alter table public.vinculos_usuario add column if not exists editado_em timestamptz;
@@ -0,0 +1,6 @@
+-- Emoções e contextos por pessoa com decaimento (marcadores-utils.js).
+-- Mapa chave -> { rotulo, peso, em }; marcador_emocional/contextos_relevantes guardam só os
+-- rótulos mais fortes, derivados destes pesos a cada menção.
+
+alter table public.vinculos_usuario add column if not exists pesos_emocionais jsonb not null default '{}'::jsonb;
+alter table public.vinculos_usuario add column if not exists pesos_contextos jsonb not null default '{}'::jsonb;
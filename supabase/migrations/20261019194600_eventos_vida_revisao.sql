@@ -0,0 +1,13 @@
+-- Eventos de vida extraídos no fechamento da sessão (eventos-utils.js, /eventos-vida).
+-- Extraídos entram como origem 'automatico' e confirmado = false até o usuário revisar;
+-- precisao_data diz quanto de data_evento é real (dia, mês ou só o ano).
+
+alter table public.eventos_vida add column if not exists precisao_data text not null default 'dia'
+  check (precisao_data in ('dia', 'mes', 'ano'));
+alter table public.eventos_vida add column if not exists origem text not null default 'automatico';
+alter table public.eventos_vida add column if not exists confirmado boolean not null default false;
+alter table public.eventos_vida add column if not exists sessao_id uuid;
+alter table public.eventos_vida add column if not exists created_at timestamptz not null default now();
+alter table public.eventos_vida add column if not exists editado_em timestamptz;
+
+create index if not exists eventos_vida_user_data_idx on public.eventos_vida (user_id, data_evento desc);
@@ -0,0 +1,25 @@
+-- Perfil psicológico incremental (perfil-utils.js).
+-- afirmacoes é a fonte: [{ id, campo, texto, criado_em, vetado, ... }]; tracos_personalidade,
+-- valores_declarados e notas_mentor são derivados dela a cada versão.
+-- Cada versão salva também vai para perfil_psicologico_versoes (histórico e diff).
+
+-- sem default: null marca o perfil legado (só os campos de texto), convertido na primeira leitura
+alter table public.perfil_psicologico add column if not exists afirmacoes jsonb;
+alter table public.perfil_psicologico add column if not exists versao integer not null default 0;
+alter table public.perfil_psicologico add column if not exists atualizado_em timestamptz;
+
+-- salvarPerfil faz upsert on conflict (user_id): um perfil por usuário
+create unique index if not exists perfil_psicologico_user_id_key on public.perfil_psicologico (user_id);
+
+create table if not exists public.perfil_psicologico_versoes (
+  id           uuid primary key default gen_random_uuid(),
+  user_id      uuid not null,
+  versao       integer not null,
+  sessao_id    uuid,
+  origem       text not null,          -- finalizar_sessao | veto | veto_desfeito
+  adicionadas  jsonb not null default '[]'::jsonb,
+  removidas    jsonb not null default '[]'::jsonb,
+  afirmacoes   jsonb not null default '[]'::jsonb,
+  created_at   timestamptz not null default now(),
+  unique (user_id, versao)
+);
@@ -0,0 +1,22 @@
+-- Registro de prompts versionados (prompt-utils.js, repositorios/prompts.js).
+-- Versões de arquivo ficam em prompts/<nome>.v<N>.txt; aqui ficam as criadas pelo admin e os
+-- pesos do sorteio A/B (peso null = regra padrão: versão mais nova leva 100%).
+
+create table if not exists public.prompt_templates (
+  id          uuid primary key default gen_random_uuid(),
+  nome        text not null,
+  versao      integer not null check (versao > 0),
+  conteudo    text,
+  peso        numeric check (peso is null or peso >= 0),
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz,
+  -- duas criações simultâneas não geram a mesma versão
+  unique (nome, versao)
+);
+
+-- versão usada em cada chamada, base da comparação de NPS por versão
+alter table public.prompt_logs add column if not exists prompt_template text;
+alter table public.prompt_logs add column if not exists prompt_versao integer;
+
+create index if not exists prompt_logs_session_template_idx
+  on public.prompt_logs (session_id) where prompt_template is not null;
@@ -0,0 +1,22 @@
+-- Admin do conteudo_base (/admin/conteudo, importação CSV/Markdown).
+-- Nada é apagado: desativar tira do /ia (ativo = false; null vale como ativo, linhas antigas).
+-- Cada criação/edição grava a foto antes/depois em conteudo_base_revisoes.
+
+alter table public.conteudo_base add column if not exists ativo boolean default true;
+alter table public.conteudo_base add column if not exists atualizado_por text;
+alter table public.conteudo_base add column if not exists created_at timestamptz not null default now();
+alter table public.conteudo_base add column if not exists updated_at timestamptz;
+
+create table if not exists public.conteudo_base_revisoes (
+  id           uuid primary key default gen_random_uuid(),
+  conteudo_id  uuid not null,
+  acao         text not null check (acao in ('criar', 'atualizar', 'desativar', 'reativar')),
+  autor        text,
+  origem       text,          -- api | importacao_csv | importacao_markdown
+  campos       text[],
+  antes        jsonb,
+  depois       jsonb,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists conteudo_base_revisoes_conteudo_idx on public.conteudo_base_revisoes (conteudo_id, created_at desc);
@@ -0,0 +1,28 @@
+-- Busca híbrida do conteudo_base (conteudo_utils.js buscarConteudoRelevante).
+-- O embedding fica na própria linha (scripts de reindexação / edição no admin preenchem);
+-- embedding_modelo diz com qual modelo foi gerado, para reindexar quando o modelo mudar.
+
+create extension if not exists vector;
+
+alter table public.conteudo_base add column if not exists embedding vector(1536);
+alter table public.conteudo_base add column if not exists embedding_modelo text;
+
+create index if not exists conteudo_base_embedding_idx
+  on public.conteudo_base using hnsw (embedding vector_cosine_ops);
+
+-- só ativos (null conta como ativo) e com embedding, do mais parecido para o menos
+create or replace function public.buscar_conteudo_semelhante(query_embedding vector, n integer)
+returns table (id uuid, tema text, conceito text, ferramentas_exercicios text, frases_citacoes text, similaridade double precision)
+language sql stable
+as $$
+  select c.id, c.tema, c.conceito, c.ferramentas_exercicios, c.frases_citacoes,
+         1 - (c.embedding <=> query_embedding) as similaridade
+    from public.conteudo_base c
+   where c.embedding is not null
+     and c.ativo is not false
+   order by c.embedding <=> query_embedding
+   limit n;
+$$;
+
+-- itens de conteudo_base usados em cada resposta do /ia (relatório de uso no admin)
+alter table public.prompt_logs add column if not exists conteudo_ids jsonb;
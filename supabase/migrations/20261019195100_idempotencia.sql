@@ -0,0 +1,16 @@
+-- Idempotency-Key (idempotencia-utils.js, IDEMPOTENCY_BACKEND=postgres).
+-- A PK (user_id, chave) é a reserva: o segundo insert falha com 23505 e a request lê o registro.
+-- expira_em é a trava enquanto em_andamento e o TTL da resposta guardada depois de concluida.
+
+create table if not exists public.idempotencia (
+  user_id     uuid not null,
+  chave       text not null,
+  hash        text not null,
+  status      text not null check (status in ('em_andamento', 'concluida')),
+  resposta    jsonb,
+  expira_em   timestamptz not null,
+  created_at  timestamptz not null default now(),
+  primary key (user_id, chave)
+);
+
+create index if not exists idempotencia_expira_em_idx on public.idempotencia (expira_em);
@@ -1,38 +1,31 @@
 ﻿// tagger-utils.js
+// O texto do prompt vem do registro (template "tagger"); os temas, da taxonomia única.
+// Devolve { tags, completion, template, pedido }: quem chama registra o uso (custo) e o prompt_log
+// da chamada com a versão do template usada.
+const { normalizarTemas, listaTemasParaPrompt } = require('./taxonomia-utils');
+const { semCercaJson } = require('./texto-utils');
 
-async function taggearMensagem(openai, mensagem) {
-  const listaTagsTema = "[autoconhecimento, autoestima e autovalor, autossabotagem e procrastinação, relacionamentos familiares, conflitos conjugais / amorosos, luto e perdas, mudanças de vida e transições, ansiedade e medo do futuro, propósito e sentido de vida, vulnerabilidade, vergonha e autenticidade, carreira e prosperidade (dinheiro, trabalho, empreendedorismo), saúde emocional e autocuidado, comunicação e assertividade, limites e autonomia, espiritualidade e conexão existencial, traumas e feridas emocionais, dependência emocional, padrões repetitivos (círculos viciosos), culpa e perdão, relacionamento com o corpo e autoimagem, sexualidade e intimidade, parentalidade (ser pai/mãe, educação de filhos), tomada de decisão e responsabilidade, crises existenciais, resiliência e superação, gratidão e abundância]";
+async function taggearMensagem(llm, prompts, mensagem, { user_id = null } = {}) {
+  const { texto: taggingPrompt, template } = await prompts.renderizar('tagger', { mensagem, tags_tema: listaTemasParaPrompt() }, { user_id });
 
-  const taggingPrompt = `
-Analise a mensagem abaixo e devolva APENAS as tags de tema (máximo 3) que melhor representam o assunto da fala, escolhendo entre a lista fornecida.  
-Mensagem: "${mensagem}"
-Tags disponíveis: ${listaTagsTema}
-
-Responda apenas em JSON: { "tags_tema": ["..."] }
-  `;
-
-  const taggingCompletion = await openai.chat.completions.create({
-    model: "gpt-4o",
+  const pedido = {
+    model: llm.modelos.tagger,
     messages: [{ role: "user", content: taggingPrompt }],
     temperature: 0,
     max_tokens: 100,
-  });
+  };
+  const taggingCompletion = await llm.chat({ purpose: "tagger", ...pedido });
 
+  // resposta ilegível não derruba a mensagem: segue sem tags
   let tags = [];
-try {
-  let content = taggingCompletion.choices[0].message.content;
-  // Limpa crases e "json" do início/fim
-  content = content
-    .replace(/^```json\s*/i, '') // remove ```json do início
-    .replace(/^```/, '')         // remove ``` do início (se vier só crase)
-    .replace(/```$/, '')         // remove ``` do fim
-    .trim();                     // tira espaços extras
-  console.log("Conteúdo limpo:", content); // Novo log
-  tags = JSON.parse(content).tags_tema;
-} catch (err) {
-  console.log("Erro ao interpretar resposta da OpenAI:", err);
-  tags = [];
-}
-return tags; // <--- NÃO ESQUEÇA O RETURN!
+  try {
+    const content = semCercaJson(taggingCompletion.choices[0].message.content);
+    const { ids, rejeitadas } = normalizarTemas(JSON.parse(content).tags_tema);
+    if (rejeitadas.length) console.warn("[tagger] tags fora da taxonomia descartadas:", rejeitadas);
+    tags = ids.slice(0, 3);
+  } catch (err) {
+    console.warn("[tagger] resposta do modelo ilegível, sem tags:", err.message);
+  }
+  return { tags, completion: taggingCompletion, template, pedido };
 }
 module.exports = { taggearMensagem };
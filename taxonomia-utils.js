@@ -0,0 +1,72 @@
+// taxonomia-utils.js
+// Taxonomia única de temas: o tagger, o resumo do /finalizar-sessao, sessoes.tags_tema e
+// conteudo_base.tema usam os mesmos ids. Rótulos e sinônimos (com ou sem acento) existem
+// só para o LLM e para ler dados antigos; o que se grava é sempre o id.
+
+const TEMAS = [
+  { id: 'autoconhecimento', rotulo: 'autoconhecimento', sinonimos: [] },
+  { id: 'autoestima_autovalor', rotulo: 'autoestima e autovalor', sinonimos: [] },
+  { id: 'autoconfianca_coragem', rotulo: 'autoconfiança e coragem para mudanças', sinonimos: ['autoconfianca e coragem para mundancas'] },
+  { id: 'autossabotagem_procrastinacao', rotulo: 'autossabotagem e procrastinação', sinonimos: ['autosabotagem e procrastinacao', 'procrastinação e gestão de tempo'] },
+  { id: 'relacionamentos_familiares', rotulo: 'relacionamentos familiares', sinonimos: [] },
+  { id: 'conflitos_conjugais', rotulo: 'conflitos conjugais / amorosos', sinonimos: ['conflitos conjugais', 'conflitos amorosos'] },
+  { id: 'luto_perdas', rotulo: 'luto e perdas', sinonimos: ['luto perdas e recomeços'] },
+  { id: 'mudancas_transicoes', rotulo: 'mudanças de vida e transições', sinonimos: ['mudanças adaptação e ciclos de vida'] },
+  { id: 'ansiedade_medo_futuro', rotulo: 'ansiedade e medo do futuro', sinonimos: [] },
+  { id: 'emocoes_dificeis', rotulo: 'medo, ansiedade e gestão de emoções difíceis', sinonimos: ['medo ansiedade e gestão de emoções difíceis'] },
+  { id: 'proposito_sentido', rotulo: 'propósito e sentido de vida', sinonimos: ['propósito realização e construção de futuro'] },
+  { id: 'vulnerabilidade_autenticidade', rotulo: 'vulnerabilidade, vergonha e autenticidade', sinonimos: ['vulnerabilidade vergonha e autenticidade', 'vergonha medo de exposição e aceitação social'] },
+  { id: 'carreira_prosperidade', rotulo: 'carreira e prosperidade (dinheiro, trabalho, empreendedorismo)', sinonimos: ['carreira e prosperidade', 'carreira trabalho e prosperidade'] },
+  { id: 'saude_emocional_autocuidado', rotulo: 'saúde emocional e autocuidado', sinonimos: [] },
+  { id: 'comunicacao_assertividade', rotulo: 'comunicação e assertividade', sinonimos: [] },
+  { id: 'limites_autonomia', rotulo: 'limites e autonomia', sinonimos: ['limites autonomia e assertividade'] },
+  { id: 'espiritualidade', rotulo: 'espiritualidade e conexão existencial', sinonimos: ['espiritualidade e conexão emocional'] },
+  { id: 'traumas_feridas', rotulo: 'traumas e feridas emocionais', sinonimos: [] },
+  { id: 'dependencia_emocional', rotulo: 'dependência emocional', sinonimos: [] },
+  { id: 'padroes_repetitivos', rotulo: 'padrões repetitivos (círculos viciosos)', sinonimos: ['padrões repetitivos', 'círculos viciosos'] },
+  { id: 'culpa_perdao', rotulo: 'culpa e perdão', sinonimos: ['culpa perdão e reconciliação'] },
+  { id: 'corpo_autoimagem', rotulo: 'relacionamento com o corpo e autoimagem', sinonimos: ['saúde física autocuidado e corpo como aliado (saúde cem)', 'saúde física autocuidado e corpo como aliado'] },
+  { id: 'sexualidade_intimidade', rotulo: 'sexualidade e intimidade', sinonimos: ['sexualidade e autoaceitação do prazer'] },
+  { id: 'parentalidade', rotulo: 'parentalidade (ser pai/mãe, educação de filhos)', sinonimos: ['parentalidade'] },
+  { id: 'decisao_responsabilidade', rotulo: 'tomada de decisão e responsabilidade', sinonimos: [] },
+  { id: 'crises_existenciais', rotulo: 'crises existenciais', sinonimos: [] },
+  { id: 'resiliencia_superacao', rotulo: 'resiliência e superação', sinonimos: [] },
+  { id: 'gratidao_abundancia', rotulo: 'gratidão e abundância', sinonimos: [] },
+];
+
+// sem acento, sem pontuação, espaços simples: "Autossabotagem e Procrastinação!" == "autossabotagem e procrastinacao"
+const chaveTema = (s = '') =>
+  String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[_/]+/g, ' ').replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+const INDICE = new Map();
+for (const t of TEMAS) {
+  for (const forma of [t.id, t.rotulo, ...t.sinonimos]) INDICE.set(chaveTema(forma), t.id);
+}
+
+const temaPorId = (id) => TEMAS.find(t => t.id === id) || null;
+const rotuloTema = (id) => temaPorId(id)?.rotulo || id;
+
+// id canônico para id/rótulo/sinônimo; null quando não é tema da taxonomia
+function normalizarTema(valor) {
+  if (typeof valor !== 'string' || !valor.trim()) return null;
+  // o modelo às vezes devolve a linha inteira do prompt: "luto_perdas (luto e perdas)"
+  return INDICE.get(chaveTema(valor)) || INDICE.get(chaveTema(valor.replace(/\s*\(.*\)\s*$/, ''))) || null;
+}
+
+// { ids (sem repetição, na ordem), rejeitadas }
+function normalizarTemas(lista = []) {
+  const ids = [];
+  const rejeitadas = [];
+  for (const valor of Array.isArray(lista) ? lista : []) {
+    const id = normalizarTema(valor);
+    if (!id) rejeitadas.push(valor);
+    else if (!ids.includes(id)) ids.push(id);
+  }
+  return { ids, rejeitadas };
+}
+
+// lista para os prompts: o modelo pode devolver o id ou o rótulo, os dois são aceitos
+const listaTemasParaPrompt = () => TEMAS.map(t => `${t.id} (${t.rotulo})`).join('; ');
+
+module.exports = { TEMAS, temaPorId, rotuloTema, normalizarTema, normalizarTemas, listaTemasParaPrompt };
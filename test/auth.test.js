@@ -0,0 +1,98 @@
+// test/auth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { assinarJWT, verificarJWT, emitirTokens } = require('../auth-utils');
+const { SEGREDO_TESTE, subirServidor, entrar } = require('./helpers/servidor');
+
+const agora = () => Math.floor(Date.now() / 1000);
+const b64url = (v) => Buffer.from(JSON.stringify(v)).toString('base64url');
+
+test('verificarJWT aceita o token assinado e recusa assinatura adulterada', () => {
+  const token = assinarJWT({ sub: 'u1', typ: 'access', exp: agora() + 60 }, 's');
+  assert.equal(verificarJWT(token, 's').sub, 'u1');
+  assert.equal(verificarJWT(token, 'outro-segredo'), null);
+
+  const [h, , sig] = token.split('.');
+  const corpoTrocado = b64url({ sub: 'u2', typ: 'access', exp: agora() + 60 });
+  assert.equal(verificarJWT(`${h}.${corpoTrocado}.${sig}`, 's'), null);
+  assert.equal(verificarJWT(token.slice(0, -2) + (token.endsWith('AA') ? 'BB' : 'AA'), 's'), null);
+  assert.equal(verificarJWT('nao.e.jwt', 's'), null);
+  assert.equal(verificarJWT(undefined, 's'), null);
+});
+
+test('verificarJWT recusa header que não é HS256, mesmo com a assinatura HMAC certa', () => {
+  for (const alg of ['none', 'HS512', 'RS256']) {
+    const header = b64url({ alg, typ: 'JWT' });
+    const body = b64url({ sub: 'u1', typ: 'access', exp: agora() + 60 });
+    const sig = crypto.createHmac('sha256', 's').update(`${header}.${body}`).digest('base64url');
+    assert.equal(verificarJWT(`${header}.${body}.${sig}`, 's'), null, alg);
+  }
+});
+
+test('verificarJWT recusa token expirado e token sem exp', () => {
+  assert.equal(verificarJWT(assinarJWT({ sub: 'u1', exp: agora() - 1 }, 's'), 's'), null);
+  assert.equal(verificarJWT(assinarJWT({ sub: 'u1', exp: agora() }, 's'), 's'), null);
+  assert.equal(verificarJWT(assinarJWT({ sub: 'u1' }, 's'), 's'), null);
+  assert.equal(verificarJWT(assinarJWT({ sub: 'u1', exp: String(agora() + 60) }, 's'), 's'), null);
+});
+
+test('emitirTokens separa access e refresh por typ, com jti e exp próprios', () => {
+  const t = emitirTokens('s', 'u1', { accessTtlSec: 60, refreshTtlSec: 3600 });
+  const a = verificarJWT(t.access_token, 's');
+  const r = verificarJWT(t.refresh_token, 's');
+  assert.equal(a.typ, 'access');
+  assert.equal(r.typ, 'refresh');
+  assert.notEqual(a.jti, r.jti);
+  assert.equal(a.exp - a.iat, 60);
+  assert.equal(r.exp - r.iat, 3600);
+});
+
+test('API: requireAuth, /refresh-token e user_id do corpo', async (t) => {
+  const srv = await subirServidor();
+  t.after(() => srv.parar());
+  const ana = await entrar(srv);
+
+  await t.test('sem token, token adulterado ou de outro segredo: 401', async () => {
+    assert.equal((await srv.chamar('GET', '/perfil')).status, 401);
+    const [h, , sig] = ana.access_token.split('.');
+    const outro = b64url({ sub: crypto.randomUUID(), typ: 'access', exp: agora() + 60 });
+    assert.equal((await srv.chamar('GET', '/perfil', { token: `${h}.${outro}.${sig}` })).status, 401);
+    const forjado = emitirTokens('outro-segredo', ana.user_id, { accessTtlSec: 60, refreshTtlSec: 60 });
+    assert.equal((await srv.chamar('GET', '/perfil', { token: forjado.access_token })).status, 401);
+    assert.equal((await srv.chamar('GET', '/perfil', { token: ana.access_token })).status, 200);
+  });
+
+  await t.test('access expirado ou refresh no lugar do access: 401', async () => {
+    const expirado = assinarJWT({ sub: ana.user_id, typ: 'access', iat: agora() - 120, exp: agora() - 60, jti: 'x' }, SEGREDO_TESTE);
+    assert.equal((await srv.chamar('GET', '/perfil', { token: expirado })).status, 401);
+    assert.equal((await srv.chamar('GET', '/perfil', { token: ana.refresh_token })).status, 401);
+  });
+
+  await t.test('user_id do corpo ou da rota diferente do token: 403', async () => {
+    const r = await srv.chamar('POST', '/nova-sessao', { token: ana.access_token, corpo: { user_id: crypto.randomUUID() } });
+    assert.equal(r.status, 403);
+    assert.equal(r.body.error_code, 'FORBIDDEN');
+    assert.equal((await srv.chamar('GET', `/sessoes/${crypto.randomUUID()}`, { token: ana.access_token })).status, 403);
+    assert.equal((await srv.chamar('GET', `/sessoes/${ana.user_id}`, { token: ana.access_token })).status, 200);
+  });
+
+  await t.test('access token no /refresh-token: 401', async () => {
+    const r = await srv.chamar('POST', '/refresh-token', { corpo: { refresh_token: ana.access_token } });
+    assert.equal(r.status, 401);
+  });
+
+  await t.test('refresh token vale uma vez; o par novo funciona', async () => {
+    const r1 = await srv.chamar('POST', '/refresh-token', { corpo: { refresh_token: ana.refresh_token } });
+    assert.equal(r1.status, 200);
+    assert.equal(r1.body.user_id, ana.user_id);
+    assert.equal((await srv.chamar('GET', '/perfil', { token: r1.body.access_token })).status, 200);
+
+    const reuso = await srv.chamar('POST', '/refresh-token', { corpo: { refresh_token: ana.refresh_token } });
+    assert.equal(reuso.status, 401);
+    assert.equal(reuso.body.error_code, 'UNAUTHORIZED');
+
+    const r2 = await srv.chamar('POST', '/refresh-token', { corpo: { refresh_token: r1.body.refresh_token } });
+    assert.equal(r2.status, 200);
+  });
+});
@@ -0,0 +1,82 @@
+// test/conta.test.js
+// Redefinição de senha e verificação de e-mail pela API (links lidos do transporte arquivo).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emitirTokenConta } = require('../auth-utils');
+const { SEGREDO_TESTE, subirServidor, entrar, tokenDoLink } = require('./helpers/servidor');
+
+test('API: redefinição de senha e verificação de e-mail', async (t) => {
+  const srv = await subirServidor();
+  t.after(() => srv.parar());
+
+  await t.test('redefinir a senha derruba access e refresh emitidos antes', async () => {
+    const ana = await entrar(srv);
+    assert.equal((await srv.chamar('GET', '/perfil', { token: ana.access_token })).status, 200);
+
+    await srv.chamar('POST', '/senha/esqueci', { corpo: { email: ana.email } });
+    const token = tokenDoLink(srv, ana.email, /senha/i);
+    const r = await srv.chamar('POST', '/senha/redefinir', { corpo: { token, nova_senha: 'outra-senha' } });
+    assert.equal(r.status, 200);
+
+    assert.equal((await srv.chamar('GET', '/perfil', { token: ana.access_token })).status, 401);
+    assert.equal((await srv.chamar('POST', '/refresh-token', { corpo: { refresh_token: ana.refresh_token } })).status, 401);
+
+    assert.equal((await srv.chamar('POST', '/login', { corpo: { email: ana.email, senha: ana.senha } })).status, 401);
+    const login = await srv.chamar('POST', '/login', { corpo: { email: ana.email, senha: 'outra-senha' } });
+    assert.equal(login.status, 200);
+    assert.equal((await srv.chamar('GET', '/perfil', { token: login.body.access_token })).status, 200);
+    assert.equal((await srv.chamar('POST', '/refresh-token', { corpo: { refresh_token: login.body.refresh_token } })).status, 200);
+  });
+
+  await t.test('link de redefinição não vale duas vezes nem depois de outra troca de senha', async () => {
+    const bia = await entrar(srv, { nome: 'Bia' });
+    await srv.chamar('POST', '/senha/esqueci', { corpo: { email: bia.email } });
+    const antigo = tokenDoLink(srv, bia.email, /senha/i);
+    await srv.chamar('POST', '/senha/esqueci', { corpo: { email: bia.email } });
+    const novo = tokenDoLink(srv, bia.email, /senha/i);
+    assert.notEqual(antigo, novo);
+
+    assert.equal((await srv.chamar('POST', '/senha/redefinir', { corpo: { token: novo, nova_senha: 'senha-2' } })).status, 200);
+    const reuso = await srv.chamar('POST', '/senha/redefinir', { corpo: { token: novo, nova_senha: 'senha-3' } });
+    assert.equal(reuso.status, 400);
+
+    // emitido antes da troca: fingerprint da senha não bate mais
+    const velho = await srv.chamar('POST', '/senha/redefinir', { corpo: { token: antigo, nova_senha: 'senha-4' } });
+    assert.equal(velho.status, 400);
+    assert.equal(velho.body.erro, 'Link inválido ou expirado.');
+    assert.equal((await srv.chamar('POST', '/login', { corpo: { email: bia.email, senha: 'senha-2' } })).status, 200);
+  });
+
+  await t.test('link de verificação vale uma vez', async () => {
+    const caio = await entrar(srv, { nome: 'Caio' });
+    assert.equal(caio.email_verificado, false);
+    const token = tokenDoLink(srv, caio.email, /e-mail/i);
+
+    assert.equal((await srv.chamar('POST', '/email/verificar', { corpo: { token } })).status, 200);
+    const reuso = await srv.chamar('POST', '/email/verificar', { corpo: { token } });
+    assert.equal(reuso.status, 400);
+    assert.equal(reuso.body.erro, 'Este link já foi utilizado.');
+
+    const login = await srv.chamar('POST', '/login', { corpo: { email: caio.email, senha: caio.senha } });
+    assert.equal(login.body.email_verificado, true);
+  });
+
+  await t.test('link de verificação emitido para o e-mail anterior não confirma o atual', async () => {
+    const duda = await entrar(srv, { nome: 'Duda' });
+    // mesmo usuário e segredo, mas o link foi enviado quando o endereço era outro
+    const { token } = emitirTokenConta(SEGREDO_TESTE, {
+      user_id: duda.user_id, tipo: 'verify_email', ttlSec: 600, extra: { email: 'antigo@exemplo.com' },
+    });
+    const r = await srv.chamar('POST', '/email/verificar', { corpo: { token } });
+    assert.equal(r.status, 400);
+    const login = await srv.chamar('POST', '/login', { corpo: { email: duda.email, senha: duda.senha } });
+    assert.equal(login.body.email_verificado, false);
+  });
+
+  await t.test('link de outro tipo não serve: reset não verifica e-mail', async () => {
+    const edu = await entrar(srv, { nome: 'Edu' });
+    await srv.chamar('POST', '/senha/esqueci', { corpo: { email: edu.email } });
+    const reset = tokenDoLink(srv, edu.email, /senha/i);
+    assert.equal((await srv.chamar('POST', '/email/verificar', { corpo: { token: reset } })).status, 400);
+  });
+});
@@ -0,0 +1,22 @@
+// test/conteudo.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buscarConteudoRelevante } = require('../conteudo_utils');
+
+test('buscarConteudoRelevante ignora a linha com embedding ilegível e segue com as outras', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const repo = {
+    buscarPorTemas: async () => ({
+      data: [
+        { id: 'quebrado', tema: 'ansiedade', conceito: 'a', embedding: '[0.1,0.2' },
+        { id: 'ok', tema: 'ansiedade', conceito: 'b', embedding: '[1,0]' },
+      ],
+      error: null,
+    }),
+    buscarSemelhantes: async () => ({ data: [], error: null }),
+  };
+
+  const itens = await buscarConteudoRelevante(repo, { tags: ['ansiedade'], embedding: [1, 0] });
+  assert.deepEqual(itens.map(i => i.id), ['ok']);
+  assert.equal(console.error.mock.callCount(), 1);
+});
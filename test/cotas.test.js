@@ -0,0 +1,110 @@
+// test/cotas.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { criarControleCotas, periodosAtuais } = require('../cotas-utils');
+const { subirServidor, entrar } = require('./helpers/servidor');
+
+const PLANOS = {
+  gratuito: { tokens_dia: 1000, tokens_mes: 5000, usd_dia: null, usd_mes: 1 },
+  interno: { tokens_dia: null, tokens_mes: null, usd_dia: null, usd_mes: null },
+};
+
+function controle({ plano = null, uso = { tokens: 0, cost_usd: 0 } } = {}) {
+  const consultas = [];
+  const cotas = criarControleCotas({
+    planos: PLANOS,
+    buscarPlano: async () => plano,
+    somarUso: async (user_id, desde) => { consultas.push(desde); return uso; },
+    fuso: 'America/Sao_Paulo',
+  });
+  return { cotas, consultas };
+}
+
+test('periodosAtuais corta dia e mês no fuso do produto', () => {
+  // 02:30 UTC de 1º/mar = 23:30 de 28/fev em São Paulo (UTC-3)
+  const per = periodosAtuais('America/Sao_Paulo', new Date('2026-03-01T02:30:00Z'));
+  assert.equal(per.dia.inicio.toISOString(), '2026-02-28T03:00:00.000Z');
+  assert.equal(per.dia.fim.toISOString(), '2026-03-01T03:00:00.000Z');
+  assert.equal(per.mes.inicio.toISOString(), '2026-02-01T03:00:00.000Z');
+  assert.equal(per.mes.fim.toISOString(), '2026-03-01T03:00:00.000Z');
+});
+
+test('consultar mostra o restante e marca o primeiro limite estourado', async () => {
+  const agora = new Date('2026-06-10T15:00:00Z');
+  const livre = await controle({ uso: { tokens: 400, cost_usd: 0.25 } }).cotas.consultar('u1', { agora });
+  assert.equal(livre.plano, 'gratuito');
+  assert.equal(livre.excedido, null);
+  assert.deepEqual(livre.restante, { tokens_dia: 600, tokens_mes: 4600, usd_dia: null, usd_mes: 0.75 });
+
+  const cheio = await controle({ uso: { tokens: 1000, cost_usd: 0.1 } }).cotas.consultar('u1', { agora });
+  assert.equal(cheio.excedido.limite, 'tokens_dia');
+  assert.equal(cheio.excedido.reinicia_em, '2026-06-11T03:00:00.000Z');
+  assert.equal(cheio.restante.tokens_dia, 0);
+});
+
+test('plano desconhecido cai no padrão; plano sem teto nunca estoura', async () => {
+  const agora = new Date('2026-06-10T15:00:00Z');
+  const r = await controle({ plano: 'nao-existe', uso: { tokens: 10, cost_usd: 0 } }).cotas.consultar('u1', { agora });
+  assert.equal(r.plano, 'gratuito');
+  const interno = await controle({ plano: 'interno', uso: { tokens: 1e9, cost_usd: 1e6 } }).cotas.consultar('u1', { agora });
+  assert.equal(interno.excedido, null);
+  assert.deepEqual(interno.restante, { tokens_dia: null, tokens_mes: null, usd_dia: null, usd_mes: null });
+});
+
+test('registrar soma no cache sem nova consulta; invalidar força recarregar', async () => {
+  const agora = new Date('2026-06-10T15:00:00Z');
+  const { cotas, consultas } = controle({ uso: { tokens: 900, cost_usd: 0 } });
+  assert.equal((await cotas.consultar('u1', { agora })).excedido, null);
+  assert.equal(consultas.length, 2);
+
+  cotas.registrar('u1', { tokens: 150, usd: 0.01 });
+  const r = await cotas.consultar('u1', { agora });
+  assert.equal(consultas.length, 2, 'usou o cache');
+  assert.equal(r.uso.tokens_dia, 1050);
+  assert.equal(r.excedido.limite, 'tokens_dia');
+
+  cotas.invalidar('u1');
+  assert.equal((await cotas.consultar('u1', { agora })).excedido, null);
+  assert.equal(consultas.length, 4);
+});
+
+test('plano com limite inválido não sobe', () => {
+  assert.throws(() => criarControleCotas({ planos: { x: { tokens_dia: -1 } }, planoPadrao: 'x' }), /tokens_dia/);
+  assert.throws(() => criarControleCotas({ planos: { x: { minutos: 1 } }, planoPadrao: 'x' }), /desconhecido/);
+  assert.throws(() => criarControleCotas({ planos: PLANOS, planoPadrao: 'ouro' }), /plano padrão/);
+});
+
+test('API: cota estourada bloqueia as rotas que chamam o modelo', async (t) => {
+  // 1 token por dia: a primeira chamada passa (uso 0) e já estoura o dia
+  const srv = await subirServidor({ PLANS_JSON: JSON.stringify({ gratuito: { tokens_dia: 1, tokens_mes: null, usd_dia: null, usd_mes: null } }) });
+  t.after(() => srv.parar());
+  const ana = await entrar(srv);
+  const { body: { sessao } } = await srv.chamar('POST', '/nova-sessao', { token: ana.access_token, corpo: {} });
+
+  const primeira = await srv.chamar('POST', '/ia', { token: ana.access_token, corpo: { sessao_id: sessao.id, mensagem: 'oi' } });
+  assert.equal(primeira.status, 200);
+  assert.equal(primeira.headers.get('x-quota-plan'), 'gratuito');
+  assert.equal(primeira.headers.get('x-quota-remaining-tokens-day'), '1');
+
+  const bloqueadas = [
+    ['POST', '/ia', { sessao_id: sessao.id, mensagem: 'de novo' }],
+    ['POST', '/tag-teste', { mensagem: 'estou ansioso com o trabalho' }],
+    ['POST', `/vinculos/${sessao.id}/mesclar`, { origem_id: ana.user_id }],
+    ['POST', `/vinculos/${sessao.id}/dividir`, { mencoes: [0], nome_real: 'Júlia' }],
+  ];
+  for (const [metodo, rota, corpo] of bloqueadas) {
+    const r = await srv.chamar(metodo, rota, { token: ana.access_token, corpo });
+    assert.equal(r.status, 429, rota);
+    assert.equal(r.body.error_code, 'QUOTA_EXCEEDED', rota);
+    assert.equal(r.body.limite, 'tokens_dia', rota);
+    assert.ok(Number(r.headers.get('retry-after')) > 0, rota);
+  }
+
+  const uso = await srv.chamar('GET', '/uso', { token: ana.access_token });
+  assert.equal(uso.status, 200);
+  assert.equal(uso.body.excedido.limite, 'tokens_dia');
+  assert.ok(uso.body.uso.tokens_dia >= 1);
+
+  // fechar a sessão não depende de cota
+  assert.equal((await srv.chamar('POST', '/finalizar-sessao', { token: ana.access_token, corpo: { sessao_id: sessao.id } })).status, 202);
+});
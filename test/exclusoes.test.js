@@ -0,0 +1,132 @@
+// test/exclusoes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { criarRepositorios } = require('../repositorios');
+const { varrerExclusoesVencidas } = require('../exclusao-utils');
+const { subirServidor, entrar, tokenDoLink } = require('./helpers/servidor');
+
+test('apagarDadosUsuario remove os dados do titular e preserva os de outros usuários', async () => {
+  const repos = criarRepositorios('memoria');
+  const { store } = repos;
+  const { data: usuario } = await repos.usuarios.criar({ nome: 'Ana', email: 'ana@exemplo.com', senha: 'x' });
+  const { data: outro } = await repos.usuarios.criar({ nome: 'Bia', email: 'bia@exemplo.com', senha: 'x' });
+  const { data: sessao } = await repos.sessoes.criar({ user_id: usuario.id, status: 'aberta' });
+  const { data: sessaoOutro } = await repos.sessoes.criar({ user_id: outro.id, status: 'aberta' });
+
+  await repos.mensagens.criar({ user_id: usuario.id, sessao_id: sessao.id, role: 'user', texto_mensagem: 'segredo' });
+  await repos.logs.registrarUso({ user_id: usuario.id, sessao_id: sessao.id, model: 'm', total_tokens: 10, metadata: { purpose: 'chat_reply' } });
+  await repos.logs.registrarPrompt({ user_id: usuario.id, session_id: sessao.id, model: 'm', user_message_text: 'segredo' });
+  // com token: user_id preenchido; sem user_id mas na sessão do titular; de outro usuário
+  await repos.logs.registrarEventoBruto({ id: 'r1', user_id: usuario.id, session_id: null, payload_json: { body: { mensagem: 'segredo' } } });
+  await repos.logs.registrarEventoBruto({ id: 'r2', user_id: null, session_id: sessao.id, payload_json: { body: { mensagem: 'segredo' } } });
+  await repos.logs.registrarEventoBruto({ id: 'r3', user_id: outro.id, session_id: sessaoOutro.id, payload_json: { body: { mensagem: 'oi' } } });
+  await repos.logs.registrarEventoBruto({ id: 'r4', user_id: null, session_id: null, payload_json: { path: '/health' } });
+
+  const { data: contagens, error } = await repos.exclusoes.apagarDadosUsuario(usuario.id);
+  assert.equal(error, null);
+  assert.equal(contagens.api_raw_events, 1);
+  assert.equal(contagens.api_raw_events_por_sessao, 1);
+
+  assert.deepEqual(store.tabela('api_raw_events').map(r => r.id).sort(), ['r3', 'r4']);
+  assert.equal(store.tabela('mensagens_sessao').some(m => m.user_id === usuario.id), false);
+  assert.equal(store.tabela('sessoes').some(s => s.user_id === usuario.id), false);
+  assert.equal(store.tabela('usuarios').some(u => u.id === usuario.id), false);
+  assert.equal(store.tabela('sessoes').length, 1);
+
+  const [uso] = store.tabela('messages_usage');
+  assert.equal(uso.user_id, null);
+  assert.equal(uso.total_tokens, 10);
+  const [prompt] = store.tabela('prompt_logs');
+  assert.equal(prompt.user_message_text, null);
+});
+
+test('reservarExclusao: só a primeira instância leva a conta; reserva vencida pode ser retomada', async () => {
+  const repos = criarRepositorios('memoria');
+  const { data: u } = await repos.usuarios.criar({ nome: 'Ana', email: 'ana@exemplo.com', senha_hash: 'x' });
+  const agora = '2026-10-19T12:00:00.000Z';
+  const reservaVencida = '2026-10-19T11:30:00.000Z';
+
+  // ainda não venceu / sem pedido
+  assert.equal((await repos.usuarios.reservarExclusao(u.id, { agora, reservaVencida })).data, null);
+  await repos.usuarios.atualizar(u.id, { exclusao_agendada_para: '2026-10-19T11:00:00.000Z' });
+
+  const [a, b] = await Promise.all([
+    repos.usuarios.reservarExclusao(u.id, { agora, reservaVencida }),
+    repos.usuarios.reservarExclusao(u.id, { agora, reservaVencida }),
+  ]);
+  assert.deepEqual([a.data, b.data].filter(Boolean), [{ id: u.id }]);
+
+  // 40 min depois a reserva de 12:00 está vencida (processo morreu no meio)
+  const depois = { agora: '2026-10-19T12:40:00.000Z', reservaVencida: '2026-10-19T12:10:00.000Z' };
+  assert.deepEqual((await repos.usuarios.reservarExclusao(u.id, depois)).data, { id: u.id });
+
+  await repos.usuarios.liberarExclusao(u.id);
+  await repos.usuarios.atualizar(u.id, { exclusao_agendada_para: null });
+  assert.equal((await repos.usuarios.reservarExclusao(u.id, depois)).data, null, 'exclusão cancelada não é reservada');
+});
+
+test('varrerExclusoesVencidas: duas instâncias listam a mesma conta e só uma apaga', async () => {
+  const repos = criarRepositorios('memoria');
+  const { data: u } = await repos.usuarios.criar({ nome: 'Ana', email: 'ana@exemplo.com', senha_hash: 'x' });
+  await repos.usuarios.atualizar(u.id, { exclusao_agendada_para: new Date(Date.now() - 1000).toISOString() });
+
+  // as duas leituras só voltam quando ambas as instâncias já listaram: nenhuma viu a outra apagar
+  let liberar;
+  const ambasListaram = new Promise(r => { liberar = r; });
+  let listagens = 0;
+  const usuarios = {
+    ...repos.usuarios,
+    async listarExclusoesVencidas(ate) {
+      const r = await repos.usuarios.listarExclusoesVencidas(ate);
+      if (++listagens === 2) liberar();
+      await ambasListaram;
+      return r;
+    },
+  };
+  const apagadas = [];
+  const excluir = async (usuario) => { apagadas.push(usuario.id); return usuario.id; };
+
+  const [a, b] = await Promise.all([
+    varrerExclusoesVencidas({ usuarios, excluir, reservaMs: 60_000 }),
+    varrerExclusoesVencidas({ usuarios, excluir, reservaMs: 60_000 }),
+  ]);
+  assert.equal(listagens, 2);
+  assert.deepEqual(apagadas, [u.id]);
+  assert.deepEqual([...a, ...b], [u.id]);
+});
+
+test('varrerExclusoesVencidas libera a reserva quando a exclusão falha', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const repos = criarRepositorios('memoria');
+  const { data: u } = await repos.usuarios.criar({ nome: 'Ana', email: 'ana@exemplo.com', senha_hash: 'x' });
+  await repos.usuarios.atualizar(u.id, { exclusao_agendada_para: new Date(Date.now() - 1000).toISOString() });
+
+  const falhou = await varrerExclusoesVencidas({ usuarios: repos.usuarios, reservaMs: 60_000, excluir: async () => { throw new Error('banco fora'); } });
+  assert.deepEqual(falhou, []);
+  const { data } = await repos.usuarios.buscarPorId(u.id, 'exclusao_processando_em');
+  assert.equal(data.exclusao_processando_em, null);
+
+  const depois = await varrerExclusoesVencidas({ usuarios: repos.usuarios, reservaMs: 60_000, excluir: async (x) => x.id });
+  assert.deepEqual(depois, [u.id]);
+});
+
+test('API: exclusão confirmada é apagada pela varredura e deixa um recibo', async (t) => {
+  const srv = await subirServidor({ ACCOUNT_DELETE_GRACE_DAYS: '0', ACCOUNT_DELETE_SWEEP_MIN: '0', ADMIN_READ_TOKEN: 'adm' });
+  t.after(() => srv.parar());
+  const ana = await entrar(srv);
+  const admin = { 'x-admin-token': 'adm' };
+
+  assert.equal((await srv.chamar('POST', '/conta/exclusao', { token: ana.access_token, corpo: { senha: ana.senha } })).status, 200);
+  const token = tokenDoLink(srv, ana.email, /exclus/i);
+  assert.equal((await srv.chamar('POST', '/conta/exclusao/confirmar', { corpo: { token } })).status, 200);
+
+  const varredura = await srv.chamar('POST', '/admin/exclusoes/processar', { headers: admin });
+  assert.equal(varredura.status, 200);
+  assert.equal(varredura.body.processadas.length, 1);
+  assert.deepEqual((await srv.chamar('POST', '/admin/exclusoes/processar', { headers: admin })).body.processadas, []);
+
+  const { body } = await srv.chamar('GET', '/admin/recibos-exclusao', { headers: admin });
+  assert.equal(body.recibos.length, 1);
+  assert.equal(body.verificacao.integra, true);
+  assert.equal((await srv.chamar('POST', '/login', { corpo: { email: ana.email, senha: ana.senha } })).status, 404);
+});
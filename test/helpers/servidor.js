@@ -0,0 +1,104 @@
+// test/helpers/servidor.js
+// Sobe o index.js num processo filho com DATA_BACKEND=memoria e LLM_PROVIDER=fake: a API inteira,
+// sem banco e sem rede. A porta vem do log de boot (PORT=0 = porta livre do SO).
+const { spawn } = require('node:child_process');
+const { once } = require('node:events');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const RAIZ = path.join(__dirname, '..', '..');
+const SEGREDO_TESTE = 'segredo-de-teste';
+
+async function subirServidor(env = {}) {
+  const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'm360-outbox-'));
+  const filho = spawn(process.execPath, ['index.js'], {
+    cwd: RAIZ,
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: '0',
+      DATA_BACKEND: 'memoria',
+      LLM_PROVIDER: 'fake',
+      AUTH_JWT_SECRET: SEGREDO_TESTE,
+      RATE_LIMIT_ENABLED: 'false',
+      MAIL_TRANSPORT: 'arquivo',
+      MAIL_OUTBOX_DIR: outbox,
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let saida = '';
+  filho.stdout.on('data', (b) => { saida += b; });
+  filho.stderr.on('data', (b) => { saida += b; });
+  const porta = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`servidor não subiu em 20s:\n${saida}`)), 20_000);
+    const aoSair = (code) => { clearTimeout(timer); reject(new Error(`servidor saiu (${code}):\n${saida}`)); };
+    filho.once('exit', aoSair);
+    filho.stdout.on('data', function aoLer() {
+      const m = saida.match(/Servidor rodando na porta (\d+)/);
+      if (!m) return;
+      clearTimeout(timer);
+      filho.off('exit', aoSair);
+      filho.stdout.off('data', aoLer);
+      resolve(Number(m[1]));
+    });
+  });
+  const base = `http://127.0.0.1:${porta}`;
+
+  // { status, headers, body } com body já em JSON quando der
+  async function chamar(metodo, rota, { corpo, token, headers = {} } = {}) {
+    const r = await fetch(base + rota, {
+      method: metodo,
+      headers: {
+        ...(corpo !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: corpo !== undefined ? JSON.stringify(corpo) : undefined,
+    });
+    const texto = await r.text();
+    let body = texto;
+    try { body = JSON.parse(texto); } catch { /* texto puro (ex.: /metrics) */ }
+    return { status: r.status, headers: r.headers, body };
+  }
+
+  // e-mails gravados pelo transporte arquivo, do mais antigo ao mais novo (mtime em alta resolução:
+  // o nome do arquivo só tem milissegundos)
+  function emails() {
+    return fs.readdirSync(outbox)
+      .map(f => path.join(outbox, f))
+      .map(f => ({ f, t: fs.statSync(f).mtimeMs }))
+      .sort((a, b) => a.t - b.t)
+      .map(({ f }) => JSON.parse(fs.readFileSync(f, 'utf8')));
+  }
+
+  async function parar() {
+    if (filho.exitCode === null && filho.signalCode === null) {
+      filho.kill('SIGTERM');
+      await once(filho, 'exit');
+    }
+    fs.rmSync(outbox, { recursive: true, force: true });
+  }
+
+  return { base, chamar, emails, parar, saida: () => saida };
+}
+
+// cadastro + login; devolve o corpo do /login (user_id, access_token, refresh_token...)
+async function entrar(srv, { nome = 'Ana', email = `ana-${Date.now()}-${Math.random().toString(36).slice(2)}@exemplo.com`, senha = 'senha-forte' } = {}) {
+  const c = await srv.chamar('POST', '/cadastro', { corpo: { nome, email, senha } });
+  if (c.status !== 201) throw new Error(`cadastro falhou: ${c.status} ${JSON.stringify(c.body)}`);
+  const l = await srv.chamar('POST', '/login', { corpo: { email, senha } });
+  if (l.status !== 200) throw new Error(`login falhou: ${l.status} ${JSON.stringify(l.body)}`);
+  return { ...l.body, email, senha };
+}
+
+// token=... do último link enviado para `para` (assunto filtra o tipo: /senha/i, /e-mail/i)
+function tokenDoLink(srv, para, assunto = /./) {
+  const email = srv.emails().filter(e => e.para === para && assunto.test(e.assunto)).pop();
+  const m = email && email.texto.match(/[?&]token=([^\s&]+)/);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+module.exports = { SEGREDO_TESTE, subirServidor, entrar, tokenDoLink };
@@ -0,0 +1,121 @@
+// test/idempotencia.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashCorpo, criarIdempotenciaMemoria, criarIdempotenciaPostgres } = require('../idempotencia-utils');
+const { subirServidor, entrar } = require('./helpers/servidor');
+
+test('hashCorpo não depende da ordem das chaves nem de campos undefined', () => {
+  assert.equal(hashCorpo({ a: 1, b: { c: [1, 2], d: 'x' } }), hashCorpo({ b: { d: 'x', c: [1, 2] }, a: 1, e: undefined }));
+  assert.notEqual(hashCorpo({ a: 1 }), hashCorpo({ a: 2 }));
+  assert.equal(hashCorpo(null), hashCorpo({}));
+});
+
+test('memoria: reserva, trava em andamento, resposta guardada e trava vencida retomada', async (t) => {
+  const store = criarIdempotenciaMemoria({ intervaloLimpezaMs: 0 });
+  const pedido = { escopo: 'u1', chave: 'k1', hash: 'h1', travaMs: 60_000 };
+
+  assert.deepEqual(await store.reservar(pedido), { reservado: true });
+  assert.deepEqual(await store.reservar(pedido), { registro: { status: 'em_andamento', hash: 'h1', resposta: null } });
+  // a chave é por usuário
+  assert.deepEqual(await store.reservar({ ...pedido, escopo: 'u2' }), { reservado: true });
+
+  await store.concluir({ ...pedido, resposta: { status: 201, body: { ok: true } }, ttlMs: 60_000 });
+  assert.deepEqual(await store.reservar({ ...pedido, hash: 'h2' }), { registro: { status: 'concluida', hash: 'h1', resposta: { status: 201, body: { ok: true } } } });
+
+  await store.liberar(pedido);
+  assert.deepEqual(await store.reservar(pedido), { reservado: true });
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  await store.reservar({ ...pedido, chave: 'k2', travaMs: 1000 });
+  t.mock.timers.tick(1001);
+  assert.deepEqual(await store.reservar({ ...pedido, chave: 'k2' }), { reservado: true });
+  assert.equal(await store.limparExpirados(), 0);
+  t.mock.timers.tick(60_001);
+  assert.equal(await store.limparExpirados(), 3);
+});
+
+test('postgres: limparExpirados apaga os vencidos e devolve quantos saíram', async () => {
+  const chamadas = [];
+  const supabase = {
+    from: (tabela) => ({
+      delete: (opcoes) => ({
+        lt: async (coluna, valor) => {
+          chamadas.push({ tabela, opcoes, coluna, valor });
+          return { count: 4, error: null };
+        },
+      }),
+    }),
+  };
+  const antes = Date.now();
+  assert.equal(await criarIdempotenciaPostgres({ supabase }).limparExpirados(), 4);
+  assert.equal(chamadas.length, 1);
+  assert.deepEqual({ ...chamadas[0], valor: undefined }, { tabela: 'idempotencia', opcoes: { count: 'exact' }, coluna: 'expira_em', valor: undefined });
+  assert.ok(Date.parse(chamadas[0].valor) >= antes);
+
+  const quebrado = { from: () => ({ delete: () => ({ lt: async () => ({ count: null, error: { message: 'sem conexão' } }) }) }) };
+  await assert.rejects(criarIdempotenciaPostgres({ supabase: quebrado }).limparExpirados(), /postgres: sem conexão/);
+});
+
+test('API: Idempotency-Key repete a resposta, recusa outro body e não executa duas vezes', async (t) => {
+  const srv = await subirServidor();
+  t.after(() => srv.parar());
+  const ana = await entrar(srv);
+  const { body: { sessao } } = await srv.chamar('POST', '/nova-sessao', { token: ana.access_token, corpo: {} });
+  const mensagem = (texto, chave) => srv.chamar('POST', '/mensagem', {
+    token: ana.access_token,
+    headers: { 'idempotency-key': chave },
+    corpo: { sessao_id: sessao.id, user_id: ana.user_id, texto_mensagem: texto },
+  });
+  const historico = async () => (await srv.chamar('GET', `/historico/${sessao.id}`, { token: ana.access_token })).body.mensagens;
+
+  await t.test('repetição devolve a resposta guardada sem gravar de novo', async () => {
+    const primeira = await mensagem('hoje foi difícil', 'k-replay');
+    assert.equal(primeira.status, 201);
+    assert.equal(primeira.headers.get('idempotent-replayed'), null);
+
+    const repetida = await mensagem('hoje foi difícil', 'k-replay');
+    assert.equal(repetida.status, 201);
+    assert.equal(repetida.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(repetida.body, primeira.body);
+    assert.equal((await historico()).length, 1);
+  });
+
+  await t.test('mesma chave com outro body -> 422', async () => {
+    const r = await mensagem('outra coisa', 'k-replay');
+    assert.equal(r.status, 422);
+    assert.equal(r.body.error_code, 'IDEMPOTENCY_KEY_REUSED');
+    assert.equal((await historico()).length, 1);
+  });
+
+  await t.test('chave inválida -> 400', async () => {
+    const r = await mensagem('oi', 'com espaço');
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error_code, 'IDEMPOTENCY_KEY_INVALID');
+  });
+});
+
+test('API: Idempotency-Key com a primeira request ainda rodando -> 409; depois, a resposta repetida', async (t) => {
+  // o modelo fake demora: a primeira /ia fica em andamento enquanto a segunda chega
+  const srv = await subirServidor({ LLM_FAKE_LATENCY_MS: '400' });
+  t.after(() => srv.parar());
+  const ana = await entrar(srv);
+  const { body: { sessao } } = await srv.chamar('POST', '/nova-sessao', { token: ana.access_token, corpo: {} });
+  const ia = () => srv.chamar('POST', '/ia', {
+    token: ana.access_token,
+    headers: { 'idempotency-key': 'k-lenta' },
+    corpo: { sessao_id: sessao.id, mensagem: 'preciso desabafar' },
+  });
+
+  const primeira = ia();
+  await new Promise(r => setTimeout(r, 150));
+  const emAndamento = await ia();
+  assert.equal(emAndamento.status, 409);
+  assert.equal(emAndamento.body.error_code, 'IDEMPOTENCY_IN_PROGRESS');
+  assert.equal(emAndamento.headers.get('retry-after'), '1');
+
+  const concluida = await primeira;
+  assert.equal(concluida.status, 200);
+  const repetida = await ia();
+  assert.equal(repetida.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(repetida.body, concluida.body);
+});
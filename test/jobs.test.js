@@ -0,0 +1,86 @@
+// test/jobs.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { criarFilaJobs } = require('../jobs-utils');
+const { memoriaJobs } = require('../repositorios/jobs');
+const { memoriaEmbeddings } = require('../repositorios/embeddings');
+const { criarStoreMemoria } = require('../repositorios/memoria');
+const { indexarMensagensSessao } = require('../memorias-utils');
+
+test('enfileirar com a mesma chave devolve o job existente', async () => {
+  const store = criarStoreMemoria();
+  const fila = criarFilaJobs({ repo: memoriaJobs(store) });
+  fila.registrar('resumo_sessao', async () => null);
+
+  const a = await fila.enfileirar('resumo_sessao', { sessao_id: 's1' }, { chave: 'resumo_sessao:s1' });
+  const b = await fila.enfileirar('resumo_sessao', { sessao_id: 's1' }, { chave: 'resumo_sessao:s1' });
+  const c = await fila.enfileirar('resumo_sessao', { sessao_id: 's1' });
+  assert.equal(a.id, b.id);
+  assert.notEqual(a.id, c.id);
+  assert.equal(store.tabela('jobs').length, 2);
+});
+
+test('job que falha volta para pendente com backoff e vai para o dead-letter no limite', async () => {
+  const store = criarStoreMemoria();
+  const fila = criarFilaJobs({ repo: memoriaJobs(store), maxTentativas: 2, backoffBaseMs: 0 });
+  let chamadas = 0;
+  fila.registrar('falha', async () => { chamadas += 1; throw new Error('boom'); });
+  await fila.enfileirar('falha', {});
+
+  await fila.processarPendentes();
+  const [job] = store.tabela('jobs');
+  assert.equal(chamadas, 2);
+  assert.equal(job.status, 'morto');
+  assert.equal(job.ultimo_erro, 'boom');
+});
+
+test('parar espera o lote em execução e não reserva outro', async () => {
+  const store = criarStoreMemoria();
+  const fila = criarFilaJobs({ repo: memoriaJobs(store), lote: 1 });
+  let soltar;
+  const travado = new Promise(r => { soltar = r; });
+  const feitos = [];
+  fila.registrar('lento', async ({ n }) => { if (n === 1) await travado; feitos.push(n); });
+  await fila.enfileirar('lento', { n: 1 });
+  await fila.enfileirar('lento', { n: 2 });
+
+  const rodada = fila.processarPendentes();
+  await new Promise(r => setImmediate(r));
+  let parou = false;
+  const parada = fila.parar().then(() => { parou = true; });
+  await new Promise(r => setImmediate(r));
+  assert.equal(parou, false, 'ainda esperando o job 1');
+
+  soltar();
+  await parada;
+  assert.equal(await rodada, 1);
+  assert.deepEqual(feitos, [1]);
+  assert.deepEqual(store.tabela('jobs').map(j => j.status).sort(), ['concluido', 'pendente']);
+  // sem nada rodando, resolve na hora
+  await fila.parar();
+});
+
+test('indexarMensagensSessao retoma depois de um lote que falhou, sem duplicar trechos', async () => {
+  const store = criarStoreMemoria();
+  const repo = memoriaEmbeddings(store);
+  const mensagens = Array.from({ length: 70 }, (_, i) => ({
+    id: `m${i}`, origem: 'usuario', texto_mensagem: `mensagem numero ${i} com texto suficiente`, data_mensagem: null,
+  }));
+  const llm = { embed: async ({ input }) => ({ data: input.map(() => ({ embedding: [1, 0] })) }) };
+
+  let gravacoes = 0;
+  const instavel = {
+    ...repo,
+    salvarTrechos: async (linhas) => (++gravacoes === 2 ? { data: null, error: new Error('queda') } : repo.salvarTrechos(linhas)),
+  };
+  await assert.rejects(indexarMensagensSessao(instavel, llm, { user_id: 'u', sessao_id: 's', mensagens }), /queda/);
+  const parcial = store.tabela('mensagem_embeddings').length;
+  assert.ok(parcial > 0 && parcial < 70);
+
+  const { data: indexadas } = await repo.listarMensagensIndexadas('s');
+  const gravados = await indexarMensagensSessao(repo, llm, { user_id: 'u', sessao_id: 's', mensagens, jaIndexadas: new Set(indexadas) });
+  assert.equal(gravados, 70 - parcial);
+  const ids = store.tabela('mensagem_embeddings').map(l => l.mensagem_id);
+  assert.equal(ids.length, 70);
+  assert.equal(new Set(ids).size, 70);
+});
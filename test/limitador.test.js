@@ -0,0 +1,72 @@
+// test/limitador.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { criarLimitadorPostgres, criarLimitadorMemoria } = require('../limitador-utils');
+
+// supabase falso: só a RPC; devolve as linhas no formato do PostgREST (setof -> array)
+function supabaseComRpc(responder) {
+  const chamadas = [];
+  return {
+    chamadas,
+    rpc: async (nome, args) => {
+      chamadas.push({ nome, args });
+      return responder(args);
+    },
+  };
+}
+
+test('limitador postgres chama consumir_limite e traduz a linha aceita', async () => {
+  const supabase = supabaseComRpc(() => ({ data: [{ permitido: true, contagem: 3, mais_antigo_ms: Date.now() - 1000 }], error: null }));
+  const limitador = criarLimitadorPostgres({ supabase });
+
+  const r = await limitador.consumir('u:1', { limite: 5, janelaMs: 60_000 });
+  assert.deepEqual(supabase.chamadas, [{ nome: 'consumir_limite', args: { p_chave: 'u:1', p_limite: 5, p_janela_ms: 60_000 } }]);
+  assert.deepEqual(r, { permitido: true, restante: 2, retryAfterMs: 0 });
+});
+
+test('limitador postgres recusado espera o registro mais antigo sair da janela', async () => {
+  const maisAntigo = Date.now() - 15_000;
+  const supabase = supabaseComRpc(() => ({ data: [{ permitido: false, contagem: 5, mais_antigo_ms: String(maisAntigo) }], error: null }));
+  const limitador = criarLimitadorPostgres({ supabase });
+
+  const r = await limitador.consumir('u:1', { limite: 5, janelaMs: 60_000 });
+  assert.equal(r.permitido, false);
+  assert.equal(r.restante, 0);
+  assert.ok(r.retryAfterMs > 44_000 && r.retryAfterMs <= 45_000, `retryAfterMs=${r.retryAfterMs}`);
+});
+
+test('limitador postgres aceita a linha como objeto (RPC com .single())', async () => {
+  const supabase = supabaseComRpc(() => ({ data: { permitido: true, contagem: 1, mais_antigo_ms: Date.now() }, error: null }));
+  const r = await criarLimitadorPostgres({ supabase }).consumir('ip:1', { limite: 1, janelaMs: 1000 });
+  assert.equal(r.permitido, true);
+  assert.equal(r.restante, 0);
+});
+
+test('limitador postgres lança quando a RPC falha', async () => {
+  const supabase = supabaseComRpc(() => ({ data: null, error: { message: 'function consumir_limite does not exist' } }));
+  await assert.rejects(
+    criarLimitadorPostgres({ supabase }).consumir('u:1', { limite: 5, janelaMs: 60_000 }),
+    /postgres: function consumir_limite does not exist/,
+  );
+});
+
+test('postgres e memoria concordam na sequência aceita/recusada', async () => {
+  // simula a RPC com a mesma regra do SQL: recusado não grava e devolve a contagem da janela
+  const registros = [];
+  const supabase = supabaseComRpc(({ p_limite, p_janela_ms }) => {
+    const agora = Date.now();
+    while (registros.length && registros[0] <= agora - p_janela_ms) registros.shift();
+    const permitido = registros.length < p_limite;
+    if (permitido) registros.push(agora);
+    return { data: [{ permitido, contagem: registros.length, mais_antigo_ms: registros[0] }], error: null };
+  });
+  const postgres = criarLimitadorPostgres({ supabase });
+  const memoria = criarLimitadorMemoria({ intervaloLimpezaMs: 0 });
+
+  const janela = { limite: 3, janelaMs: 60_000 };
+  for (let i = 0; i < 5; i++) {
+    const [a, b] = [await postgres.consumir('k', janela), await memoria.consumir('k', janela)];
+    assert.equal(a.permitido, b.permitido, `request ${i + 1}`);
+    assert.equal(a.restante, b.restante, `request ${i + 1}`);
+  }
+});
@@ -0,0 +1,90 @@
+// test/llm-provider.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { criarProvedorLLM, criarProvedorFake, embeddingDeterministico } = require('../llm-provider');
+
+const texto = (c) => c.choices[0].message.content;
+const cosseno = (a, b) => a.reduce((acc, x, i) => acc + x * b[i], 0);
+
+test('fake: roteiro em array gira em round-robin por purpose', async () => {
+  const llm = criarProvedorFake({ roteiro: { ia_chat: ['um', 'dois', 'tres'], tagger: ['a', 'b'] } });
+  const chat = () => llm.chat({ purpose: 'ia_chat', messages: [{ role: 'user', content: 'oi' }] });
+  const tag = () => llm.chat({ purpose: 'tagger', messages: [] });
+
+  assert.equal(texto(await chat()), 'um');
+  assert.equal(texto(await tag()), 'a');
+  assert.equal(texto(await chat()), 'dois');
+  assert.equal(texto(await chat()), 'tres');
+  assert.equal(texto(await tag()), 'b');
+  assert.equal(texto(await chat()), 'um');
+  assert.equal(texto(await tag()), 'a');
+});
+
+test('fake: texto fixo, padrão por purpose e purpose desconhecido cai no ia_chat', async () => {
+  const llm = criarProvedorFake({ roteiro: { ia_chat: 'sempre igual' } });
+  assert.equal(texto(await llm.chat({ purpose: 'ia_chat', messages: [] })), 'sempre igual');
+  assert.equal(texto(await llm.chat({ purpose: 'ia_chat', messages: [] })), 'sempre igual');
+  assert.equal(texto(await llm.chat({ purpose: 'qualquer', messages: [] })), 'sempre igual');
+  assert.deepEqual(JSON.parse(texto(await llm.chat({ purpose: 'risk_classifier', messages: [] }))), { riscos: [] });
+});
+
+test('fake: completion no formato da OpenAI, com usage', async () => {
+  const llm = criarProvedorFake({ roteiro: { ia_chat: 'resposta de dezesseis' } });
+  const c = await llm.chat({ purpose: 'ia_chat', model: 'm-x', messages: [{ role: 'user', content: '12345678' }] });
+  assert.equal(c.model, 'm-x');
+  assert.equal(c.choices[0].finish_reason, 'stop');
+  assert.deepEqual(c.usage, { prompt_tokens: 2, completion_tokens: 6, total_tokens: 8 });
+});
+
+test('fake: stream devolve o mesmo texto em pedaços e fecha com usage', async () => {
+  const llm = criarProvedorFake({ roteiro: { ia_chat: 'Entendi, conte mais.' } });
+  let junto = '', usage = null, fim = null;
+  for await (const chunk of await llm.chatStream({ purpose: 'ia_chat', messages: [] })) {
+    if (chunk.usage) usage = chunk.usage;
+    const ch = chunk.choices[0];
+    if (ch?.delta?.content) junto += ch.delta.content;
+    if (ch?.finish_reason) fim = ch.finish_reason;
+  }
+  assert.equal(junto, 'Entendi, conte mais.');
+  assert.equal(fim, 'stop');
+  assert.ok(usage.completion_tokens > 0);
+});
+
+test('fake: embeddings repetíveis, normalizados e próximos para textos parecidos', async () => {
+  const a = embeddingDeterministico('Briguei com minha irmã', 64);
+  const b = embeddingDeterministico('briguei com minha IRMA', 64);
+  assert.deepEqual(a, b);
+  assert.equal(a.length, 64);
+  assert.ok(Math.abs(cosseno(a, a) - 1) < 1e-9);
+  const longe = embeddingDeterministico('orçamento do trimestre', 64);
+  assert.ok(cosseno(a, longe) < cosseno(a, embeddingDeterministico('briguei com minha irmã ontem', 64)));
+
+  const llm = criarProvedorFake({ dimEmbedding: 64 });
+  const r1 = await llm.embed({ input: ['um texto', 'outro texto'] });
+  const r2 = await criarProvedorFake({ dimEmbedding: 64 }).embed({ input: 'um texto' });
+  assert.equal(r1.data.length, 2);
+  assert.deepEqual(r1.data.map(d => d.index), [0, 1]);
+  assert.deepEqual(r1.data[0].embedding, r2.data[0].embedding);
+  assert.ok(r1.usage.total_tokens > 0);
+});
+
+test('criarProvedorLLM escolhe pela config e recusa provedor desconhecido', () => {
+  assert.equal(criarProvedorLLM({ LLM_PROVIDER: 'fake' }).nome, 'fake');
+  assert.equal(criarProvedorLLM({ LLM_PROVIDER: 'FAKE', LLM_MODEL: 'm-chat' }).modelos.chat, 'm-chat');
+  assert.throws(() => criarProvedorLLM({ LLM_PROVIDER: 'anthropicx' }), /LLM_PROVIDER desconhecido: anthropicx/);
+  assert.throws(() => criarProvedorLLM({ LLM_PROVIDER: 'compatible' }), /LLM_BASE_URL/);
+});
+
+test('criarProvedorLLM fake lê o roteiro de LLM_FAKE_SCRIPT', async (t) => {
+  const arquivo = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'm360-fake-')), 'roteiro.json');
+  t.after(() => fs.rmSync(path.dirname(arquivo), { recursive: true, force: true }));
+  fs.writeFileSync(arquivo, JSON.stringify({ ia_chat: ['primeira', 'segunda'] }));
+
+  const llm = criarProvedorLLM({ LLM_PROVIDER: 'fake', LLM_FAKE_SCRIPT: arquivo, LLM_EMBEDDING_DIM: '8' });
+  assert.equal(texto(await llm.chat({ purpose: 'ia_chat', messages: [] })), 'primeira');
+  assert.equal(texto(await llm.chat({ purpose: 'ia_chat', messages: [] })), 'segunda');
+  assert.equal((await llm.embed({ input: 'x' })).data[0].embedding.length, 8);
+});
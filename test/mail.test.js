@@ -0,0 +1,21 @@
+// test/mail.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { criarTransporteEmail, ocultarTokens } = require('../mail-utils');
+
+test('sem MAIL_TRANSPORT em produção a criação do transporte falha', () => {
+  assert.throws(() => criarTransporteEmail({ NODE_ENV: 'production' }), /MAIL_TRANSPORT/);
+  assert.equal(criarTransporteEmail({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }).nome, 'console');
+  assert.equal(criarTransporteEmail({}).nome, 'console');
+});
+
+test('o transporte console não escreve o token do link', async (t) => {
+  const linhas = [];
+  t.mock.method(console, 'log', (...args) => linhas.push(args.join(' ')));
+  const mailer = criarTransporteEmail({});
+  await mailer.enviar({ para: 'a@b.c', assunto: 'Redefinição', texto: 'acesse:\nhttps://app/redefinir-senha?token=eyJhbGciOi.abc.def\n' });
+  assert.equal(linhas.length, 1);
+  assert.ok(!linhas[0].includes('eyJhbGciOi'));
+  assert.ok(linhas[0].includes('token=[REDACTED]'));
+  assert.equal(ocultarTokens('x?a=1&token=abc&b=2'), 'x?a=1&token=[REDACTED]&b=2');
+});
@@ -0,0 +1,35 @@
+// test/memorias.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { memoriaEmbeddings } = require('../repositorios/embeddings');
+const { memoriaSessoes } = require('../repositorios/sessoes');
+const { criarStoreMemoria } = require('../repositorios/memoria');
+const { buscarMemorias } = require('../memorias-utils');
+
+test('buscarMemorias data os resumos com uma única consulta de sessões', async () => {
+  const store = criarStoreMemoria();
+  const embeddings = memoriaEmbeddings(store);
+  const sessoes = memoriaSessoes(store);
+  const datas = ['2026-01-10T12:00:00.000Z', '2026-09-01T12:00:00.000Z'];
+  const ids = [];
+  for (const data_sessao of datas) {
+    const { data } = await sessoes.criar({ user_id: 'u1', status: 'encerrada', data_sessao });
+    ids.push(data.id);
+  }
+  await embeddings.salvarResumoSessao({ user_id: 'u1', sessao_id: ids[0], resumo: 'conversa sobre o trabalho novo', embedding: [1, 0] });
+  await embeddings.salvarResumoSessao({ user_id: 'u1', sessao_id: ids[1], resumo: 'briga com a irmã no feriado', embedding: [0.9, 0.1] });
+
+  let consultas = 0;
+  const sessoesContadas = {
+    ...sessoes,
+    listarPorIds: (...args) => { consultas += 1; return sessoes.listarPorIds(...args); },
+    buscarPorId: () => assert.fail('não deve buscar sessão por sessão'),
+  };
+  const memorias = await buscarMemorias(embeddings, sessoesContadas, {
+    user_id: 'u1', embedding: [1, 0], n: 2, incluirTrechos: false,
+  });
+
+  assert.equal(consultas, 1);
+  assert.deepEqual(memorias.map(m => m.sessao_id).sort(), [...ids].sort());
+  for (const m of memorias) assert.equal(m.data, datas[ids.indexOf(m.sessao_id)]);
+});
@@ -0,0 +1,46 @@
+// test/mensagens.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { supabaseMensagens, memoriaMensagens } = require('../repositorios/mensagens');
+const { criarStoreMemoria } = require('../repositorios/memoria');
+
+// supabase falso: insert([linha]).select().single() devolve a linha como o PostgREST (id e data do banco)
+function supabaseComInsert() {
+  const inseridas = [];
+  return {
+    inseridas,
+    from: (tabela) => ({
+      insert: (linhas) => ({
+        select: () => ({
+          single: async () => {
+            const row = { id: 'b7f3c1de-0000-4000-8000-000000000001', data_mensagem: '2026-10-19T12:00:00.000Z', ...linhas[0] };
+            inseridas.push({ tabela, row });
+            return { data: row, error: null };
+          },
+        }),
+      }),
+    }),
+  };
+}
+
+test('criar devolve a linha inserida nos dois backends', async () => {
+  const payload = { user_id: 'u1', sessao_id: 's1', origem: 'usuario', texto_mensagem: 'oi' };
+  const supabase = supabaseComInsert();
+  const store = criarStoreMemoria();
+
+  const remoto = await supabaseMensagens(supabase).criar(payload);
+  const local = await memoriaMensagens(store).criar(payload);
+
+  assert.equal(remoto.error, null);
+  assert.equal(local.error, null);
+  assert.deepEqual(Object.keys(local.data).sort(), Object.keys(remoto.data).sort());
+  assert.equal(supabase.inseridas[0].tabela, 'mensagens_sessao');
+  for (const d of [remoto.data, local.data]) {
+    assert.ok(d.id);
+    assert.ok(!Number.isNaN(Date.parse(d.data_mensagem)));
+    assert.equal(d.texto_mensagem, 'oi');
+  }
+  assert.deepEqual(store.tabela('mensagens_sessao')[0], local.data);
+  local.data.texto_mensagem = 'mudou';
+  assert.equal(store.tabela('mensagens_sessao')[0].texto_mensagem, 'oi', 'devolve cópia, não a linha do store');
+});
@@ -0,0 +1,113 @@
+// test/metricas.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { criarRegistroMetricas, instrumentarLLM } = require('../metricas-utils');
+const { criarProvedorFake } = require('../llm-provider');
+const { subirServidor, entrar } = require('./helpers/servidor');
+
+const linhasDe = (texto) => texto.trimEnd().split('\n');
+
+test('contador: HELP/TYPE, uma série por combinação de rótulos na ordem declarada', () => {
+  const reg = criarRegistroMetricas({ prefixo: 'app_' });
+  const c = reg.contador('pedidos_total', 'Pedidos recebidos.', ['method', 'status']);
+  c.inc({ status: 200, method: 'GET' });
+  c.inc({ method: 'GET', status: 200 }, 2);
+  c.inc({ method: 'POST' });
+  c.inc({ method: 'GET', status: 200 }, -5); // contador não desce
+
+  assert.deepEqual(linhasDe(reg.expor()), [
+    '# HELP app_pedidos_total Pedidos recebidos.',
+    '# TYPE app_pedidos_total counter',
+    'app_pedidos_total{method="GET",status="200"} 3',
+    'app_pedidos_total{method="POST",status=""} 1',
+  ]);
+  assert.ok(reg.expor().endsWith('\n'));
+});
+
+test('rótulos e HELP escapam barra, aspas e quebra de linha', () => {
+  const reg = criarRegistroMetricas();
+  reg.contador('x_total', 'linha 1\nlinha \\2', ['v']).inc({ v: 'a"b\\c\nd' });
+  assert.deepEqual(linhasDe(reg.expor()), [
+    '# HELP x_total linha 1\\nlinha \\\\2',
+    '# TYPE x_total counter',
+    'x_total{v="a\\"b\\\\c\\nd"} 1',
+  ]);
+});
+
+test('histograma: buckets cumulativos ordenados, +Inf, _sum e _count', () => {
+  const reg = criarRegistroMetricas();
+  const h = reg.histograma('lat_seconds', 'Latência.', ['rota'], [1, 0.1, 0.5]);
+  for (const v of [0.05, 0.3, 0.3, 2]) h.observar({ rota: '/ia' }, v);
+  h.observar({ rota: '/ia' }, NaN);
+
+  assert.deepEqual(linhasDe(reg.expor()), [
+    '# HELP lat_seconds Latência.',
+    '# TYPE lat_seconds histogram',
+    'lat_seconds_bucket{rota="/ia",le="0.1"} 1',
+    'lat_seconds_bucket{rota="/ia",le="0.5"} 3',
+    'lat_seconds_bucket{rota="/ia",le="1"} 3',
+    'lat_seconds_bucket{rota="/ia",le="+Inf"} 4',
+    'lat_seconds_sum{rota="/ia"} 2.65',
+    'lat_seconds_count{rota="/ia"} 4',
+  ]);
+});
+
+test('gauge com coletar é lido a cada exposição; sem série, só HELP e TYPE', () => {
+  const reg = criarRegistroMetricas();
+  let fila = 3;
+  reg.gauge('fila_jobs', 'Jobs pendentes.', [], (g) => g.set({}, fila));
+  reg.contador('vazio_total', 'Nada ainda.');
+  assert.match(reg.expor(), /^fila_jobs 3$/m);
+  fila = 7;
+  const texto = reg.expor();
+  assert.match(texto, /^fila_jobs 7$/m);
+  assert.match(texto, /# TYPE vazio_total counter\n$/);
+});
+
+test('instrumentarLLM observa chat, stream e embed com modelo, purpose e usage', async () => {
+  const vistos = [];
+  const llm = instrumentarLLM(criarProvedorFake({ roteiro: { ia_chat: 'olá de novo' }, dimEmbedding: 8 }), (d) => vistos.push(d));
+
+  await llm.chat({ purpose: 'tagger', model: 'm-tag', messages: [{ role: 'user', content: 'oi' }] });
+  for await (const _ of await llm.chatStream({ purpose: 'ia_chat', messages: [] })) { /* consome */ }
+  await llm.embed({ input: 'texto', purpose: 'memoria' });
+
+  assert.deepEqual(vistos.map(v => [v.operacao, v.purpose, v.erro]), [['chat', 'tagger', null], ['stream', 'ia_chat', null], ['embed', 'memoria', null]]);
+  assert.equal(vistos[0].model, 'm-tag');
+  assert.ok(vistos[1].usage.completion_tokens > 0, 'usage do último chunk');
+  assert.ok(vistos.every(v => v.segundos >= 0));
+});
+
+test('instrumentarLLM registra o erro e repassa a exceção', async () => {
+  const vistos = [];
+  const quebrado = { modelos: { chat: 'm' }, chat: async () => { throw new Error('timeout'); } };
+  const llm = instrumentarLLM(quebrado, (d) => vistos.push(d));
+  await assert.rejects(llm.chat({ purpose: 'ia_chat', messages: [] }), /timeout/);
+  assert.equal(vistos[0].erro.message, 'timeout');
+  assert.equal(vistos[0].model, 'm');
+});
+
+test('API: /metrics exige o token e expõe as séries das rotas pelo padrão do Express', async (t) => {
+  const srv = await subirServidor({ METRICS_TOKEN: 'tk' });
+  t.after(() => srv.parar());
+  const ana = await entrar(srv);
+  await srv.chamar('GET', `/sessoes/${ana.user_id}`, { token: ana.access_token });
+
+  assert.equal((await srv.chamar('GET', '/metrics')).status, 401);
+  assert.equal((await srv.chamar('GET', '/metrics', { headers: { authorization: 'Bearer outro' } })).status, 401);
+
+  const r = await srv.chamar('GET', '/metrics', { headers: { authorization: 'Bearer tk' } });
+  assert.equal(r.status, 200);
+  // o Express reordena os parâmetros do content-type
+  assert.match(r.headers.get('content-type'), /^text\/plain;/);
+  assert.match(r.headers.get('content-type'), /version=0\.0\.4/);
+  assert.match(r.body, /^# TYPE mentor360_http_requests_total counter$/m);
+  assert.match(r.body, /^mentor360_http_requests_total\{method="POST",route="\/cadastro",status="201"\} 1$/m);
+  assert.match(r.body, /^mentor360_http_requests_total\{method="GET",route="\/sessoes\/:user_id",status="200"\} 1$/m);
+  assert.match(r.body, /^mentor360_http_request_duration_seconds_count\{method="POST",route="\/login"\} 1$/m);
+  assert.match(r.body, /^mentor360_nodejs_heap_used_bytes \d+$/m);
+  // toda linha de amostra segue nome{rótulos} valor
+  for (const linha of linhasDe(r.body).filter(l => !l.startsWith('#'))) {
+    assert.match(linha, /^[a-zA-Z_:][a-zA-Z0-9_:]*(\{.*\})? (-?[0-9.e+-]+|\+Inf|NaN)$/, linha);
+  }
+});
@@ -0,0 +1,25 @@
+// test/perfil.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { afirmacoesIniciais, aplicarAtualizacaoPerfil } = require('../perfil-utils');
+
+test('afirmacoesIniciais data o perfil legado pelo próprio perfil, não pela leitura', () => {
+  const legado = { created_at: '2025-03-01T10:00:00.000Z', tracos_personalidade: 'curioso; ansioso', valores_declarados: null };
+  const a = afirmacoesIniciais(legado, new Date('2026-01-01T00:00:00Z'));
+  const b = afirmacoesIniciais(legado, new Date('2026-06-01T00:00:00Z'));
+  assert.deepEqual(a, b);
+  assert.deepEqual(a.map(x => x.criado_em), ['2025-03-01T10:00:00.000Z', '2025-03-01T10:00:00.000Z']);
+});
+
+test('campo cheio: a observação nova substitui a afirmação ativa mais antiga', () => {
+  const afirmacoes = Array.from({ length: 8 }, (_, i) => ({
+    id: `a${i}`, campo: 'notas_mentor', texto: `observacao numero ${i} sobre rotina`, criado_em: `2026-0${(i % 8) + 1}-01T00:00:00.000Z`, vetado: false,
+  }));
+  afirmacoes.push({ id: 'v', campo: 'notas_mentor', texto: 'vetada antiga', criado_em: '2020-01-01T00:00:00.000Z', vetado: true });
+
+  const r = aplicarAtualizacaoPerfil(afirmacoes, { adicionar: [{ campo: 'notas_mentor', texto: 'prefere caminhar antes do trabalho' }] });
+  assert.equal(r.adicionadas.length, 1);
+  assert.deepEqual(r.removidas.map(a => a.id), ['a0']);
+  assert.equal(r.afirmacoes.filter(a => a.campo === 'notas_mentor' && !a.vetado).length, 8);
+  assert.ok(r.afirmacoes.some(a => a.id === 'v'), 'vetada continua guardada');
+});
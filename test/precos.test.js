@@ -0,0 +1,117 @@
+// test/precos.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { PRECOS_PADRAO, criarTabelaPrecos, resumirGastos } = require('../precos-utils');
+const { subirServidor, entrar } = require('./helpers/servidor');
+
+test('calcular: entrada, cache e saída em USD por 1M de tokens', () => {
+  const precos = criarTabelaPrecos();
+  // gpt-4o: 2.5 entrada, 1.25 cache, 10 saída
+  assert.equal(precos.calcular('gpt-4o', { prompt_tokens: 1_000_000, completion_tokens: 0 }), 2.5);
+  assert.equal(precos.calcular('gpt-4o', { prompt_tokens: 1000, completion_tokens: 500 }), 0.0075);
+  assert.equal(precos.calcular('gpt-4o', { prompt_tokens: 1000, completion_tokens: 0, prompt_tokens_details: { cached_tokens: 400 } }), 0.002);
+  // cache maior que a entrada não fica negativo
+  assert.equal(precos.calcular('gpt-4o', { prompt_tokens: 100, prompt_tokens_details: { cached_tokens: 900 } }), 0.000125);
+  // embedding só cobra entrada
+  assert.equal(precos.calcular('text-embedding-3-small', { prompt_tokens: 50_000 }), 0.001);
+  assert.equal(precos.calcular('gpt-4o-mini', {}), 0);
+  assert.equal(precos.calcular('gpt-4o-mini', null), 0);
+});
+
+test('calcular arredonda em 8 casas', () => {
+  const precos = criarTabelaPrecos();
+  assert.equal(precos.calcular('gpt-4.1-nano', { prompt_tokens: 3, completion_tokens: 7 }), 0.0000031);
+  assert.equal(precos.calcular('gpt-4o-mini', { prompt_tokens: 1 }), 0.00000015);
+});
+
+test('precoDe usa o prefixo mais longo para modelos com data; sem preço -> null e um aviso só', (t) => {
+  const avisos = t.mock.method(console, 'warn', () => {});
+  const precos = criarTabelaPrecos();
+  assert.equal(precos.precoDe('gpt-4o-mini-2024-07-18'), PRECOS_PADRAO['gpt-4o-mini']);
+  assert.equal(precos.precoDe('gpt-4o-2024-08-06'), PRECOS_PADRAO['gpt-4o']);
+  assert.equal(precos.precoDe('gpt-4omni'), null);
+  assert.equal(precos.precoDe(null), null);
+
+  assert.equal(precos.calcular('llama-3-70b', { prompt_tokens: 10 }), null);
+  assert.equal(precos.calcular('llama-3-70b', { prompt_tokens: 10 }), null);
+  assert.equal(precos.calcular(undefined, { prompt_tokens: 10 }), null);
+  assert.equal(avisos.mock.callCount(), 1);
+});
+
+test('override por JSON e por arquivo; JSON ganha do arquivo; sem cache custa como entrada', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm360-precos-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const arquivo = path.join(dir, 'precos.json');
+  fs.writeFileSync(arquivo, JSON.stringify({ 'llama-3-70b': { entrada: 0.5, saida: 1 }, 'gpt-4o': { entrada: 1, saida: 1 } }));
+
+  const precos = criarTabelaPrecos({ arquivo, json: JSON.stringify({ 'gpt-4o': { entrada: 3, saida: 12 } }) });
+  assert.deepEqual(precos.precoDe('gpt-4o'), { entrada: 3, saida: 12 });
+  assert.equal(precos.calcular('llama-3-70b', { prompt_tokens: 1_000_000, completion_tokens: 1_000_000, prompt_tokens_details: { cached_tokens: 500_000 } }), 1.5);
+  assert.ok(precos.listar().some(p => p.modelo === 'llama-3-70b' && p.entrada === 0.5));
+  assert.equal(precos.listar().length, Object.keys(PRECOS_PADRAO).length + 1);
+});
+
+test('override inválido não sobe', () => {
+  assert.throws(() => criarTabelaPrecos({ json: '{"m": {"saida": 1}}' }), /m sem preço de entrada/);
+  assert.throws(() => criarTabelaPrecos({ json: '{"m": {"entrada": -1}}' }), /m\.entrada deve ser número >= 0/);
+  assert.throws(() => criarTabelaPrecos({ json: '{"m": {"entrada": 1, "cache": 1}}' }), /campo desconhecido em m: cache/);
+  assert.throws(() => criarTabelaPrecos({ json: '{"m": 3}' }), /preço inválido para m/);
+});
+
+const linhas = [
+  { user_id: 'u1', model: 'gpt-4o', prompt_tokens: 1000, completion_tokens: 500, cost_usd: 0.0075, created_at: '2026-06-10T12:00:00Z', metadata: { purpose: 'ia_chat' } },
+  { user_id: 'u1', model: 'gpt-4o', prompt_tokens: 1000, completion_tokens: 0, cost_usd: null, created_at: '2026-06-10T02:00:00Z', metadata: { purpose: 'tagger', cached_tokens: 400 } },
+  { user_id: 'u2', model: 'llama-3-70b', prompt_tokens: 10, completion_tokens: 10, cost_usd: null, created_at: '2026-06-11T12:00:00Z', metadata: {} },
+  { user_id: 'u2', model: 'gpt-4o-mini', prompt_tokens: 0, completion_tokens: 1000, cost_usd: '0.0006', created_at: '2026-06-11T13:00:00Z', metadata: { purpose: 'ia_chat' } },
+];
+
+test('resumirGastos soma, estima linhas sem custo com os preços atuais e conta as sem preço', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const precos = criarTabelaPrecos();
+  const { total, grupos } = resumirGastos(linhas, { agrupar: 'purpose', precos });
+
+  assert.deepEqual(total, { chamadas: 4, prompt_tokens: 2010, completion_tokens: 1510, cost_usd: 0.0101, estimadas: 1, sem_preco: 1 });
+  // maior custo primeiro
+  assert.deepEqual(grupos.map(g => [g.chave, g.chamadas, g.cost_usd]), [['ia_chat', 2, 0.0081], ['tagger', 1, 0.002], ['desconhecido', 1, 0]]);
+});
+
+test('resumirGastos por dia usa o fuso e ordena por data; por usuário e modelo', () => {
+  const precos = criarTabelaPrecos();
+  // 02:00Z de 10/jun ainda é 9/jun em São Paulo
+  const porDia = resumirGastos(linhas.slice(0, 2), { agrupar: 'dia', precos });
+  assert.deepEqual(porDia.grupos.map(g => g.chave), ['2026-06-09', '2026-06-10']);
+  assert.deepEqual(resumirGastos(linhas.slice(0, 2), { agrupar: 'dia', precos, fuso: 'UTC' }).grupos.map(g => g.chave), ['2026-06-10']);
+
+  const porUsuario = resumirGastos([linhas[0], linhas[3]], { agrupar: 'usuario', precos });
+  assert.deepEqual(porUsuario.grupos.map(g => [g.chave, g.cost_usd]), [['u1', 0.0075], ['u2', 0.0006]]);
+  const porModelo = resumirGastos([linhas[0], linhas[3]], { agrupar: 'modelo', precos });
+  assert.deepEqual(porModelo.grupos.map(g => g.chave), ['gpt-4o', 'gpt-4o-mini']);
+  assert.deepEqual(resumirGastos([], { precos }), { total: { chamadas: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0, estimadas: 0, sem_preco: 0 }, grupos: [] });
+});
+
+test('API: /admin/custos soma o custo das chamadas do /ia e recusa agrupamento desconhecido', async (t) => {
+  const srv = await subirServidor({ ADMIN_READ_TOKEN: 'adm', LLM_PRICING_JSON: JSON.stringify({ 'gpt-4o': { entrada: 1000, saida: 1000 } }) });
+  t.after(() => srv.parar());
+  const admin = { 'x-admin-token': 'adm' };
+  const ana = await entrar(srv);
+  const { body: { sessao } } = await srv.chamar('POST', '/nova-sessao', { token: ana.access_token, corpo: {} });
+  assert.equal((await srv.chamar('POST', '/ia', { token: ana.access_token, corpo: { sessao_id: sessao.id, mensagem: 'oi' } })).status, 200);
+
+  const precos = await srv.chamar('GET', '/admin/custos/precos', { headers: admin });
+  assert.deepEqual(precos.body.modelos.find(m => m.modelo === 'gpt-4o'), { modelo: 'gpt-4o', entrada: 1000, saida: 1000 });
+
+  const r = await srv.chamar('GET', `/admin/custos?agrupar=usuario&user_id=${ana.user_id}`, { headers: admin });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.grupos.length, 1);
+  assert.equal(r.body.grupos[0].chave, ana.user_id);
+  assert.ok(r.body.total.chamadas >= 1);
+  // 1000 USD por 1M de tokens = 0.001 por token
+  const tokens = r.body.total.prompt_tokens + r.body.total.completion_tokens;
+  assert.ok(r.body.total.cost_usd > 0 && r.body.total.cost_usd <= tokens * 0.001 + 1e-9, JSON.stringify(r.body.total));
+
+  assert.equal((await srv.chamar('GET', '/admin/custos?agrupar=cor', { headers: admin })).status, 400);
+  assert.equal((await srv.chamar('GET', '/admin/custos')).status, 401);
+});
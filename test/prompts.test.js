@@ -0,0 +1,103 @@
+// test/prompts.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { variaveisTemplate, renderizarTemplate, escolherVersao, criarRegistroPrompts } = require('../prompt-utils');
+
+const versao = (n, peso, fonte = 'tabela') => ({ id: `p@v${n}`, versao: n, peso, fonte });
+const usuarios = Array.from({ length: 4000 }, (_, i) => `user-${i}`);
+
+function distribuicao(versoes, nome = 'p') {
+  const contagem = {};
+  for (const u of usuarios) {
+    const v = escolherVersao(versoes, nome, u).versao;
+    contagem[v] = (contagem[v] || 0) + 1;
+  }
+  return contagem;
+}
+
+test('variáveis {{assim}} são listadas sem repetir e renderizar exige todas', () => {
+  assert.deepEqual(variaveisTemplate('Oi {{ nome }}, {{tema}} e {{nome}}'), ['nome', 'tema']);
+  assert.equal(renderizarTemplate('Oi {{ nome }}: {{n}}', { nome: 'Ana', n: 0 }), 'Oi Ana: 0');
+  assert.throws(() => renderizarTemplate('{{a}} {{b}}', { a: 1, b: null }), (e) => e.code === 'PROMPT_VARIAVEL_AUSENTE' && /b$/.test(e.message));
+});
+
+test('escolherVersao: o mesmo usuário cai sempre na mesma versão', () => {
+  const versoes = [versao(1, 50, 'arquivo'), versao(2, 50)];
+  for (const u of usuarios.slice(0, 50)) {
+    const v = escolherVersao(versoes, 'p', u).versao;
+    assert.equal(escolherVersao(versoes, 'p', u).versao, v);
+    assert.equal(escolherVersao([...versoes], 'p', u).versao, v);
+  }
+});
+
+test('escolherVersao reparte os usuários na proporção dos pesos', () => {
+  const d = distribuicao([versao(1, 90, 'arquivo'), versao(2, 10)]);
+  assert.ok(d[1] / usuarios.length > 0.87 && d[1] / usuarios.length < 0.93, JSON.stringify(d));
+
+  // pesos não precisam somar 100
+  const tres = distribuicao([versao(1, 1, 'arquivo'), versao(2, 1), versao(3, 2)]);
+  assert.ok(Math.abs(tres[3] / usuarios.length - 0.5) < 0.03, JSON.stringify(tres));
+  assert.ok(Math.abs(tres[1] / usuarios.length - 0.25) < 0.03, JSON.stringify(tres));
+});
+
+test('escolherVersao: peso 0 nunca é servido; subir o peso da nova só move usuários para ela', () => {
+  assert.deepEqual(Object.keys(distribuicao([versao(1, 100, 'arquivo'), versao(2, 0)])), ['1']);
+
+  const antes = new Map(usuarios.map(u => [u, escolherVersao([versao(1, 80, 'arquivo'), versao(2, 20)], 'p', u).versao]));
+  for (const u of usuarios) {
+    const depois = escolherVersao([versao(1, 50, 'arquivo'), versao(2, 50)], 'p', u).versao;
+    if (antes.get(u) === 2) assert.equal(depois, 2, u);
+  }
+});
+
+test('escolherVersao: o balde depende do nome do template, não só do usuário', () => {
+  const versoes = [versao(1, 50, 'arquivo'), versao(2, 50)];
+  const iguais = usuarios.filter(u => escolherVersao(versoes, 'tagger', u).versao === escolherVersao(versoes, 'resumo_sessao', u).versao);
+  assert.ok(iguais.length > usuarios.length * 0.4 && iguais.length < usuarios.length * 0.6);
+});
+
+test('escolherVersao: tudo zerado volta para a última versão de arquivo; lista vazia -> null', () => {
+  assert.equal(escolherVersao([versao(1, 0, 'arquivo'), versao(2, 0, 'arquivo'), versao(3, 0)], 'p', 'u').versao, 2);
+  assert.equal(escolherVersao([versao(4, 0)], 'p', 'u').versao, 4);
+  assert.equal(escolherVersao([], 'p', 'u'), null);
+});
+
+test('registro: arquivos + tabela, versão nova de arquivo leva 100% e a tabela ajusta os pesos', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm360-prompts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'saudacao.v1.txt'), 'Olá, {{nome}}.');
+  fs.writeFileSync(path.join(dir, 'saudacao.v2.txt'), '\uFEFFOi, {{nome}}!\n');
+  fs.writeFileSync(path.join(dir, 'LEIAME.md'), 'ignorado');
+
+  let linhas = [];
+  const prompts = criarRegistroPrompts({ dir, repo: { listar: async () => ({ data: linhas, error: null }) }, cacheTtlMs: 0 });
+
+  const r = await prompts.renderizar('saudacao', { nome: 'Ana' }, { user_id: 'u1' });
+  assert.deepEqual(r, { texto: 'Oi, Ana!', template: { id: 'saudacao@v2', nome: 'saudacao', versao: 2 } });
+  assert.deepEqual((await prompts.versoes('saudacao')).map(v => [v.versao, v.peso, v.fonte]), [[1, 0, 'arquivo'], [2, 100, 'arquivo']]);
+
+  // a tabela devolve 100% para a v1 e cria uma v3 em rascunho
+  linhas = [{ nome: 'saudacao', versao: 1, peso: 100 }, { nome: 'saudacao', versao: 2, peso: 0 }, { nome: 'saudacao', versao: 3, conteudo: 'E aí, {{nome}}?', peso: 0 }];
+  assert.equal((await prompts.renderizar('saudacao', { nome: 'Ana' }, { user_id: 'u1' })).texto, 'Olá, Ana.');
+  assert.deepEqual((await prompts.versoes('saudacao')).map(v => [v.versao, v.fonte]), [[1, 'arquivo+tabela'], [2, 'arquivo+tabela'], [3, 'tabela']]);
+
+  await assert.rejects(prompts.renderizar('nao_existe', {}), /Prompt desconhecido: nao_existe/);
+});
+
+test('registro: tabela fora do ar mantém o último catálogo', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm360-prompts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'p.v1.txt'), 'um');
+  t.mock.method(console, 'warn', () => {});
+
+  let falhar = false;
+  const repo = { listar: async () => (falhar ? { data: null, error: { message: 'sem conexão' } } : { data: [{ nome: 'p', versao: 2, conteudo: 'dois', peso: 100 }, { nome: 'p', versao: 1, peso: 0 }], error: null }) };
+  const prompts = criarRegistroPrompts({ dir, repo, cacheTtlMs: 0 });
+  assert.equal((await prompts.renderizar('p', {})).texto, 'dois');
+  falhar = true;
+  assert.equal((await prompts.renderizar('p', {})).texto, 'dois');
+  assert.equal(console.warn.mock.callCount(), 1);
+});
@@ -0,0 +1,178 @@
+// test/redis.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { criarClienteRedis, ErroRedis } = require('../redis-utils');
+const { criarLimitadorRedis } = require('../limitador-utils');
+
+// comandos RESP (arrays de bulk strings) completos no buffer -> { comandos, resto }
+function lerComandos(buf) {
+  const comandos = [];
+  let pos = 0;
+  for (;;) {
+    const fim = buf.indexOf('\r\n', pos);
+    if (fim < 0 || buf[pos] !== 0x2a) break;
+    const n = Number(buf.toString('utf8', pos + 1, fim));
+    const args = [];
+    let p = fim + 2;
+    for (let i = 0; i < n; i++) {
+      const fimTam = buf.indexOf('\r\n', p);
+      if (fimTam < 0) return { comandos, resto: buf.subarray(pos) };
+      const tam = Number(buf.toString('utf8', p + 1, fimTam));
+      if (buf.length < fimTam + 2 + tam + 2) return { comandos, resto: buf.subarray(pos) };
+      args.push(buf.toString('utf8', fimTam + 2, fimTam + 2 + tam));
+      p = fimTam + 2 + tam + 2;
+    }
+    comandos.push(args);
+    pos = p;
+  }
+  return { comandos, resto: buf.subarray(pos) };
+}
+
+const bulk = (s) => (s == null ? '$-1\r\n' : `$${Buffer.byteLength(String(s))}\r\n${s}\r\n`);
+const arr = (itens) => `*${itens.length}\r\n${itens.join('')}`;
+
+// servidor falso: `responder(args, estado)` devolve a resposta RESP crua (ou null para não responder)
+async function servidorFalso(responder, { aosPoucos = false } = {}) {
+  const recebidos = [];
+  const conexoes = new Set();
+  const server = net.createServer((sock) => {
+    conexoes.add(sock);
+    sock.on('close', () => conexoes.delete(sock));
+    const estado = { fila: null };
+    let buf = Buffer.alloc(0);
+    sock.on('data', (dados) => {
+      const r = lerComandos(Buffer.concat([buf, dados]));
+      buf = r.resto;
+      let saida = '';
+      for (const args of r.comandos) {
+        recebidos.push(args);
+        const resp = responder(args, estado, sock);
+        if (resp != null) saida += resp;
+      }
+      if (!saida) return;
+      if (!aosPoucos) return sock.write(saida);
+      for (const ch of Buffer.from(saida)) sock.write(Buffer.from([ch]));
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    recebidos,
+    derrubarConexoes: () => { for (const s of conexoes) s.destroy(); },
+    fechar: () => { for (const s of conexoes) s.destroy(); return new Promise(r => server.close(r)); },
+  };
+}
+
+// MULTI/EXEC de verdade: enfileira e responde tudo no EXEC
+function comTransacao(responder) {
+  return (args, estado, sock) => {
+    const cmd = args[0].toUpperCase();
+    if (cmd === 'MULTI') { estado.fila = []; return '+OK\r\n'; }
+    if (cmd === 'EXEC') {
+      const fila = estado.fila || [];
+      estado.fila = null;
+      return arr(fila.map(a => responder(a, estado, sock)));
+    }
+    if (estado.fila) { estado.fila.push(args); return '+QUEUED\r\n'; }
+    return responder(args, estado, sock);
+  };
+}
+
+test('cliente redis lê os tipos de resposta RESP mesmo chegando byte a byte', async (t) => {
+  const dados = new Map();
+  const srv = await servidorFalso((args) => {
+    const [cmd, k, v] = args;
+    if (cmd === 'SET') { dados.set(k, v); return '+OK\r\n'; }
+    if (cmd === 'GET') return bulk(dados.get(k));
+    if (cmd === 'INCR') { dados.set(k, String(Number(dados.get(k) || 0) + 1)); return `:${dados.get(k)}\r\n`; }
+    if (cmd === 'LISTA') return arr([bulk('a'), bulk(null), ':3\r\n', arr([bulk('ç')])]);
+    return `-ERR unknown command '${cmd}'\r\n`;
+  }, { aosPoucos: true });
+  const cliente = criarClienteRedis(srv.url);
+  t.after(async () => { cliente.fechar(); await srv.fechar(); });
+
+  assert.equal(await cliente.comando('SET', 'k', 'olá mundo'), 'OK');
+  assert.equal(await cliente.comando('GET', 'k'), 'olá mundo');
+  assert.equal(await cliente.comando('GET', 'nada'), null);
+  assert.equal(await cliente.comando('INCR', 'n'), 1);
+  assert.deepEqual(await cliente.comando('LISTA'), ['a', null, 3, ['ç']]);
+  await assert.rejects(cliente.comando('NAOEXISTE'), (e) => e instanceof ErroRedis && /unknown command/.test(e.message));
+  // erro de um comando não desalinha as respostas seguintes
+  assert.equal(await cliente.comando('GET', 'k'), 'olá mundo');
+});
+
+test('AUTH e SELECT da URL vão antes do primeiro comando', async (t) => {
+  const srv = await servidorFalso(() => '+OK\r\n');
+  const { port } = new URL(srv.url);
+  const cliente = criarClienteRedis(`redis://:s3nha@127.0.0.1:${port}/2`);
+  t.after(async () => { cliente.fechar(); await srv.fechar(); });
+
+  await cliente.comando('PING');
+  assert.deepEqual(srv.recebidos, [['AUTH', 's3nha'], ['SELECT', '2'], ['PING']]);
+});
+
+test('multi devolve o resultado do EXEC', async (t) => {
+  const srv = await servidorFalso(comTransacao((args) => (args[0] === 'INCR' ? ':7\r\n' : bulk('v'))));
+  const cliente = criarClienteRedis(srv.url);
+  t.after(async () => { cliente.fechar(); await srv.fechar(); });
+
+  assert.deepEqual(await cliente.multi([['INCR', 'a'], ['GET', 'b']]), [7, 'v']);
+});
+
+test('conexão que cai rejeita os pendentes e o próximo comando reconecta', async (t) => {
+  let responder = false;
+  const srv = await servidorFalso(() => (responder ? '+PONG\r\n' : null));
+  const cliente = criarClienteRedis(srv.url, { timeoutMs: 5000 });
+  t.after(async () => { cliente.fechar(); await srv.fechar(); });
+
+  const pendente = cliente.comando('PING');
+  await new Promise(r => setTimeout(r, 50));
+  srv.derrubarConexoes();
+  await assert.rejects(pendente, ErroRedis);
+
+  responder = true;
+  assert.equal(await cliente.comando('PING'), 'PONG');
+});
+
+test('comando sem resposta falha por timeout', async (t) => {
+  const srv = await servidorFalso(() => null);
+  const cliente = criarClienteRedis(srv.url, { timeoutMs: 50 });
+  t.after(async () => { cliente.fechar(); await srv.fechar(); });
+
+  await assert.rejects(cliente.comando('PING'), /timeout de 50ms/);
+});
+
+test('limitador redis conta a janela e recusado não ocupa vaga', async (t) => {
+  const zsets = new Map(); // chave -> Map(membro -> score)
+  const zset = (k) => zsets.get(k) || zsets.set(k, new Map()).get(k);
+  const srv = await servidorFalso(comTransacao((args) => {
+    const [cmd, k, ...resto] = args;
+    const z = zset(k);
+    if (cmd === 'ZREMRANGEBYSCORE') {
+      const max = Number(resto[1]);
+      let n = 0;
+      for (const [m, s] of z) if (s <= max) { z.delete(m); n += 1; }
+      return `:${n}\r\n`;
+    }
+    if (cmd === 'ZADD') { z.set(resto[1], Number(resto[0])); return ':1\r\n'; }
+    if (cmd === 'ZCARD') return `:${z.size}\r\n`;
+    if (cmd === 'PEXPIRE') return ':1\r\n';
+    if (cmd === 'ZREM') return `:${z.delete(resto[0]) ? 1 : 0}\r\n`;
+    if (cmd === 'ZRANGE') {
+      const [m, s] = [...z].sort((a, b) => a[1] - b[1])[0] || [];
+      return m ? arr([bulk(m), bulk(s)]) : arr([]);
+    }
+    return '-ERR\r\n';
+  }));
+  const limitador = criarLimitadorRedis({ cliente: criarClienteRedis(srv.url) });
+  t.after(async () => { limitador.fechar(); await srv.fechar(); });
+
+  const janela = { limite: 2, janelaMs: 60_000 };
+  assert.equal((await limitador.consumir('u:1', janela)).restante, 1);
+  assert.equal((await limitador.consumir('u:1', janela)).restante, 0);
+  const recusado = await limitador.consumir('u:1', janela);
+  assert.equal(recusado.permitido, false);
+  assert.ok(recusado.retryAfterMs > 0 && recusado.retryAfterMs <= 60_000);
+  assert.equal(zset('m360:rl:u:1').size, 2);
+});
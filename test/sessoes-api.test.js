@@ -0,0 +1,69 @@
+// test/sessoes-api.test.js
+// Ciclo de vida da sessão com a API inteira no store em memória (DATA_BACKEND=memoria, LLM fake).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { subirServidor, entrar } = require('./helpers/servidor');
+
+test('API: ciclo de vida da sessão', async (t) => {
+  const srv = await subirServidor();
+  t.after(() => srv.parar());
+
+  await t.test('/nova-sessao reaproveita a aberta e, no cooldown, a recente vazia', async () => {
+    const ana = await entrar(srv);
+    const abrir = () => srv.chamar('POST', '/nova-sessao', { token: ana.access_token, corpo: {} });
+
+    const a = await abrir();
+    assert.equal(a.status, 201);
+    assert.equal(a.body.sessao.status, 'aberta');
+
+    const b = await abrir();
+    assert.equal(b.body.mensagem, 'Sessão aberta reaproveitada');
+    assert.equal(b.body.sessao.id, a.body.sessao.id);
+
+    const fim = await srv.chamar('POST', '/finalizar-sessao', { token: ana.access_token, corpo: { sessao_id: a.body.sessao.id } });
+    assert.equal(fim.status, 202);
+
+    // encerrada sem nenhuma mensagem e dentro do cooldown: reabre a mesma
+    const c = await abrir();
+    assert.equal(c.body.mensagem, 'Sessão recente vazia reaproveitada');
+    assert.equal(c.body.sessao.id, a.body.sessao.id);
+    assert.equal(c.body.sessao.status, 'aberta');
+  });
+
+  await t.test('/nova-sessao cria outra quando a recente já tem mensagens', async () => {
+    const bia = await entrar(srv, { nome: 'Bia' });
+    const { body: { sessao } } = await srv.chamar('POST', '/nova-sessao', { token: bia.access_token, corpo: {} });
+    const ia = await srv.chamar('POST', '/ia', { token: bia.access_token, corpo: { sessao_id: sessao.id, mensagem: 'Oi, tudo bem?' } });
+    assert.equal(ia.status, 200);
+    await srv.chamar('POST', '/finalizar-sessao', { token: bia.access_token, corpo: { sessao_id: sessao.id } });
+
+    const nova = await srv.chamar('POST', '/nova-sessao', { token: bia.access_token, corpo: {} });
+    assert.equal(nova.status, 201);
+    assert.notEqual(nova.body.sessao.id, sessao.id);
+    assert.equal(nova.body.sessao.status, 'aberta');
+  });
+
+  await t.test('/ia em sessão encerrada responde 409 SESSION_CLOSED e não grava nada', async () => {
+    const caio = await entrar(srv, { nome: 'Caio' });
+    const { body: { sessao } } = await srv.chamar('POST', '/nova-sessao', { token: caio.access_token, corpo: {} });
+    assert.equal((await srv.chamar('POST', '/ia', { token: caio.access_token, corpo: { sessao_id: sessao.id, mensagem: 'primeira' } })).status, 200);
+    await srv.chamar('POST', '/finalizar-sessao', { token: caio.access_token, corpo: { sessao_id: sessao.id } });
+    const antes = await srv.chamar('GET', `/historico/${sessao.id}`, { token: caio.access_token });
+
+    const r = await srv.chamar('POST', '/ia', { token: caio.access_token, corpo: { sessao_id: sessao.id, mensagem: 'ainda aí?' } });
+    assert.equal(r.status, 409);
+    assert.equal(r.body.error_code, 'SESSION_CLOSED');
+    assert.equal(r.body.status_atual, 'encerrada');
+
+    const depois = await srv.chamar('GET', `/historico/${sessao.id}`, { token: caio.access_token });
+    assert.deepEqual(depois.body, antes.body);
+  });
+
+  await t.test('/ia na sessão de outro usuário: 403', async () => {
+    const dono = await entrar(srv, { nome: 'Duda' });
+    const intruso = await entrar(srv, { nome: 'Edu' });
+    const { body: { sessao } } = await srv.chamar('POST', '/nova-sessao', { token: dono.access_token, corpo: {} });
+    const r = await srv.chamar('POST', '/ia', { token: intruso.access_token, corpo: { sessao_id: sessao.id, mensagem: 'oi' } });
+    assert.equal(r.status, 403);
+  });
+});
@@ -0,0 +1,64 @@
+// test/taxonomia.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEMAS, normalizarTema, normalizarTemas, listaTemasParaPrompt } = require('../taxonomia-utils');
+const { taggearMensagem } = require('../tagger-utils');
+
+test('normalizarTema aceita id, rótulo e sinônimo sem acento, caixa ou pontuação', () => {
+  const [primeiro] = TEMAS;
+  assert.equal(normalizarTema(primeiro.id), primeiro.id);
+  assert.equal(normalizarTema(primeiro.rotulo.toUpperCase()), primeiro.id);
+  assert.equal(normalizarTema('  Resiliência e Superação! '), 'resiliencia_superacao');
+  assert.equal(normalizarTema('resiliencia superacao'), 'resiliencia_superacao');
+  // linha inteira copiada do prompt: "id (rótulo)"
+  assert.equal(normalizarTema('gratidao_abundancia (gratidão e abundância)'), 'gratidao_abundancia');
+  for (const t of TEMAS) {
+    for (const s of t.sinonimos) assert.equal(normalizarTema(s), t.id, s);
+  }
+});
+
+test('normalizarTemas descarta o que não é da taxonomia e não repete ids', () => {
+  const r = normalizarTemas(['resiliencia_superacao', 'Resiliência e superação', 'astrologia', '', 42, null, 'crises existenciais']);
+  assert.deepEqual(r.ids, ['resiliencia_superacao', 'crises_existenciais']);
+  assert.deepEqual(r.rejeitadas, ['astrologia', '', 42, null]);
+  assert.deepEqual(normalizarTemas('nao-e-lista'), { ids: [], rejeitadas: [] });
+});
+
+test('a lista do prompt traz todos os temas e cada linha volta para o próprio id', () => {
+  const linhas = listaTemasParaPrompt().split('; ');
+  assert.equal(linhas.length, TEMAS.length);
+  linhas.forEach((linha, i) => assert.equal(normalizarTema(linha), TEMAS[i].id));
+});
+
+function fakes(conteudo) {
+  const llm = {
+    modelos: { tagger: 'modelo-tagger' },
+    chat: async () => ({ model: 'modelo-tagger', choices: [{ message: { content: conteudo } }], usage: { prompt_tokens: 10, completion_tokens: 5 } }),
+  };
+  const prompts = {
+    renderizar: async (nome, vars) => ({ texto: `${nome}: ${vars.mensagem}`, template: { id: 't1', nome, versao: 2 } }),
+  };
+  return { llm, prompts };
+}
+
+test('taggearMensagem devolve só temas canônicos (até 3) e avisa os descartados', async (t) => {
+  const avisos = t.mock.method(console, 'warn', () => {});
+  const { llm, prompts } = fakes('```json\n{"tags_tema":["astrologia","Crises existenciais","resiliencia_superacao","gratidao_abundancia","tomada de decisão e responsabilidade"]}\n```');
+
+  const r = await taggearMensagem(llm, prompts, 'ando sem rumo', { user_id: 'u1' });
+  assert.deepEqual(r.tags, ['crises_existenciais', 'resiliencia_superacao', 'gratidao_abundancia']);
+  assert.deepEqual(r.template, { id: 't1', nome: 'tagger', versao: 2 });
+  assert.equal(r.pedido.model, 'modelo-tagger');
+  assert.equal(r.pedido.messages[0].content, 'tagger: ando sem rumo');
+  assert.equal(avisos.mock.callCount(), 1);
+  assert.deepEqual(avisos.mock.calls[0].arguments[1], ['astrologia']);
+});
+
+test('taggearMensagem com resposta ilegível segue sem tags', async (t) => {
+  const avisos = t.mock.method(console, 'warn', () => {});
+  const { llm, prompts } = fakes('não sei');
+  const r = await taggearMensagem(llm, prompts, 'oi');
+  assert.deepEqual(r.tags, []);
+  assert.ok(r.completion);
+  assert.equal(avisos.mock.callCount(), 1);
+});
@@ -0,0 +1,28 @@
+// test/texto.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizar, similaridadeTexto, semCercaJson } = require('../texto-utils');
+const { eventoDuplicado } = require('../eventos-utils');
+
+test('normalizar tira acento e caixa e junta espaços', () => {
+  assert.equal(normalizar('  Irmã   JÚLIA\n'), 'irma julia');
+});
+
+test('similaridadeTexto compara palavras sem acento', () => {
+  assert.equal(similaridadeTexto('Perdeu o emprego na fábrica', 'perdeu emprego na fabrica'), 1);
+  assert.equal(similaridadeTexto('mudou de cidade', 'nasceu a filha'), 0);
+});
+
+test('semCercaJson tira a cerca ```json da resposta do modelo', () => {
+  assert.equal(semCercaJson('```json\n{"a":1}\n```'), '{"a":1}');
+  assert.equal(semCercaJson('{"a":1}'), '{"a":1}');
+  assert.equal(semCercaJson('  ```JSON\n{"a":1}\n```  '), '{"a":1}');
+  assert.equal(semCercaJson('```\n[1,2]```'), '[1,2]');
+  assert.equal(semCercaJson(null), '');
+});
+
+test('eventoDuplicado usa a similaridade compartilhada', () => {
+  const existentes = [{ tipo_evento: 'perda_emprego', descricao: 'Perdeu o emprego na fábrica', data_evento: '2020-01-01', precisao_data: 'dia' }];
+  const novo = { tipo_evento: 'outro', descricao: 'perdeu emprego na fabrica', data_evento: '2026-01-01', precisao_data: 'dia' };
+  assert.ok(eventoDuplicado(existentes, novo));
+});
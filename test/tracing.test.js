@@ -0,0 +1,113 @@
+// test/tracing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { lerTraceparent, criarTracer } = require('../tracing-utils');
+const { subirServidor } = require('./helpers/servidor');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PAI_ID = '00f067aa0ba902b7';
+const TRACEPARENT = `00-${TRACE_ID}-${PAI_ID}-01`;
+
+function exportadorEmMemoria() {
+  const spans = [];
+  return { spans, exportador: { nome: 'memoria', adicionar: (s) => spans.push(s), descarregar: async () => {}, fechar: async () => {} } };
+}
+
+test('lerTraceparent aceita só o formato W3C versão 00 com ids não nulos', () => {
+  assert.deepEqual(lerTraceparent(` ${TRACEPARENT} `), { trace_id: TRACE_ID, pai_id: PAI_ID, amostrado: true });
+  assert.equal(lerTraceparent(`00-${TRACE_ID}-${PAI_ID}-00`).amostrado, false);
+  for (const invalido of [
+    null,
+    '',
+    `01-${TRACE_ID}-${PAI_ID}-01`,
+    `00-${TRACE_ID.toUpperCase()}-${PAI_ID}-01`,
+    `00-${'0'.repeat(32)}-${PAI_ID}-01`,
+    `00-${TRACE_ID}-${'0'.repeat(16)}-01`,
+    `00-${TRACE_ID}-${PAI_ID}`,
+  ]) {
+    assert.equal(lerTraceparent(invalido), null, String(invalido));
+  }
+});
+
+test('iniciarTrace continua o traceparent recebido, herdando trace_id, pai e amostragem', () => {
+  const { spans, exportador } = exportadorEmMemoria();
+  const tracer = criarTracer({ exportador, amostragem: 1 });
+
+  const t = tracer.iniciarTrace('GET /x', { trace_id: 'a'.repeat(32), traceparent: `00-${TRACE_ID}-${PAI_ID}-00` });
+  assert.equal(t.span.trace_id, TRACE_ID);
+  assert.equal(t.span.pai_id, PAI_ID);
+  assert.equal(t.traceparent, `00-${TRACE_ID}-${t.span.span_id}-00`);
+  t.encerrar();
+  // o cliente disse "não amostrado": nada sai para o exportador
+  assert.equal(spans.length, 0);
+});
+
+test('iniciarTrace sem traceparent (ou com um inválido) usa o trace_id local e a amostragem do tracer', () => {
+  const { spans, exportador } = exportadorEmMemoria();
+  const tracer = criarTracer({ exportador, amostragem: 1 });
+
+  const t = tracer.iniciarTrace('GET /x', { trace_id: 'b'.repeat(32), traceparent: 'lixo' });
+  assert.equal(t.span.trace_id, 'b'.repeat(32));
+  assert.equal(t.span.pai_id, null);
+  assert.match(t.traceparent, new RegExp(`^00-${'b'.repeat(32)}-[0-9a-f]{16}-01$`));
+  t.encerrar();
+  assert.equal(spans.length, 1);
+
+  const semAmostra = criarTracer({ exportador, amostragem: 0 }).iniciarTrace('GET /y');
+  assert.match(semAmostra.span.trace_id, /^[0-9a-f]{32}$/);
+  assert.match(semAmostra.traceparent, /-00$/);
+});
+
+test('comSpan e registrarSpan penduram os filhos no span corrente', async () => {
+  const { spans, exportador } = exportadorEmMemoria();
+  const tracer = criarTracer({ exportador });
+  const t = tracer.iniciarTrace('POST /ia');
+
+  await tracer.executar(t.contexto, () => tracer.comSpan('pipeline', {}, async () => {
+    tracer.registrarSpan('llm.chat ia_chat', { segundos: 0.01 });
+  }));
+  t.encerrar();
+
+  const [folha, etapa, raiz] = spans;
+  assert.deepEqual(spans.map(s => s.nome), ['llm.chat ia_chat', 'pipeline', 'POST /ia']);
+  assert.equal(folha.pai_id, etapa.span_id);
+  assert.equal(etapa.pai_id, raiz.span_id);
+  assert.ok(spans.every(s => s.trace_id === raiz.trace_id));
+  // fora de um trace, comSpan só executa
+  assert.equal(await tracer.comSpan('solto', {}, async () => 42), 42);
+});
+
+async function traceDaApi(env, headers) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'm360-traces-'));
+  const arquivo = path.join(dir, 'traces.jsonl');
+  const srv = await subirServidor({ TRACING_EXPORTER: 'arquivo', TRACING_FILE: arquivo, ...env });
+  let r;
+  try {
+    r = await srv.chamar('GET', '/', { headers });
+  } finally {
+    // o desligamento descarrega o exportador
+    await srv.parar();
+  }
+  const spans = fs.readFileSync(arquivo, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  fs.rmSync(dir, { recursive: true, force: true });
+  return { r, raiz: spans.find(s => s.name === 'GET /') };
+}
+
+test('API: traceparent do cliente é ignorado sem TRACING_TRUST_TRACEPARENT', async () => {
+  const { r, raiz } = await traceDaApi({}, { traceparent: TRACEPARENT });
+  const trace_id = r.headers.get('x-trace-id');
+  assert.notEqual(trace_id, TRACE_ID);
+  assert.equal(trace_id, r.headers.get('x-request-id').replace(/-/g, ''));
+  assert.equal(raiz.traceId, trace_id);
+  assert.equal(raiz.parentSpanId, undefined);
+});
+
+test('API: com TRACING_TRUST_TRACEPARENT o request continua o trace do cliente', async () => {
+  const { r, raiz } = await traceDaApi({ TRACING_TRUST_TRACEPARENT: 'true' }, { traceparent: TRACEPARENT });
+  assert.equal(r.headers.get('x-trace-id'), TRACE_ID);
+  assert.equal(raiz.traceId, TRACE_ID);
+  assert.equal(raiz.parentSpanId, PAI_ID);
+});
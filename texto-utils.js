@@ -0,0 +1,21 @@
+// texto-utils.js
+// Helpers de texto compartilhados pelos extratores (eventos, perfil, risco, memórias...):
+// normalização sem acento, similaridade de palavras e limpeza da resposta JSON do modelo.
+
+// sem acento, minúsculo, espaços simples: "  Irmã  Júlia " == "irma julia"
+const normalizar = (s = '') =>
+  String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Jaccard das palavras com mais de 2 letras (já normalizadas): 0 = nada em comum, 1 = mesmas palavras
+function similaridadeTexto(a, b) {
+  const ta = new Set(normalizar(a).split(/\W+/).filter(w => w.length > 2));
+  const tb = new Set(normalizar(b).split(/\W+/).filter(w => w.length > 2));
+  const inter = [...ta].filter(w => tb.has(w)).length;
+  return inter / Math.max(1, ta.size + tb.size - inter);
+}
+
+// o modelo às vezes devolve o JSON dentro de ```json ... ``` (ou ``` com outra linguagem, ou sem)
+const semCercaJson = (s = '') =>
+  String(s ?? '').trim().replace(/^```[\w-]*\s*/, '').replace(/\s*```$/, '').trim();
+
+module.exports = { normalizar, similaridadeTexto, semCercaJson };
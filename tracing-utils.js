@@ -0,0 +1,230 @@
+// tracing-utils.js
+// Tracing no estilo OpenTelemetry sem o SDK: trace/span ids W3C, contexto propagado por
+// AsyncLocalStorage e exportação em OTLP/HTTP JSON (coletor) ou JSONL (arquivo local).
+// Cada request vira um trace (span raiz = HTTP); etapas do pipeline usam comSpan() e chamadas
+// folha já medidas em outro lugar (LLM, Supabase) entram com registrarSpan(), sem novo wrapper.
+// Os spans terminados ficam no trace até o fim da request, para o resumo de tempos do debug.
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const TIPOS_SPAN = { interno: 1, servidor: 2, cliente: 3 };
+const MAX_SPANS_POR_TRACE = 500;
+
+const idHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+const agoraNs = () => BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+
+// "00-<trace_id>-<span_id>-<flags>" -> { trace_id, pai_id, amostrado } | null
+function lerTraceparent(valor) {
+  const m = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(valor || '').trim());
+  if (!m || /^0+$/.test(m[1]) || /^0+$/.test(m[2])) return null;
+  return { trace_id: m[1], pai_id: m[2], amostrado: (parseInt(m[3], 16) & 1) === 1 };
+}
+
+const montarTraceparent = (span, amostrado) => `00-${span.trace_id}-${span.span_id}-${amostrado ? '01' : '00'}`;
+
+/* --- formato OTLP (JSON) --- */
+function valorOtlp(v) {
+  if (typeof v === 'boolean') return { boolValue: v };
+  if (typeof v === 'number') return Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v };
+  return { stringValue: String(v) };
+}
+
+const atributosOtlp = (obj = {}) => Object.entries(obj)
+  .filter(([, v]) => v !== undefined && v !== null)
+  .map(([key, v]) => ({ key, value: valorOtlp(v) }));
+
+function spanParaOtlp(span) {
+  return {
+    traceId: span.trace_id,
+    spanId: span.span_id,
+    ...(span.pai_id ? { parentSpanId: span.pai_id } : {}),
+    name: span.nome,
+    kind: TIPOS_SPAN[span.tipo] || TIPOS_SPAN.interno,
+    startTimeUnixNano: String(span.inicio),
+    endTimeUnixNano: String(span.fim),
+    attributes: atributosOtlp(span.atributos),
+    status: span.erro ? { code: 2, message: span.erro } : { code: 1 },
+  };
+}
+
+const envelopeOtlp = (servico, spans) => ({
+  resourceSpans: [{
+    resource: { attributes: atributosOtlp({ 'service.name': servico }) },
+    scopeSpans: [{ scope: { name: 'mentor360' }, spans: spans.map(spanParaOtlp) }],
+  }],
+});
+
+/* --- exportadores: { nome, adicionar(span), descarregar(), fechar() } --- */
+// acumula e envia em lote; coletor fora do ar só perde spans (limite de fila), nunca trava request
+function criarExportadorOtlp({ url, cabecalhos = {}, servico, lote = 200, intervaloMs = 5000, timeoutMs = 5000 }) {
+  let fila = [];
+
+  async function descarregar() {
+    if (!fila.length) return;
+    const spans = fila;
+    fila = [];
+    try {
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...cabecalhos },
+        body: JSON.stringify(envelopeOtlp(servico, spans)),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!resp.ok) console.warn('[tracing] coletor OTLP respondeu', resp.status);
+    } catch (e) {
+      console.warn('[tracing] falha ao exportar spans:', e.message);
+    }
+  }
+
+  function adicionar(span) {
+    fila.push(span);
+    if (fila.length > lote * 10) fila.splice(0, fila.length - lote * 10);
+    if (fila.length >= lote) descarregar();
+  }
+
+  const timer = setInterval(descarregar, intervaloMs);
+  timer.unref();
+
+  return { nome: 'otlp', adicionar, descarregar, fechar: () => { clearInterval(timer); return descarregar(); } };
+}
+
+// uma linha JSON por span (mesmos campos do OTLP + service.name), fácil de ler com jq
+function criarExportadorArquivo({ arquivo, servico, intervaloMs = 1000 }) {
+  let fila = [];
+
+  async function descarregar() {
+    if (!fila.length) return;
+    const linhas = fila.map(s => JSON.stringify({ 'service.name': servico, ...spanParaOtlp(s) })).join('\n') + '\n';
+    fila = [];
+    try {
+      await fs.promises.appendFile(arquivo, linhas);
+    } catch (e) {
+      console.warn('[tracing] falha ao gravar spans em', arquivo, e.message);
+    }
+  }
+
+  const timer = setInterval(descarregar, intervaloMs);
+  timer.unref();
+
+  return { nome: 'arquivo', adicionar: (span) => fila.push(span), descarregar, fechar: () => { clearInterval(timer); return descarregar(); } };
+}
+
+/* --- tracer --- */
+function criarTracer({ exportador = null, amostragem = 1 } = {}) {
+  const als = new AsyncLocalStorage();
+
+  function novoSpan(nome, { trace, pai_id = null, tipo = 'interno', atributos = {}, inicio = agoraNs() }) {
+    return {
+      nome, trace_id: trace.trace_id, span_id: idHex(8), pai_id, tipo, inicio, fim: null, atributos: { ...atributos }, erro: null,
+    };
+  }
+
+  function finalizar(span, trace, fim = agoraNs()) {
+    if (span.fim) return;
+    span.fim = fim;
+    if (trace.spans.length < MAX_SPANS_POR_TRACE) trace.spans.push(span);
+    if (trace.amostrado && exportador) exportador.adicionar(span);
+  }
+
+  const mensagemErro = (e) => String(e?.message || e || 'erro').slice(0, 500);
+
+  // span raiz de um trace novo (ou continuação de um traceparent recebido)
+  // -> { span, contexto, traceparent, encerrar({ atributos, erro, nome }) }
+  function iniciarTrace(nome, { trace_id = null, traceparent = null, tipo = 'servidor', atributos = {} } = {}) {
+    const remoto = lerTraceparent(traceparent);
+    const trace = {
+      trace_id: remoto?.trace_id || trace_id || idHex(16),
+      amostrado: remoto ? remoto.amostrado : Math.random() < amostragem,
+      spans: [],
+    };
+    const span = novoSpan(nome, { trace, pai_id: remoto?.pai_id || null, tipo, atributos });
+    trace.raiz = span;
+    return {
+      span,
+      contexto: { trace, span },
+      traceparent: montarTraceparent(span, trace.amostrado),
+      encerrar({ atributos: extra = {}, erro = null, nome: nomeFinal = null } = {}) {
+        Object.assign(span.atributos, extra);
+        if (nomeFinal) span.nome = nomeFinal;
+        if (erro) span.erro = mensagemErro(erro);
+        finalizar(span, trace);
+      },
+    };
+  }
+
+  const executar = (contexto, fn) => als.run(contexto, fn);
+
+  // roda fn num trace próprio (jobs, scripts): raiz aberta e fechada em volta da promise
+  async function rodarTrace(nome, opcoes, fn) {
+    const t = iniciarTrace(nome, { tipo: 'interno', ...opcoes });
+    try {
+      const r = await executar(t.contexto, () => fn(t.span));
+      t.encerrar();
+      return r;
+    } catch (e) {
+      t.encerrar({ erro: e });
+      throw e;
+    }
+  }
+
+  // etapa com filhos; fora de um trace só executa
+  async function comSpan(nome, atributos, fn) {
+    const ctx = als.getStore();
+    if (!ctx) return fn();
+    const span = novoSpan(nome, { trace: ctx.trace, pai_id: ctx.span.span_id, atributos });
+    try {
+      return await als.run({ trace: ctx.trace, span }, fn);
+    } catch (e) {
+      span.erro = mensagemErro(e);
+      throw e;
+    } finally {
+      finalizar(span, ctx.trace);
+    }
+  }
+
+  // span folha já medido (terminou agora, durou `segundos`)
+  function registrarSpan(nome, { segundos = 0, tipo = 'cliente', atributos = {}, erro = null } = {}) {
+    const ctx = als.getStore();
+    if (!ctx) return;
+    const fim = agoraNs();
+    const span = novoSpan(nome, {
+      trace: ctx.trace, pai_id: ctx.span.span_id, tipo, atributos, inicio: fim - BigInt(Math.round(segundos * 1e9)),
+    });
+    if (erro) span.erro = mensagemErro(erro);
+    finalizar(span, ctx.trace, fim);
+  }
+
+  // tempos do trace atual relativos ao início da raiz (para o payload de debug)
+  function resumoAtual() {
+    const ctx = als.getStore();
+    if (!ctx) return null;
+    const { trace } = ctx;
+    const t0 = trace.raiz.inicio;
+    const ms = (ns) => Math.round(Number(ns) / 1e4) / 100;
+    const nomes = new Map(trace.spans.map(s => [s.span_id, s.nome]));
+    return {
+      trace_id: trace.trace_id,
+      decorrido_ms: ms(agoraNs() - t0),
+      spans: [...trace.spans]
+        .sort((a, b) => (a.inicio < b.inicio ? -1 : 1))
+        .map(s => ({
+          nome: s.nome,
+          pai: s.pai_id === trace.raiz.span_id ? null : (nomes.get(s.pai_id) || s.pai_id),
+          inicio_ms: ms(s.inicio - t0),
+          duracao_ms: ms(s.fim - s.inicio),
+          ...(s.erro ? { erro: s.erro } : {}),
+        })),
+    };
+  }
+
+  return { iniciarTrace, executar, rodarTrace, comSpan, registrarSpan, resumoAtual, exportador };
+}
+
+module.exports = {
+  lerTraceparent,
+  criarTracer,
+  criarExportadorOtlp,
+  criarExportadorArquivo,
+};